@@ -0,0 +1,255 @@
+/**
+ * Short links for shared calculations
+ * A short link maps an ID like abc123 to an encodeCalculation string. IDs come from a hash of
+ * the calculation, so sharing the same calculation twice gives the same link.
+ *
+ * Stores implement { load(id) -> Promise<string|null>, save(id, calculation) -> Promise }:
+ * Vercel Blob when BLOB_READ_WRITE_TOKEN is set, otherwise one file per link on disk
+ * (development and tests). Saves never overwrite an existing link.
+ *
+ * Only calculations that decode as share link payloads are stored, and each client may create a limited
+ * number of links per minute.
+ */
+
+import { createHash } from 'crypto';
+import { promises as fs } from 'fs';
+import path from 'path';
+import { isCalculationPayload } from '../../src/utils/calculationPayload.mjs';
+
+const ID_ALPHABET = '0123456789abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ';
+const ID_LENGTH = 6;
+const ID_PATTERN = /^[0-9a-zA-Z]{4,16}$/;
+// Calculations are URL-safe or standard base64
+const CALCULATION_PATTERN = /^[A-Za-z0-9_\-+/=]+$/;
+export const MAX_CALCULATION_LENGTH = 8192;
+
+// Links each client may create per window
+export const RATE_LIMIT = 20;
+export const RATE_LIMIT_WINDOW = 60 * 1000;
+
+// How long browsers and the CDN may cache a resolved link, so a removed link stops being served within a day
+export const CACHE_MAX_AGE = 24 * 60 * 60;
+
+const BLOB_PREFIX = 'short-links/';
+const DEFAULT_DIRECTORY = path.join(process.cwd(), '.short-links');
+
+/**
+ * Stores short links as files in a directory
+ * @param {string} directory - Directory to keep the links in; created on first save
+ */
+export const createFileStore = (directory = process.env.SHORT_LINK_DIR || DEFAULT_DIRECTORY) => ({
+  async load(id) {
+    try {
+      return await fs.readFile(path.join(directory, `${id}.txt`), 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  },
+
+  async save(id, calculation) {
+    await fs.mkdir(directory, { recursive: true });
+    await fs.writeFile(path.join(directory, `${id}.txt`), calculation, { encoding: 'utf8', flag: 'wx' });
+  }
+});
+
+/**
+ * Stores short links in Vercel Blob, alongside the card database
+ * @param {string} token - Blob read-write token
+ */
+export const createBlobStore = (token = process.env.BLOB_READ_WRITE_TOKEN) => ({
+  async load(id) {
+    const { head, BlobNotFoundError } = await import('@vercel/blob');
+    try {
+      const blob = await head(`${BLOB_PREFIX}${id}.txt`, { token });
+      const response = await fetch(blob.url);
+      if (!response.ok) {
+        throw new Error(`Blob fetch returned ${response.status}`);
+      }
+      return await response.text();
+    } catch (error) {
+      if (error instanceof BlobNotFoundError) return null;
+      throw error;
+    }
+  },
+
+  async save(id, calculation) {
+    const { put } = await import('@vercel/blob');
+    await put(`${BLOB_PREFIX}${id}.txt`, calculation, {
+      access: 'public',
+      contentType: 'text/plain',
+      addRandomSuffix: false,
+      allowOverwrite: false,
+      token
+    });
+  }
+});
+
+export const createDefaultStore = () => (
+  process.env.BLOB_READ_WRITE_TOKEN ? createBlobStore() : createFileStore()
+);
+
+const toBase62 = (bytes) => {
+  let id = '';
+  for (const byte of bytes) {
+    id += ID_ALPHABET[byte % ID_ALPHABET.length];
+  }
+  return id;
+};
+
+/**
+ * Whether a value can be stored behind a short link
+ * Reads the payload without a card database, since only the shape matters here
+ * @param {*} calculation - Candidate encodeCalculation string
+ * @returns {boolean}
+ */
+export const isValidCalculation = (calculation) => (
+  typeof calculation === 'string' &&
+  calculation.length > 0 &&
+  calculation.length <= MAX_CALCULATION_LENGTH &&
+  CALCULATION_PATTERN.test(calculation) &&
+  isCalculationPayload(calculation)
+);
+
+/**
+ * Counts requests per client in fixed windows, in memory
+ * Each server instance keeps its own counts, so this caps bursts rather than enforcing a global quota
+ * @param {number} limit - Requests allowed per window
+ * @param {number} windowMs - Window length in milliseconds
+ * @param {Function} now - Clock, for tests
+ * @returns {Function} (clientId) -> true while the client is under the limit
+ */
+export const createRateLimiter = (limit = RATE_LIMIT, windowMs = RATE_LIMIT_WINDOW, now = Date.now) => {
+  const windows = new Map();
+
+  return (clientId) => {
+    const time = now();
+    // Drop finished windows so the map doesn't grow with every client ever seen
+    for (const [key, window] of windows) {
+      if (time - window.start >= windowMs) windows.delete(key);
+    }
+
+    const window = windows.get(clientId) || { start: time, count: 0 };
+    window.count++;
+    windows.set(clientId, window);
+    return window.count <= limit;
+  };
+};
+
+// Vercel puts the caller first in x-forwarded-for; the dev server sees the socket directly
+const getClientId = (req) => {
+  const forwarded = req.headers?.['x-forwarded-for'];
+  if (forwarded) return String(forwarded).split(',')[0].trim();
+  return req.socket?.remoteAddress || 'unknown';
+};
+
+/**
+ * Stores a calculation and returns its short ID
+ * Starts from a 6 character hash and lengthens it if another calculation already has that ID
+ * @param {Object} store - Short link store
+ * @param {string} calculation - encodeCalculation string
+ * @returns {Promise<string>} Short ID
+ */
+export const createShortLink = async (store, calculation) => {
+  if (!isValidCalculation(calculation)) {
+    throw new Error('Invalid calculation');
+  }
+
+  const hash = toBase62(createHash('sha256').update(calculation).digest());
+  for (let length = ID_LENGTH; length <= hash.length; length++) {
+    const id = hash.slice(0, length);
+    const existing = await store.load(id);
+    if (existing === calculation) return id;
+    if (existing === null) {
+      try {
+        await store.save(id, calculation);
+        return id;
+      } catch (error) {
+        // Another request may have taken the ID since the load
+        const winner = await store.load(id);
+        if (winner === calculation) return id;
+        if (winner === null) throw error;
+      }
+    }
+  }
+  throw new Error('No free short link ID');
+};
+
+/**
+ * Looks up the calculation behind a short ID
+ * @returns {Promise<string|null>} encodeCalculation string, or null when there is no such link
+ */
+export const resolveShortLink = async (store, id) => {
+  if (typeof id !== 'string' || !ID_PATTERN.test(id)) return null;
+  return store.load(id);
+};
+
+// Vercel parses JSON bodies; plain Node and Vite dev servers hand over the raw stream
+const readBody = async (req) => {
+  if (req.body !== undefined) {
+    return typeof req.body === 'string' ? JSON.parse(req.body) : req.body;
+  }
+  let text = '';
+  for await (const chunk of req) {
+    text += chunk;
+    if (text.length > MAX_CALCULATION_LENGTH * 2) throw new Error('Request body too large');
+  }
+  return text ? JSON.parse(text) : {};
+};
+
+const sendJson = (res, status, body) => {
+  res.statusCode = status;
+  res.setHeader('Content-Type', 'application/json');
+  res.end(JSON.stringify(body));
+};
+
+/**
+ * Request handler for /api/short-links
+ * POST { calculation } -> 201 { id, path }; GET ?id= -> 200 { calculation }
+ * @param {Object} store - Short link store
+ * @param {Function} isAllowed - Rate limiter for POST, from createRateLimiter
+ * @returns {Function} (req, res) handler for Vercel functions and Node/Connect servers
+ */
+export const createShortLinkHandler = (store, isAllowed = createRateLimiter()) => async (req, res) => {
+  try {
+    if (req.method === 'POST') {
+      if (!isAllowed(getClientId(req))) {
+        res.setHeader('Retry-After', String(Math.ceil(RATE_LIMIT_WINDOW / 1000)));
+        sendJson(res, 429, { error: 'Too many short links, try again in a minute' });
+        return;
+      }
+      let body;
+      try {
+        body = await readBody(req);
+      } catch (error) {
+        sendJson(res, 400, { error: 'Request body must be JSON' });
+        return;
+      }
+      if (!isValidCalculation(body?.calculation)) {
+        sendJson(res, 400, { error: 'Missing or invalid calculation' });
+        return;
+      }
+      const id = await createShortLink(store, body.calculation);
+      sendJson(res, 201, { id, path: `/s/${id}` });
+      return;
+    }
+
+    if (req.method === 'GET') {
+      const id = new URL(req.url, 'http://localhost').searchParams.get('id');
+      const calculation = await resolveShortLink(store, id);
+      if (calculation === null) {
+        sendJson(res, 404, { error: 'Short link not found' });
+        return;
+      }
+      res.setHeader('Cache-Control', `public, max-age=${CACHE_MAX_AGE}`);
+      sendJson(res, 200, { calculation });
+      return;
+    }
+
+    res.setHeader('Allow', 'GET, POST');
+    sendJson(res, 405, { error: 'Method not allowed' });
+  } catch (error) {
+    console.error('Short link error:', error);
+    sendJson(res, 500, { error: 'Short link service unavailable' });
+  }
+};
@@ -0,0 +1,170 @@
+/**
+ * Short link Tests
+ * Test creating and resolving short links against the file-backed store
+ */
+
+import { expect, describe, it, beforeEach, afterEach } from 'vitest';
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import {
+  createFileStore,
+  createShortLink,
+  resolveShortLink,
+  createShortLinkHandler,
+  createRateLimiter,
+  MAX_CALCULATION_LENGTH
+} from './shortLinks.mjs';
+import URLService from '../../src/services/URLService.js';
+
+const calculation = URLService.encodeCalculation(40, 5, [{
+  id: 1,
+  name: 'Combo 1',
+  cards: [{ starterCard: 'Ash Blossom', cardId: 14558127, isCustom: false, startersInDeck: 3, minCopiesInHand: 1, maxCopiesInHand: 3 }]
+}]);
+
+// Minimal stand-in for a Node response
+const createResponse = () => ({
+  statusCode: 200,
+  headers: {},
+  body: null,
+  setHeader(name, value) {
+    this.headers[name] = value;
+  },
+  end(text) {
+    this.body = JSON.parse(text);
+  }
+});
+
+describe('Short links', () => {
+  let directory;
+  let store;
+
+  beforeEach(() => {
+    directory = mkdtempSync(path.join(tmpdir(), 'short-links-'));
+    store = createFileStore(directory);
+  });
+
+  afterEach(() => {
+    rmSync(directory, { recursive: true, force: true });
+  });
+
+  describe('Store', () => {
+    it('should give the same calculation the same short ID', async () => {
+      const id = await createShortLink(store, calculation);
+
+      expect(id).toMatch(/^[0-9a-zA-Z]{6}$/);
+      expect(await createShortLink(store, calculation)).toBe(id);
+      expect(await resolveShortLink(store, id)).toBe(calculation);
+    });
+
+    it('should lengthen the ID when another calculation already has it', async () => {
+      const id = await createShortLink(store, calculation);
+      // Stores never overwrite, so stand in for a calculation that got the ID first
+      writeFileSync(path.join(directory, `${id}.txt`), 'SomethingElse');
+
+      const longer = await createShortLink(store, calculation);
+
+      expect(longer).toHaveLength(7);
+      expect(longer.startsWith(id)).toBe(true);
+      expect(await resolveShortLink(store, id)).toBe('SomethingElse');
+      expect(await resolveShortLink(store, longer)).toBe(calculation);
+    });
+
+    it('should not overwrite a link saved since the ID was checked', async () => {
+      const id = await createShortLink(store, calculation);
+      await expect(store.save(id, 'SomethingElse')).rejects.toThrow();
+      expect(await resolveShortLink(store, id)).toBe(calculation);
+
+      // A racing request saved the same calculation first
+      const racingStore = {
+        load: async () => (racingStore.saved ? calculation : null),
+        save: async () => {
+          racingStore.saved = true;
+          throw new Error('Blob already exists');
+        }
+      };
+      expect(await createShortLink(racingStore, calculation)).toBe(id);
+    });
+
+    it('should reject invalid calculations and IDs', async () => {
+      await expect(createShortLink(store, '')).rejects.toThrow('Invalid calculation');
+      await expect(createShortLink(store, '<script>')).rejects.toThrow('Invalid calculation');
+      await expect(createShortLink(store, 'A'.repeat(MAX_CALCULATION_LENGTH + 1))).rejects.toThrow('Invalid calculation');
+      // Right alphabet, but not something the app can decode
+      await expect(createShortLink(store, 'AXicY2BgYGQAAQAAFwAE')).rejects.toThrow('Invalid calculation');
+
+      expect(await resolveShortLink(store, 'abc123')).toBeNull();
+      expect(await resolveShortLink(store, '../secret')).toBeNull();
+      expect(await resolveShortLink(store, null)).toBeNull();
+    });
+  });
+
+  describe('Route', () => {
+    it('should create a short link and resolve it', async () => {
+      const handler = createShortLinkHandler(store);
+
+      const created = createResponse();
+      await handler({ method: 'POST', url: '/api/short-links', body: { calculation } }, created);
+      expect(created.statusCode).toBe(201);
+      expect(created.body.path).toBe(`/s/${created.body.id}`);
+
+      const resolved = createResponse();
+      await handler({ method: 'GET', url: `/api/short-links?id=${created.body.id}` }, resolved);
+      expect(resolved.statusCode).toBe(200);
+      expect(resolved.body).toEqual({ calculation });
+      expect(resolved.headers['Cache-Control']).toBe('public, max-age=86400');
+    });
+
+    it('should read a raw JSON body when the server does not parse it', async () => {
+      const handler = createShortLinkHandler(store);
+      const request = (async function* () {
+        yield JSON.stringify({ calculation });
+      })();
+      request.method = 'POST';
+      request.url = '/';
+
+      const response = createResponse();
+      await handler(request, response);
+
+      expect(response.statusCode).toBe(201);
+    });
+
+    it('should answer bad requests, unknown links and other methods', async () => {
+      const handler = createShortLinkHandler(store);
+
+      const invalid = createResponse();
+      await handler({ method: 'POST', url: '/', body: { calculation: 42 } }, invalid);
+      expect(invalid.statusCode).toBe(400);
+
+      const missing = createResponse();
+      await handler({ method: 'GET', url: '/?id=zzzzzz' }, missing);
+      expect(missing.statusCode).toBe(404);
+
+      const other = createResponse();
+      await handler({ method: 'DELETE', url: '/' }, other);
+      expect(other.statusCode).toBe(405);
+      expect(other.headers.Allow).toBe('GET, POST');
+    });
+
+    it('should limit how many links a client can create per window', async () => {
+      let time = 0;
+      const handler = createShortLinkHandler(store, createRateLimiter(2, 1000, () => time));
+      const post = async (address) => {
+        const response = createResponse();
+        await handler({ method: 'POST', url: '/', headers: { 'x-forwarded-for': `${address}, 10.0.0.1` }, body: { calculation } }, response);
+        return response;
+      };
+
+      expect((await post('1.1.1.1')).statusCode).toBe(201);
+      expect((await post('1.1.1.1')).statusCode).toBe(201);
+      const limited = await post('1.1.1.1');
+      expect(limited.statusCode).toBe(429);
+      expect(limited.headers['Retry-After']).toBeDefined();
+      expect((await post('2.2.2.2')).statusCode).toBe(201);
+
+      time = 1000;
+      expect((await post('1.1.1.1')).statusCode).toBe(201);
+    });
+  });
+});
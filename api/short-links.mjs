@@ -0,0 +1,8 @@
+/**
+ * /api/short-links - Creates and resolves short links to shared calculations
+ * See _lib/shortLinks.mjs for the request format and where links are stored
+ */
+
+import { createDefaultStore, createShortLinkHandler } from './_lib/shortLinks.mjs';
+
+export default createShortLinkHandler(createDefaultStore());
@@ -0,0 +1,179 @@
+const fs = require('fs');
+const path = require('path');
+
+// Generate dated banlist files per format from scripts/data/banlists.json and scripts/data/point-formats/*.json
+//
+// Source: { "<format>": [{ "date": "YYYY-MM-DD", "forbidden": [{ id, name }], "limited": [...], "semiLimited": [...] }] }
+// Point formats: one file each, { "format": "<name>", "lists": [{ "date", "pointLimit": 100, "points": [{ id, name, points }] }] };
+//         their lists may also carry forbidden/limited/semiLimited entries. Adding a file adds the format.
+// Output: public/banlists/index.json listing formats and their dates (newest first), and
+//         public/banlists/<format-slug>/<date>.json with { format, date, cards: { <passcode>: { name, status } } },
+//         plus pointLimit and points: { <passcode>: { name, points } } for point formats
+
+const SOURCE_PATH = path.join(__dirname, 'data', 'banlists.json');
+const POINT_FORMATS_DIR = path.join(__dirname, 'data', 'point-formats');
+const CARD_DATABASE_PATH = path.join(__dirname, '..', 'public', 'cardDatabase.json');
+const OUTPUT_DIR = path.join(__dirname, '..', 'public', 'banlists');
+
+const STATUSES = {
+  forbidden: 'forbidden',
+  limited: 'limited',
+  semiLimited: 'semi-limited'
+};
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const slugify = (format) => format.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+/**
+ * Checks the source lists and turns them into output files
+ * @param {Object} source - Parsed scripts/data/banlists.json
+ * @param {Object} cardDatabase - Parsed public/cardDatabase.json, used to check passcodes and names
+ * @returns {{ index: Object, files: Array<{ path: string, data: Object }>, warnings: string[] }}
+ * @throws {Error} Listing every problem when the source is invalid
+ */
+function buildBanlists(source, cardDatabase) {
+  const errors = [];
+  const warnings = [];
+  const files = [];
+  const index = { formats: [] };
+
+  Object.entries(source).forEach(([format, lists]) => {
+    const slug = slugify(format);
+    const dates = [];
+
+    lists.forEach(list => {
+      const label = `${format} ${list.date}`;
+      if (!DATE_PATTERN.test(list.date || '') || Number.isNaN(Date.parse(list.date))) {
+        errors.push(`${format}: invalid date "${list.date}"`);
+        return;
+      }
+      if (dates.includes(list.date)) {
+        errors.push(`${label}: listed twice`);
+        return;
+      }
+      dates.push(list.date);
+
+      const cards = {};
+      Object.entries(STATUSES).forEach(([key, status]) => {
+        (list[key] || []).forEach(entry => {
+          const id = String(entry.id);
+          const card = cardDatabase[id];
+          if (!card) {
+            errors.push(`${label}: unknown passcode ${id} (${entry.name})`);
+            return;
+          }
+          if (cards[id]) {
+            errors.push(`${label}: ${card.name} is both ${cards[id].status} and ${status}`);
+            return;
+          }
+          if (entry.name && entry.name !== card.name) {
+            warnings.push(`${label}: ${id} is "${card.name}", not "${entry.name}"`);
+          }
+          cards[id] = { name: card.name, status };
+        });
+      });
+
+      const data = { format, date: list.date, cards };
+      if (list.points || list.pointLimit !== undefined) {
+        if (!Number.isInteger(list.pointLimit) || list.pointLimit <= 0) {
+          errors.push(`${label}: pointLimit must be a positive whole number`);
+        }
+        data.pointLimit = list.pointLimit;
+        data.points = {};
+        (list.points || []).forEach(entry => {
+          const id = String(entry.id);
+          const card = cardDatabase[id];
+          if (!card) {
+            errors.push(`${label}: unknown passcode ${id} (${entry.name})`);
+            return;
+          }
+          if (data.points[id]) {
+            errors.push(`${label}: ${card.name} has points listed twice`);
+            return;
+          }
+          if (!Number.isInteger(entry.points) || entry.points <= 0) {
+            errors.push(`${label}: ${card.name} must cost a positive whole number of points`);
+            return;
+          }
+          data.points[id] = { name: card.name, points: entry.points };
+        });
+      }
+
+      files.push({ path: path.join(slug, `${list.date}.json`), data });
+    });
+
+    index.formats.push({ name: format, slug, dates: dates.sort().reverse() });
+  });
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid banlist data:\n  ${errors.join('\n  ')}`);
+  }
+
+  return { index, files, warnings };
+}
+
+/**
+ * Reads banlists.json and adds every point format file, sorted by file name
+ * @param {string} sourcePath - Banlist source file
+ * @param {string} pointFormatsDir - Directory of point format files; skipped when missing
+ * @returns {Object} Source for buildBanlists
+ */
+function loadSource(sourcePath = SOURCE_PATH, pointFormatsDir = POINT_FORMATS_DIR) {
+  const source = JSON.parse(fs.readFileSync(sourcePath, 'utf8'));
+  if (!fs.existsSync(pointFormatsDir)) return source;
+
+  fs.readdirSync(pointFormatsDir)
+    .filter(file => file.endsWith('.json'))
+    .sort()
+    .forEach(file => {
+      const { format, lists } = JSON.parse(fs.readFileSync(path.join(pointFormatsDir, file), 'utf8'));
+      if (!format || !Array.isArray(lists)) {
+        throw new Error(`${file}: expected { "format", "lists" }`);
+      }
+      if (source[format]) {
+        throw new Error(`${file}: format ${format} is already defined`);
+      }
+      source[format] = lists;
+    });
+  return source;
+}
+
+function generateBanlists() {
+  console.log('Generating banlists...');
+
+  try {
+    const source = loadSource();
+    const cardDatabase = JSON.parse(fs.readFileSync(CARD_DATABASE_PATH, 'utf8'));
+    const { index, files, warnings } = buildBanlists(source, cardDatabase);
+
+    warnings.forEach(warning => console.warn(`⚠️  ${warning}`));
+
+    fs.rmSync(OUTPUT_DIR, { recursive: true, force: true });
+    fs.mkdirSync(OUTPUT_DIR, { recursive: true });
+    files.forEach(file => {
+      const outputPath = path.join(OUTPUT_DIR, file.path);
+      fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+      fs.writeFileSync(outputPath, JSON.stringify(file.data, null, 2) + '\n');
+    });
+    fs.writeFileSync(path.join(OUTPUT_DIR, 'index.json'), JSON.stringify(index, null, 2) + '\n');
+
+    console.log(`✅ Banlists generated successfully!`);
+    console.log(`📍 Location: ${OUTPUT_DIR}`);
+    index.formats.forEach(format => {
+      console.log(`📅 ${format.name}: ${format.dates.join(', ')}`);
+    });
+
+    return true;
+  } catch (error) {
+    console.error('❌ Failed to generate banlists:', error.message);
+    return false;
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  process.exit(generateBanlists() ? 0 : 1);
+}
+
+module.exports = { generateBanlists, buildBanlists, loadSource };
@@ -10,10 +10,12 @@ import useYdkImport from './hooks/useYdkImport';
 import useToast from './hooks/useToast';
 import useOpeningHand from './hooks/useOpeningHand';
 import useErrors from './hooks/useErrors';
+import useBanlist from './hooks/useBanlist';
 
 // Service imports
 import ProbabilityService from './services/ProbabilityService';
 import URLService from './services/URLService';
+import ShortLinkService from './services/ShortLinkService';
 import CardDatabaseService from './services/CardDatabaseService';
 import TitleGeneratorService from './services/TitleGeneratorService';
 import HandTrapService from './services/HandTrapService';
@@ -23,6 +25,14 @@ import YdkParser from './services/YdkParser';
 import ComboBuilder from './features/calculator/ComboBuilder';
 import ResultsDisplay from './features/calculator/ResultsDisplay';
 import DeckConfigInputs from './features/calculator/DeckConfigInputs';
+import RatioOptimizer from './features/calculator/RatioOptimizer';
+import DeckSizeSweepDisplay from './features/calculator/DeckSizeSweepDisplay';
+import SidePlanComparison from './features/calculator/SidePlanComparison';
+import ConfigurationComparison from './features/calculator/ConfigurationComparison';
+import DeckLibrary from './features/deck-builder/DeckLibrary';
+import CardEffectsEditor from './features/calculator/CardEffectsEditor';
+import CategoryEditor from './features/calculator/CategoryEditor';
+import BrickEditor from './features/calculator/BrickEditor';
 import ComboForm from './features/combo/ComboForm';
 import DeckImageSection from './features/deck-builder/DeckImageSection';
 import Icon from './components/Icon';
@@ -34,7 +44,8 @@ import { Button, Tooltip } from './components/ui';
 import { DEFAULT_DECK_SIZE, DEFAULT_HAND_SIZE, TYPOGRAPHY } from './constants/config';
 
 // Utility imports
-import { createCombo } from './utils/comboFactory';
+import { createCombo, withComboUids } from './utils/comboFactory';
+import { createRandom } from './utils/random';
 
 // Additional service imports
 import OpeningHandService from './services/OpeningHandService';
@@ -47,14 +58,38 @@ import DeckStatistics from './features/deck-builder/DeckStatistics';
 
 export default function TCGCalculator() {
   // Custom Hooks
-  const { deckSize, handSize, setDeckSize, setHandSize } = useDeckConfig();
+  const {
+    deckSize,
+    handSize,
+    setDeckSize,
+    setHandSize,
+    seed,
+    setSeed,
+    targetMargin,
+    setTargetMargin,
+    showTurnCurve,
+    setShowTurnCurve,
+    showOutcomes,
+    setShowOutcomes,
+    deckSizeSweep,
+    setDeckSizeSweep,
+    mulligan,
+    setMulligan,
+    cardEffects,
+    setCardEffects,
+    categories,
+    setCategories,
+    bricks,
+    setBricks,
+    sidePlans,
+    setSidePlans
+  } = useDeckConfig();
   const { combos, setCombos } = useCombos(createCombo(1, 0));
-  const { results, setResults } = useCalculations();
+  const { results, setResults, isCalculating, progress, calculate, cancelCalculation, cancelStaleCalculation } = useCalculations();
   const { cardDatabase, setCardDatabase } = useCardSearch();
   const [toastMessage, setToastMessage] = useState('');
   const { openingHand, setOpeningHand, isRefreshing, setIsRefreshing } = useOpeningHand();
   const { errors, setErrors } = useErrors();
-  const [isCalculating, setIsCalculating] = useState(false);
 
   // YDK Import hook
   const {
@@ -79,6 +114,18 @@ export default function TCGCalculator() {
   // Shareable URL hook
   const { shareableUrl, setShareableUrl, showCopiedMessage, setShowCopiedMessage } = useShareableUrl();
 
+  // Banlist hook
+  const {
+    banlistFormat,
+    setBanlistFormat,
+    banlistFormats,
+    banlistDate,
+    setBanlistDate,
+    banlistDates,
+    banlist,
+    currentBanlist
+  } = useBanlist();
+
   // State that doesn't have hooks (keep as-is)
   const [dashboardValues, setDashboardValues] = useState({
     deckSize: DEFAULT_DECK_SIZE,
@@ -92,6 +139,7 @@ export default function TCGCalculator() {
   const [staticCardDatabase, setStaticCardDatabase] = useState({});
 
   const refreshDebounceRef = useRef(null);
+  const handRandomRef = useRef(Math.random); // Seeded random source for sample opening hands
   const calculationDashboardRef = useRef(null);
 
   // Sync deckZones when initialDeckZones changes (from YDK upload)
@@ -162,13 +210,17 @@ export default function TCGCalculator() {
         side: []
       });
       setUploadedYdkFile(null);
+      setCardEffects([]);
+      setCategories([]);
+      setBricks([]);
+      setSidePlans([]);
 
       // Load the deck data into the app
       setDeckSize(data.d);
       setHandSize(data.h);
       setTestHandFromDecklist(data.testHandFromDecklist !== undefined ? data.testHandFromDecklist : true);
 
-      const loadedCombos = data.c.map(combo => ({
+      const loadedCombos = withComboUids(data.c.map(combo => ({
         id: combo.i,
         name: combo.n,
         cards: combo.cards.map(card => ({
@@ -178,16 +230,19 @@ export default function TCGCalculator() {
           startersInDeck: card.deck,
           minCopiesInHand: card.min,
           maxCopiesInHand: card.max,
-          logicOperator: card.logic || 'AND'
+          logicOperator: card.logic || 'AND',
+          openParens: card.go || 0,
+          closeParens: card.gc || 0
         }))
-      }));
+      })));
       
       setCombos(loadedCombos);
       
       // Calculate results
-      setTimeout(() => {
-        const calculatedResults = ProbabilityService.calculateMultipleCombos(loadedCombos, data.d, data.h, ydkCards, ydkCardCounts);
-        setResults(calculatedResults);
+      setTimeout(async () => {
+        const calculatedResults = await calculate(loadedCombos, data.d, data.h, ydkCards, ydkCardCounts, { seed, targetMargin, turnCurve: showTurnCurve, outcomes: showOutcomes, deckSizeSweep, mulligan, cardEffects: [], categories: [], bricks: [] });
+        if (!calculatedResults) return; // Cancelled by a newer calculation
+
         setDashboardValues({
           deckSize: data.d,
           handSize: data.h,
@@ -195,7 +250,7 @@ export default function TCGCalculator() {
         });
         
         // Generate shareable URL
-        URLService.updateURL(data.d, data.h, loadedCombos, uploadedYdkFile, data.testHandFromDecklist, deckZones);
+        URLService.updateURL(data.d, data.h, loadedCombos, uploadedYdkFile, data.testHandFromDecklist, deckZones, seed, mulligan);
         const url = window.location.href;
         setShareableUrl(url);
         
@@ -212,80 +267,134 @@ export default function TCGCalculator() {
     }
   };
 
-  // Restore calculation from URL on mount
-  useEffect(() => {
-    const restoreFromURL = () => {
-      const urlData = URLService.decodeCalculation();
-      if (urlData) {
-        console.log('Restoring calculation from URL:', urlData);
-        setIsRestoringFromURL(true);
-        setDeckSize(urlData.deckSize);
-        setHandSize(urlData.handSize);
-        setCombos(urlData.combos);
-        
-        // Restore YDK file if present
-        if (urlData.ydkFile && staticCardDatabase && Object.keys(staticCardDatabase).length > 0) {
-          try {
-            const parseResult = YdkParser.parseYdkFile(urlData.ydkFile.content, staticCardDatabase);
-
-            // Get unique card names (remove duplicates)
-            const uniqueCards = [];
-            const seenNames = new Set();
-
-            parseResult.cards.forEach(card => {
-              if (!seenNames.has(card.name)) {
-                seenNames.add(card.name);
-                uniqueCards.push({
-                  name: card.name,
-                  id: card.id,
-                  isCustom: false
-                });
-              }
+  // Restore a decoded calculation: settings, combos, YDK file and deck zones, then calculate
+  const restoreCalculation = (urlData) => {
+    setIsRestoringFromURL(true);
+    setDeckSize(urlData.deckSize);
+    setHandSize(urlData.handSize);
+    setCombos(withComboUids(urlData.combos));
+
+    // Restore the shared seed so numbers and the sample hand match the sender's
+    const restoredSeed = urlData.seed ?? seed;
+    setSeed(restoredSeed);
+    setMulligan(urlData.mulligan);
+    setCardEffects(urlData.cardEffects);
+    setCategories(urlData.categories);
+    setBricks(urlData.bricks);
+    
+    // Restore YDK file if present
+    if (urlData.ydkFile && staticCardDatabase && Object.keys(staticCardDatabase).length > 0) {
+      try {
+        const parseResult = YdkParser.parseYdkFile(urlData.ydkFile.content, staticCardDatabase);
+
+        // Get unique card names (remove duplicates)
+        const uniqueCards = [];
+        const seenNames = new Set();
+
+        parseResult.cards.forEach(card => {
+          if (!seenNames.has(card.name)) {
+            seenNames.add(card.name);
+            uniqueCards.push({
+              name: card.name,
+              id: card.id,
+              isCustom: false
             });
+          }
+        });
 
-            // Update deck size to match YDK file main deck card count
-            const mainDeckCardCount = parseResult.cards.length;
-            setDeckSize(mainDeckCardCount);
+        // Update deck size to match YDK file main deck card count
+        const mainDeckCardCount = parseResult.cards.length;
+        setDeckSize(mainDeckCardCount);
 
-            setUploadedYdkFile(urlData.ydkFile);
-            setYdkCards(uniqueCards);
-            setYdkCardCounts(parseResult.cardCounts);
+        setUploadedYdkFile(urlData.ydkFile);
+        setYdkCards(uniqueCards);
+        setYdkCardCounts(parseResult.cardCounts);
 
-            // Show error only for truly unmatched cards
-            if (parseResult.unmatchedIds.length > 0) {
-              alert("Some cards from your YDK file weren't matched");
-            }
-          } catch (error) {
-            console.error('Failed to restore YDK file from URL:', error);
-          }
+        // Show error only for truly unmatched cards
+        if (parseResult.unmatchedIds.length > 0) {
+          alert("Some cards from your YDK file weren't matched");
         }
-
-        // Restore deck zones if present
-        if (urlData.deckZones) {
-          console.log('Restoring deck zones from URL:', urlData.deckZones);
-          setDeckZones(urlData.deckZones);
-          setInitialDeckZones(urlData.deckZones);
-        }
-        
-        setTimeout(() => {
-          const calculatedResults = ProbabilityService.calculateMultipleCombos(urlData.combos, urlData.deckSize, urlData.handSize, ydkCards, ydkCardCounts);
-          setResults(calculatedResults);
-          setDashboardValues({
-            deckSize: urlData.deckSize,
-            handSize: urlData.handSize,
-            combos: urlData.combos.map(c => ({ ...c }))
-          });
-          setIsRestoringFromURL(false);
-          
-          // Auto-scroll to Calculation Dashboard
-          setTimeout(() => scrollToCalculationDashboard(), 200);
-        }, 100);
+      } catch (error) {
+        console.error('Failed to restore YDK file from URL:', error);
       }
-    };
+    }
+
+    // Restore deck zones if present
+    if (urlData.deckZones) {
+      console.log('Restoring deck zones from URL:', urlData.deckZones);
+      setDeckZones(urlData.deckZones);
+      setInitialDeckZones(urlData.deckZones);
+    }
+    
+    setTimeout(async () => {
+      const calculatedResults = await calculate(urlData.combos, urlData.deckSize, urlData.handSize, ydkCards, ydkCardCounts, { seed: restoredSeed, targetMargin, turnCurve: showTurnCurve, outcomes: showOutcomes, deckSizeSweep, mulligan: urlData.mulligan,
+        cardEffects: urlData.cardEffects,
+        categories: ProbabilityService.resolveCategories(urlData.categories, getMainDeckCounts(urlData.deckZones?.main)),
+        bricks: urlData.bricks
+      });
+      setIsRestoringFromURL(false);
+      if (!calculatedResults) return; // Cancelled by a newer calculation
+
+      setDashboardValues({
+        deckSize: urlData.deckSize,
+        handSize: urlData.handSize,
+        combos: urlData.combos.map(c => ({ ...c }))
+      });
+      
+      // Auto-scroll to Calculation Dashboard
+      setTimeout(() => scrollToCalculationDashboard(), 200);
+    }, 100);
+  };
 
-    restoreFromURL();
+  // Restore calculation from a short link or the URL hash on mount
+  // Links store known deck cards as passcodes, so those wait for the static card database to name them
+  useEffect(() => {
+    const isDatabaseLoaded = Object.keys(staticCardDatabase).length > 0;
+    const hasUnnamedCards = (urlData) => Object.values(urlData.deckZones || {}).some(cards => cards.some(card => card.name === null));
+
+    const shortLinkId = ShortLinkService.getShortLinkId();
+    if (shortLinkId) {
+      ShortLinkService.resolveShortLink(shortLinkId)
+        .then(encoded => {
+          const urlData = encoded ? URLService.decodeCalculation(encoded, staticCardDatabase) : null;
+          if (!urlData) {
+            showToast('This short link could not be found');
+            return;
+          }
+          if (!isDatabaseLoaded && hasUnnamedCards(urlData)) return;
+          // Swap the short path for the full hash so later edits and copied links stay in sync
+          window.history.replaceState(null, '', `/#calc=${encoded}`);
+          restoreCalculation(urlData);
+        })
+        .catch(error => console.error('Failed to resolve short link:', error));
+      return;
+    }
+
+    const urlData = URLService.decodeCalculation(null, staticCardDatabase);
+    if (urlData && (isDatabaseLoaded || !hasUnnamedCards(urlData))) {
+      console.log('Restoring calculation from URL:', urlData);
+      restoreCalculation(urlData);
+    }
   }, [staticCardDatabase]);
+
+  // Load a version saved in the deck library, replacing the current deck
+  const handleLibraryLoad = (urlData, deckName) => {
+    setDeckZones({
+      main: [],
+      extra: [],
+      side: []
+    });
+    setUploadedYdkFile(null);
+    setSidePlans([]);
+    restoreCalculation(urlData);
+    showToast(`Loaded ${deckName}`);
+  };
   
+  // Abort an in-flight calculation once its inputs have actually changed
+  useEffect(() => {
+    cancelStaleCalculation(combos, deckSize, handSize);
+  }, [combos, deckSize, handSize, cancelStaleCalculation]);
+
   // Load card database on mount
   useEffect(() => {
     const loadCardDatabase = async () => {
@@ -532,6 +641,9 @@ export default function TCGCalculator() {
         if (card.startersInDeck > deckSize) newErrors[`${cardPrefix}-startersInDeck`] = 'Please enter valid value';
       });
       
+      const groupError = ProbabilityService.validateGroups(combo.cards);
+      if (groupError) newErrors[`combo-${combo.id}-groups`] = groupError;
+
       const totalCards = combo.cards.reduce((sum, card) => sum + card.startersInDeck, 0);
       if (totalCards > deckSize) {
         combo.cards.forEach((card, cardIndex) => {
@@ -558,10 +670,10 @@ export default function TCGCalculator() {
     // AC#3: Use YDK cards when toggle is ON and YDK cards are available
     if (testHandFromDecklist && ydkCards && ydkCards.length > 0 && ydkCardCounts && Object.keys(ydkCardCounts).length > 0) {
       console.log('🎯 Using YDK cards for opening hand');
-      hand = OpeningHandService.generateHandFromYdkCards(ydkCards, ydkCardCounts, handSize);
+      hand = OpeningHandService.generateHandFromYdkCards(ydkCards, ydkCardCounts, handSize, handRandomRef.current);
     } else {
       console.log('🎯 Using combos for opening hand');
-      hand = OpeningHandService.generateProbabilisticHand(combos, deckSize, handSize);
+      hand = OpeningHandService.generateProbabilisticHand(combos, deckSize, handSize, handRandomRef.current);
     }
     
     console.log('🃏 Generated opening hand:', hand);
@@ -596,11 +708,11 @@ export default function TCGCalculator() {
   };
 
   // Sync YDK deck zones and card counts from combo definitions
-  const syncYdkFromCombos = () => {
+  const syncYdkFromCombos = (sourceCombos = combos) => {
     // Collect cards from combos that need count adjustments
     const cardCountsFromCombos = {};
 
-    combos.forEach(combo => {
+    sourceCombos.forEach(combo => {
       combo.cards.forEach(card => {
         if (card.starterCard && card.starterCard.trim()) {
           const cardName = card.starterCard;
@@ -693,15 +805,43 @@ export default function TCGCalculator() {
     console.log('🔄 Synced YDK from combos:', { adjustedCards: Object.keys(cardCountsFromCombos) });
   };
 
-  const runCalculation = () => {
+  // Copies of each main deck card, used to size card categories
+  const getMainDeckCounts = (mainDeck = deckZones.main) => (mainDeck || []).reduce((counts, card) => {
+    counts[card.name] = (counts[card.name] || 0) + 1;
+    return counts;
+  }, {});
+
+  const resolvedCategories = ProbabilityService.resolveCategories(categories, getMainDeckCounts());
+
+  // Keep combo cards that require a category in step with renamed or removed categories
+  const handleCategoriesChange = (updatedCategories) => {
+    setCategories(updatedCategories);
+    setCombos(prevCombos => prevCombos.map(combo => ({
+      ...combo,
+      cards: combo.cards.map(card => {
+        if (card.categoryId == null) return card;
+        const category = updatedCategories.find(other => other.id === card.categoryId);
+        return category ? { ...card, starterCard: category.name } : { ...card, categoryId: null };
+      })
+    })));
+  };
+
+  // Apply a ratio picked in the optimizer to the combos and the deck builder zones
+  const handleApplyRatio = (copies, ratioCards) => {
+    const updatedCombos = ProbabilityService.applyRatio(combos, copies);
+    setCombos(updatedCombos);
+    syncYdkFromCombos(updatedCombos);
+
+    const summary = ratioCards.map(card => `${copies[card.key]}x ${card.name}`).join(', ');
+    showToast(`Applied ${summary}`);
+  };
+
+  const runCalculation = async () => {
     // Check if all fields are filled before proceeding
     if (!allFieldsFilled) return;
 
     if (!validate()) return;
 
-    // Set loading state immediately for instant UI feedback
-    setIsCalculating(true);
-
     // Sync YDK display with combo definitions
     syncYdkFromCombos();
 
@@ -711,33 +851,32 @@ export default function TCGCalculator() {
       combos: combos.map(c => ({ ...c }))
     });
 
-    // Defer heavy calculation to next tick to unblock UI thread
-    setTimeout(() => {
-      try {
-        const calculatedResults = ProbabilityService.calculateMultipleCombos(combos, deckSize, handSize, ydkCards, ydkCardCounts);
-        setResults(calculatedResults);
+    // Heavy simulation runs in the probability worker so the UI stays responsive
+    const calculatedResults = await calculate(combos, deckSize, handSize, ydkCards, ydkCardCounts, { seed, targetMargin, turnCurve: showTurnCurve, outcomes: showOutcomes, deckSizeSweep, mulligan, cardEffects, categories: resolvedCategories, bricks, sidePlans });
+    if (!calculatedResults) return; // Cancelled because inputs changed
 
-        // Generate shareable URL
-        URLService.updateURL(deckSize, handSize, combos, uploadedYdkFile, testHandFromDecklist, deckZones);
-        const url = window.location.href;
-        setShareableUrl(url);
+    // Generate shareable URL
+    URLService.updateURL(deckSize, handSize, combos, uploadedYdkFile, testHandFromDecklist, deckZones, seed, mulligan, cardEffects, categories, bricks);
+    const url = window.location.href;
+    setShareableUrl(url);
 
-        // Generate title using individual results for compatibility
-        const title = TitleGeneratorService.generateFunTitle(combos, deckSize, calculatedResults.individual);
-        setGeneratedTitle(title);
+    // Generate title using individual results for compatibility
+    const title = TitleGeneratorService.generateFunTitle(combos, deckSize, calculatedResults.individual);
+    setGeneratedTitle(title);
 
-        // Auto-scroll to Calculation Dashboard
-        setTimeout(() => scrollToCalculationDashboard(), 100);
-      } finally {
-        // Clear loading state
-        setIsCalculating(false);
-      }
-    }, 0);
+    // Auto-scroll to Calculation Dashboard
+    setTimeout(() => scrollToCalculationDashboard(), 100);
   };
 
   const clearPreviousCalculationData = (newDeckSize = null) => {
+    cancelCalculation();
+
     // Clear calculation-related state when new YDK is loaded
     setCombos([createCombo(1, 0)]);
+    setCardEffects([]);
+    setCategories([]);
+    setBricks([]);
+    setSidePlans([]);
     setResults({ individual: [], combined: null });
     setErrors({});
     setDashboardValues({
@@ -756,6 +895,8 @@ export default function TCGCalculator() {
   };
 
   const handleReset = () => {
+    cancelCalculation();
+
     // Restore original YDK deck if one was uploaded
     if (initialDeckZones) {
       setDeckZones(initialDeckZones);
@@ -858,7 +999,8 @@ export default function TCGCalculator() {
           ...combo.cards[cardIndex],
           starterCard: value.starterCard,
           cardId: value.cardId,
-          isCustom: value.isCustom
+          isCustom: value.isCustom,
+          categoryId: value.categoryId ?? null
         };
 
         // NEW: When adding a card from YDK, set copies in deck and max in hand
@@ -1015,16 +1157,14 @@ export default function TCGCalculator() {
   // Check if adding a card would exceed hand size
   const canAddCard = (combo) => {
     if (!combo || !combo.cards) return false;
-    const currentMinSum = combo.cards.reduce((sum, card) => sum + (card.minCopiesInHand || 0), 0);
-    return currentMinSum + 1 <= handSize; // +1 for the new card's default min (1)
+    const currentMinSum = ProbabilityService.getMinimumHandCards(combo.cards);
+    return currentMinSum + 1 <= handSize; // +1 for the new card's default min (1), joined with AND
   };
 
   // AC #7: Get the highest min in hand sum across all combos
   const getHighestMinInHandSum = () => {
     if (!combos || combos.length === 0) return 1;
-    const sums = combos.map(combo => 
-      combo.cards.reduce((sum, card) => sum + (card.minCopiesInHand || 0), 0)
-    );
+    const sums = combos.map(combo => ProbabilityService.getMinimumHandCards(combo.cards));
     return Math.max(1, ...sums);
   };
 
@@ -1108,6 +1248,17 @@ export default function TCGCalculator() {
     setTimeout(() => setToastMessage(''), 2000); // Hide after 2 seconds
   };
 
+  const handleShortenLink = async () => {
+    try {
+      const shortUrl = await ShortLinkService.createShortLink(URLService.getEncodedFromLink(shareableUrl));
+      setShareableUrl(shortUrl);
+      showToast('Short link ready');
+    } catch (error) {
+      console.error('Failed to create short link:', error);
+      showToast('Could not shorten the link');
+    }
+  };
+
   const handleCopyLink = () => {
     if (!toastMessage) { // Prevent multiple toasts
       navigator.clipboard.writeText(shareableUrl);
@@ -1128,8 +1279,10 @@ useEffect(() => {
   }, [deckSize, handSize, combos]);
 
   useEffect(() => {
+    // Restart the sample-hand stream from the seed; refreshes continue the same stream
+    handRandomRef.current = createRandom(seed);
     generateOpeningHand();
-  }, [deckSize, handSize, combos, testHandFromDecklist, ydkCards, ydkCardCounts]);
+  }, [deckSize, handSize, combos, testHandFromDecklist, ydkCards, ydkCardCounts, seed]);
 
   // Debug when opening hand state actually changes
   useEffect(() => {
@@ -1203,7 +1356,7 @@ useEffect(() => {
       {isRestoringFromURL && (
         <div className="fixed inset-0 flex items-center justify-center z-50" style={{backgroundColor: 'var(--bg-main)', opacity: 0.8}}>
           <div className="p-0 rounded-lg" style={{backgroundColor: 'var(--bg-secondary)', color: 'var(--text-main)'}}>
-            <p style={typography.body}>Loading shared calculation...</p>
+            <p style={typography.body}>Loading calculation...</p>
           </div>
         </div>
       )}
@@ -1275,8 +1428,30 @@ useEffect(() => {
             setInitialDeckZones={setInitialDeckZones}
             deckZones={deckZones}
             setDeckZones={setDeckZones}
+            sidePlans={sidePlans}
+            setSidePlans={setSidePlans}
+            banlistFormat={banlistFormat}
+            setBanlistFormat={setBanlistFormat}
+            banlistFormats={banlistFormats}
+            banlistDate={banlistDate}
+            setBanlistDate={setBanlistDate}
+            banlistDates={banlistDates}
+            banlist={banlist}
+            currentBanlist={currentBanlist}
             handSize={handSize}
             setHandSize={setHandSize}
+            seed={seed}
+            setSeed={setSeed}
+            targetMargin={targetMargin}
+            setTargetMargin={setTargetMargin}
+            showTurnCurve={showTurnCurve}
+            setShowTurnCurve={setShowTurnCurve}
+            showOutcomes={showOutcomes}
+            setShowOutcomes={setShowOutcomes}
+            deckSizeSweep={deckSizeSweep}
+            setDeckSizeSweep={setDeckSizeSweep}
+            mulligan={mulligan}
+            setMulligan={setMulligan}
             errors={errors}
             minHandSize={getHighestMinInHandSum()}
             DeckImageSection={DeckImageSection}
@@ -1284,6 +1459,13 @@ useEffect(() => {
             typography={typography}
           />
 
+          <CategoryEditor
+            categories={categories}
+            onChange={handleCategoriesChange}
+            mainDeck={deckZones.main}
+            typography={typography}
+          />
+
           <h2 className="mb-4" style={{...typography.h2, color: 'var(--text-main)'}}>Define combos</h2>
 
           {combos.map((combo, index) => (
@@ -1309,6 +1491,7 @@ useEffect(() => {
               cardDatabase={cardDatabase}
               ydkCards={ydkCards}
               ydkCardCounts={ydkCardCounts}
+              categories={resolvedCategories}
             />
           ))}
 
@@ -1330,6 +1513,23 @@ useEffect(() => {
 
           <hr style={{ margin: '24px 0', border: 'none', borderTop: '1px solid var(--border-secondary)' }} />
 
+          <CardEffectsEditor
+            cardEffects={cardEffects}
+            setCardEffects={setCardEffects}
+            combos={combos}
+            ydkCards={ydkCards}
+            ydkCardCounts={ydkCardCounts}
+            typography={typography}
+          />
+
+          <BrickEditor
+            bricks={bricks}
+            setBricks={setBricks}
+            ydkCards={ydkCards}
+            ydkCardCounts={ydkCardCounts}
+            typography={typography}
+          />
+
           <div className="flex space-x-4 mt-6">
             <Button
               onClick={runCalculation}
@@ -1339,7 +1539,7 @@ useEffect(() => {
             >
               <Icon name="calculator" ariaLabel="Calculate" size={14} className="button-icon" style={{ color: '#141414' }} />
               <span className="button-text" style={{ minWidth: '90px', display: 'inline-block', textAlign: 'center' }}>
-                {isCalculating ? 'Calculating...' : 'Calculate'}
+                {isCalculating ? `Calculating... ${Math.round(progress * 100)}%` : 'Calculate'}
               </span>
             </Button>
             <Button
@@ -1364,6 +1564,7 @@ useEffect(() => {
             generatedTitle={generatedTitle}
             shareableUrl={shareableUrl}
             handleCopyLink={handleCopyLink}
+            handleShortenLink={handleShortenLink}
             showToast={showToast}
             typography={typography}
             testHandFromDecklist={testHandFromDecklist}
@@ -1374,8 +1575,54 @@ useEffect(() => {
             handSize={handSize}
             combos={combos}
           />
+
+          <DeckSizeSweepDisplay
+            deckSizeSweep={results?.deckSizeSweep}
+            combos={dashboardValues.combos}
+            deckSize={dashboardValues.deckSize}
+            typography={typography}
+          />
+
+          <SidePlanComparison
+            results={results}
+            combos={dashboardValues.combos}
+            typography={typography}
+          />
+
+          {results && (
+            <RatioOptimizer
+              combos={combos}
+              deckSize={deckSize}
+              handSize={handSize}
+              seed={seed}
+              targetMargin={targetMargin}
+              cardEffects={cardEffects}
+              categories={resolvedCategories}
+              banlist={banlist}
+              onApply={handleApplyRatio}
+              typography={typography}
+            />
+          )}
+
+          <ConfigurationComparison
+            getCurrentCalculation={() => URLService.encodeCalculation(
+              deckSize, handSize, combos, uploadedYdkFile, testHandFromDecklist, deckZones, seed, mulligan, cardEffects, categories, bricks
+            )}
+            targetMargin={targetMargin}
+            showToast={showToast}
+            typography={typography}
+          />
         </div>
 
+        <DeckLibrary
+          getCurrentCalculation={() => URLService.encodeCalculation(
+            deckSize, handSize, combos, uploadedYdkFile, testHandFromDecklist, deckZones, seed, mulligan, cardEffects, categories, bricks
+          )}
+          onLoad={handleLibraryLoad}
+          showToast={showToast}
+          typography={typography}
+        />
+
         {/* Top Decks Section */}
         <section className="px-0 mb-8">
           <div className="flex items-center mb-4" style={{ gap: '8px' }}>
@@ -1410,7 +1657,7 @@ useEffect(() => {
           
           <h3 className="font-semibold mb-2" style={typography.h3}>Why do I see slight variations in percentages?</h3>
           <p className="mb-3" style={{ ...typography.body, color: 'var(--text-secondary)' }}>
-            You might notice that running the same deck configuration multiple times can show minor differences in probabilities (like 47.3% vs 47.5%). This is completely normal and expected!
+            Combo and combined results are calculated exactly when no card effects (searchers, draw or excavate cards) and no "Redraw cards" mulligan apply, so the same deck configuration always gives the same numbers. With effects or a "Redraw cards" mulligan they are simulated instead. The starter and hand-trap metrics, and combos too large to enumerate (shown with "Monte Carlo" in their formula), are always simulated. Simulated results can show minor differences between seeds (like 47.3% vs 47.5%). This is completely normal and expected! Runs with the same random seed - including anyone opening your share link - get identical numbers. Simulated results show their 95% confidence margin (±); set Simulation precision to Adaptive to keep sampling until that margin is within ±0.1%.
           </p>
           
           <h3 className="font-semibold mb-2" style={typography.h3}>The Monte Carlo Method</h3>
@@ -24,7 +24,8 @@ import {
   MagnifyingGlass,
   Funnel,
   Image,
-  Video
+  Video,
+  FloppyDisk
 } from '@phosphor-icons/react';
 
 const Icon = ({ name, variant = 'main', ariaLabel, className = '', style = {}, ...props }) => {
@@ -53,7 +54,8 @@ const Icon = ({ name, variant = 'main', ariaLabel, className = '', style = {}, .
     'magnifying-glass': MagnifyingGlass,
     'funnel': Funnel,
     'image': Image,
-    'video': Video
+    'video': Video,
+    'floppy-disk': FloppyDisk
   };
 
   const IconComponent = iconMap[name];
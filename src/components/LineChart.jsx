@@ -0,0 +1,93 @@
+import React from 'react';
+
+const WIDTH = 600;
+const HEIGHT = 240;
+const PADDING = { top: 16, right: 16, bottom: 32, left: 48 };
+const GRID_STEPS = 4;
+
+/**
+ * Minimal SVG line chart for probability series
+ * @param {Array} series - [{ label, color, values: number[] }], one value per x label
+ * @param {Array} xLabels - Labels for the x axis
+ * @param {number} yMin - Bottom of the y axis (default 0)
+ * @param {number} yMax - Top of the y axis (default 100)
+ * @param {Function} formatY - Formats y axis ticks (default percentage)
+ */
+const LineChart = ({
+  series,
+  xLabels,
+  yMin = 0,
+  yMax = 100,
+  formatY = (value) => `${value.toFixed(0)}%`,
+  ariaLabel = 'Probability chart'
+}) => {
+  const plotWidth = WIDTH - PADDING.left - PADDING.right;
+  const plotHeight = HEIGHT - PADDING.top - PADDING.bottom;
+  const yRange = yMax - yMin || 1;
+
+  const xFor = (index) => PADDING.left + (xLabels.length > 1 ? (index / (xLabels.length - 1)) * plotWidth : plotWidth / 2);
+  const yFor = (value) => PADDING.top + plotHeight - ((value - yMin) / yRange) * plotHeight;
+
+  const gridValues = Array.from({ length: GRID_STEPS + 1 }, (_, step) => yMin + (yRange * step) / GRID_STEPS);
+
+  return (
+    <div>
+      <svg
+        viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+        role="img"
+        aria-label={ariaLabel}
+        style={{ width: '100%', height: 'auto', fontFamily: 'Geist, sans-serif' }}
+      >
+        {gridValues.map(value => (
+          <g key={value}>
+            <line
+              x1={PADDING.left}
+              x2={WIDTH - PADDING.right}
+              y1={yFor(value)}
+              y2={yFor(value)}
+              stroke="var(--border-main)"
+            />
+            <text x={PADDING.left - 8} y={yFor(value) + 4} textAnchor="end" fontSize="11" fill="var(--text-secondary)">
+              {formatY(value)}
+            </text>
+          </g>
+        ))}
+
+        {xLabels.map((label, index) => (
+          <text key={label} x={xFor(index)} y={HEIGHT - 10} textAnchor="middle" fontSize="11" fill="var(--text-secondary)">
+            {label}
+          </text>
+        ))}
+
+        {series.map(line => (
+          <g key={line.label}>
+            <polyline
+              fill="none"
+              stroke={line.color}
+              strokeWidth="2"
+              points={line.values.map((value, index) => `${xFor(index)},${yFor(value)}`).join(' ')}
+            />
+            {line.values.map((value, index) => (
+              <circle key={index} cx={xFor(index)} cy={yFor(value)} r="3" fill={line.color}>
+                <title>{`${line.label} - ${xLabels[index]}: ${value.toFixed(2)}%`}</title>
+              </circle>
+            ))}
+          </g>
+        ))}
+      </svg>
+
+      <div className="flex flex-wrap" style={{ gap: '16px', marginTop: '8px' }}>
+        {series.map(line => (
+          <div key={line.label} className="flex items-center" style={{ gap: '6px' }}>
+            <span style={{ width: '12px', height: '2px', backgroundColor: line.color, display: 'inline-block' }} />
+            <span style={{ fontSize: '12px', color: 'var(--text-secondary)', fontFamily: 'Geist, sans-serif' }}>
+              {line.label}
+            </span>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default LineChart;
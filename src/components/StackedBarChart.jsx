@@ -0,0 +1,92 @@
+import React from 'react';
+
+const WIDTH = 600;
+const HEIGHT = 240;
+const PADDING = { top: 16, right: 16, bottom: 32, left: 48 };
+const GRID_STEPS = 4;
+const BAR_GAP = 0.35; // Share of each slot left empty between bars
+
+/**
+ * Minimal SVG stacked bar chart for probability shares
+ * @param {Array} bars - [{ label, values: number[] }], one value per segment
+ * @param {Array} segments - [{ label, color }], stacked from the bottom up
+ * @param {number} yMax - Top of the y axis (default 100)
+ * @param {Function} formatY - Formats y axis ticks (default percentage)
+ */
+const StackedBarChart = ({
+  bars,
+  segments,
+  yMax = 100,
+  formatY = (value) => `${value.toFixed(0)}%`,
+  ariaLabel = 'Probability chart'
+}) => {
+  const plotWidth = WIDTH - PADDING.left - PADDING.right;
+  const plotHeight = HEIGHT - PADDING.top - PADDING.bottom;
+  const slotWidth = plotWidth / (bars.length || 1);
+  const barWidth = slotWidth * (1 - BAR_GAP);
+
+  const heightFor = (value) => (value / (yMax || 1)) * plotHeight;
+  const yFor = (value) => PADDING.top + plotHeight - heightFor(value);
+
+  const gridValues = Array.from({ length: GRID_STEPS + 1 }, (_, step) => (yMax * step) / GRID_STEPS);
+
+  return (
+    <div>
+      <svg
+        viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+        role="img"
+        aria-label={ariaLabel}
+        style={{ width: '100%', height: 'auto', fontFamily: 'Geist, sans-serif' }}
+      >
+        {gridValues.map(value => (
+          <g key={value}>
+            <line
+              x1={PADDING.left}
+              x2={WIDTH - PADDING.right}
+              y1={yFor(value)}
+              y2={yFor(value)}
+              stroke="var(--border-main)"
+            />
+            <text x={PADDING.left - 8} y={yFor(value) + 4} textAnchor="end" fontSize="11" fill="var(--text-secondary)">
+              {formatY(value)}
+            </text>
+          </g>
+        ))}
+
+        {bars.map((bar, barIndex) => {
+          const x = PADDING.left + barIndex * slotWidth + (slotWidth - barWidth) / 2;
+          let stacked = 0;
+          return (
+            <g key={bar.label}>
+              {bar.values.map((value, segmentIndex) => {
+                const y = yFor(stacked + value);
+                stacked += value;
+                return value > 0 && (
+                  <rect key={segmentIndex} x={x} y={y} width={barWidth} height={heightFor(value)} fill={segments[segmentIndex].color}>
+                    <title>{`${bar.label} - ${segments[segmentIndex].label}: ${value.toFixed(2)}%`}</title>
+                  </rect>
+                );
+              })}
+              <text x={x + barWidth / 2} y={HEIGHT - 10} textAnchor="middle" fontSize="11" fill="var(--text-secondary)">
+                {bar.label}
+              </text>
+            </g>
+          );
+        })}
+      </svg>
+
+      <div className="flex flex-wrap" style={{ gap: '16px', marginTop: '8px' }}>
+        {segments.map(segment => (
+          <div key={segment.label} className="flex items-center" style={{ gap: '6px' }}>
+            <span style={{ width: '12px', height: '12px', backgroundColor: segment.color, display: 'inline-block' }} />
+            <span style={{ fontSize: '12px', color: 'var(--text-secondary)', fontFamily: 'Geist, sans-serif' }}>
+              {segment.label}
+            </span>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default StackedBarChart;
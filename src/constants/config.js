@@ -3,12 +3,31 @@
  */
 
 export const CACHE_DURATION = 7 * 24 * 60 * 60 * 1000; // 7 days in milliseconds
-export const SIMULATION_COUNT = 100000;
+export const SIMULATION_COUNT = 100000; // Monte Carlo iterations in fixed mode
+export const ADAPTIVE_BATCH_SIZE = 10000; // Iterations between precision checks in adaptive mode
+export const MAX_SIMULATION_COUNT = 2000000; // Adaptive mode stops here even if the target isn't reached
+export const ADAPTIVE_TARGET_MARGIN = 0.1; // Adaptive mode target: 95% interval half-width, in percentage points
+export const CONFIDENCE_Z = 1.96; // z-score for 95% confidence intervals
+export const EXACT_STATE_LIMIT = 250000; // Max hand compositions enumerated before falling back to Monte Carlo
+export const EFFECT_SEARCH_LIMIT = 2000; // Card effect states tried per simulated hand before it counts as failed
 export const CARD_SEARCH_DEBOUNCE = 300; // milliseconds
 export const MAX_SEARCH_RESULTS = 50;
 
 export const DEFAULT_DECK_SIZE = 40;
 export const DEFAULT_HAND_SIZE = 5;
+export const GOING_FIRST_HAND_SIZE = 5; // No draw on the first turn
+export const GOING_SECOND_HAND_SIZE = 6; // Opening hand plus the first-turn draw
+export const TURN_CURVE_TURNS = 5; // Turns shown in the turn-by-turn draw table
+export const DECK_SIZE_SWEEP_MIN = 40; // Smallest deck size in the deck size sweep
+export const DECK_SIZE_SWEEP_MAX = 60; // Largest deck size in the deck size sweep
+export const MULLIGAN_TYPES = ['none', 'full', 'redraw', 'shuffle']; // See ProbabilityService.calculateWithMulligan
+export const MAX_COPIES_PER_CARD = 3; // Copies of one card allowed in a deck when it isn't on the banlist
+export const DECK_ZONE_LIMITS = { main: { min: 40, max: 60 }, extra: { min: 0, max: 15 }, side: { min: 0, max: 15 } }; // Cards allowed per deck zone
+export const OPTIMIZER_EXHAUSTIVE_LIMIT = 5000; // Ratio sets tried exhaustively before switching to hill climbing
+export const OPTIMIZER_MAX_STEPS = 50; // Hill climbing moves before the optimizer gives up improving
+export const OPTIMIZER_RESULT_LIMIT = 10; // Ratio sets returned in the ranked table
+export const OPTIMIZER_TIME_BUDGET = 20000; // Milliseconds the optimizer searches before returning the best ratios so far
+export const OUTCOME_PATTERN_LIMIT = 5; // Most common failing hands listed in the hand outcome breakdown
 
 export const TYPOGRAPHY = {
   h1: { fontSize: 'var(--font-h1-size)', lineHeight: 'var(--font-h1-line-height)' },
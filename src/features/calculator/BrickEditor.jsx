@@ -0,0 +1,102 @@
+import React from 'react';
+import { Button, Tooltip } from '../../components/ui';
+
+const BRICK_TYPES = [
+  { usableCopies: 0, label: 'Garnet' },
+  { usableCopies: 1, label: 'Hard once per turn' }
+];
+
+/**
+ * Editor for cards that are dead when drawn: garnets, and copies of a hard
+ * once-per-turn card past the first. Feeds the brick probability result.
+ */
+const BrickEditor = ({ bricks, setBricks, ydkCards, ydkCardCounts, typography }) => {
+  const deckCardNames = [...new Set((ydkCards || []).map(card => card.name))];
+
+  const updateBrick = (id, changes) => {
+    setBricks(bricks.map(brick => (brick.id === id ? { ...brick, ...changes } : brick)));
+  };
+
+  const updateCardName = (brick, name) => {
+    const deckCard = (ydkCards || []).find(card => card.name === name);
+    updateBrick(brick.id, {
+      card: name,
+      cardId: deckCard?.id ?? null,
+      ...(ydkCardCounts?.[name] ? { copies: ydkCardCounts[name] } : {})
+    });
+  };
+
+  const addBrick = () => {
+    const nextId = bricks.reduce((max, brick) => Math.max(max, brick.id), 0) + 1;
+    setBricks([...bricks, { id: nextId, card: '', cardId: null, copies: 1, usableCopies: 0 }]);
+  };
+
+  const labelStyle = { ...typography.body, color: 'var(--text-main)' };
+
+  return (
+    <div className="mb-4">
+      <div className="flex items-center mb-2">
+        <h3 style={{ ...typography.h3, color: 'var(--text-main)' }}>Bricks</h3>
+        <Tooltip text="Cards you never want to open, like garnets, or extra copies of a hard once-per-turn card. Results show the chance of opening at least one. To make a combo fail on them, add the card to the combo with Must not draw" />
+      </div>
+
+      {bricks.map(brick => (
+        <div
+          key={brick.id}
+          className="p-4 rounded-md mb-2"
+          style={{ backgroundColor: 'var(--bg-secondary)', border: '1px solid var(--border-main)' }}
+        >
+          <div className="flex flex-wrap items-center" style={{ gap: '8px' }}>
+            <input
+              type="text"
+              list="brick-card-names"
+              value={brick.card}
+              placeholder="Card name"
+              onChange={(e) => updateCardName(brick, e.target.value)}
+              className="enhanced-input"
+              style={{ flex: 1, minWidth: '180px' }}
+              aria-label="Brick card name"
+            />
+            <label style={labelStyle}>
+              Copies:
+              <input
+                type="number"
+                min="1"
+                max="3"
+                value={brick.copies}
+                onChange={(e) => updateBrick(brick.id, { copies: Math.min(3, Math.max(1, parseInt(e.target.value) || 1)) })}
+                className="enhanced-input"
+                style={{ width: '64px', marginLeft: '6px' }}
+              />
+            </label>
+            {BRICK_TYPES.map(option => (
+              <Button
+                key={option.usableCopies}
+                size="small"
+                variant={brick.usableCopies === option.usableCopies ? 'primary' : 'secondary'}
+                onClick={() => updateBrick(brick.id, { usableCopies: option.usableCopies })}
+              >
+                {option.label}
+              </Button>
+            ))}
+            <Button variant="secondary" size="small" onClick={() => setBricks(bricks.filter(other => other.id !== brick.id))}>
+              Remove
+            </Button>
+          </div>
+        </div>
+      ))}
+
+      <datalist id="brick-card-names">
+        {deckCardNames.map(name => (
+          <option key={name} value={name} />
+        ))}
+      </datalist>
+
+      <Button variant="secondary" onClick={addBrick}>
+        Add brick card
+      </Button>
+    </div>
+  );
+};
+
+export default BrickEditor;
@@ -0,0 +1,182 @@
+import React from 'react';
+import { Button, Tooltip } from '../../components/ui';
+
+// Defaults filled in when a well-known card is typed
+const EFFECT_PRESETS = {
+  'Pot of Desires': { type: 'draw', count: 2, oncePerTurn: true },
+  'Pot of Prosperity': { type: 'excavate', count: 6, oncePerTurn: true },
+  'Pot of Duality': { type: 'excavate', count: 3, oncePerTurn: true },
+  'Pot of Extravagance': { type: 'draw', count: 2, oncePerTurn: true },
+  'Upstart Goblin': { type: 'draw', count: 1, oncePerTurn: false },
+  'Allure of Darkness': { type: 'draw', count: 2, oncePerTurn: false },
+  'Terraforming': { type: 'search', count: 1, oncePerTurn: false },
+  'One for One': { type: 'search', count: 1, oncePerTurn: false },
+  'Reinforcement of the Army': { type: 'search', count: 1, oncePerTurn: false }
+};
+
+const EFFECT_TYPES = [
+  { type: 'search', label: 'Searcher' },
+  { type: 'draw', label: 'Draw' },
+  { type: 'excavate', label: 'Excavate' }
+];
+
+const createEffect = (id) => ({
+  id,
+  card: '',
+  cardId: null,
+  copies: 1,
+  type: 'search',
+  count: 1,
+  targets: [],
+  oncePerTurn: false
+});
+
+/**
+ * Editor for searchers, draw and excavate cards
+ * Combos count as live when one of these cards can reach a missing piece in the deck
+ */
+const CardEffectsEditor = ({ cardEffects, setCardEffects, combos, ydkCards, ydkCardCounts, typography }) => {
+  const comboCardNames = [...new Set(
+    combos.flatMap(combo => combo.cards.map(card => card.starterCard)).filter(Boolean)
+  )];
+  const deckCardNames = [...new Set((ydkCards || []).map(card => card.name))];
+
+  const updateEffect = (id, changes) => {
+    setCardEffects(cardEffects.map(effect => (effect.id === id ? { ...effect, ...changes } : effect)));
+  };
+
+  const updateCardName = (effect, name) => {
+    const deckCard = (ydkCards || []).find(card => card.name === name);
+    updateEffect(effect.id, {
+      card: name,
+      cardId: deckCard?.id ?? null,
+      ...(ydkCardCounts?.[name] ? { copies: ydkCardCounts[name] } : {}),
+      ...EFFECT_PRESETS[name]
+    });
+  };
+
+  const toggleTarget = (effect, name) => {
+    const targets = effect.targets.includes(name)
+      ? effect.targets.filter(target => target !== name)
+      : [...effect.targets, name];
+    updateEffect(effect.id, { targets });
+  };
+
+  const addEffect = () => {
+    const nextId = cardEffects.reduce((max, effect) => Math.max(max, effect.id), 0) + 1;
+    setCardEffects([...cardEffects, createEffect(nextId)]);
+  };
+
+  const labelStyle = { ...typography.body, color: 'var(--text-main)' };
+
+  return (
+    <div className="mb-4">
+      <div className="flex items-center mb-2">
+        <h3 style={{ ...typography.h3, color: 'var(--text-main)' }}>Searchers and draw cards</h3>
+        <Tooltip text="Cards like Terraforming, One for One or Pot of Prosperity that fetch a missing combo piece from the deck. Combos count as opened when one of these can complete them. Costs aren't modelled" />
+      </div>
+
+      {cardEffects.map(effect => (
+        <div
+          key={effect.id}
+          className="p-4 rounded-md mb-2"
+          style={{ backgroundColor: 'var(--bg-secondary)', border: '1px solid var(--border-main)' }}
+        >
+          <div className="flex flex-wrap items-center mb-2" style={{ gap: '8px' }}>
+            <input
+              type="text"
+              list="card-effect-names"
+              value={effect.card}
+              placeholder="Card name"
+              onChange={(e) => updateCardName(effect, e.target.value)}
+              className="enhanced-input"
+              style={{ flex: 1, minWidth: '180px' }}
+              aria-label="Effect card name"
+            />
+            <label style={labelStyle}>
+              Copies:
+              <input
+                type="number"
+                min="1"
+                max="3"
+                value={effect.copies}
+                onChange={(e) => updateEffect(effect.id, { copies: Math.min(3, Math.max(1, parseInt(e.target.value) || 1)) })}
+                className="enhanced-input"
+                style={{ width: '64px', marginLeft: '6px' }}
+              />
+            </label>
+            <Button variant="secondary" size="small" onClick={() => setCardEffects(cardEffects.filter(other => other.id !== effect.id))}>
+              Remove
+            </Button>
+          </div>
+
+          <div className="flex flex-wrap items-center mb-2" style={{ gap: '8px' }}>
+            {EFFECT_TYPES.map(option => (
+              <Button
+                key={option.type}
+                size="small"
+                variant={effect.type === option.type ? 'primary' : 'secondary'}
+                onClick={() => updateEffect(effect.id, { type: option.type })}
+              >
+                {option.label}
+              </Button>
+            ))}
+            {effect.type !== 'search' && (
+              <label style={labelStyle}>
+                {effect.type === 'draw' ? 'Cards drawn:' : 'Cards excavated (add 1):'}
+                <input
+                  type="number"
+                  min="1"
+                  max="10"
+                  value={effect.count}
+                  onChange={(e) => updateEffect(effect.id, { count: Math.min(10, Math.max(1, parseInt(e.target.value) || 1)) })}
+                  className="enhanced-input"
+                  style={{ width: '64px', marginLeft: '6px' }}
+                />
+              </label>
+            )}
+            <label className="flex items-center" style={{ ...labelStyle, gap: '6px' }}>
+              <input
+                type="checkbox"
+                checked={effect.oncePerTurn}
+                onChange={(e) => updateEffect(effect.id, { oncePerTurn: e.target.checked })}
+              />
+              Once per turn
+            </label>
+          </div>
+
+          {effect.type === 'search' && (
+            <div className="flex flex-wrap items-center" style={{ gap: '12px' }}>
+              <span style={{ ...typography.body, color: 'var(--text-secondary)' }}>Can add:</span>
+              {comboCardNames.length === 0 && (
+                <span style={{ ...typography.body, color: 'var(--text-secondary)' }}>Add cards to your combos first</span>
+              )}
+              {comboCardNames.map(name => (
+                <label key={name} className="flex items-center" style={{ ...labelStyle, gap: '6px' }}>
+                  <input
+                    type="checkbox"
+                    checked={effect.targets.includes(name)}
+                    onChange={() => toggleTarget(effect, name)}
+                  />
+                  {name}
+                </label>
+              ))}
+            </div>
+          )}
+        </div>
+      ))}
+
+      <datalist id="card-effect-names">
+        {[...new Set([...deckCardNames, ...Object.keys(EFFECT_PRESETS)])].map(name => (
+          <option key={name} value={name} />
+        ))}
+      </datalist>
+
+      <Button variant="secondary" onClick={addEffect}>
+        Add searcher or draw card
+      </Button>
+    </div>
+  );
+};
+
+export default CardEffectsEditor;
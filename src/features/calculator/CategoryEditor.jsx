@@ -0,0 +1,104 @@
+import React from 'react';
+import { Button, Tooltip } from '../../components/ui';
+
+// Names offered for the first categories, in order
+const DEFAULT_CATEGORY_NAMES = ['Starter', 'Extender', 'Non-Engine'];
+
+/**
+ * Editor for card categories ("roles") built from the main deck
+ * Combo cards can require a category, e.g. 1+ Starter AND 1+ Extender
+ */
+const CategoryEditor = ({ categories, onChange, mainDeck, typography }) => {
+  const deckCards = [];
+  const deckCounts = {};
+  (mainDeck || []).forEach(card => {
+    if (!deckCounts[card.name]) {
+      deckCards.push({ name: card.name, cardId: card.cardId || null });
+    }
+    deckCounts[card.name] = (deckCounts[card.name] || 0) + 1;
+  });
+
+  const updateCategory = (id, changes) => {
+    onChange(categories.map(category => (category.id === id ? { ...category, ...changes } : category)));
+  };
+
+  const toggleCard = (category, deckCard) => {
+    const cards = category.cards.some(card => card.name === deckCard.name)
+      ? category.cards.filter(card => card.name !== deckCard.name)
+      : [...category.cards, deckCard];
+    updateCategory(category.id, { cards });
+  };
+
+  const addCategory = () => {
+    const nextId = categories.reduce((max, category) => Math.max(max, category.id), 0) + 1;
+    const usedNames = new Set(categories.map(category => category.name));
+    const name = DEFAULT_CATEGORY_NAMES.find(defaultName => !usedNames.has(defaultName)) || `Category ${nextId}`;
+    onChange([...categories, { id: nextId, name, cards: [] }]);
+  };
+
+  const labelStyle = { ...typography.body, color: 'var(--text-main)' };
+
+  return (
+    <div className="mb-4">
+      <div className="flex items-center mb-2">
+        <h3 style={{ ...typography.h3, color: 'var(--text-main)' }}>Card categories</h3>
+        <Tooltip text="Group main deck cards into roles like Starters or Extenders, then pick a category as a combo card. A card in two categories only counts once per hand" />
+      </div>
+
+      {deckCards.length === 0 && (
+        <p className="mb-2" style={{ ...typography.body, color: 'var(--text-secondary)' }}>
+          Add cards to your main deck to group them into categories.
+        </p>
+      )}
+
+      {categories.map(category => {
+        const copies = category.cards.reduce((sum, card) => sum + (deckCounts[card.name] || 0), 0);
+        return (
+          <div
+            key={category.id}
+            className="p-4 rounded-md mb-2"
+            style={{ backgroundColor: 'var(--bg-secondary)', border: '1px solid var(--border-main)' }}
+          >
+            <div className="flex flex-wrap items-center mb-2" style={{ gap: '8px' }}>
+              <input
+                type="text"
+                value={category.name}
+                onChange={(e) => updateCategory(category.id, { name: e.target.value })}
+                className="enhanced-input"
+                style={{ flex: 1, minWidth: '180px' }}
+                maxLength={50}
+                aria-label="Category name"
+              />
+              <span style={{ ...typography.body, color: 'var(--text-secondary)' }}>
+                {copies} {copies === 1 ? 'card' : 'cards'} in deck
+              </span>
+              <Button variant="secondary" size="small" onClick={() => onChange(categories.filter(other => other.id !== category.id))}>
+                Remove
+              </Button>
+            </div>
+
+            <div className="flex flex-wrap items-center" style={{ gap: '12px' }}>
+              {deckCards.map(deckCard => (
+                <label key={deckCard.name} className="flex items-center" style={{ ...labelStyle, gap: '6px' }}>
+                  <input
+                    type="checkbox"
+                    checked={category.cards.some(card => card.name === deckCard.name)}
+                    onChange={() => toggleCard(category, deckCard)}
+                  />
+                  {deckCard.name}
+                  <span style={{ color: 'var(--text-secondary)' }}>x{deckCounts[deckCard.name]}</span>
+                </label>
+              ))}
+            </div>
+          </div>
+        );
+      })}
+
+      <Button variant="secondary" onClick={addCategory} disabled={deckCards.length === 0}>
+        Add category
+      </Button>
+    </div>
+  );
+};
+
+export default CategoryEditor;
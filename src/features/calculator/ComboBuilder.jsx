@@ -2,6 +2,9 @@ import React from 'react';
 import SearchableCardInput from '../shared/SearchableCardInput';
 import { Button } from '../../components/ui';
 
+// Deepest bracket nesting a single card can open or close
+const MAX_BRACKETS = 3;
+
 // Typography and styling constants (moved from App.jsx)
 const typography = {
   h2: {
@@ -111,6 +114,10 @@ const ComboBuilder = ({
           {errors[`combo-${combo.id}-name`] && (
             <p className="text-red-500 mb-2" style={typography.body}>{errors[`combo-${combo.id}-name`]}</p>
           )}
+
+          {errors[`combo-${combo.id}-groups`] && (
+            <p className="text-red-500 mb-2" style={typography.body}>{errors[`combo-${combo.id}-groups`]}</p>
+          )}
           
           {combo.cards.map((card, cardIndex) => (
             <div key={cardIndex} className={`${cardIndex > 0 ? 'border-t mt-4 pt-4' : ''}`} style={{ borderColor: 'var(--border-secondary)' }}>
@@ -211,7 +218,7 @@ const ComboBuilder = ({
                 <div className="mb-3">
                   <label className="flex items-center font-medium" style={{...typography.body, marginBottom: 'var(--spacing-xs)', color: 'var(--text-main)'}}>
                     Logic:
-                    <Tooltip text="AND = need all cards, OR = need any of these cards" />
+                    <Tooltip text="AND = need this card as well, OR = this card can replace the cards before it. AND is applied before OR unless you add brackets" />
                   </label>
                   <div className="flex items-center space-x-2">
                     <Button
@@ -238,6 +245,35 @@ const ComboBuilder = ({
                 </div>
               )}
 
+              <div className="mb-3">
+                <label className="flex items-center font-medium" style={{...typography.body, marginBottom: 'var(--spacing-xs)', color: 'var(--text-main)'}}>
+                  Brackets:
+                  <Tooltip text="Group cards, e.g. (Starter A OR Starter B) AND Extender" />
+                </label>
+                <div className="flex items-center space-x-2">
+                  <Button
+                    onClick={() => updateCombo(combo.id, cardIndex, 'openParens', ((card.openParens || 0) + 1) % (MAX_BRACKETS + 1))}
+                    variant={card.openParens ? 'primary' : 'secondary'}
+                    size="medium"
+                    style={{
+                      minWidth: '60px'
+                    }}
+                  >
+                    {card.openParens ? '('.repeat(card.openParens) : '('}
+                  </Button>
+                  <Button
+                    onClick={() => updateCombo(combo.id, cardIndex, 'closeParens', ((card.closeParens || 0) + 1) % (MAX_BRACKETS + 1))}
+                    variant={card.closeParens ? 'primary' : 'secondary'}
+                    size="medium"
+                    style={{
+                      minWidth: '60px'
+                    }}
+                  >
+                    {card.closeParens ? ')'.repeat(card.closeParens) : ')'}
+                  </Button>
+                </div>
+              </div>
+
               <div className="flex space-x-4">
                 <div className="flex-1">
                   <label className="flex items-center font-medium" style={{...typography.body, marginBottom: 'var(--spacing-xs)', color: 'var(--text-main)'}}>
@@ -0,0 +1,176 @@
+import React, { useEffect, useRef, useState } from 'react';
+import URLService from '../../services/URLService';
+import ComparisonService from '../../services/ComparisonService';
+import { createCalculationWorker } from '../../services/CalculationWorkerService';
+import { Button, Tooltip } from '../../components/ui';
+
+const cellStyle = {
+  padding: '6px 12px',
+  textAlign: 'left',
+  borderBottom: '1px solid var(--border-main)'
+};
+
+/**
+ * Multi-configuration comparison
+ * Pins the current configuration or shared links, calculates each one and lines up
+ * their combo, multi-starter and hand-trap odds against the first pinned build
+ */
+const ConfigurationComparison = ({ getCurrentCalculation, targetMargin, showToast, typography }) => {
+  const [pins, setPins] = useState([]);
+  const [link, setLink] = useState('');
+  const [isComparing, setIsComparing] = useState(false);
+  const [progress, setProgress] = useState(0);
+  const [comparison, setComparison] = useState(null);
+  // Own worker, so recalculating the current deck doesn't cancel a comparison in progress
+  const workerRef = useRef(null);
+  if (!workerRef.current) {
+    workerRef.current = createCalculationWorker();
+  }
+
+  useEffect(() => () => {
+    workerRef.current.cancel();
+    workerRef.current.terminate();
+  }, []);
+
+  const addPin = (encoded, label) => {
+    const config = encoded ? URLService.decodeCalculation(encoded) : null;
+    if (!config) {
+      showToast('No calculation found in that link');
+      return false;
+    }
+    const nextId = pins.reduce((max, pin) => Math.max(max, pin.id), 0) + 1;
+    setPins([...pins, { id: nextId, label: label || `Build ${nextId}`, encoded }]);
+    setComparison(null);
+    return true;
+  };
+
+  const pinLink = () => {
+    if (addPin(URLService.getEncodedFromLink(link))) {
+      setLink('');
+    }
+  };
+
+  const updateLabel = (id, label) => {
+    setPins(pins.map(pin => (pin.id === id ? { ...pin, label } : pin)));
+  };
+
+  const removePin = (id) => {
+    setPins(pins.filter(pin => pin.id !== id));
+    setComparison(null);
+  };
+
+  const runComparison = async () => {
+    setIsComparing(true);
+    setProgress(0);
+
+    try {
+      const entries = [];
+      for (let index = 0; index < pins.length; index++) {
+        const config = URLService.decodeCalculation(pins[index].encoded);
+        const { combos, deckSize, handSize, ydkCards, ydkCardCounts, settings } = ComparisonService.getCalculationInputs(config);
+        const results = await workerRef.current.calculate(
+          { combos, deckSize, handSize, ydkCards, ydkCardCounts, ...settings, targetMargin },
+          { onProgress: (fraction) => setProgress((index + fraction) / pins.length) }
+        );
+        entries.push(ComparisonService.getMetrics(results, combos));
+      }
+      setComparison({ labels: pins.map(pin => pin.label), rows: ComparisonService.compare(entries) });
+    } catch (error) {
+      if (!workerRef.current.isCancelled(error)) {
+        console.error('Configuration comparison error:', error);
+        showToast('Comparison failed');
+      }
+    } finally {
+      setIsComparing(false);
+    }
+  };
+
+  const formatDelta = (delta) => `${delta >= 0 ? '+' : ''}${delta.toFixed(2)}%`;
+
+  const deltaColor = (delta) => {
+    if (Math.abs(delta) < 0.005) return 'var(--text-secondary)';
+    return delta > 0 ? 'var(--text-highlight)' : 'var(--text-error)';
+  };
+
+  return (
+    <div className="p-4 rounded-md" style={{ backgroundColor: 'var(--bg-secondary)', border: '1px solid var(--border-main)', marginBottom: '8px' }}>
+      <div className="flex items-center mb-2">
+        <h3 style={{ ...typography.h3, color: 'var(--text-main)' }}>Compare builds</h3>
+        <Tooltip text="Pin your current deck and combos, or paste links shared from other tabs, then compare their odds side by side. Differences are against the first pinned build" />
+      </div>
+
+      {pins.map((pin, index) => (
+        <div key={pin.id} className="flex flex-wrap items-center mb-2" style={{ gap: '8px' }}>
+          <input
+            type="text"
+            value={pin.label}
+            onChange={(e) => updateLabel(pin.id, e.target.value)}
+            className="enhanced-input"
+            style={{ flex: 1, minWidth: '180px' }}
+            maxLength={50}
+            aria-label="Build name"
+          />
+          {index === 0 && <span style={{ ...typography.body, color: 'var(--text-secondary)' }}>Baseline</span>}
+          <Button variant="secondary" size="small" onClick={() => removePin(pin.id)}>
+            Remove
+          </Button>
+        </div>
+      ))}
+
+      <div className="flex flex-wrap items-center mb-4" style={{ gap: '8px' }}>
+        <Button variant="secondary" onClick={() => addPin(getCurrentCalculation())}>
+          Pin current build
+        </Button>
+        <input
+          type="text"
+          value={link}
+          placeholder="Paste a shared link"
+          onChange={(e) => setLink(e.target.value)}
+          onKeyDown={(e) => e.key === 'Enter' && link.trim() && pinLink()}
+          className="enhanced-input"
+          style={{ flex: 1, minWidth: '180px' }}
+          aria-label="Shared link to pin"
+        />
+        <Button variant="secondary" onClick={pinLink} disabled={!link.trim()}>
+          Pin link
+        </Button>
+      </div>
+
+      <Button onClick={runComparison} disabled={isComparing || pins.length < 2} style={{ minWidth: '150px' }}>
+        {isComparing ? `Comparing... ${Math.round(progress * 100)}%` : 'Compare builds'}
+      </Button>
+
+      {comparison && (
+        <div className="mt-4" style={{ overflowX: 'auto' }}>
+          <table className="w-full" style={{ ...typography.body, borderCollapse: 'collapse' }}>
+            <thead>
+              <tr style={{ color: 'var(--text-secondary)' }}>
+                <th style={cellStyle}></th>
+                {comparison.labels.map((label, index) => (
+                  <th key={index} style={cellStyle}>{label}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {comparison.rows.map(row => (
+                <tr key={row.key}>
+                  <td style={cellStyle}>{row.label}</td>
+                  {row.values.map((value, index) => (
+                    <td key={index} style={cellStyle}>
+                      {value === null ? '-' : `${value.toFixed(2)}%`}
+                      {row.deltas[index] !== null && (
+                        <span style={{ color: deltaColor(row.deltas[index]) }}> ({formatDelta(row.deltas[index])})</span>
+                      )}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ConfigurationComparison;
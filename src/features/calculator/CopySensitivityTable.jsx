@@ -0,0 +1,50 @@
+import React from 'react';
+
+const cellStyle = {
+  padding: '4px 12px',
+  textAlign: 'left',
+  borderBottom: '1px solid var(--border-main)'
+};
+
+const formatDelta = (delta) => {
+  if (delta === null) return '—';
+  return `${delta >= 0 ? '+' : ''}${delta.toFixed(2)}%`;
+};
+
+const deltaColor = (delta) => {
+  if (delta === null || Math.abs(delta) < 0.005) return 'var(--text-secondary)';
+  return delta > 0 ? '#22c55e' : 'var(--text-error)';
+};
+
+/**
+ * Copy count what-if table for one combo
+ * Shows how the combo's odds change with one copy fewer or one more of each card
+ */
+const CopySensitivityTable = ({ sensitivity, typography }) => {
+  if (!sensitivity || sensitivity.length === 0) return null;
+
+  return (
+    <table className="w-full mt-3" style={{ ...typography.body, borderCollapse: 'collapse' }}>
+      <thead>
+        <tr style={{ color: 'var(--text-secondary)' }}>
+          <th style={cellStyle}>Card</th>
+          <th style={cellStyle}>Copies</th>
+          <th style={cellStyle}>-1 copy</th>
+          <th style={cellStyle}>+1 copy</th>
+        </tr>
+      </thead>
+      <tbody>
+        {sensitivity.map(card => (
+          <tr key={card.key}>
+            <td style={cellStyle}>{card.name}</td>
+            <td style={cellStyle}>{card.copies}</td>
+            <td style={{ ...cellStyle, color: deltaColor(card.minus) }}>{formatDelta(card.minus)}</td>
+            <td style={{ ...cellStyle, color: deltaColor(card.plus) }}>{formatDelta(card.plus)}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+};
+
+export default CopySensitivityTable;
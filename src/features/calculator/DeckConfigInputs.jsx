@@ -21,12 +21,34 @@ const DeckConfigInputs = ({
   setInitialDeckZones,
   deckZones,
   setDeckZones,
+  sidePlans,
+  setSidePlans,
+  banlistFormat,
+  setBanlistFormat,
+  banlistFormats,
+  banlistDate,
+  setBanlistDate,
+  banlistDates,
+  banlist,
+  currentBanlist,
 
   // DeckInputs props
   handSize,
   setHandSize,
   errors,
   minHandSize,
+  seed,
+  setSeed,
+  targetMargin,
+  setTargetMargin,
+  showTurnCurve,
+  setShowTurnCurve,
+  showOutcomes,
+  setShowOutcomes,
+  deckSizeSweep,
+  setDeckSizeSweep,
+  mulligan,
+  setMulligan,
 
   // DeckImageSection component and props
   DeckImageSection,
@@ -55,6 +77,8 @@ const DeckConfigInputs = ({
         setInitialDeckZones={setInitialDeckZones}
         deckZones={deckZones}
         setDeckZones={setDeckZones}
+        banlistFormat={banlistFormat}
+        banlist={banlist}
       />
 
       {/* Deck Builder Section */}
@@ -62,12 +86,24 @@ const DeckConfigInputs = ({
         <DeckImageSection
           typography={typography}
           cardDatabase={cardDatabase}
+          staticCardDatabase={staticCardDatabase}
+          uploadedYdkFile={uploadedYdkFile}
           ydkCards={ydkCards}
           ydkCardCounts={ydkCardCounts}
           showToast={showToast}
           initialDeckZones={initialDeckZones}
           deckZones={deckZones}
           setDeckZones={setDeckZones}
+          sidePlans={sidePlans}
+          setSidePlans={setSidePlans}
+          banlistFormat={banlistFormat}
+          setBanlistFormat={setBanlistFormat}
+          banlistFormats={banlistFormats}
+          banlistDate={banlistDate}
+          setBanlistDate={setBanlistDate}
+          banlistDates={banlistDates}
+          banlist={banlist}
+          currentBanlist={currentBanlist}
           combos={combos}
           setCombos={setCombos}
         />
@@ -82,6 +118,18 @@ const DeckConfigInputs = ({
           errors={errors}
           typography={typography}
           minHandSize={minHandSize}
+          seed={seed}
+          setSeed={setSeed}
+          targetMargin={targetMargin}
+          setTargetMargin={setTargetMargin}
+          showTurnCurve={showTurnCurve}
+          setShowTurnCurve={setShowTurnCurve}
+          showOutcomes={showOutcomes}
+          setShowOutcomes={setShowOutcomes}
+          deckSizeSweep={deckSizeSweep}
+          setDeckSizeSweep={setDeckSizeSweep}
+          mulligan={mulligan}
+          setMulligan={setMulligan}
         />
       </div>
     </>
@@ -1,5 +1,7 @@
 import React, { useState, useRef } from 'react';
 import { Button } from '../../components/ui';
+import { generateSeed, parseSeed } from '../../utils/random';
+import { SIMULATION_COUNT, ADAPTIVE_TARGET_MARGIN, DECK_SIZE_SWEEP_MIN, DECK_SIZE_SWEEP_MAX } from '../../constants/config';
 
 const Tooltip = ({ text, children }) => {
   const [isVisible, setIsVisible] = useState(false);
@@ -126,7 +128,19 @@ const DeckInputs = ({
   setHandSize,
   errors,
   typography,
-  minHandSize = 1
+  minHandSize = 1,
+  seed,
+  setSeed,
+  targetMargin,
+  setTargetMargin,
+  showTurnCurve,
+  setShowTurnCurve,
+  showOutcomes,
+  setShowOutcomes,
+  deckSizeSweep,
+  setDeckSizeSweep,
+  mulligan,
+  setMulligan
 }) => {
   return (
     <div className="space-y-4">
@@ -188,6 +202,189 @@ const DeckInputs = ({
           </p>
         )}
       </div>
+
+      {setSeed && (
+        <div className="mb-4">
+          <label className="flex items-center font-medium" style={{...typography.body, marginBottom: 'var(--spacing-xs)', color: 'var(--text-main)'}}>
+            Random seed:
+            <Tooltip text="Simulations and sample hands use this seed. Share links include it, so anyone opening the link sees the same numbers and hand" />
+          </label>
+          <div className="flex space-x-2">
+            <input
+              type="number"
+              min="0"
+              value={seed ?? ''}
+              onChange={(e) => {
+                const parsedSeed = parseSeed(e.target.value);
+                if (parsedSeed !== null) setSeed(parsedSeed);
+              }}
+              className="enhanced-input"
+              style={{ flex: 1 }}
+              aria-label="Random seed"
+            />
+            <Button
+              onClick={() => setSeed(generateSeed())}
+              variant="secondary"
+              style={{ width: '140px' }}
+            >
+              New seed
+            </Button>
+          </div>
+        </div>
+      )}
+
+      {setTargetMargin && (
+        <div className="mb-4">
+          <label className="flex items-center font-medium" style={{...typography.body, marginBottom: 'var(--spacing-xs)', color: 'var(--text-main)'}}>
+            Simulation precision:
+            <Tooltip text={`Fixed runs ${SIMULATION_COUNT.toLocaleString()} simulated hands per result. Adaptive keeps sampling until each simulated result is within ±${ADAPTIVE_TARGET_MARGIN}% (95% confidence)`} />
+          </label>
+          <div className="flex space-x-2">
+            <Button
+              onClick={() => setTargetMargin(null)}
+              variant={targetMargin === null ? 'primary' : 'secondary'}
+              style={{ width: '140px' }}
+            >
+              Fixed
+            </Button>
+            <Button
+              onClick={() => setTargetMargin(ADAPTIVE_TARGET_MARGIN)}
+              variant={targetMargin !== null ? 'primary' : 'secondary'}
+              style={{ width: '140px' }}
+            >
+              Adaptive
+            </Button>
+          </div>
+        </div>
+      )}
+
+      {setShowTurnCurve && (
+        <div className="mb-4">
+          <label className="flex items-center font-medium" style={{...typography.body, marginBottom: 'var(--spacing-xs)', color: 'var(--text-main)'}}>
+            Turn-by-turn odds:
+            <Tooltip text="Also compare going first (5 cards) and going second (6 cards), and show your odds after each later turn's draw" />
+          </label>
+          <div className="flex space-x-2">
+            <Button
+              onClick={() => setShowTurnCurve(false)}
+              variant={!showTurnCurve ? 'primary' : 'secondary'}
+              style={{ width: '140px' }}
+            >
+              Off
+            </Button>
+            <Button
+              onClick={() => setShowTurnCurve(true)}
+              variant={showTurnCurve ? 'primary' : 'secondary'}
+              style={{ width: '140px' }}
+            >
+              On
+            </Button>
+          </div>
+        </div>
+      )}
+
+      {setShowOutcomes && (
+        <div className="mb-4">
+          <label className="flex items-center font-medium" style={{...typography.body, marginBottom: 'var(--spacing-xs)', color: 'var(--text-main)'}}>
+            Hand outcomes:
+            <Tooltip text="Also break every hand down by how many combos it opens and how many hand-traps come with them, and list the most common hands that open nothing" />
+          </label>
+          <div className="flex space-x-2">
+            <Button
+              onClick={() => setShowOutcomes(false)}
+              variant={!showOutcomes ? 'primary' : 'secondary'}
+              style={{ width: '140px' }}
+            >
+              Off
+            </Button>
+            <Button
+              onClick={() => setShowOutcomes(true)}
+              variant={showOutcomes ? 'primary' : 'secondary'}
+              style={{ width: '140px' }}
+            >
+              On
+            </Button>
+          </div>
+        </div>
+      )}
+
+      {setDeckSizeSweep && (
+        <div className="mb-4">
+          <label className="flex items-center font-medium" style={{...typography.body, marginBottom: 'var(--spacing-xs)', color: 'var(--text-main)'}}>
+            Deck size sweep:
+            <Tooltip text={`Also chart your odds at every deck size from ${DECK_SIZE_SWEEP_MIN} to ${DECK_SIZE_SWEEP_MAX}. Fixed copies fills the extra slots with other cards; Scale copies grows your combo cards with the deck`} />
+          </label>
+          <div className="flex space-x-2">
+            <Button
+              onClick={() => setDeckSizeSweep(null)}
+              variant={!deckSizeSweep ? 'primary' : 'secondary'}
+              style={{ width: '140px' }}
+            >
+              Off
+            </Button>
+            <Button
+              onClick={() => setDeckSizeSweep({ scaleFiller: false })}
+              variant={deckSizeSweep && !deckSizeSweep.scaleFiller ? 'primary' : 'secondary'}
+              style={{ width: '140px' }}
+            >
+              Fixed copies
+            </Button>
+            <Button
+              onClick={() => setDeckSizeSweep({ scaleFiller: true })}
+              variant={deckSizeSweep?.scaleFiller ? 'primary' : 'secondary'}
+              style={{ width: '140px' }}
+            >
+              Scale copies
+            </Button>
+          </div>
+        </div>
+      )}
+
+      {setMulligan && (
+        <div className="mb-4">
+          <label className="flex items-center font-medium" style={{...typography.body, marginBottom: 'var(--spacing-xs)', color: 'var(--text-main)'}}>
+            Mulligan rule:
+            <Tooltip text="For formats that allow one redraw after a bad opening hand. Full redraw draws a new hand, Redraw cards puts back unused cards and draws replacements, Shuffle back draws a new hand with one card fewer" />
+          </label>
+          <div className="flex flex-wrap" style={{ gap: '8px' }}>
+            {[
+              { type: null, label: 'None' },
+              { type: 'full', label: 'Full redraw' },
+              { type: 'redraw', label: 'Redraw cards' },
+              { type: 'shuffle', label: 'Shuffle back -1' }
+            ].map(option => (
+              <Button
+                key={option.label}
+                onClick={() => setMulligan(option.type ? { type: option.type, count: mulligan?.count || 1 } : null)}
+                variant={(mulligan?.type ?? null) === option.type ? 'primary' : 'secondary'}
+                style={{ width: '140px' }}
+              >
+                {option.label}
+              </Button>
+            ))}
+          </div>
+          {mulligan?.type === 'redraw' && (
+            <div className="flex items-center mt-2" style={{ gap: '8px' }}>
+              <label htmlFor="mulligan-count" style={{...typography.body, color: 'var(--text-main)'}}>
+                Cards to redraw:
+              </label>
+              <input
+                id="mulligan-count"
+                type="number"
+                min="1"
+                max={handSize}
+                value={mulligan.count}
+                onChange={(e) => {
+                  const count = parseInt(e.target.value) || 0;
+                  if (count >= 1 && count <= handSize) setMulligan({ ...mulligan, count });
+                }}
+                className="enhanced-input"
+                style={{ width: '80px' }}
+              />
+            </div>
+          )}
+        </div>
+      )}
     </div>
   );
 };
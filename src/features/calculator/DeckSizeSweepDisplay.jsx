@@ -0,0 +1,57 @@
+import React from 'react';
+import LineChart from '../../components/LineChart';
+
+const COMBO_COLORS = ['#60a5fa', '#f472b6', '#34d399', '#fbbf24', '#a78bfa', '#f87171', '#22d3ee', '#fb923c', '#a3e635', '#e879f9'];
+
+/**
+ * Deck size sensitivity sweep
+ * Charts each combo and the combined odds at every deck size in the sweep
+ */
+const DeckSizeSweepDisplay = ({ deckSizeSweep, combos, deckSize, typography }) => {
+  if (!deckSizeSweep || deckSizeSweep.points.length === 0) return null;
+
+  const { points, scaleFiller } = deckSizeSweep;
+  const comboCount = points[0].individual.length;
+
+  const series = points[0].individual.map((_, comboIndex) => ({
+    label: combos[comboIndex]?.name || `Combo ${comboIndex + 1}`,
+    color: COMBO_COLORS[comboIndex % COMBO_COLORS.length],
+    values: points.map(point => point.individual[comboIndex])
+  }));
+  if (comboCount > 1) {
+    series.push({
+      label: 'Any combo',
+      color: 'var(--text-main)',
+      values: points.map(point => point.combined)
+    });
+  }
+
+  const current = points.find(point => point.deckSize === deckSize);
+  const best = points.reduce((top, point) => (point.combined > top.combined ? point : top), points[0]);
+  const first = points[0];
+  const last = points[points.length - 1];
+
+  return (
+    <div className="p-4 rounded-md" style={{ backgroundColor: 'var(--bg-secondary)', border: '1px solid var(--border-main)', marginBottom: '8px' }}>
+      <h3 className="mb-2" style={{ ...typography.h3, color: 'var(--text-main)' }}>Deck size sweep</h3>
+      <p className="mb-4" style={{ ...typography.body, color: 'var(--text-secondary)' }}>
+        {scaleFiller
+          ? 'Your combo cards grow or shrink with the deck (rounded, up to 3 copies), so other cards keep the same share.'
+          : 'Your combo cards keep their copies; every extra slot is filled with other cards.'}
+        {' '}From {first.deckSize} to {last.deckSize} cards your odds of opening {comboCount > 1 ? 'any combo' : 'the combo'} go
+        from {first.combined.toFixed(2)}% to {last.combined.toFixed(2)}%
+        {current && best.deckSize !== deckSize && (
+          <> ({best.deckSize} cards is best at {best.combined.toFixed(2)}%, {(best.combined - current.combined).toFixed(2)}% above your {deckSize})</>
+        )}.
+      </p>
+
+      <LineChart
+        ariaLabel="Combo odds by deck size"
+        xLabels={points.map(point => `${point.deckSize}`)}
+        series={series}
+      />
+    </div>
+  );
+};
+
+export default DeckSizeSweepDisplay;
@@ -0,0 +1,85 @@
+import React from 'react';
+import StackedBarChart from '../../components/StackedBarChart';
+
+const cellStyle = {
+  padding: '6px 12px',
+  textAlign: 'left',
+  borderBottom: '1px solid var(--border-main)'
+};
+
+const LIVE_LABELS = ['No combo', '1 combo', '2 combos', '3+ combos'];
+const TRAP_SEGMENTS = [
+  { label: 'No hand-trap', color: '#64748b' },
+  { label: '1 hand-trap', color: '#60a5fa' },
+  { label: '2 hand-traps', color: '#34d399' },
+  { label: '3+ hand-traps', color: '#fbbf24' }
+];
+
+/**
+ * Full-hand outcome breakdown
+ * Charts how many combos each hand opens, stacked by the hand-traps that come with them,
+ * and lists the most common hands that open nothing
+ */
+const HandOutcomeBreakdown = ({ handOutcomes, typography }) => {
+  if (!handOutcomes || handOutcomes.trials === 0) return null;
+
+  const { combosLive, joint, handTraps, failingPatterns } = handOutcomes;
+
+  // Collapse 3+ different hand-traps into one segment
+  const bars = joint.map((row, live) => ({
+    label: LIVE_LABELS[live],
+    values: handTraps > 0
+      ? [row[0] || 0, row[1] || 0, row[2] || 0, row.slice(3).reduce((sum, share) => sum + share, 0)]
+      : [combosLive[live]]
+  }));
+  const segments = handTraps > 0 ? TRAP_SEGMENTS : [{ label: 'Hands', color: '#60a5fa' }];
+  const liveWithTrap = joint.slice(1).reduce((sum, row) => sum + row.slice(1).reduce((rowSum, share) => rowSum + share, 0), 0);
+
+  return (
+    <div className="p-4 rounded-md" style={{ backgroundColor: 'var(--bg-secondary)', border: '1px solid var(--border-main)', marginBottom: '8px' }}>
+      <h3 className="mb-2" style={{ ...typography.h3, color: 'var(--text-main)' }}>Hand outcomes</h3>
+      <p className="mb-4" style={{ ...typography.body, color: 'var(--text-secondary)' }}>
+        How many of your combos each of {handOutcomes.trials.toLocaleString()} simulated hands opens
+        {handTraps > 0 && <>, split by the different hand-traps drawn with them. {liveWithTrap.toFixed(2)}% of hands open a combo and hold at least one hand-trap</>}.
+        Searchers, draw cards and mulligans aren't counted here.
+      </p>
+
+      <StackedBarChart
+        ariaLabel="Share of hands by combos opened and hand-traps drawn"
+        bars={bars}
+        segments={segments}
+      />
+
+      {failingPatterns.length > 0 && (
+        <>
+          <p className="mt-4 mb-2" style={{ ...typography.body, color: 'var(--text-secondary)' }}>
+            Most common hands that open no combo (combo cards and hand-traps only):
+          </p>
+          <table className="w-full" style={{ ...typography.body, borderCollapse: 'collapse' }}>
+            <thead>
+              <tr style={{ color: 'var(--text-secondary)' }}>
+                <th style={cellStyle}>Hand</th>
+                <th style={cellStyle}>Share of hands</th>
+              </tr>
+            </thead>
+            <tbody>
+              {failingPatterns.map(pattern => {
+                const hand = pattern.cards.length > 0
+                  ? pattern.cards.map(card => `${card.count}x ${card.name}`).join(', ')
+                  : 'None of them';
+                return (
+                  <tr key={hand}>
+                    <td style={cellStyle}>{hand}</td>
+                    <td style={cellStyle}>{pattern.share.toFixed(2)}%</td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default HandOutcomeBreakdown;
@@ -0,0 +1,227 @@
+import React, { useState, useEffect, useRef } from 'react';
+import ProbabilityService from '../../services/ProbabilityService';
+import { createCalculationWorker } from '../../services/CalculationWorkerService';
+import { Button, Tooltip } from '../../components/ui';
+import { getMaxCopiesAllowed } from '../../utils/banlist';
+
+const cellStyle = {
+  padding: '6px 12px',
+  textAlign: 'left',
+  borderBottom: '1px solid var(--border-main)'
+};
+
+const boundInputStyle = { width: '64px' };
+
+/**
+ * Deck ratio optimizer
+ * Searches copy counts of the chosen combo cards for the best combined odds
+ * and lists the top ratios, each of which can be applied to the combos and deck
+ */
+const RatioOptimizer = ({ combos, deckSize, handSize, seed, targetMargin, cardEffects = [], categories = [], banlist = null, onApply, typography }) => {
+  const [bounds, setBounds] = useState({});
+  const [keepTotal, setKeepTotal] = useState(true);
+  const [isOptimizing, setIsOptimizing] = useState(false);
+  const [progress, setProgress] = useState(0);
+  const [result, setResult] = useState(null);
+
+  // Own worker, so calculating and optimizing never cancel each other
+  const workerRef = useRef(null);
+  if (!workerRef.current) {
+    workerRef.current = createCalculationWorker();
+  }
+
+  useEffect(() => () => {
+    workerRef.current.cancel();
+    workerRef.current.terminate();
+  }, []);
+
+  const ratioCards = ProbabilityService.getRatioCards(combos);
+
+  // Ranked ratios, and any search still running, no longer describe the deck once the combos change
+  useEffect(() => {
+    workerRef.current.cancel();
+    setResult(null);
+  }, [combos, deckSize, handSize, banlist]);
+
+  if (ratioCards.length === 0) return null;
+
+  // Edited caps still can't go past the banlist limit after switching format
+  const getBounds = (card) => {
+    const maxAllowed = getMaxCopiesAllowed(card.name, banlist);
+    const merged = { enabled: true, min: card.minInHand, max: maxAllowed, ...bounds[card.key] };
+    return { ...merged, max: Math.min(merged.max, maxAllowed) };
+  };
+
+  const updateBounds = (key, field, value) => {
+    setBounds(prev => ({ ...prev, [key]: { ...prev[key], [field]: value } }));
+  };
+
+  const runOptimizer = async () => {
+    const constraints = {};
+    ratioCards.forEach(card => {
+      const { enabled, min, max } = getBounds(card);
+      if (enabled) constraints[card.key] = { min, max };
+    });
+
+    setIsOptimizing(true);
+    setProgress(0);
+
+    try {
+      const optimized = await workerRef.current.optimize(
+        { combos, deckSize, handSize, constraints, keepTotal, seed, targetMargin, cardEffects, categories },
+        { onProgress: setProgress }
+      );
+      setResult(optimized);
+    } catch (error) {
+      if (!workerRef.current.isCancelled(error)) {
+        console.error('Ratio optimizer error:', error);
+      }
+    } finally {
+      setIsOptimizing(false);
+    }
+  };
+
+  const formatRatio = (copies) => result.cards
+    .map(card => `${copies[card.key]}x ${card.name}`)
+    .join(', ');
+
+  const formatDelta = (probability) => {
+    const delta = probability - result.current.probability;
+    return `${delta >= 0 ? '+' : ''}${delta.toFixed(2)}%`;
+  };
+
+  return (
+    <div className="p-4 rounded-md" style={{ backgroundColor: 'var(--bg-secondary)', border: '1px solid var(--border-main)', marginBottom: '8px' }}>
+      <h3 className="mb-2" style={{ ...typography.h3, color: 'var(--text-main)' }}>Optimize deck ratios</h3>
+      <p className="mb-4" style={{ ...typography.body, color: 'var(--text-secondary)' }}>
+        Tries different copy counts of your combo cards at a {deckSize}-card deck size and ranks them by the chance of opening any combo.
+      </p>
+
+      <table className="w-full mb-4" style={{ ...typography.body, borderCollapse: 'collapse' }}>
+        <thead>
+          <tr style={{ color: 'var(--text-secondary)' }}>
+            <th style={cellStyle}>Vary</th>
+            <th style={cellStyle}>Card</th>
+            <th style={cellStyle}>Now</th>
+            <th style={cellStyle}>Min</th>
+            <th style={cellStyle}>Max</th>
+          </tr>
+        </thead>
+        <tbody>
+          {ratioCards.map(card => {
+            const cardBounds = getBounds(card);
+            return (
+              <tr key={card.key}>
+                <td style={cellStyle}>
+                  <input
+                    type="checkbox"
+                    checked={cardBounds.enabled}
+                    onChange={(e) => updateBounds(card.key, 'enabled', e.target.checked)}
+                    aria-label={`Vary copies of ${card.name}`}
+                  />
+                </td>
+                <td style={cellStyle}>{card.name}</td>
+                <td style={cellStyle}>{card.copies}</td>
+                <td style={cellStyle}>
+                  <input
+                    type="number"
+                    min="0"
+                    max={cardBounds.max}
+                    value={cardBounds.min}
+                    disabled={!cardBounds.enabled}
+                    onChange={(e) => updateBounds(card.key, 'min', Math.max(0, parseInt(e.target.value) || 0))}
+                    className="enhanced-input"
+                    style={boundInputStyle}
+                    aria-label={`Minimum copies of ${card.name}`}
+                  />
+                </td>
+                <td style={cellStyle}>
+                  <input
+                    type="number"
+                    min={cardBounds.min}
+                    max={getMaxCopiesAllowed(card.name, banlist)}
+                    value={cardBounds.max}
+                    disabled={!cardBounds.enabled}
+                    onChange={(e) => updateBounds(
+                      card.key,
+                      'max',
+                      Math.min(getMaxCopiesAllowed(card.name, banlist), Math.max(0, parseInt(e.target.value) || 0))
+                    )}
+                    className="enhanced-input"
+                    style={boundInputStyle}
+                    aria-label={`Maximum copies of ${card.name}`}
+                  />
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+
+      <label className="flex items-center mb-4" style={{ ...typography.body, color: 'var(--text-main)', gap: '8px' }}>
+        <input
+          type="checkbox"
+          checked={keepTotal}
+          onChange={(e) => setKeepTotal(e.target.checked)}
+        />
+        Keep the same number of combo cards
+        <Tooltip text="Only move copies between the chosen cards. Untick to also try adding or cutting copies, with the rest of the deck making up the difference" />
+      </label>
+
+      <Button onClick={runOptimizer} disabled={isOptimizing} style={{ minWidth: '150px' }}>
+        {isOptimizing ? `Optimizing... ${Math.round(progress * 100)}%` : 'Find best ratios'}
+      </Button>
+
+      {result && (
+        <div className="mt-4">
+          {result.ranked.length === 0 ? (
+            <p style={{ ...typography.body, color: 'var(--text-secondary)' }}>
+              {result.timedOut
+                ? 'The search ran out of time before trying a ratio. Narrow the min/max range and try again.'
+                : 'No ratio fits these limits. Widen the min/max range or untick "Keep the same number of combo cards".'}
+            </p>
+          ) : (
+            <>
+              <p className="mb-2" style={{ ...typography.body, color: 'var(--text-secondary)' }}>
+                Current ratio: {result.current.probability.toFixed(2)}%
+                {!result.exhaustive && ` (searched ${result.evaluated} ratios near your current one)`}
+                {result.timedOut && ' - stopped at the time limit, so a better ratio may exist'}
+              </p>
+              <table className="w-full" style={{ ...typography.body, borderCollapse: 'collapse' }}>
+                <thead>
+                  <tr style={{ color: 'var(--text-secondary)' }}>
+                    <th style={cellStyle}>#</th>
+                    <th style={cellStyle}>Ratio</th>
+                    <th style={cellStyle}>Probability</th>
+                    <th style={cellStyle}>vs current</th>
+                    <th style={cellStyle}></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {result.ranked.map((entry, index) => (
+                    <tr key={formatRatio(entry.copies)}>
+                      <td style={cellStyle}>{index + 1}</td>
+                      <td style={cellStyle}>{formatRatio(entry.copies)}</td>
+                      <td style={cellStyle}>
+                        {entry.probability.toFixed(2)}%
+                        {!entry.isExact && <span style={{ color: 'var(--text-secondary)' }}> (simulated)</span>}
+                      </td>
+                      <td style={cellStyle}>{formatDelta(entry.probability)}</td>
+                      <td style={cellStyle}>
+                        <Button variant="secondary" size="small" onClick={() => onApply(entry.copies, result.cards)}>
+                          Apply
+                        </Button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RatioOptimizer;
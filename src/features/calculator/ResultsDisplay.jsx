@@ -2,7 +2,11 @@ import React, { useState, useRef, useEffect } from 'react';
 import CardImage from '../../components/CardImage';
 import Icon from '../../components/Icon';
 import ProbabilityService from '../../services/ProbabilityService';
+import ShortLinkService from '../../services/ShortLinkService';
 import FormulaDisplay from '../../components/FormulaDisplay';
+import TurnCurveDisplay from './TurnCurveDisplay';
+import HandOutcomeBreakdown from './HandOutcomeBreakdown';
+import CopySensitivityTable from './CopySensitivityTable';
 import { Button } from '../../components/ui';
 
 const Tooltip = ({ text, children }) => {
@@ -144,6 +148,38 @@ const TypewriterText = ({ text, onComplete }) => {
   return <span>{displayedText}</span>;
 };
 
+/**
+ * Shows the 95% confidence margin of a simulated result; renders nothing for exact results
+ */
+const ConfidenceInterval = ({ interval }) => {
+  if (!interval) return null;
+
+  return (
+    <Tooltip text={`95% confidence interval: ${interval.lower.toFixed(2)}% – ${interval.upper.toFixed(2)}% (standard error ${interval.standardError.toFixed(2)}%, ${interval.trials.toLocaleString()} simulated hands)`}>
+      <span style={{ color: 'var(--text-secondary)', fontWeight: 'normal', whiteSpace: 'nowrap' }}>
+        ± {interval.margin.toFixed(2)}%
+      </span>
+    </Tooltip>
+  );
+};
+
+const MULLIGAN_LABELS = {
+  full: 'a full redraw',
+  redraw: 'a partial redraw',
+  shuffle: 'a shuffle back and draw one fewer'
+};
+
+// Opening-hand odds next to a result that includes a mulligan's second chance
+const MulliganNote = ({ beforeMulligan, mulligan, color = 'var(--text-secondary)' }) => {
+  if (beforeMulligan === null || beforeMulligan === undefined || !mulligan) return null;
+
+  return (
+    <span style={{ color, fontWeight: 'normal', marginLeft: '6px' }}>
+      (after {MULLIGAN_LABELS[mulligan.type]}; {beforeMulligan.toFixed(2)}% without)
+    </span>
+  );
+};
+
 const FormulaButton = ({ onClick, expanded }) => {
   return (
     <div className="tooltip" data-tooltip={expanded ? 'Hide formula' : 'Show formula'}>
@@ -166,7 +202,7 @@ const FormulaButton = ({ onClick, expanded }) => {
 
 /**
  * Evaluates if a combo is "bricked" based on the opening hand
- * A combo is bricked if not ALL required cards appear in the opening hand
+ * A combo is bricked if the opening hand doesn't satisfy its AND/OR expression
  */
 const evaluateComboForBrick = (combo, openingHand) => {
   // Get all card names from opening hand (ignore blank cards)
@@ -174,15 +210,19 @@ const evaluateComboForBrick = (combo, openingHand) => {
     .filter(card => card.type === 'card' && card.cardName)
     .map(card => card.cardName.toLowerCase());
 
-  // Check if ALL cards from the combo are present in the opening hand
-  const allCardsPresent = combo.cards.every(card => {
+  if (ProbabilityService.validateGroups(combo.cards)) {
+    return true; // Unbalanced brackets can never be satisfied
+  }
+
+  const handCounts = combo.cards.map(card => {
     if (!card.starterCard || card.starterCard.trim() === '') {
-      return true; // Empty cards don't count against the combo
+      return card.minCopiesInHand; // Empty cards don't count against the combo
     }
-    return handCardNames.includes(card.starterCard.toLowerCase());
+    const name = card.starterCard.toLowerCase();
+    return handCardNames.filter(handCardName => handCardName === name).length;
   });
 
-  return !allCardsPresent; // Return true if bricked (not all cards present)
+  return !ProbabilityService.buildExpressionTree(combo.cards).eval(handCounts);
 };
 
 /**
@@ -216,6 +256,7 @@ const ResultsDisplay = ({
   generatedTitle,
   shareableUrl,
   handleCopyLink,
+  handleShortenLink,
   showToast,
   typography,
   testHandFromDecklist,
@@ -269,10 +310,8 @@ const ResultsDisplay = ({
   
   const isToggleDisabled = hasNonDecklistCards;
 
-  // Calculate hand-trap probability if YDK data is available
-  const handTrapProbability = (ydkCards && ydkCardCounts && deckSize && handSize) 
-    ? ProbabilityService.calculateHandTrapProbability(ydkCards, ydkCardCounts, deckSize, handSize)
-    : null;
+  // Hand-trap probability is simulated with the rest of the results when YDK data is available
+  const handTrapProbability = results?.handTrap ? results.handTrap.probability : null;
 
   const generateResultText = (result) => {
     const cards = result.cards;
@@ -284,37 +323,31 @@ const ResultsDisplay = ({
     
     if (cards.length === 1) {
       const card = cards[0];
-      if (card.minCopiesInHand === card.maxCopiesInHand) {
+      if (card.maxCopiesInHand === 0) {
+        return `Chances of seeing no copies of ${card.starterCard} in your opening hand: ${probability.toFixed(2)}%`;
+      } else if (card.minCopiesInHand === card.maxCopiesInHand) {
         return `Chances of seeing exactly ${card.minCopiesInHand} copies of ${card.starterCard} in your opening hand: ${probability.toFixed(2)}%`;
       } else {
         return `Chances of seeing between ${card.minCopiesInHand} and ${card.maxCopiesInHand} copies of ${card.starterCard} in your opening hand: ${probability.toFixed(2)}%`;
       }
     } else {
-      // Multi-card combo: 1st AND 2nd AND/OR 3rd+ cards
+      // Multi-card combo: join cards with their AND/OR operators and brackets
       let resultText = "Chances of seeing ";
-      
-      // Build the text based on new logic structure
+
       for (let i = 0; i < cards.length; i++) {
         const card = cards[i];
-        const cardText = card.minCopiesInHand === card.maxCopiesInHand 
+        const cardText = card.maxCopiesInHand === 0
+          ? `no copies of ${card.starterCard}`
+          : card.minCopiesInHand === card.maxCopiesInHand
           ? `exactly ${card.minCopiesInHand} copies of ${card.starterCard}`
           : `between ${card.minCopiesInHand} and ${card.maxCopiesInHand} copies of ${card.starterCard}`;
-        
-        if (i === 0) {
-          // First card - no logic operator
-          resultText += cardText;
-        } else if (i === 1) {
-          // Second card - always AND with first
-          resultText += `, AND ${cardText}`;
-        } else {
-          // Third+ cards - use their logic operator
-          const logicOp = card.logicOperator || 'AND';
-          if (logicOp === 'OR') {
-            resultText += `, OR ${cardText}`;
-          } else {
-            resultText += `, AND ${cardText}`;
-          }
+        const openBrackets = '('.repeat(card.openParens || 0);
+        const closeBrackets = ')'.repeat(card.closeParens || 0);
+
+        if (i > 0) {
+          resultText += `, ${card.logicOperator === 'OR' ? 'OR' : 'AND'} `;
         }
+        resultText += `${openBrackets}${cardText}${closeBrackets}`;
       }
       
       resultText += ` in your opening hand: ${probability.toFixed(2)}%`;
@@ -474,12 +507,30 @@ const ResultsDisplay = ({
                   <p className="font-semibold" style={{...typography.body, color: 'var(--text-action)'}}>
                     Chances of opening any of the desired combos: {results.combined.toFixed(2)}%
                   </p>
+                  <ConfidenceInterval interval={results.combinedInterval} />
+                  <MulliganNote beforeMulligan={results.combinedBeforeMulligan} mulligan={results.mulligan} color="var(--text-action)" />
                   <Tooltip text="Chance of opening ANY of your defined combos. Shows overall deck consistency (hitting at least one combo from ones you defined)" />
                 </div>
               </div>
             </div>
           )}
 
+          {/* Brick probability - only show if brick cards are set */}
+          {results.brick && (
+            <div className="" style={{ marginBottom: '8px' }}>
+              <div className="p-4 rounded-md" style={{ backgroundColor: 'var(--bg-secondary)', border: `1px solid var(--border-secondary)` }}>
+                <div className="flex items-center">
+                  <p className="font-semibold" style={{...typography.body, color: 'var(--text-main)'}}>
+                    Brick chances: {results.brick.probability.toFixed(2)}%
+                  </p>
+                  <Tooltip text={`Chance of opening at least one dead card: ${results.brick.cards.map(brick =>
+                    brick.usableCopies === 0 ? brick.card : `a 2nd ${brick.card}`
+                  ).join(', ')}`} />
+                </div>
+              </div>
+            </div>
+          )}
+
           {/* Multi-Starter probability - only show if 2+ independent starters exist */}
           {results.multiStarter && results.multiStarter.twoPlus !== undefined && (
             <div className="" style={{ marginBottom: '8px' }}>
@@ -488,6 +539,7 @@ const ResultsDisplay = ({
                   <p className="font-semibold" style={{...typography.body, color: 'var(--text-highlight)'}}>
                     2+ Combo starters: {results.multiStarter.twoPlus.toFixed(2)}%
                   </p>
+                  <ConfidenceInterval interval={results.multiStarter.intervals?.twoPlus} />
                   <Tooltip text="Chance of opening 2 or more independent combo starters in your opening hand. Independent starters are combos with different first cards, giving you backup options when your opponent disrupts your primary combo." />
                 </div>
               </div>
@@ -502,6 +554,7 @@ const ResultsDisplay = ({
                   <p className="font-semibold" style={{...typography.body, color: 'var(--text-highlight)'}}>
                     3+ Combo starters: {results.multiStarter.threePlus.toFixed(2)}%
                   </p>
+                  <ConfidenceInterval interval={results.multiStarter.intervals?.threePlus} />
                   <Tooltip text="Chance of opening 3 or more independent combo starters in your opening hand. This shows your deck's extreme resilience against multiple disruptions." />
                 </div>
               </div>
@@ -516,11 +569,32 @@ const ResultsDisplay = ({
                 <p className="font-semibold" style={{...typography.body, color: 'var(--icon-main)'}}>
                   Hand-trap chances: {handTrapProbability.toFixed(2)}%
                 </p>
+                <ConfidenceInterval interval={results.handTrap.interval} />
                 <Tooltip text="Chance of opening at least one hand-trap in your starting hand. Hand-traps are cards that can be activated from your hand during your opponent's turn." />
               </div>
             </div>
           )}
 
+          {/* Live combo AND N+ different hand-traps in the same raw opening hand, before effects and mulligans */}
+          {results.comboWithHandTraps && [
+            { key: 'onePlus', label: '1+ Hand-Trap' },
+            { key: 'twoPlus', label: '2+ Different Hand-Traps' },
+            { key: 'threePlus', label: '3+ Different Hand-Traps' }
+          ].filter(({ key }) => results.comboWithHandTraps[key] !== undefined).map(({ key, label }) => (
+            <div key={key} className="" style={{ marginBottom: '8px' }}>
+              <div className="p-4 rounded-md" style={{ backgroundColor: 'var(--bg-secondary)', border: `1px solid var(--border-secondary)` }}>
+                <div className="flex items-center space-x-2">
+                  <Icon name="bomb" style={{ fontSize: '16px', color: 'var(--icon-main)' }} />
+                  <p className="font-semibold" style={{...typography.body, color: 'var(--icon-main)'}}>
+                    Combo + {label} (raw opening hand, no effects): {results.comboWithHandTraps[key].toFixed(2)}%
+                  </p>
+                  <ConfidenceInterval interval={results.comboWithHandTraps.intervals[key]} />
+                  <Tooltip text="Chance of opening any of your combos and the hand-traps together, counted from the same simulated hands. Every slot a combo piece takes can't be a hand-trap, so this is usually lower than multiplying the two odds. Only the cards in your opening hand count: searchers, draw cards and mulligans aren't applied, unlike the combo odds above, so the combo part here can be lower." />
+                </div>
+              </div>
+            </div>
+          ))}
+
           {/* 2+ Different Hand-Traps probability - AC#1, AC#7 */}
           {results.multiHandTrap && results.multiHandTrap.twoPlus !== undefined && (
             <div className="" style={{ marginBottom: '8px' }}>
@@ -530,6 +604,7 @@ const ResultsDisplay = ({
                   <p className="font-semibold" style={{...typography.body, color: 'var(--icon-main)'}}>
                     2+ Different Hand-Traps: {results.multiHandTrap.twoPlus.toFixed(2)}%
                   </p>
+                  <ConfidenceInterval interval={results.multiHandTrap.intervals?.twoPlus} />
                   <Tooltip text="Chance of opening 2 or more different hand-trap cards in your starting hand. This shows your deck's defensive versatility - having multiple disruption options like both Ash Blossom AND Maxx C gives you flexibility to respond to different opponent strategies." />
                 </div>
               </div>
@@ -545,6 +620,7 @@ const ResultsDisplay = ({
                   <p className="font-semibold" style={{...typography.body, color: 'var(--icon-main)'}}>
                     3+ Different Hand-Traps: {results.multiHandTrap.threePlus.toFixed(2)}%
                   </p>
+                  <ConfidenceInterval interval={results.multiHandTrap.intervals?.threePlus} />
                   <Tooltip text="Chance of opening 3 or more different hand-trap cards in your starting hand. This indicates exceptional defensive flexibility with multiple disruption tools available." />
                 </div>
               </div>
@@ -560,6 +636,7 @@ const ResultsDisplay = ({
                   <p className="font-semibold" style={{...typography.body, color: 'var(--icon-main)'}}>
                     4+ Different Hand-Traps: {results.multiHandTrap.fourPlus.toFixed(2)}%
                   </p>
+                  <ConfidenceInterval interval={results.multiHandTrap.intervals?.fourPlus} />
                   <Tooltip text="Chance of opening 4 or more different hand-trap cards in your starting hand. This shows maximum defensive versatility with numerous disruption options." />
                 </div>
               </div>
@@ -573,6 +650,8 @@ const ResultsDisplay = ({
                 <div className="flex items-center">
                   <p className="font-semibold flex-1" style={typography.body}>
                     {generateResultText(result)}
+                    <ConfidenceInterval interval={result.interval} />
+                    <MulliganNote beforeMulligan={result.beforeMulligan} mulligan={results.mulligan} />
                   </p>
                   {/* AC#1: Formula button with Phosphor sigma icon */}
                   <FormulaButton 
@@ -580,6 +659,8 @@ const ResultsDisplay = ({
                     expanded={expandedFormulas.has(result.id)}
                   />
                 </div>
+                {/* What one copy more or fewer of each card is worth */}
+                <CopySensitivityTable sensitivity={result.sensitivity} typography={typography} />
               </div>
               {/* AC#3: Formula display with expand/collapse */}
               <FormulaDisplay 
@@ -588,6 +669,12 @@ const ResultsDisplay = ({
               />
             </div>
           ))}
+
+          {/* Combos live x hand-traps across every simulated hand */}
+          <HandOutcomeBreakdown handOutcomes={results.handOutcomes} typography={typography} />
+
+          {/* Going first vs going second, turn by turn */}
+          <TurnCurveDisplay turnCurve={results.turnCurve} typography={typography} />
         </div>
       )}
 
@@ -619,6 +706,14 @@ const ResultsDisplay = ({
                   cursor: 'text'
                 }}
               />
+              <Button
+                onClick={handleShortenLink}
+                variant="secondary"
+                size="medium"
+                disabled={!shareableUrl || ShortLinkService.isShortLink(shareableUrl)}
+              >
+                Shorten
+              </Button>
               <Button
                 onClick={handleCopyLink}
                 variant="primary"
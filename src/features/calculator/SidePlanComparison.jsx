@@ -0,0 +1,97 @@
+import React from 'react';
+
+const cellStyle = {
+  padding: '6px 12px',
+  textAlign: 'left',
+  borderBottom: '1px solid var(--border-main)'
+};
+
+/**
+ * Game 1 vs post-side odds
+ * One column per side plan, each with its change against game 1
+ */
+const SidePlanComparison = ({ results, combos, typography }) => {
+  if (!results?.sidePlans || results.sidePlans.length === 0) return null;
+
+  const { sidePlans } = results;
+
+  const rows = results.individual.map((result, index) => ({
+    label: combos[index]?.name || `Combo ${index + 1}`,
+    gameOne: result.probability,
+    plans: sidePlans.map(plan => plan.individual[index]?.probability ?? null)
+  }));
+  if (results.combined !== null && results.combined !== undefined) {
+    rows.push({
+      label: 'Any combo',
+      gameOne: results.combined,
+      plans: sidePlans.map(plan => plan.combined?.probability ?? null)
+    });
+  }
+  if (results.handTrap) {
+    rows.push({
+      label: 'Hand-trap',
+      gameOne: results.handTrap.probability,
+      plans: sidePlans.map(plan => plan.handTrap?.probability ?? 0)
+    });
+  }
+
+  const formatDelta = (probability, gameOne) => {
+    const delta = probability - gameOne;
+    return `${delta >= 0 ? '+' : ''}${delta.toFixed(2)}%`;
+  };
+
+  return (
+    <div className="p-4 rounded-md" style={{ backgroundColor: 'var(--bg-secondary)', border: '1px solid var(--border-main)', marginBottom: '8px' }}>
+      <h3 className="mb-2" style={{ ...typography.h3, color: 'var(--text-main)' }}>Side plans vs game 1</h3>
+      <p className="mb-4" style={{ ...typography.body, color: 'var(--text-secondary)' }}>
+        Your odds after each side plan, with the change from your game 1 deck in brackets.
+      </p>
+
+      <div style={{ overflowX: 'auto' }}>
+        <table className="w-full" style={{ ...typography.body, borderCollapse: 'collapse' }}>
+          <thead>
+            <tr style={{ color: 'var(--text-secondary)' }}>
+              <th style={cellStyle}></th>
+              <th style={cellStyle}>Game 1</th>
+              {sidePlans.map(plan => (
+                <th key={plan.id} style={cellStyle}>
+                  {plan.name || 'Side plan'}
+                  <span style={{ fontWeight: 'normal' }}> ({plan.deckSize} cards)</span>
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(row => (
+              <tr key={row.label}>
+                <td style={cellStyle}>{row.label}</td>
+                <td style={cellStyle}>{row.gameOne.toFixed(2)}%</td>
+                {row.plans.map((probability, index) => (
+                  <td key={sidePlans[index].id} style={cellStyle}>
+                    {probability === null ? '-' : (
+                      <>
+                        {probability.toFixed(2)}%
+                        <span style={{ color: probability >= row.gameOne ? 'var(--text-highlight)' : 'var(--text-secondary)' }}>
+                          {' '}({formatDelta(probability, row.gameOne)})
+                        </span>
+                      </>
+                    )}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {sidePlans.filter(plan => plan.ignoredChanges?.length > 0).map(plan => (
+        <p key={plan.id} className="mt-2" style={{ ...typography.small, color: 'var(--text-error)' }}>
+          {plan.name || 'Side plan'}: couldn't side out{' '}
+          {plan.ignoredChanges.map(change => `${Math.abs(change.count)}x ${change.card} (${change.reason})`).join(', ')}
+        </p>
+      ))}
+    </div>
+  );
+};
+
+export default SidePlanComparison;
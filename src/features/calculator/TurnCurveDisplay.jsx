@@ -0,0 +1,66 @@
+import React from 'react';
+import LineChart from '../../components/LineChart';
+
+const cellStyle = {
+  padding: '6px 12px',
+  textAlign: 'left',
+  borderBottom: '1px solid var(--border-main)'
+};
+
+/**
+ * Turn-by-turn combo odds going first vs going second
+ * Shows the chance of having seen any combo by each of your turns
+ */
+const TurnCurveDisplay = ({ turnCurve, typography }) => {
+  if (!turnCurve) return null;
+
+  const { goingFirst, goingSecond } = turnCurve;
+
+  return (
+    <div className="p-4 rounded-md" style={{ backgroundColor: 'var(--bg-secondary)', border: '1px solid var(--border-main)', marginBottom: '8px' }}>
+      <h3 className="mb-2" style={{ ...typography.h3, color: 'var(--text-main)' }}>Turn-by-turn draw odds</h3>
+      <p className="mb-4" style={{ ...typography.body, color: 'var(--text-secondary)' }}>
+        Chance of having seen any of your combos by each of your turns, counting the opening hand and every normal draw.
+      </p>
+
+      <table className="w-full mb-4" style={{ ...typography.body, borderCollapse: 'collapse' }}>
+        <thead>
+          <tr style={{ color: 'var(--text-secondary)' }}>
+            <th style={cellStyle}>Your turn</th>
+            <th style={cellStyle}>Going first</th>
+            <th style={cellStyle}>Going second</th>
+          </tr>
+        </thead>
+        <tbody>
+          {goingFirst.map((first, index) => {
+            const second = goingSecond[index];
+            return (
+              <tr key={first.turn}>
+                <td style={cellStyle}>Turn {first.turn}</td>
+                <td style={cellStyle}>
+                  {first.combined.toFixed(2)}%
+                  <span style={{ color: 'var(--text-secondary)' }}> ({first.cardsSeen} cards)</span>
+                </td>
+                <td style={cellStyle}>
+                  {second.combined.toFixed(2)}%
+                  <span style={{ color: 'var(--text-secondary)' }}> ({second.cardsSeen} cards)</span>
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+
+      <LineChart
+        ariaLabel="Combo odds by turn, going first vs going second"
+        xLabels={goingFirst.map(point => `Turn ${point.turn}`)}
+        series={[
+          { label: 'Going first', color: 'var(--text-main)', values: goingFirst.map(point => point.combined) },
+          { label: 'Going second', color: 'var(--text-highlight)', values: goingSecond.map(point => point.combined) }
+        ]}
+      />
+    </div>
+  );
+};
+
+export default TurnCurveDisplay;
@@ -2,6 +2,9 @@ import React, { useState } from 'react';
 import Icon from '../../components/Icon';
 import { Button, Tooltip } from '../../components/ui';
 
+// Deepest bracket nesting a single card can open or close
+const MAX_BRACKETS = 3;
+
 const ComboCard = ({
   card,
   cardIndex,
@@ -14,16 +17,49 @@ const ComboCard = ({
   SearchableCardInput,
   cardDatabase,
   ydkCards,
-  ydkCardCounts
+  ydkCardCounts,
+  categories = []
 }) => {
   // State to track which field is currently focused
   const [focusedField, setFocusedField] = useState(null);
+  const category = categories.find(other => other.id === card.categoryId);
+
+  const mustNotDraw = card.maxCopiesInHand === 0;
+
+  // A must-not-draw card fails the combo when any copy is opened
+  const setMustNotDraw = (value) => {
+    if (value === mustNotDraw) return;
+    if (value) {
+      updateCombo(comboId, cardIndex, 'minCopiesInHand', 0);
+      updateCombo(comboId, cardIndex, 'maxCopiesInHand', 0);
+    } else {
+      updateCombo(comboId, cardIndex, 'maxCopiesInHand', card.startersInDeck);
+      updateCombo(comboId, cardIndex, 'minCopiesInHand', Math.min(1, card.startersInDeck));
+    }
+  };
+
+  const selectCategory = (value) => {
+    const selected = categories.find(other => String(other.id) === value);
+    if (!selected) {
+      updateCombo(comboId, cardIndex, 'starterCard', { starterCard: '', cardId: null, isCustom: false, categoryId: null });
+      return;
+    }
+
+    const copies = selected.cards.reduce((sum, member) => sum + member.copies, 0);
+    updateCombo(comboId, cardIndex, 'starterCard', {
+      starterCard: selected.name,
+      cardId: null,
+      isCustom: true,
+      categoryId: selected.id,
+      startersInDeck: copies
+    });
+  };
   return (
     <div className={`${cardIndex > 0 ? 'border-t mt-4 pt-4' : ''}`} style={{ borderColor: 'var(--border-secondary)' }}>
       <div className="mb-3" style={{ width: '100%', maxWidth: '520px' }}>
         <label className="flex items-center font-medium" style={{...typography.body, marginBottom: 'var(--spacing-xs)', color: 'var(--text-main)'}}>
           Card name:
-          <Tooltip text={cardIndex === 0 ? "Search for any Yu-Gi-Oh card or create a custom placeholder (e.g. 'Any Dragon monster' or 'Any Unchained Card')" : "All cards in this combo must be drawn (AND logic)"} />
+          <Tooltip text={cardIndex === 0 ? "Search for any Yu-Gi-Oh card or create a custom placeholder (e.g. 'Any Dragon monster' or 'Any Unchained Card')" : "Joined to the cards above with the logic and brackets below"} />
         </label>
         <SearchableCardInput
           value={card.starterCard}
@@ -45,9 +81,102 @@ const ComboCard = ({
         {errors[`combo-${comboId}-card-${cardIndex}-starterCard`] && (
           <p className="text-red-500 mt-1" style={typography.body}>{errors[`combo-${comboId}-card-${cardIndex}-starterCard`]}</p>
         )}
+        {categories.length > 0 && (
+          <div className="flex items-center mt-2" style={{ gap: '8px' }}>
+            <label className="flex items-center" style={{...typography.body, color: 'var(--text-main)'}}>
+              Or any card from:
+              <Tooltip text="Require any card of a category instead of one card. Cards also used elsewhere in this combo only count once" />
+            </label>
+            <select
+              value={card.categoryId ?? ''}
+              onChange={(e) => selectCategory(e.target.value)}
+              className="enhanced-input"
+              aria-label="Card category"
+            >
+              <option value="">No category</option>
+              {categories.map(other => (
+                <option key={other.id} value={other.id}>{other.name}</option>
+              ))}
+            </select>
+          </div>
+        )}
       </div>
 
 
+      <div className="mb-3 flex flex-wrap items-end gap-4">
+        {cardIndex > 0 && (
+          <div>
+            <label className="flex items-center font-medium" style={{...typography.body, marginBottom: 'var(--spacing-xs)', color: 'var(--text-main)'}}>
+              Logic:
+              <Tooltip text="AND = need this card as well, OR = this card can replace the cards before it. AND is applied before OR unless you add brackets" />
+            </label>
+            <div className="flex items-center space-x-2">
+              {['AND', 'OR'].map(operator => (
+                <Button
+                  key={operator}
+                  onClick={() => updateCombo(comboId, cardIndex, 'logicOperator', operator)}
+                  variant={(card.logicOperator || 'AND') === operator ? 'primary' : 'secondary'}
+                  size="small"
+                  style={{ minWidth: '52px' }}
+                >
+                  {operator}
+                </Button>
+              ))}
+            </div>
+          </div>
+        )}
+        <div>
+          <label className="flex items-center font-medium" style={{...typography.body, marginBottom: 'var(--spacing-xs)', color: 'var(--text-main)'}}>
+            Brackets:
+            <Tooltip text="Click ( to open a group before this card and ) to close a group after it, e.g. (Starter A OR Starter B) AND Extender. Click again to nest, up to 3" />
+          </label>
+          <div className="flex items-center space-x-2">
+            <Button
+              onClick={() => updateCombo(comboId, cardIndex, 'openParens', ((card.openParens || 0) + 1) % (MAX_BRACKETS + 1))}
+              variant={card.openParens ? 'primary' : 'secondary'}
+              size="small"
+              style={{ minWidth: '52px' }}
+              aria-label="Open bracket before this card"
+            >
+              {card.openParens ? '('.repeat(card.openParens) : '('}
+            </Button>
+            <Button
+              onClick={() => updateCombo(comboId, cardIndex, 'closeParens', ((card.closeParens || 0) + 1) % (MAX_BRACKETS + 1))}
+              variant={card.closeParens ? 'primary' : 'secondary'}
+              size="small"
+              style={{ minWidth: '52px' }}
+              aria-label="Close bracket after this card"
+            >
+              {card.closeParens ? ')'.repeat(card.closeParens) : ')'}
+            </Button>
+          </div>
+        </div>
+        <div>
+          <label className="flex items-center font-medium" style={{...typography.body, marginBottom: 'var(--spacing-xs)', color: 'var(--text-main)'}}>
+            Draw:
+            <Tooltip text="Must not draw = the combo fails if you open any copy, e.g. a garnet. For a hard once-per-turn card, keep Need and set Max in hand to 1" />
+          </label>
+          <div className="flex items-center space-x-2">
+            <Button
+              onClick={() => setMustNotDraw(false)}
+              variant={mustNotDraw ? 'secondary' : 'primary'}
+              size="small"
+              style={{ minWidth: '52px' }}
+            >
+              Need
+            </Button>
+            <Button
+              onClick={() => setMustNotDraw(true)}
+              variant={mustNotDraw ? 'primary' : 'secondary'}
+              size="small"
+              style={{ minWidth: '52px' }}
+            >
+              Must not draw
+            </Button>
+          </div>
+        </div>
+      </div>
+
       <div className="space-y-4">
         <div style={{ width: '200px' }}>
           <label className="flex items-center font-medium" style={{...typography.body, marginBottom: 'var(--spacing-xs)', color: 'var(--text-main)'}}>
@@ -57,7 +186,8 @@ const ComboCard = ({
           <div className="flex items-center space-x-3">
             <input
               type="number"
-              value={card.startersInDeck}
+              value={category ? category.cards.reduce((sum, member) => sum + member.copies, 0) : card.startersInDeck}
+              disabled={Boolean(category)}
               onChange={(e) => updateCombo(comboId, cardIndex, 'startersInDeck', parseInt(e.target.value) || 0)}
               onFocus={() => setFocusedField('startersInDeck')}
               onBlur={() => setFocusedField(null)}
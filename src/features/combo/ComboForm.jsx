@@ -24,7 +24,8 @@ const ComboForm = ({
   SearchableCardInput,
   cardDatabase,
   ydkCards,
-  ydkCardCounts
+  ydkCardCounts,
+  categories
 }) => {
   return (
     <div key={combo.id} className="border-t pt-4 pb-4" style={{ borderColor: 'var(--border-secondary)' }}>
@@ -87,6 +88,7 @@ const ComboForm = ({
             cardDatabase={cardDatabase}
             ydkCards={ydkCards}
             ydkCardCounts={ydkCardCounts}
+            categories={categories}
           />
         ))}
 
@@ -101,10 +103,13 @@ const ComboForm = ({
             <span className="button-text">Add card</span>
           </Button>
           <Tooltip text={canAddCard(combo)
-            ? "Add another card - all cards must be drawn (AND logic)"
+            ? "Add another card - choose AND or OR and use brackets to group cards"
             : "Your combo would exceed the defined Hand size"
           } />
         </div>
+        {errors[`combo-${combo.id}-groups`] && (
+          <p className="text-red-500 mt-2" style={typography.body}>{errors[`combo-${combo.id}-groups`]}</p>
+        )}
       </div>
     </div>
   );
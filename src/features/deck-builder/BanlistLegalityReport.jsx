@@ -0,0 +1,64 @@
+import React from 'react';
+import { BANLIST_STATUS_LABELS } from '../../utils/banlist';
+
+/**
+ * Banlist Legality Report Component
+ * Lists forbidden and over-limit cards on the selected list, and cards whose status has changed since
+ */
+const BanlistLegalityReport = ({ report, banlist, banlistFormat, typography }) => {
+  const { isLegal, forbidden, overLimit, changed, points } = report;
+  const listName = banlist ? `${banlistFormat} ${banlist.date}` : banlistFormat;
+  const hintStyle = {...typography.body, color: 'var(--text-secondary)'};
+
+  const renderSection = (title, entries, describe) => entries.length > 0 && (
+    <div className="mt-3">
+      <div style={{...typography.body, color: 'var(--text-main)', fontWeight: 'bold'}}>
+        {title}
+      </div>
+      <ul style={{ margin: '4px 0 0', paddingLeft: '20px', listStyleType: 'disc' }}>
+        {entries.map(entry => (
+          <li key={entry.name} style={{...typography.body, color: 'var(--text-main)', display: 'list-item'}}>
+            {entry.name} <span style={{ color: 'var(--text-secondary)' }}>{describe(entry)}</span>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+
+  return (
+    <div className="mt-4 p-4 rounded-lg" style={{backgroundColor: 'var(--bg-secondary)'}}>
+      <h3 className="mb-2" style={{...typography.h3, color: 'var(--text-main)'}}>
+        Legality on {listName}
+      </h3>
+
+      <p style={{...typography.body, color: isLegal ? 'var(--text-highlight)' : 'var(--text-error)'}}>
+        {isLegal ? 'Legal on this list' : 'Not legal on this list'}
+      </p>
+
+      {points && (
+        <p className="mt-2" style={{...typography.body, color: points.total > points.limit ? 'var(--text-error)' : 'var(--text-main)'}}>
+          Points: {points.total}/{points.limit}
+          {points.total > points.limit && ` (${points.total - points.limit} over budget)`}
+        </p>
+      )}
+
+      {renderSection('Forbidden', forbidden, entry => `(x${entry.copies})`)}
+
+      {renderSection('Over the limit', overLimit, entry => (
+        `(x${entry.copies}, ${BANLIST_STATUS_LABELS[entry.status]} - ${entry.maxAllowed} allowed)`
+      ))}
+
+      {renderSection('Changed since this list', changed, entry => (
+        `(${BANLIST_STATUS_LABELS[entry.status]} on ${banlist.date}, ${BANLIST_STATUS_LABELS[entry.currentStatus]} now)`
+      ))}
+
+      {changed.length === 0 && banlist && (
+        <p className="mt-2" style={hintStyle}>
+          No cards in this deck changed status between this list and the current one.
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default BanlistLegalityReport;
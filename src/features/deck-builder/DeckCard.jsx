@@ -2,8 +2,9 @@ import React, { useState } from 'react';
 import CardDatabaseService from '../../services/CardDatabaseService';
 import { Button } from '../../components/ui';
 import { XCircle } from '@phosphor-icons/react';
+import { BANLIST_STATUS_LABELS } from '../../utils/banlist';
 
-const DeckCard = ({ card, onDragStart, onTouchStart, onTouchMove, onTouchEnd, onRemove, onCardClick, combos, ydkCardCounts, typography }) => {
+const DeckCard = ({ card, onDragStart, onTouchStart, onTouchMove, onTouchEnd, onRemove, onCardClick, combos, ydkCardCounts, banlistStatus, banlistChange, typography }) => {
   const [imageError, setImageError] = useState(false);
   const imageProps = CardDatabaseService.getImageProps(card.name, card.cardId, 'small');
 
@@ -44,6 +45,7 @@ const DeckCard = ({ card, onDragStart, onTouchStart, onTouchMove, onTouchEnd, on
 
   return (
     <div
+      id={`deck-card-${card.id}`}
       draggable
       onDragStart={(e) => onDragStart(e, card)}
       onTouchStart={(e) => onTouchStart(e, card)}
@@ -89,16 +91,30 @@ const DeckCard = ({ card, onDragStart, onTouchStart, onTouchMove, onTouchEnd, on
       )}
 
       {/* Banlist Status Indicator */}
-      {card.banlistStatus && card.banlistStatus !== 'unlimited' && (
+      {banlistStatus && banlistStatus !== 'unlimited' && (
         <div
           className="absolute top-1 left-1 w-4 h-4 rounded-full flex items-center justify-center text-xs font-bold"
           style={{
-            backgroundColor: getBanlistColor(card.banlistStatus),
+            backgroundColor: getBanlistColor(banlistStatus),
             color: 'white'
           }}
-          title={`${card.banlistStatus} card`}
+          title={`${banlistStatus} card`}
         >
-          {getBanlistIcon(card.banlistStatus)}
+          {getBanlistIcon(banlistStatus)}
+        </div>
+      )}
+
+      {/* Status differs between the selected list and the current one */}
+      {banlistChange && (
+        <div
+          className="absolute top-1 right-1 w-4 h-4 rounded-full flex items-center justify-center text-xs font-bold"
+          style={{
+            backgroundColor: '#8855ff',
+            color: 'white'
+          }}
+          title={`${BANLIST_STATUS_LABELS[banlistChange.status]} on this list, ${BANLIST_STATUS_LABELS[banlistChange.currentStatus]} now`}
+        >
+          Δ
         </div>
       )}
 
@@ -1,19 +1,26 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import { Button } from '../../components/ui';
 import Icon from '../../components/Icon';
 import DeckZone from './DeckZone';
 import DeckStatistics from './DeckStatistics';
-
-const DeckImageSection = ({ typography, cardDatabase, ydkCards, ydkCardCounts, showToast, initialDeckZones, deckZones, setDeckZones, combos, setCombos }) => {
+import SidePlanEditor from './SidePlanEditor';
+import BanlistLegalityReport from './BanlistLegalityReport';
+import DeckValidationService from '../../services/DeckValidationService';
+import YdkParser from '../../services/YdkParser';
+import YdkWriter from '../../services/YdkWriter';
+import { getCardBanlistStatus, getMaxCopiesAllowed, getBanlistChange, checkDeckLegality, getDeckPoints } from '../../utils/banlist';
+
+const DeckImageSection = ({ typography, cardDatabase, staticCardDatabase, uploadedYdkFile, ydkCards, ydkCardCounts, showToast, initialDeckZones, deckZones, setDeckZones, sidePlans, setSidePlans, banlistFormat, setBanlistFormat, banlistFormats = [], banlistDate, setBanlistDate, banlistDates = [], banlist, currentBanlist, combos, setCombos }) => {
   const [draggedCard, setDraggedCard] = useState(null);
   const [dragOverZone, setDragOverZone] = useState(null);
-  const [selectedFormat, setSelectedFormat] = useState('TCG');
   const [autoSort, setAutoSort] = useState(true);
   const [deckStatistics, setDeckStatistics] = useState({
     totalCards: 0,
     cardTypes: { monsters: 0, spells: 0, traps: 0 },
     monsterLevels: {},
     attributes: {},
+    points: null,
+    validation: { isValid: false, issues: [] },
     deckStatus: 'invalid'
   });
 
@@ -37,6 +44,16 @@ const DeckImageSection = ({ typography, cardDatabase, ydkCards, ydkCardCounts, s
     }
   }, [initialDeckZones]);
 
+  // Passcodes in the uploaded YDK file that didn't match a card, for the validation report
+  const unmatchedIds = useMemo(() => {
+    if (!uploadedYdkFile?.content || !staticCardDatabase) return [];
+    try {
+      return YdkParser.parseYdkFile(uploadedYdkFile.content, staticCardDatabase).unmatchedIds;
+    } catch (error) {
+      return [];
+    }
+  }, [uploadedYdkFile, staticCardDatabase]);
+
   // Update statistics when deck zones change (Main deck only)
   useEffect(() => {
     const mainDeckCards = deckZones.main;
@@ -73,73 +90,56 @@ const DeckImageSection = ({ typography, cardDatabase, ydkCards, ydkCardCounts, s
       return acc;
     }, {});
 
-    const isMainDeckValid = deckZones.main.length >= 40 && deckZones.main.length <= 60;
-    const isExtraDeckValid = deckZones.extra.length <= 15;
-    const isSideDeckValid = deckZones.side.length <= 15;
-    const deckStatus = isMainDeckValid && isExtraDeckValid && isSideDeckValid ? 'legal' : 'invalid';
+    // Zone sizes, copy and banlist limits, point budget and card placement
+    const points = getDeckPoints(deckZones, banlist);
+    const validation = DeckValidationService.validateDeck({
+      deckZones,
+      banlist,
+      cardDatabase: staticCardDatabase || {},
+      unmatchedIds
+    });
+    const deckStatus = validation.isValid ? 'legal' : 'invalid';
 
     setDeckStatistics({
       totalCards,
       cardTypes,
       monsterLevels,
       attributes,
+      points,
+      validation,
       deckStatus
     });
-  }, [deckZones]);
-
-
-  // Banlist enforcement data
-  const banlistData = {
-    TCG: {
-      forbidden: ['Pot of Greed', 'Graceful Charity', 'Delinquent Duo', 'The Forceful Sentry', 'Confiscation', 'Last Will', 'Painful Choice'],
-      limited: ['Raigeki', 'Dark Hole', 'Monster Reborn', 'Change of Heart', 'Imperial Order', 'Mystical Space Typhoon'],
-      semiLimited: ['Mystical Space Typhoon', 'Mirror Force']
-    },
-    OCG: {
-      forbidden: ['Pot of Greed', 'Graceful Charity', 'Delinquent Duo'],
-      limited: ['Raigeki', 'Dark Hole', 'Monster Reborn'],
-      semiLimited: ['Mirror Force']
-    },
-    'Master Duel': {
-      forbidden: ['Pot of Greed', 'Graceful Charity'],
-      limited: ['Raigeki', 'Dark Hole'],
-      semiLimited: ['Mirror Force']
-    },
-    'No Banlist': {
-      forbidden: [],
-      limited: [],
-      semiLimited: []
-    }
-  };
+  }, [deckZones, banlist, staticCardDatabase, unmatchedIds]);
 
-  const getCardBanlistStatus = (cardName) => {
-    const format = banlistData[selectedFormat];
-    if (format.forbidden.includes(cardName)) return 'forbidden';
-    if (format.limited.includes(cardName)) return 'limited';
-    if (format.semiLimited.includes(cardName)) return 'semi-limited';
-    return 'unlimited';
-  };
 
-  const getMaxCopiesAllowed = (cardName) => {
-    const status = getCardBanlistStatus(cardName);
-    switch (status) {
-      case 'forbidden': return 0;
-      case 'limited': return 1;
-      case 'semi-limited': return 2;
-      default: return 3;
-    }
-  };
+  // Banlist limits count copies across Main, Extra and Side Deck together
+  const getBanlistStatus = (cardName) => getCardBanlistStatus(cardName, banlist);
 
-  const handleCardSelect = (card) => {
-    // Check banlist restrictions
-    const banlistStatus = getCardBanlistStatus(card.name);
-    const maxAllowed = getMaxCopiesAllowed(card.name);
+  // Cards whose status on an older list differs from the current one
+  const getCardBanlistChange = (cardName) => getBanlistChange(cardName, banlist, currentBanlist);
 
+  const checkCopyLimit = (cardName) => {
+    const banlistStatus = getBanlistStatus(cardName);
     if (banlistStatus === 'forbidden') {
-      showToast(`${card.name} is forbidden in ${selectedFormat}`);
-      return;
+      showToast(`${cardName} is forbidden in ${banlistFormat}`);
+      return false;
     }
 
+    const existingCount = ['main', 'extra', 'side']
+      .reduce((count, zone) => count + deckZones[zone].filter(c => c.name === cardName).length, 0);
+    if (existingCount >= getMaxCopiesAllowed(cardName, banlist)) {
+      const statusText = banlistStatus === 'limited' ? 'Limited - Only 1 copy allowed' :
+                        banlistStatus === 'semi-limited' ? 'Semi-Limited - Only 2 copies allowed' :
+                        'Maximum 3 copies allowed';
+      showToast(statusText);
+      return false;
+    }
+    return true;
+  };
+
+  const handleCardSelect = (card) => {
+    if (!checkCopyLimit(card.name)) return;
+
     // Add card to main deck by default
     const newCard = {
       id: `${Date.now()}_${Math.random()}`,
@@ -151,20 +151,9 @@ const DeckImageSection = ({ typography, cardDatabase, ydkCards, ydkCardCounts, s
       atk: card.atk,
       def: card.def,
       desc: card.desc,
-      zone: 'main',
-      banlistStatus
+      zone: 'main'
     };
 
-    // Check card limits based on banlist
-    const existingCount = deckZones.main.filter(c => c.name === card.name).length;
-    if (existingCount >= maxAllowed) {
-      const statusText = banlistStatus === 'limited' ? 'Limited - Only 1 copy allowed' :
-                        banlistStatus === 'semi-limited' ? 'Semi-Limited - Only 2 copies allowed' :
-                        'Maximum 3 copies allowed';
-      showToast(statusText);
-      return;
-    }
-
     // Check deck size limits
     if (deckZones.main.length >= 60) {
       showToast('Main Deck cannot exceed 60 cards');
@@ -308,6 +297,8 @@ const DeckImageSection = ({ typography, cardDatabase, ydkCards, ydkCardCounts, s
     // AC #10: Handle both new cards and moving between zones
     if (cardToHandle.isNewCard) {
       // This is a new card from search drawer
+      if (!checkCopyLimit(cardToHandle.name)) return;
+
       const newCard = {
         id: `${targetZone}_${cardToHandle.id}_${Date.now()}_${Math.random()}`,
         cardId: cardToHandle.id,
@@ -379,33 +370,24 @@ const DeckImageSection = ({ typography, cardDatabase, ydkCards, ydkCardCounts, s
   };
 
   const exportDeck = () => {
-    const mainDeckText = deckZones.main.map(card => card.name).join('\n');
-    const extraDeckText = deckZones.extra.map(card => card.name).join('\n');
-    const sideDeckText = deckZones.side.map(card => card.name).join('\n');
-
-    const deckText = [
-      '# Main Deck',
-      mainDeckText,
-      '',
-      '# Extra Deck',
-      extraDeckText,
-      '',
-      '# Side Deck',
-      sideDeckText
-    ].join('\n');
+    const { content, skippedCards } = YdkWriter.writeYdkFile(deckZones);
 
     // Create and download file
-    const blob = new Blob([deckText], { type: 'text/plain' });
+    const blob = new Blob([content], { type: 'text/plain' });
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.href = url;
-    a.download = 'deck.ydk';
+    a.download = uploadedYdkFile?.name?.toLowerCase().endsWith('.ydk') ? uploadedYdkFile.name : 'deck.ydk';
     document.body.appendChild(a);
     a.click();
     document.body.removeChild(a);
     URL.revokeObjectURL(url);
 
-    showToast('Deck exported successfully');
+    if (skippedCards.length > 0) {
+      showToast(`Deck exported without ${skippedCards.length} card(s) that have no passcode: ${[...new Set(skippedCards)].join(', ')}`);
+    } else {
+      showToast('Deck exported successfully');
+    }
   };
 
   const importDeckFromText = (text) => {
@@ -596,6 +578,48 @@ const DeckImageSection = ({ typography, cardDatabase, ydkCards, ydkCardCounts, s
     <div>
       {/* Visual deck builder mode */}
       <div>
+          {/* Banlist format and YDK export */}
+          <div className="flex items-center gap-2 mb-4">
+            {setBanlistFormat && (
+              <>
+                <label htmlFor="banlist-format" style={{...typography.body, color: 'var(--text-main)'}}>
+                  Banlist
+                </label>
+                <select
+                  id="banlist-format"
+                  value={banlistFormat}
+                  onChange={(e) => setBanlistFormat(e.target.value)}
+                  className="enhanced-input"
+                >
+                  {(banlistFormats.length > 0 ? banlistFormats : [banlistFormat]).map(format => (
+                    <option key={format} value={format}>{format}</option>
+                  ))}
+                </select>
+                {setBanlistDate && banlistDates.length > 0 && (
+                  <select
+                    value={banlistDate || banlistDates[0]}
+                    onChange={(e) => setBanlistDate(e.target.value === banlistDates[0] ? null : e.target.value)}
+                    className="enhanced-input"
+                    aria-label="Banlist effective date"
+                  >
+                    {banlistDates.map((date, index) => (
+                      <option key={date} value={date}>{index === 0 ? `${date} (current)` : date}</option>
+                    ))}
+                  </select>
+                )}
+              </>
+            )}
+            <Button
+              onClick={exportDeck}
+              variant="secondary"
+              size="small"
+              disabled={deckZones.main.length + deckZones.extra.length + deckZones.side.length === 0}
+              style={{ marginLeft: 'auto' }}
+            >
+              Export YDK
+            </Button>
+          </div>
+
           {/* Deck Zones - Vertical Layout */}
           <div className="space-y-4">
             {/* Main Deck */}
@@ -621,6 +645,8 @@ const DeckImageSection = ({ typography, cardDatabase, ydkCards, ydkCardCounts, s
                 onCardClick={handleCardClick}
                 combos={combos}
                 ydkCardCounts={ydkCardCounts}
+                getBanlistStatus={getBanlistStatus}
+                getBanlistChange={getCardBanlistChange}
               />
             </div>
 
@@ -647,6 +673,8 @@ const DeckImageSection = ({ typography, cardDatabase, ydkCards, ydkCardCounts, s
                 onCardClick={handleCardClick}
                 combos={combos}
                 ydkCardCounts={ydkCardCounts}
+                getBanlistStatus={getBanlistStatus}
+                getBanlistChange={getCardBanlistChange}
               />
             </div>
 
@@ -673,12 +701,34 @@ const DeckImageSection = ({ typography, cardDatabase, ydkCards, ydkCardCounts, s
                 onCardClick={handleCardClick}
                 combos={combos}
                 ydkCardCounts={ydkCardCounts}
+                getBanlistStatus={getBanlistStatus}
+                getBanlistChange={getCardBanlistChange}
               />
             </div>
           </div>
 
           {/* Statistics Panel */}
           <DeckStatistics statistics={deckStatistics} typography={typography} />
+
+          {/* Legality on the selected banlist */}
+          {setBanlistFormat && (
+            <BanlistLegalityReport
+              report={checkDeckLegality(deckZones, banlist, currentBanlist)}
+              banlist={banlist}
+              banlistFormat={banlistFormat}
+              typography={typography}
+            />
+          )}
+
+          {/* Games 2-3 side plans */}
+          {setSidePlans && (
+            <SidePlanEditor
+              sidePlans={sidePlans}
+              setSidePlans={setSidePlans}
+              deckZones={deckZones}
+              typography={typography}
+            />
+          )}
         </div>
 
       {/* Card Search functionality moved to YdkImporter */}
@@ -0,0 +1,296 @@
+import React, { useState, useEffect } from 'react';
+import URLService from '../../services/URLService';
+import DeckLibraryService from '../../services/DeckLibraryService';
+import Icon from '../../components/Icon';
+import { Button, Tooltip } from '../../components/ui';
+
+const cellStyle = {
+  padding: '6px 12px',
+  textAlign: 'left',
+  borderBottom: '1px solid var(--border-main)'
+};
+
+const ZONE_LABELS = { main: 'Main deck', extra: 'Extra deck', side: 'Side deck' };
+
+const formatDate = (timestamp) => new Date(timestamp).toLocaleString(undefined, {
+  dateStyle: 'medium',
+  timeStyle: 'short'
+});
+
+/**
+ * Deck library
+ * Saves the current deck, combos and settings under a name in this browser, keeps every
+ * saved version, and loads, duplicates, renames, deletes or compares them
+ */
+const DeckLibrary = ({ getCurrentCalculation, onLoad, showToast, typography }) => {
+  const [decks, setDecks] = useState([]);
+  const [newName, setNewName] = useState('');
+  const [openDeckId, setOpenDeckId] = useState(null);
+  const [renaming, setRenaming] = useState(null);
+  const [diff, setDiff] = useState(null);
+  const isAvailable = DeckLibraryService.isAvailable();
+
+  const refresh = async () => {
+    try {
+      setDecks(await DeckLibraryService.listDecks());
+    } catch (error) {
+      console.error('Failed to load deck library:', error);
+    }
+  };
+
+  useEffect(() => {
+    if (isAvailable) refresh();
+  }, []);
+
+  // Runs a library change, then reloads the list
+  const update = async (change, message) => {
+    try {
+      const deck = await change();
+      await refresh();
+      if (message) showToast(message);
+      return deck;
+    } catch (error) {
+      console.error('Deck library error:', error);
+      showToast('Could not update your deck library');
+      return null;
+    }
+  };
+
+  const saveNewDeck = async () => {
+    const deck = await update(() => DeckLibraryService.saveDeck(newName, getCurrentCalculation()), 'Deck saved');
+    if (deck) {
+      setNewName('');
+      setOpenDeckId(deck.id);
+    }
+  };
+
+  const saveVersion = (deck) => update(
+    () => DeckLibraryService.saveVersion(deck.id, getCurrentCalculation()),
+    `Saved a new version of ${deck.name}`
+  );
+
+  const renameDeck = async () => {
+    await update(() => DeckLibraryService.renameDeck(renaming.id, renaming.name));
+    setRenaming(null);
+  };
+
+  const deleteDeck = (deck) => {
+    if (!window.confirm(`Delete ${deck.name} and all of its versions?`)) return;
+    if (diff?.deckId === deck.id) setDiff(null);
+    update(() => DeckLibraryService.deleteDeck(deck.id), 'Deck deleted');
+  };
+
+  const deleteVersion = (deck, version) => {
+    if (diff?.deckId === deck.id) setDiff(null);
+    update(() => DeckLibraryService.deleteVersion(deck.id, version.number));
+  };
+
+  const loadVersion = (deck, version) => {
+    const config = URLService.decodeCalculation(version.calculation);
+    if (!config) {
+      showToast('This version could not be read');
+      return;
+    }
+    onLoad(config, deck.name);
+  };
+
+  // Compares a version with the one saved before it
+  const showDiff = (deck, index) => {
+    const before = URLService.decodeCalculation(deck.versions[index - 1].calculation);
+    const after = URLService.decodeCalculation(deck.versions[index].calculation);
+    if (!before || !after) {
+      showToast('These versions could not be read');
+      return;
+    }
+    setDiff({
+      deckId: deck.id,
+      title: `${deck.name}: v${deck.versions[index - 1].number} → v${deck.versions[index].number}`,
+      ...DeckLibraryService.diffVersions(before, after)
+    });
+  };
+
+  const summarize = (version) => {
+    const config = URLService.decodeCalculation(version.calculation);
+    if (!config) return 'Unreadable';
+    const combos = `${config.combos.length} combo${config.combos.length === 1 ? '' : 's'}`;
+    return `${config.deckSize} cards, ${config.handSize} card hand, ${combos}`;
+  };
+
+  const hintStyle = { ...typography.body, color: 'var(--text-secondary)' };
+
+  const renderDiff = () => {
+    const cardChanges = Object.keys(ZONE_LABELS).flatMap(zone => diff.zones[zone].map(card => ({ ...card, zone })));
+    const comboChanges = [
+      ...diff.combos.added.map(name => `Added ${name}`),
+      ...diff.combos.removed.map(name => `Removed ${name}`),
+      ...diff.combos.renamed.map(rename => `Renamed ${rename.before} to ${rename.after}`),
+      ...diff.combos.changed.map(name => `Changed ${name}`)
+    ];
+    const hasChanges = diff.settings.length > 0 || cardChanges.length > 0 || comboChanges.length > 0;
+
+    return (
+      <div className="mt-4">
+        <div className="flex items-center mb-2" style={{ gap: '8px' }}>
+          <h3 style={{ ...typography.h3, color: 'var(--text-main)', flex: 1 }}>{diff.title}</h3>
+          <Button variant="secondary" size="small" onClick={() => setDiff(null)}>
+            Close
+          </Button>
+        </div>
+
+        {!hasChanges && <p style={hintStyle}>No changes between these versions.</p>}
+
+        {(diff.settings.length > 0 || cardChanges.length > 0) && (
+          <div style={{ overflowX: 'auto' }}>
+            <table className="w-full" style={{ ...typography.body, borderCollapse: 'collapse' }}>
+              <thead>
+                <tr style={{ color: 'var(--text-secondary)' }}>
+                  <th style={cellStyle}></th>
+                  <th style={cellStyle}>Before</th>
+                  <th style={cellStyle}>After</th>
+                </tr>
+              </thead>
+              <tbody>
+                {diff.settings.map(setting => (
+                  <tr key={setting.key}>
+                    <td style={cellStyle}>{setting.label}</td>
+                    <td style={cellStyle}>{setting.before}</td>
+                    <td style={cellStyle}>{setting.after}</td>
+                  </tr>
+                ))}
+                {cardChanges.map(card => (
+                  <tr key={`${card.zone}:${card.name}`}>
+                    <td style={cellStyle}>
+                      {card.name}
+                      <span style={{ color: 'var(--text-secondary)' }}> ({ZONE_LABELS[card.zone]})</span>
+                    </td>
+                    <td style={cellStyle}>{card.before}</td>
+                    <td style={{ ...cellStyle, color: card.after > card.before ? 'var(--text-highlight)' : 'var(--text-error)' }}>
+                      {card.after}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {comboChanges.length > 0 && (
+          <ul className="list-disc pl-5 mt-2" style={hintStyle}>
+            {comboChanges.map(change => <li key={change}>{change}</li>)}
+          </ul>
+        )}
+      </div>
+    );
+  };
+
+  return (
+    <section className="px-0 mb-8">
+      <div className="flex items-center mb-4" style={{ gap: '8px' }}>
+        <Icon name="floppy-disk" ariaLabel="My decks" size={16} />
+        <h2 style={{ ...typography.h2, color: 'var(--text-main)' }}>My Decks</h2>
+        <Tooltip text="Save your deck, combos and settings in this browser. Save again to keep a new version, then load any version or compare it with the one before" />
+      </div>
+
+      {!isAvailable ? (
+        <p style={hintStyle}>Your browser doesn't support saving decks.</p>
+      ) : (
+        <div className="p-4 rounded-md" style={{ backgroundColor: 'var(--bg-secondary)', border: '1px solid var(--border-main)' }}>
+          <div className="flex flex-wrap items-center mb-4" style={{ gap: '8px' }}>
+            <input
+              type="text"
+              value={newName}
+              placeholder="Deck name"
+              onChange={(e) => setNewName(e.target.value)}
+              onKeyDown={(e) => e.key === 'Enter' && newName.trim() && saveNewDeck()}
+              className="enhanced-input"
+              style={{ flex: 1, minWidth: '180px' }}
+              maxLength={50}
+              aria-label="New deck name"
+            />
+            <Button onClick={saveNewDeck} disabled={!newName.trim()}>
+              Save as new deck
+            </Button>
+          </div>
+
+          {decks.length === 0 && <p style={hintStyle}>No saved decks yet.</p>}
+
+          {decks.map(deck => (
+            <div key={deck.id} className="py-2" style={{ borderTop: '1px solid var(--border-main)' }}>
+              <div className="flex flex-wrap items-center" style={{ gap: '8px' }}>
+                {renaming?.id === deck.id ? (
+                  <input
+                    type="text"
+                    value={renaming.name}
+                    onChange={(e) => setRenaming({ ...renaming, name: e.target.value })}
+                    onKeyDown={(e) => e.key === 'Enter' && renameDeck()}
+                    className="enhanced-input"
+                    style={{ flex: 1, minWidth: '180px' }}
+                    maxLength={50}
+                    aria-label="Deck name"
+                    autoFocus
+                  />
+                ) : (
+                  <button
+                    onClick={() => setOpenDeckId(openDeckId === deck.id ? null : deck.id)}
+                    style={{ ...typography.h3, color: 'var(--text-main)', flex: 1, textAlign: 'left', background: 'none', border: 'none', cursor: 'pointer', padding: 0 }}
+                    aria-expanded={openDeckId === deck.id}
+                  >
+                    {deck.name}
+                    <span style={{ ...typography.body, color: 'var(--text-secondary)' }}>
+                      {' '}· {deck.versions.length} version{deck.versions.length === 1 ? '' : 's'} · {formatDate(deck.updatedAt)}
+                    </span>
+                  </button>
+                )}
+                {renaming?.id === deck.id ? (
+                  <>
+                    <Button variant="secondary" size="small" onClick={renameDeck}>Save name</Button>
+                    <Button variant="secondary" size="small" onClick={() => setRenaming(null)}>Cancel</Button>
+                  </>
+                ) : (
+                  <>
+                    <Button variant="secondary" size="small" onClick={() => loadVersion(deck, deck.versions[deck.versions.length - 1])}>Load</Button>
+                    <Button variant="secondary" size="small" onClick={() => saveVersion(deck)}>Save version</Button>
+                    <Button variant="secondary" size="small" onClick={() => setRenaming({ id: deck.id, name: deck.name })}>Rename</Button>
+                    <Button variant="secondary" size="small" onClick={() => update(() => DeckLibraryService.duplicateDeck(deck.id), 'Deck duplicated')}>Duplicate</Button>
+                    <Button variant="secondary" size="small" onClick={() => deleteDeck(deck)}>Delete</Button>
+                  </>
+                )}
+              </div>
+
+              {openDeckId === deck.id && (
+                <div className="mt-2" style={{ overflowX: 'auto' }}>
+                  <table className="w-full" style={{ ...typography.body, borderCollapse: 'collapse' }}>
+                    <tbody>
+                      {deck.versions.map((version, index) => (
+                        <tr key={version.number}>
+                          <td style={cellStyle}>v{version.number}</td>
+                          <td style={{ ...cellStyle, color: 'var(--text-secondary)' }}>{formatDate(version.savedAt)}</td>
+                          <td style={{ ...cellStyle, color: 'var(--text-secondary)' }}>{summarize(version)}</td>
+                          <td style={cellStyle}>
+                            <div className="flex flex-wrap" style={{ gap: '8px' }}>
+                              <Button variant="secondary" size="small" onClick={() => loadVersion(deck, version)}>Load</Button>
+                              {index > 0 && (
+                                <Button variant="secondary" size="small" onClick={() => showDiff(deck, index)}>Changes</Button>
+                              )}
+                              {deck.versions.length > 1 && (
+                                <Button variant="secondary" size="small" onClick={() => deleteVersion(deck, version)}>Remove</Button>
+                              )}
+                            </div>
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </div>
+          ))}
+
+          {diff && renderDiff()}
+        </div>
+      )}
+    </section>
+  );
+};
+
+export default DeckLibrary;
@@ -1,11 +1,56 @@
 import React from 'react';
 
+const CARD_DATABASE_API = 'https://db.ygoprodeck.com/api/v7/cardinfo.php';
+
 /**
  * Deck Statistics Component
- * Displays deck statistics: total cards and card type breakdown
+ * Displays deck statistics: total cards and card type breakdown, plus the points total on point formats,
+ * and the DeckValidationService report with a link to each offending card
  */
 const DeckStatistics = ({ statistics, typography }) => {
-  const { totalCards, cardTypes, deckStatus } = statistics;
+  const { totalCards, cardTypes, points, validation, deckStatus } = statistics;
+  const isOverBudget = points && points.total > points.limit;
+  const issues = validation?.issues || [];
+
+  // Scrolls to the card in its deck zone and briefly outlines it
+  const showCard = (cardInstanceId) => {
+    const element = document.getElementById(`deck-card-${cardInstanceId}`);
+    if (!element) return;
+    element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    element.animate?.(
+      [{ boxShadow: '0 0 0 3px var(--text-error)' }, { boxShadow: '0 0 0 3px transparent' }],
+      { duration: 1500 }
+    );
+  };
+
+  const renderIssueLink = (issue) => {
+    if (issue.cardInstanceId) {
+      return (
+        <button
+          type="button"
+          onClick={() => showCard(issue.cardInstanceId)}
+          className="underline"
+          style={{ background: 'none', border: 'none', padding: 0, cursor: 'pointer', color: 'inherit', font: 'inherit' }}
+        >
+          {issue.message}
+        </button>
+      );
+    }
+    if (issue.type === 'unmatched') {
+      return (
+        <a
+          href={`${CARD_DATABASE_API}?id=${encodeURIComponent(issue.cardId)}`}
+          target="_blank"
+          rel="noopener noreferrer"
+          className="underline"
+          style={{ color: 'inherit' }}
+        >
+          {issue.message}
+        </a>
+      );
+    }
+    return issue.message;
+  };
 
   return (
     <div className="mt-6 p-4 rounded-lg" style={{backgroundColor: 'var(--bg-secondary)'}}>
@@ -13,7 +58,7 @@ const DeckStatistics = ({ statistics, typography }) => {
         Main Deck Stats
       </h3>
 
-      <div className="grid grid-cols-2 md:grid-cols-4 gap-4 text-center">
+      <div className={`grid grid-cols-2 ${points ? 'md:grid-cols-5' : 'md:grid-cols-4'} gap-4 text-center`}>
         <div>
           <div className="text-2xl font-bold" style={{color: 'var(--text-main)'}}>
             {totalCards}
@@ -49,8 +94,40 @@ const DeckStatistics = ({ statistics, typography }) => {
             Traps
           </div>
         </div>
+
+        {points && (
+          <div>
+            <div className="text-2xl font-bold" style={{color: isOverBudget ? 'var(--text-error)' : 'var(--text-main)'}}>
+              {points.total}/{points.limit}
+            </div>
+            <div className="text-sm" style={{color: isOverBudget ? 'var(--text-error)' : 'var(--text-secondary)'}}>
+              {isOverBudget ? `Points - ${points.total - points.limit} over budget` : 'Points (Main + Extra)'}
+            </div>
+          </div>
+        )}
       </div>
 
+      {/* Validation report */}
+      {validation && (
+        <div className="mt-4">
+          <p style={{...typography.body, color: deckStatus === 'legal' ? 'var(--text-highlight)' : 'var(--text-error)'}}>
+            {deckStatus === 'legal' ? 'Deck is valid' : `Deck is not valid: ${issues.filter(issue => issue.severity === 'error').length} problem(s)`}
+          </p>
+          {issues.length > 0 && (
+            <ul style={{ margin: '4px 0 0', paddingLeft: '20px', listStyleType: 'disc' }}>
+              {issues.map((issue, index) => (
+                <li
+                  key={`${issue.type}_${index}`}
+                  style={{...typography.body, color: issue.severity === 'error' ? 'var(--text-error)' : 'var(--text-secondary)', display: 'list-item'}}
+                >
+                  {renderIssueLink(issue)}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+
     </div>
   );
 };
@@ -15,6 +15,8 @@ const DeckZone = ({
   onCardClick,
   combos,
   ydkCardCounts,
+  getBanlistStatus,
+  getBanlistChange,
   dragOverZone,
   handleDragStart,
   handleTouchStart,
@@ -71,6 +73,8 @@ const DeckZone = ({
                 onCardClick={(card, event) => onCardClick(card, event, zone)}
                 combos={combos}
                 ydkCardCounts={ydkCardCounts}
+                banlistStatus={getBanlistStatus ? getBanlistStatus(card.name) : 'unlimited'}
+                banlistChange={getBanlistChange ? getBanlistChange(card.name) : null}
                 typography={typography}
               />
             ))}
@@ -0,0 +1,148 @@
+import React from 'react';
+import { Button, Tooltip } from '../../components/ui';
+
+// Copies and card ID of each card in a deck zone, by name
+const countZone = (cards) => (cards || []).reduce((counts, card) => {
+  counts[card.name] = { copies: (counts[card.name]?.copies || 0) + 1, cardId: card.cardId || null };
+  return counts;
+}, {});
+
+/**
+ * Side plans for games 2 and 3, e.g. "-3 Card A, +3 Card B"
+ * Cards sided out come from the main deck and cards sided in from the side deck;
+ * each plan's combo and hand-trap odds are shown next to the game 1 results
+ */
+const SidePlanEditor = ({ sidePlans, setSidePlans, deckZones, typography }) => {
+  const mainCounts = countZone(deckZones.main);
+  const sideCounts = countZone(deckZones.side);
+
+  const updatePlan = (id, changes) => {
+    setSidePlans(sidePlans.map(plan => (plan.id === id ? { ...plan, ...changes } : plan)));
+  };
+
+  const addPlan = () => {
+    const nextId = sidePlans.reduce((max, plan) => Math.max(max, plan.id), 0) + 1;
+    setSidePlans([...sidePlans, { id: nextId, name: `Side plan ${nextId}`, changes: [] }]);
+  };
+
+  // Side out is negative, side in positive; one change per card
+  const addChange = (plan, name, direction) => {
+    if (!name) return;
+    const source = direction < 0 ? mainCounts[name] : sideCounts[name];
+    updatePlan(plan.id, {
+      changes: [...plan.changes, { card: name, cardId: source.cardId, count: direction * source.copies }]
+    });
+  };
+
+  const updateCount = (plan, name, copies) => {
+    updatePlan(plan.id, {
+      changes: plan.changes.map(change => (change.card === name
+        ? { ...change, count: Math.sign(change.count) * copies }
+        : change))
+    });
+  };
+
+  const removeChange = (plan, name) => {
+    updatePlan(plan.id, { changes: plan.changes.filter(change => change.card !== name) });
+  };
+
+  const labelStyle = { ...typography.body, color: 'var(--text-main)' };
+  const hintStyle = { ...typography.body, color: 'var(--text-secondary)' };
+
+  return (
+    <div className="mt-6">
+      <div className="flex items-center mb-2">
+        <h3 style={{ ...typography.h3, color: 'var(--text-main)' }}>Side plans</h3>
+        <Tooltip text="Plan what you side out of the main deck and in from the side deck for games 2 and 3. Calculating shows every plan's combo and hand-trap odds next to game 1" />
+      </div>
+
+      {sidePlans.map(plan => {
+        const planned = new Set(plan.changes.map(change => change.card));
+        const netChange = plan.changes.reduce((sum, change) => sum + change.count, 0);
+        return (
+          <div
+            key={plan.id}
+            className="p-4 rounded-md mb-2"
+            style={{ backgroundColor: 'var(--bg-secondary)', border: '1px solid var(--border-main)' }}
+          >
+            <div className="flex flex-wrap items-center mb-2" style={{ gap: '8px' }}>
+              <input
+                type="text"
+                value={plan.name}
+                onChange={(e) => updatePlan(plan.id, { name: e.target.value })}
+                className="enhanced-input"
+                style={{ flex: 1, minWidth: '180px' }}
+                maxLength={50}
+                aria-label="Side plan name"
+              />
+              <span style={hintStyle}>
+                {deckZones.main.length + netChange} cards after siding
+              </span>
+              <Button variant="secondary" size="small" onClick={() => setSidePlans(sidePlans.filter(other => other.id !== plan.id))}>
+                Remove
+              </Button>
+            </div>
+
+            {plan.changes.map(change => {
+              const available = change.count < 0 ? mainCounts[change.card]?.copies : sideCounts[change.card]?.copies;
+              return (
+                <div key={change.card} className="flex flex-wrap items-center mb-2" style={{ gap: '8px' }}>
+                  <span style={{ ...labelStyle, width: '72px' }}>{change.count < 0 ? 'Side out' : 'Side in'}</span>
+                  <input
+                    type="number"
+                    min="1"
+                    max={available || 1}
+                    value={Math.abs(change.count)}
+                    onChange={(e) => updateCount(plan, change.card, Math.min(available || 1, Math.max(1, parseInt(e.target.value) || 1)))}
+                    className="enhanced-input"
+                    style={{ width: '64px' }}
+                    aria-label={`Copies of ${change.card}`}
+                  />
+                  <span style={{ ...labelStyle, flex: 1 }}>
+                    {change.card}
+                    {!available && <span style={{ color: 'var(--text-secondary)' }}> (no longer in the {change.count < 0 ? 'main' : 'side'} deck)</span>}
+                  </span>
+                  <Button variant="secondary" size="small" onClick={() => removeChange(plan, change.card)}>
+                    Remove
+                  </Button>
+                </div>
+              );
+            })}
+
+            <div className="flex flex-wrap items-center" style={{ gap: '8px' }}>
+              <select
+                value=""
+                onChange={(e) => addChange(plan, e.target.value, -1)}
+                className="enhanced-input"
+                aria-label="Side out a main deck card"
+              >
+                <option value="">Side out...</option>
+                {Object.keys(mainCounts).filter(name => !planned.has(name)).map(name => (
+                  <option key={name} value={name}>{name} (x{mainCounts[name].copies})</option>
+                ))}
+              </select>
+              <select
+                value=""
+                onChange={(e) => addChange(plan, e.target.value, 1)}
+                className="enhanced-input"
+                disabled={Object.keys(sideCounts).length === 0}
+                aria-label="Side in a side deck card"
+              >
+                <option value="">{Object.keys(sideCounts).length === 0 ? 'Add cards to your side deck' : 'Side in...'}</option>
+                {Object.keys(sideCounts).filter(name => !planned.has(name)).map(name => (
+                  <option key={name} value={name}>{name} (x{sideCounts[name].copies})</option>
+                ))}
+              </select>
+            </div>
+          </div>
+        );
+      })}
+
+      <Button variant="secondary" onClick={addPlan} disabled={deckZones.main.length === 0}>
+        Add side plan
+      </Button>
+    </div>
+  );
+};
+
+export default SidePlanEditor;
@@ -4,6 +4,7 @@ import HandTrapService from '../../services/HandTrapService';
 import Icon from '../../components/Icon';
 import CardSearchDrawer from '../../components/CardSearchDrawer.jsx';
 import { Button } from '../../components/ui';
+import { getCardBanlistStatus, getMaxCopiesAllowed } from '../../utils/banlist';
 
 const YdkImporter = ({
   uploadedYdkFile,
@@ -22,7 +23,9 @@ const YdkImporter = ({
   showToast,
   setInitialDeckZones,
   deckZones,
-  setDeckZones
+  setDeckZones,
+  banlistFormat,
+  banlist
 }) => {
   const [showClipboardField, setShowClipboardField] = useState(false);
   const [clipboardContent, setClipboardContent] = useState('');
@@ -123,14 +126,20 @@ const YdkImporter = ({
   const addCardToDeckZone = (card, targetZone) => {
     if (!setDeckZones || !card) return;
 
-    // Check 3-card limit per card name across all zones
+    // Check the banlist limit per card name across all zones
+    if (getCardBanlistStatus(card.name, banlist) === 'forbidden') {
+      showToast(`${card.name} is forbidden in ${banlistFormat}`);
+      return;
+    }
+
     const allCards = [...(deckZones.main || []), ...(deckZones.extra || []), ...(deckZones.side || [])];
     const existingCopies = allCards.filter(existingCard =>
       existingCard.name.toLowerCase() === card.name.toLowerCase()
     ).length;
+    const maxAllowed = getMaxCopiesAllowed(card.name, banlist);
 
-    if (existingCopies >= 3) {
-      showToast(`Cannot add more than 3 copies of ${card.name}`);
+    if (existingCopies >= maxAllowed) {
+      showToast(`Cannot add more than ${maxAllowed} ${maxAllowed === 1 ? 'copy' : 'copies'} of ${card.name}`);
       return;
     }
 
@@ -0,0 +1,66 @@
+import { useState, useEffect } from 'react';
+import BanlistService from '../services/BanlistService';
+import { DEFAULT_BANLIST_FORMAT, NO_BANLIST } from '../utils/banlist';
+
+/**
+ * Custom hook for the selected banlist format and date
+ * Loads the chosen list and the format's current (newest) list, so older lists can be compared with it
+ * @returns {Object} Banlist state
+ */
+const useBanlist = () => {
+  const [banlistFormat, setFormat] = useState(DEFAULT_BANLIST_FORMAT);
+  const [banlistDate, setBanlistDate] = useState(null); // null = newest list
+  const [formatIndex, setFormatIndex] = useState([]);
+  const [banlist, setBanlist] = useState(null);
+  const [currentBanlist, setCurrentBanlist] = useState(null);
+
+  useEffect(() => {
+    BanlistService.loadFormats()
+      .then(setFormatIndex)
+      .catch(error => console.error('Failed to load banlist formats:', error));
+  }, []);
+
+  useEffect(() => {
+    let cancelled = false;
+    Promise.all([
+      BanlistService.loadBanlist(banlistFormat, banlistDate),
+      BanlistService.loadBanlist(banlistFormat)
+    ])
+      .then(([list, current]) => {
+        if (cancelled) return;
+        setBanlist(list);
+        setCurrentBanlist(current);
+      })
+      .catch(error => {
+        console.error(`Failed to load ${banlistFormat} banlist:`, error);
+        if (cancelled) return;
+        setBanlist(null);
+        setCurrentBanlist(null);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [banlistFormat, banlistDate]);
+
+  // Dates differ between formats, so a new format starts from its newest list
+  const setBanlistFormat = (format) => {
+    setFormat(format);
+    setBanlistDate(null);
+  };
+
+  const banlistFormats = formatIndex.length > 0 ? [...formatIndex.map(format => format.name), NO_BANLIST] : [];
+  const banlistDates = formatIndex.find(format => format.name === banlistFormat)?.dates || [];
+
+  return {
+    banlistFormat,
+    setBanlistFormat,
+    banlistFormats,
+    banlistDate,
+    setBanlistDate,
+    banlistDates,
+    banlist,
+    currentBanlist
+  };
+};
+
+export default useBanlist;
@@ -1,48 +1,68 @@
-import { useState, useCallback } from 'react';
-import ProbabilityService from '../services/ProbabilityService';
-import TitleGeneratorService from '../services/TitleGeneratorService';
+import { useState, useCallback, useRef } from 'react';
+import CalculationWorkerService from '../services/CalculationWorkerService';
 
 /**
  * Custom hook for managing probability calculations
+ * Calculations run in a Web Worker; progress is reported from 0 to 1
  * @returns {Object} Calculation state and handlers
  */
 const useCalculations = () => {
   const [results, setResults] = useState(null);
   const [isCalculating, setIsCalculating] = useState(false);
+  const [progress, setProgress] = useState(0);
+  // Combos, deck size and hand size of the calculation in flight, serialized for comparison
+  const runningInputs = useRef(null);
 
-  const calculate = useCallback(async (combos, deckSize, handSize) => {
+  /**
+   * Runs a calculation, replacing any calculation already in flight
+   * @param {Object} settings - calculateMultipleCombos options: { seed, targetMargin, turnCurve, deckSizeSweep, mulligan, cardEffects, categories, bricks, outcomes, sidePlans }
+   * @returns {Promise<Object|null>} Results, or null when the calculation was cancelled
+   */
+  const calculate = useCallback(async (combos, deckSize, handSize, ydkCards = null, ydkCardCounts = null, settings = {}) => {
     setIsCalculating(true);
+    setProgress(0);
+    const inputs = JSON.stringify({ combos, deckSize, handSize });
+    runningInputs.current = inputs;
 
     try {
-      // Run calculations
-      const calculationResults = ProbabilityService.calculateMultipleCombos(
-        combos,
-        deckSize,
-        handSize
+      const calculationResults = await CalculationWorkerService.calculate(
+        { combos, deckSize, handSize, ydkCards, ydkCardCounts, ...settings },
+        { onProgress: setProgress }
       );
 
-      // Add fun titles
-      const resultsWithTitles = {
-        individual: calculationResults.individual.map(result => ({
-          ...result,
-          title: TitleGeneratorService.generateTitle(result.probability)
-        })),
-        combined: calculationResults.combined ? {
-          ...calculationResults.combined,
-          title: TitleGeneratorService.generateCombinedTitle(calculationResults.combined)
-        } : null
-      };
-
-      setResults(resultsWithTitles);
-      return resultsWithTitles;
+      runningInputs.current = null;
+      setResults(calculationResults);
+      setIsCalculating(false);
+      return calculationResults;
     } catch (error) {
+      // A newer calculation (or an explicit cancel) owns the loading state now
+      if (CalculationWorkerService.isCancelled(error)) {
+        return null;
+      }
+
+      runningInputs.current = null;
       console.error('Calculation error:', error);
-      throw error;
-    } finally {
       setIsCalculating(false);
+      throw error;
     }
   }, []);
 
+  const cancelCalculation = useCallback(() => {
+    runningInputs.current = null;
+    CalculationWorkerService.cancel();
+    setIsCalculating(false);
+    setProgress(0);
+  }, []);
+
+  /**
+   * Cancels the calculation in flight only if it was started with different combos, deck size or hand size
+   */
+  const cancelStaleCalculation = useCallback((combos, deckSize, handSize) => {
+    if (runningInputs.current === null) return;
+    if (JSON.stringify({ combos, deckSize, handSize }) === runningInputs.current) return;
+    cancelCalculation();
+  }, [cancelCalculation]);
+
   const clearResults = useCallback(() => {
     setResults(null);
   }, []);
@@ -51,7 +71,10 @@ const useCalculations = () => {
     results,
     setResults,
     isCalculating,
+    progress,
     calculate,
+    cancelCalculation,
+    cancelStaleCalculation,
     clearResults
   };
 };
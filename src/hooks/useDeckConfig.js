@@ -1,5 +1,6 @@
 import { useState } from 'react';
 import { DEFAULT_DECK_SIZE, DEFAULT_HAND_SIZE } from '../constants/config';
+import { generateSeed } from '../utils/random';
 
 /**
  * Custom hook for managing deck configuration
@@ -8,6 +9,16 @@ import { DEFAULT_DECK_SIZE, DEFAULT_HAND_SIZE } from '../constants/config';
 const useDeckConfig = () => {
   const [deckSize, setDeckSize] = useState(DEFAULT_DECK_SIZE);
   const [handSize, setHandSize] = useState(DEFAULT_HAND_SIZE);
+  const [seed, setSeed] = useState(() => generateSeed());
+  const [targetMargin, setTargetMargin] = useState(null); // null = fixed SIMULATION_COUNT iterations
+  const [showTurnCurve, setShowTurnCurve] = useState(false); // Going first / second odds per turn
+  const [showOutcomes, setShowOutcomes] = useState(false); // Combos live x hand-traps breakdown (see ProbabilityService.simulateHandOutcomes)
+  const [deckSizeSweep, setDeckSizeSweep] = useState(null); // null = off, otherwise calculateDeckSizeSweep options
+  const [mulligan, setMulligan] = useState(null); // null = no mulligan, otherwise { type, count } (see calculateWithMulligan)
+  const [cardEffects, setCardEffects] = useState([]); // Searchers, draw and excavate cards (see ProbabilityService.setCardEffects)
+  const [bricks, setBricks] = useState([]); // Garnets and hard once-per-turn cards (see ProbabilityService.calculateBrickProbability)
+  const [sidePlans, setSidePlans] = useState([]); // Games 2-3 side plans (see ProbabilityService.calculateSidePlan)
+  const [categories, setCategories] = useState([]); // Card roles combo cards can require, e.g. Starter (see ProbabilityService.setCategories)
 
   const updateDeckSize = (size) => {
     const parsedSize = parseInt(size) || 0;
@@ -46,6 +57,26 @@ const useDeckConfig = () => {
     handSize,
     setDeckSize,
     setHandSize,
+    seed,
+    setSeed,
+    targetMargin,
+    setTargetMargin,
+    showTurnCurve,
+    setShowTurnCurve,
+    showOutcomes,
+    setShowOutcomes,
+    deckSizeSweep,
+    setDeckSizeSweep,
+    mulligan,
+    setMulligan,
+    cardEffects,
+    setCardEffects,
+    categories,
+    setCategories,
+    bricks,
+    setBricks,
+    sidePlans,
+    setSidePlans,
     updateDeckSize,
     updateHandSize,
     validateConfig
@@ -0,0 +1,89 @@
+/**
+ * BanlistService - Loads the dated banlists built by scripts/generate-banlists.js
+ * Lists live in /banlists/<format>/<date>.json, with /banlists/index.json naming the formats and dates
+ */
+
+import { NO_BANLIST } from '../utils/banlist';
+
+const BASE_URL = '/banlists';
+
+const BanlistService = {
+  indexPromise: null,
+  banlists: new Map(),
+
+  /**
+   * Formats and their dates, newest first
+   * @returns {Promise<Array<{ name: string, slug: string, dates: string[] }>>}
+   */
+  async loadFormats() {
+    if (!this.indexPromise) {
+      this.indexPromise = fetch(`${BASE_URL}/index.json`)
+        .then(response => {
+          if (!response.ok) {
+            throw new Error(`Banlist index returned ${response.status}`);
+          }
+          return response.json();
+        })
+        .then(index => index.formats || [])
+        .catch(error => {
+          this.indexPromise = null;
+          throw error;
+        });
+    }
+    return this.indexPromise;
+  },
+
+  /**
+   * Loads one format's banlist
+   * @param {string} format - Format name, e.g. 'TCG'
+   * @param {string|null} date - List date (YYYY-MM-DD); the newest list when omitted
+   * @returns {Promise<Object|null>} Banlist from createBanlist, or null for 'No Banlist'
+   */
+  async loadBanlist(format, date = null) {
+    if (!format || format === NO_BANLIST) return null;
+
+    const formats = await this.loadFormats();
+    const entry = formats.find(f => f.name === format);
+    if (!entry) {
+      throw new Error(`Unknown banlist format: ${format}`);
+    }
+
+    const listDate = date || entry.dates[0];
+    if (!entry.dates.includes(listDate)) {
+      throw new Error(`No ${format} banlist dated ${listDate}`);
+    }
+
+    const key = `${entry.slug}/${listDate}`;
+    if (!this.banlists.has(key)) {
+      const response = await fetch(`${BASE_URL}/${key}.json`);
+      if (!response.ok) {
+        throw new Error(`Banlist ${key} returned ${response.status}`);
+      }
+      this.banlists.set(key, this.createBanlist(await response.json()));
+    }
+    return this.banlists.get(key);
+  },
+
+  /**
+   * Adds by-name lookups to a generated banlist file, since deck cards are matched by name
+   * (alternate artworks share a name but not a passcode)
+   * @param {Object} data - { format, date, cards: { <passcode>: { name, status } }, pointLimit?, points? }
+   * @returns {Object} { format, date, cards, statusByName }, plus pointsByName for point formats
+   */
+  createBanlist(data) {
+    const statusByName = {};
+    Object.values(data.cards || {}).forEach(card => {
+      statusByName[card.name] = card.status;
+    });
+
+    if (!data.points) return { ...data, statusByName };
+
+    const pointsByName = {};
+    Object.values(data.points).forEach(card => {
+      pointsByName[card.name] = card.points;
+    });
+    return { ...data, statusByName, pointsByName };
+  }
+};
+
+export default BanlistService;
@@ -0,0 +1,222 @@
+/**
+ * BanlistService Tests
+ * Test building dated banlists from the source data, loading them, and the copy limits they give
+ */
+
+import { expect, describe, it, beforeEach, afterEach, vi } from 'vitest';
+import { readFileSync } from 'fs';
+import { createRequire } from 'module';
+import path from 'path';
+import BanlistService from './BanlistService.js';
+import {
+  getCardBanlistStatus,
+  getMaxCopiesAllowed,
+  getBanlistChange,
+  checkDeckLegality,
+  getDeckPoints,
+  NO_BANLIST
+} from '../utils/banlist.js';
+
+const require = createRequire(import.meta.url);
+const { buildBanlists, loadSource } = require('../../scripts/generate-banlists.js');
+
+const cardDatabase = {
+  55144522: { name: 'Pot of Greed' },
+  12580477: { name: 'Raigeki' },
+  5318639: { name: 'Mystical Space Typhoon' },
+  44095762: { name: 'Mirror Force' }
+};
+
+const source = {
+  TCG: [
+    { date: '2024-09-01', forbidden: [{ id: 55144522, name: 'Pot of Greed' }], limited: [{ id: 12580477, name: 'Raigeki' }] },
+    { date: '2025-01-01', forbidden: [{ id: 55144522, name: 'Pot of Greed' }], semiLimited: [{ id: 12580477, name: 'Raigeki' }] }
+  ],
+  'Master Duel': [
+    { date: '2025-01-01', semiLimited: [{ id: 44095762, name: 'Mirror Force' }] }
+  ],
+  Genesys: [
+    { date: '2025-01-01', pointLimit: 10, points: [{ id: 12580477, name: 'Raigeki', points: 7 }, { id: 5318639, name: 'Mystical Space Typhoon', points: 2 }] }
+  ]
+};
+
+// Serves the files buildBanlists would write
+const stubFetch = (files) => {
+  const fetchMock = vi.fn(async (url) => {
+    const data = files[url];
+    return { ok: Boolean(data), status: data ? 200 : 404, json: async () => data };
+  });
+  vi.stubGlobal('fetch', fetchMock);
+  return fetchMock;
+};
+
+const servedFiles = () => {
+  const { index, files } = buildBanlists(source, cardDatabase);
+  const served = { '/banlists/index.json': index };
+  files.forEach(file => {
+    served[`/banlists/${file.path.split(path.sep).join('/')}`] = file.data;
+  });
+  return served;
+};
+
+describe('BanlistService', () => {
+  beforeEach(() => {
+    BanlistService.indexPromise = null;
+    BanlistService.banlists.clear();
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  describe('Build script', () => {
+    it('should write one file per format and date, newest date first in the index', () => {
+      const { index, files } = buildBanlists(source, cardDatabase);
+
+      expect(index.formats).toEqual([
+        { name: 'TCG', slug: 'tcg', dates: ['2025-01-01', '2024-09-01'] },
+        { name: 'Master Duel', slug: 'master-duel', dates: ['2025-01-01'] },
+        { name: 'Genesys', slug: 'genesys', dates: ['2025-01-01'] }
+      ]);
+      expect(files.map(file => file.path)).toEqual([
+        path.join('tcg', '2024-09-01.json'),
+        path.join('tcg', '2025-01-01.json'),
+        path.join('master-duel', '2025-01-01.json'),
+        path.join('genesys', '2025-01-01.json')
+      ]);
+      expect(files[1].data.cards).toEqual({
+        55144522: { name: 'Pot of Greed', status: 'forbidden' },
+        12580477: { name: 'Raigeki', status: 'semi-limited' }
+      });
+    });
+
+    it('should write point limits and costs for point formats', () => {
+      const { files } = buildBanlists(source, cardDatabase);
+
+      expect(files[1].data).not.toHaveProperty('points');
+      expect(files[3].data).toMatchObject({
+        pointLimit: 10,
+        points: { 12580477: { name: 'Raigeki', points: 7 }, 5318639: { name: 'Mystical Space Typhoon', points: 2 } }
+      });
+      expect(() => buildBanlists({ Genesys: [{ date: '2025-01-01', points: [{ id: 12580477, points: 0 }] }] }, cardDatabase))
+        .toThrow(/pointLimit must be a positive whole number[\s\S]*Raigeki must cost a positive whole number of points/);
+    });
+
+    it('should reject unknown passcodes, cards under two statuses and repeated dates', () => {
+      const invalid = {
+        TCG: [
+          { date: '2025-01-01', limited: [{ id: 5318639 }, { id: 99999999, name: 'Not a card' }], semiLimited: [{ id: 5318639 }] },
+          { date: '2025-01-01' }
+        ]
+      };
+
+      expect(() => buildBanlists(invalid, cardDatabase)).toThrow(/unknown passcode 99999999[\s\S]*Mystical Space Typhoon is both limited and semi-limited[\s\S]*listed twice/);
+    });
+
+    it('should build the committed banlists from the committed source data', () => {
+      const committedSource = loadSource();
+      const committedDatabase = JSON.parse(readFileSync(path.join(__dirname, '../../public/cardDatabase.json'), 'utf8'));
+      const { index } = buildBanlists(committedSource, committedDatabase);
+
+      expect(index).toEqual(JSON.parse(readFileSync(path.join(__dirname, '../../public/banlists/index.json'), 'utf8')));
+    });
+
+    it('should add each point format file to the source', () => {
+      // The fixture's point values are made up; no point formats are checked in
+      const fixtureSource = loadSource(
+        path.join(__dirname, '../../scripts/data/banlists.json'),
+        path.join(__dirname, 'fixtures/point-formats')
+      );
+      const committedDatabase = JSON.parse(readFileSync(path.join(__dirname, '../../public/cardDatabase.json'), 'utf8'));
+      const { index, files } = buildBanlists(fixtureSource, committedDatabase);
+
+      expect(index.formats).toContainEqual({ name: 'Genesys', slug: 'genesys', dates: ['2025-01-01'] });
+      const genesys = files.find(file => file.data.format === 'Genesys').data;
+      expect(genesys.pointLimit).toBe(100);
+      expect(genesys.points[14558127]).toEqual({ name: 'Ash Blossom & Joyous Spring', points: 15 });
+    });
+  });
+
+  describe('Loading', () => {
+    it('should load the newest list for a format by default, or a dated one', async () => {
+      stubFetch(servedFiles());
+
+      const latest = await BanlistService.loadBanlist('TCG');
+      expect(latest.date).toBe('2025-01-01');
+      expect(latest.statusByName).toEqual({ 'Pot of Greed': 'forbidden', Raigeki: 'semi-limited' });
+
+      const older = await BanlistService.loadBanlist('TCG', '2024-09-01');
+      expect(older.statusByName.Raigeki).toBe('limited');
+    });
+
+    it('should fetch each list once and skip fetching for No Banlist', async () => {
+      const fetchMock = stubFetch(servedFiles());
+
+      expect(await BanlistService.loadBanlist(NO_BANLIST)).toBeNull();
+      expect(fetchMock).not.toHaveBeenCalled();
+
+      await BanlistService.loadBanlist('Master Duel');
+      await BanlistService.loadBanlist('Master Duel');
+      expect(fetchMock).toHaveBeenCalledTimes(2);
+
+      await expect(BanlistService.loadBanlist('Goat')).rejects.toThrow('Unknown banlist format');
+      await expect(BanlistService.loadBanlist('TCG', '2020-01-01')).rejects.toThrow('No TCG banlist dated 2020-01-01');
+    });
+  });
+
+  describe('Copy limits', () => {
+    it('should limit copies by status and allow 3 of everything without a banlist', () => {
+      const banlist = BanlistService.createBanlist(servedFiles()['/banlists/tcg/2024-09-01.json']);
+
+      expect(getCardBanlistStatus('Pot of Greed', banlist)).toBe('forbidden');
+      expect(getMaxCopiesAllowed('Pot of Greed', banlist)).toBe(0);
+      expect(getMaxCopiesAllowed('Raigeki', banlist)).toBe(1);
+      expect(getCardBanlistStatus('Mirror Force', banlist)).toBe('unlimited');
+      expect(getMaxCopiesAllowed('Mirror Force', banlist)).toBe(3);
+      expect(getMaxCopiesAllowed('Pot of Greed', null)).toBe(3);
+    });
+  });
+
+  describe('Deck legality', () => {
+    const files = servedFiles();
+    const older = BanlistService.createBanlist(files['/banlists/tcg/2024-09-01.json']);
+    const current = BanlistService.createBanlist(files['/banlists/tcg/2025-01-01.json']);
+    const deckZones = {
+      main: [{ name: 'Raigeki' }, { name: 'Mirror Force' }, { name: 'Mirror Force' }, { name: 'Mirror Force' }],
+      extra: [],
+      side: [{ name: 'Raigeki' }, { name: 'Pot of Greed' }, { name: 'Mirror Force' }]
+    };
+
+    it('should report forbidden cards and copies over the limit across all zones', () => {
+      const report = checkDeckLegality(deckZones, older, current);
+
+      expect(report.isLegal).toBe(false);
+      expect(report.forbidden).toEqual([{ name: 'Pot of Greed', copies: 1 }]);
+      expect(report.overLimit).toEqual([
+        { name: 'Raigeki', copies: 2, status: 'limited', maxAllowed: 1 },
+        { name: 'Mirror Force', copies: 4, status: 'unlimited', maxAllowed: 3 }
+      ]);
+    });
+
+    it('should list cards whose status changed between an older list and the current one', () => {
+      expect(checkDeckLegality(deckZones, older, current).changed).toEqual([
+        { name: 'Raigeki', copies: 2, status: 'limited', currentStatus: 'semi-limited' }
+      ]);
+      expect(getBanlistChange('Raigeki', older, current)).toEqual({ status: 'limited', currentStatus: 'semi-limited' });
+      expect(getBanlistChange('Raigeki', current, current)).toBeNull();
+      expect(checkDeckLegality(deckZones, current, current).changed).toEqual([]);
+      expect(checkDeckLegality({ main: [{ name: 'Raigeki' }], extra: [], side: [] }, current, current).isLegal).toBe(true);
+    });
+
+    it('should total points over Main and Extra Deck and fail decks over the budget', () => {
+      const genesys = BanlistService.createBanlist(files['/banlists/genesys/2025-01-01.json']);
+      const underBudget = { main: [{ name: 'Raigeki' }, { name: 'Mirror Force' }], extra: [], side: [{ name: 'Raigeki' }] };
+      const overBudget = { main: [{ name: 'Raigeki' }], extra: [{ name: 'Mystical Space Typhoon' }, { name: 'Mystical Space Typhoon' }], side: [] };
+
+      expect(getDeckPoints(underBudget, genesys)).toEqual({ total: 7, limit: 10 });
+      expect(checkDeckLegality(underBudget, genesys).isLegal).toBe(true);
+      expect(checkDeckLegality(overBudget, genesys)).toMatchObject({ isLegal: false, points: { total: 11, limit: 10 } });
+      expect(getDeckPoints(underBudget, current)).toBeNull();
+    });
+  });
+});
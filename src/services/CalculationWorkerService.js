@@ -0,0 +1,145 @@
+/**
+ * CalculationWorkerService - Async client for the probability worker
+ * Runs calculateMultipleCombos and optimizeRatios in a Web Worker so the UI
+ * stays responsive, reports progress and lets a running job be cancelled.
+ * Only one job runs per client at a time; starting another cancels it. The default
+ * export runs the calculator; features whose jobs must survive the calculator being
+ * cancelled (the ratio optimizer, build comparisons) make their own client.
+ * Falls back to the main thread where Web Workers are unavailable (e.g. tests).
+ */
+
+import ProbabilityService from './ProbabilityService.js';
+
+const createCancelledError = () => {
+  const error = new Error('Calculation cancelled');
+  error.name = 'AbortError';
+  return error;
+};
+
+/**
+ * Creates a client with its own worker, so its jobs are cancelled independently
+ * @returns {Object} Client with calculate, optimize, cancel and terminate
+ */
+export const createCalculationWorker = () => ({
+  worker: null,
+  pending: null,
+  nextRequestId: 1,
+
+  isSupported: () => typeof Worker !== 'undefined',
+
+  isCancelled: (error) => error?.name === 'AbortError',
+
+  getWorker() {
+    if (this.worker) return this.worker;
+
+    this.worker = new Worker(new URL('../workers/probability.worker.js', import.meta.url), { type: 'module' });
+
+    this.worker.onmessage = (event) => {
+      const { type, requestId } = event.data;
+      const pending = this.pending;
+
+      // Ignore messages from requests that have since been replaced
+      if (!pending || pending.requestId !== requestId) return;
+
+      if (type === 'progress') {
+        pending.onProgress?.(event.data.progress);
+      } else if (type === 'result') {
+        this.pending = null;
+        pending.resolve(event.data.results);
+      } else if (type === 'error') {
+        this.pending = null;
+        pending.reject(new Error(event.data.message));
+      }
+    };
+
+    this.worker.onerror = (event) => {
+      const pending = this.pending;
+      this.pending = null;
+      this.terminate();
+      pending?.reject(new Error(event.message || 'Calculation worker failed'));
+    };
+
+    return this.worker;
+  },
+
+  /**
+   * Calculates all combo probabilities, cancelling any calculation already running
+   * @param {Object} params - { combos, deckSize, handSize, ydkCards, ydkCardCounts, ...settings }
+   *   where settings are calculateMultipleCombos options (seed, targetMargin, turnCurve, deckSizeSweep, mulligan, cardEffects, categories, bricks, outcomes, sidePlans)
+   * @param {Object} options - Optional settings
+   * @param {Function} options.onProgress - Called with the completed fraction (0-1)
+   * @returns {Promise<Object>} Resolves with calculateMultipleCombos results, rejects with an AbortError when cancelled
+   */
+  calculate({ combos, deckSize, handSize, ydkCards = null, ydkCardCounts = null, ...settings }, { onProgress = null } = {}) {
+    return this.run(
+      'calculate',
+      { combos, deckSize, handSize, ydkCards, ydkCardCounts, settings },
+      onProgress,
+      () => ProbabilityService.calculateMultipleCombos(
+        combos, deckSize, handSize, ydkCards, ydkCardCounts, { ...settings, onProgress }
+      )
+    );
+  },
+
+  /**
+   * Searches deck ratios, cancelling any calculation already running
+   * @param {Object} params - { combos, deckSize, handSize, ...settings }
+   *   where settings are optimizeRatios options (constraints, keepTotal, limit, seed, targetMargin, cardEffects, categories)
+   * @param {Object} options - Optional settings
+   * @param {Function} options.onProgress - Called with the completed fraction (0-1)
+   * @returns {Promise<Object>} Resolves with optimizeRatios results, rejects with an AbortError when cancelled
+   */
+  optimize({ combos, deckSize, handSize, ...settings }, { onProgress = null } = {}) {
+    return this.run(
+      'optimize',
+      { combos, deckSize, handSize, settings },
+      onProgress,
+      () => ProbabilityService.optimizeRatios(combos, deckSize, handSize, { ...settings, onProgress })
+    );
+  },
+
+  /**
+   * Posts a job to the worker, or runs it on the main thread without one
+   */
+  run(type, payload, onProgress, runOnMainThread) {
+    this.cancel();
+
+    if (!this.isSupported()) {
+      return new Promise((resolve) => {
+        resolve(runOnMainThread());
+      });
+    }
+
+    const requestId = this.nextRequestId++;
+    const worker = this.getWorker();
+
+    return new Promise((resolve, reject) => {
+      this.pending = { requestId, resolve, reject, onProgress };
+      worker.postMessage({ type, requestId, payload });
+    });
+  },
+
+  /**
+   * Aborts the running calculation, if any. The worker is terminated so the
+   * simulation loop stops immediately; a fresh one is created on the next call.
+   */
+  cancel() {
+    if (!this.pending) return;
+
+    const pending = this.pending;
+    this.pending = null;
+    this.terminate();
+    pending.reject(createCancelledError());
+  },
+
+  terminate() {
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+  }
+});
+
+const CalculationWorkerService = createCalculationWorker();
+
+export default CalculationWorkerService;
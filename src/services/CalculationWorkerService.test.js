@@ -0,0 +1,124 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import CalculationWorkerService, { createCalculationWorker } from './CalculationWorkerService.js';
+import ProbabilityService from './ProbabilityService.js';
+
+const combos = [
+  { id: 1, cards: [{ starterCard: 'A', startersInDeck: 3, minCopiesInHand: 1, maxCopiesInHand: 3, logicOperator: 'AND' }] },
+  { id: 2, cards: [{ starterCard: 'B', startersInDeck: 2, minCopiesInHand: 1, maxCopiesInHand: 2, logicOperator: 'AND' }] }
+];
+
+describe('CalculationWorkerService', () => {
+  beforeEach(() => {
+    ProbabilityService.clearCache();
+  });
+
+  afterEach(() => {
+    CalculationWorkerService.cancel();
+    CalculationWorkerService.terminate();
+    vi.unstubAllGlobals();
+  });
+
+  describe('Main Thread Fallback', () => {
+    it('should calculate on the main thread when Web Workers are unavailable', async () => {
+      const onProgress = vi.fn();
+      const results = await CalculationWorkerService.calculate(
+        { combos, deckSize: 40, handSize: 5 },
+        { onProgress }
+      );
+
+      expect(results.individual).toHaveLength(2);
+      expect(results.combined).toBeGreaterThan(results.individual[0].probability);
+      expect(onProgress).toHaveBeenLastCalledWith(1);
+    });
+
+    it('should optimize ratios on the main thread when Web Workers are unavailable', async () => {
+      const results = await CalculationWorkerService.optimize({
+        combos,
+        deckSize: 40,
+        handSize: 5,
+        constraints: { 'A-custom': { min: 1, max: 3 }, 'B-custom': { min: 1, max: 3 } }
+      });
+
+      expect(results.ranked[0].copies).toEqual({ 'A-custom': 3, 'B-custom': 2 });
+    });
+  });
+
+  describe('Worker Messaging', () => {
+    let workers;
+
+    beforeEach(() => {
+      workers = [];
+      vi.stubGlobal('Worker', class {
+        constructor() {
+          this.postMessage = vi.fn();
+          this.terminate = vi.fn();
+          workers.push(this);
+        }
+      });
+    });
+
+    it('should forward progress and resolve with the worker result', async () => {
+      const onProgress = vi.fn();
+      const promise = CalculationWorkerService.calculate({ combos, deckSize: 40, handSize: 5 }, { onProgress });
+      const worker = workers[0];
+      const { requestId } = worker.postMessage.mock.calls[0][0];
+
+      worker.onmessage({ data: { type: 'progress', requestId, progress: 0.5 } });
+      worker.onmessage({ data: { type: 'result', requestId, results: { individual: [], combined: null } } });
+
+      await expect(promise).resolves.toEqual({ individual: [], combined: null });
+      expect(onProgress).toHaveBeenCalledWith(0.5);
+    });
+
+    it('should reject with an AbortError and terminate the worker when cancelled', async () => {
+      const promise = CalculationWorkerService.calculate({ combos, deckSize: 40, handSize: 5 });
+      CalculationWorkerService.cancel();
+
+      const error = await promise.catch(e => e);
+      expect(CalculationWorkerService.isCancelled(error)).toBe(true);
+      expect(workers[0].terminate).toHaveBeenCalled();
+    });
+
+    it('should cancel the previous calculation when a new one starts', async () => {
+      const first = CalculationWorkerService.calculate({ combos, deckSize: 40, handSize: 5 });
+      const second = CalculationWorkerService.calculate({ combos, deckSize: 41, handSize: 5 });
+
+      const error = await first.catch(e => e);
+      expect(CalculationWorkerService.isCancelled(error)).toBe(true);
+
+      const worker = workers[1];
+      const { requestId } = worker.postMessage.mock.calls[0][0];
+      worker.onmessage({ data: { type: 'result', requestId, results: { individual: [] } } });
+
+      await expect(second).resolves.toEqual({ individual: [] });
+    });
+
+    it('should not cancel a job on another client', async () => {
+      const comparisons = createCalculationWorker();
+      const comparison = comparisons.calculate({ combos, deckSize: 40, handSize: 5 });
+      const calculation = CalculationWorkerService.calculate({ combos, deckSize: 41, handSize: 5 }).catch(error => error);
+      CalculationWorkerService.cancel();
+
+      const worker = workers[0];
+      const { requestId } = worker.postMessage.mock.calls[0][0];
+      worker.onmessage({ data: { type: 'result', requestId, results: { individual: [] } } });
+
+      await expect(comparison).resolves.toEqual({ individual: [] });
+      expect(CalculationWorkerService.isCancelled(await calculation)).toBe(true);
+      expect(worker.terminate).not.toHaveBeenCalled();
+    });
+
+    it('should post ratio searches as optimize jobs', async () => {
+      const constraints = { 'A-custom': { min: 1, max: 3 } };
+      const promise = CalculationWorkerService.optimize({ combos, deckSize: 40, handSize: 5, constraints, seed: 7 });
+      const worker = workers[0];
+      const message = worker.postMessage.mock.calls[0][0];
+
+      expect(message.type).toBe('optimize');
+      expect(message.payload.settings).toEqual({ constraints, seed: 7 });
+
+      worker.onmessage({ data: { type: 'result', requestId: message.requestId, results: { ranked: [] } } });
+      await expect(promise).resolves.toEqual({ ranked: [] });
+    });
+  });
+});
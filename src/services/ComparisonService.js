@@ -0,0 +1,105 @@
+/**
+ * ComparisonService - Side-by-side comparison of pinned configurations
+ * Each configuration is an encodeCalculation string; its results are reduced to
+ * the headline metrics and lined up against the first configuration
+ */
+
+import ProbabilityService from './ProbabilityService.js';
+
+const ComparisonService = {
+  /**
+   * Turns a decoded configuration into calculateMultipleCombos inputs
+   * Hand-traps are read from the main deck zone, as for the current deck
+   * @param {Object} config - URLService.decodeCalculation result
+   * @returns {Object} { combos, deckSize, handSize, ydkCards, ydkCardCounts, settings }
+   */
+  getCalculationInputs: (config) => {
+    const mainDeck = config.deckZones?.main || [];
+    const ydkCardCounts = {};
+    const ydkCards = [];
+    mainDeck.forEach(card => {
+      if (!ydkCardCounts[card.name]) {
+        ydkCards.push({ name: card.name, id: card.cardId, isCustom: false });
+      }
+      ydkCardCounts[card.name] = (ydkCardCounts[card.name] || 0) + 1;
+    });
+
+    return {
+      combos: config.combos,
+      deckSize: config.deckSize,
+      handSize: config.handSize,
+      ydkCards: ydkCards.length > 0 ? ydkCards : null,
+      ydkCardCounts: ydkCards.length > 0 ? ydkCardCounts : null,
+      settings: {
+        seed: config.seed,
+        mulligan: config.mulligan,
+        cardEffects: config.cardEffects || [],
+        categories: ProbabilityService.resolveCategories(config.categories, ydkCardCounts),
+        bricks: config.bricks || []
+      }
+    };
+  },
+
+  /**
+   * Headline metrics of one calculation: each combo, any combo, multi-starter and hand-trap odds
+   * Combos are keyed by position, so combos sharing a name stay on separate rows
+   * @param {Object} results - calculateMultipleCombos results
+   * @param {Array} combos - The combos the results were calculated for
+   * @returns {Array} [{ key, label, value }], value in %
+   */
+  getMetrics: (results, combos) => {
+    const metrics = results.individual.map((result, index) => {
+      const label = combos[index]?.name || `Combo ${index + 1}`;
+      return { key: `combo:${index}`, label, value: result.probability };
+    });
+
+    const add = (key, label, value) => {
+      if (value !== null && value !== undefined) {
+        metrics.push({ key, label, value });
+      }
+    };
+    add('combined', 'Any combo', results.combined);
+    add('multiStarter:2', '2+ combo starters', results.multiStarter?.twoPlus);
+    add('multiStarter:3', '3+ combo starters', results.multiStarter?.threePlus);
+    add('handTrap', 'Hand-trap', results.handTrap?.probability);
+    add('multiHandTrap:2', '2+ different hand-traps', results.multiHandTrap?.twoPlus);
+    add('multiHandTrap:3', '3+ different hand-traps', results.multiHandTrap?.threePlus);
+    add('multiHandTrap:4', '4+ different hand-traps', results.multiHandTrap?.fourPlus);
+
+    return metrics;
+  },
+
+  /**
+   * Lines up the metrics of several configurations against the first one
+   * @param {Array} entries - [[{ key, label, value }]], one metric list per configuration
+   * @returns {Array} [{ key, label, values, deltas }] with one value per configuration (null when
+   *   it doesn't have that metric) and its difference from the first configuration (null for the
+   *   first one or when either value is missing)
+   */
+  compare: (entries) => {
+    const rows = [];
+    const rowsByKey = new Map();
+
+    entries.forEach((metrics, entryIndex) => {
+      metrics.forEach(metric => {
+        if (!rowsByKey.has(metric.key)) {
+          const row = { key: metric.key, label: metric.label, values: entries.map(() => null) };
+          rowsByKey.set(metric.key, row);
+          rows.push(row);
+        }
+        rowsByKey.get(metric.key).values[entryIndex] = metric.value;
+      });
+    });
+
+    // Combos first, in order of first appearance, then the deck-wide metrics
+    const isCombo = (row) => row.key.startsWith('combo:');
+    return [...rows.filter(isCombo), ...rows.filter(row => !isCombo(row))].map(row => ({
+      ...row,
+      deltas: row.values.map((value, index) => (
+        index === 0 || value === null || row.values[0] === null ? null : value - row.values[0]
+      ))
+    }));
+  }
+};
+
+export default ComparisonService;
@@ -0,0 +1,96 @@
+/**
+ * ComparisonService Tests
+ * Test lining up pinned configurations against the first one
+ */
+
+import { expect, describe, it } from 'vitest';
+import ComparisonService from './ComparisonService.js';
+import URLService from './URLService.js';
+
+const combo = (id, name, copies) => ({
+  id,
+  name,
+  cards: [{ starterCard: 'A', cardId: 1, isCustom: false, startersInDeck: copies, minCopiesInHand: 1, maxCopiesInHand: 3 }]
+});
+
+describe('ComparisonService', () => {
+  describe('Metrics', () => {
+    it('should key combos by position and skip metrics the results lack', () => {
+      const metrics = ComparisonService.getMetrics({
+        individual: [{ probability: 40 }, { probability: 30 }],
+        combined: 55,
+        multiStarter: null,
+        handTrap: { probability: 20 },
+        multiHandTrap: { twoPlus: 5 }
+      }, [combo(1, 'Main line', 3), combo(2, '', 2)]);
+
+      expect(metrics.map(metric => metric.key)).toEqual(['combo:0', 'combo:1', 'combined', 'handTrap', 'multiHandTrap:2']);
+      expect(metrics.map(metric => metric.label).slice(0, 2)).toEqual(['Main line', 'Combo 2']);
+      expect(metrics[2]).toEqual({ key: 'combined', label: 'Any combo', value: 55 });
+    });
+
+    it('should compare every configuration against the first one', () => {
+      const rows = ComparisonService.compare([
+        [{ key: 'combo:A', label: 'A', value: 40 }, { key: 'handTrap', label: 'Hand-trap', value: 20 }],
+        [{ key: 'handTrap', label: 'Hand-trap', value: 25 }, { key: 'combo:A', label: 'A', value: 35 }, { key: 'combo:B', label: 'B', value: 10 }]
+      ]);
+
+      expect(rows.map(row => row.key)).toEqual(['combo:A', 'combo:B', 'handTrap']);
+      expect(rows[0].values).toEqual([40, 35]);
+      expect(rows[0].deltas).toEqual([null, -5]);
+      expect(rows[1].values).toEqual([null, 10]);
+      expect(rows[1].deltas).toEqual([null, null]);
+      expect(rows[2].deltas).toEqual([null, 5]);
+    });
+
+    it('should keep combos with the same name on separate rows', () => {
+      const metrics = ComparisonService.getMetrics(
+        { individual: [{ probability: 40 }, { probability: 30 }], combined: 55 },
+        [combo(1, 'Same', 3), combo(2, 'Same', 2)]
+      );
+
+      expect(ComparisonService.compare([metrics]).map(row => row.values[0])).toEqual([40, 30, 55]);
+    });
+  });
+
+  describe('Pinned Configurations', () => {
+    it('should rebuild calculation inputs from an encoded configuration', () => {
+      const deckZones = {
+        main: [
+          { cardId: 1, name: 'A' },
+          { cardId: 1, name: 'A' },
+          { cardId: 14558127, name: 'Ash Blossom & Joyous Spring' }
+        ],
+        extra: [],
+        side: []
+      };
+      const categories = [{ id: 1, name: 'Starter', cards: [{ name: 'A', cardId: 1 }] }];
+      const encoded = URLService.encodeCalculation(40, 5, [combo(1, 'Main line', 2)], null, true, deckZones, 42, null, [], categories);
+
+      const inputs = ComparisonService.getCalculationInputs(URLService.decodeCalculation(encoded));
+
+      expect(inputs.deckSize).toBe(40);
+      expect(inputs.handSize).toBe(5);
+      expect(inputs.combos[0].name).toBe('Main line');
+      expect(inputs.ydkCardCounts).toEqual({ A: 2, 'Ash Blossom & Joyous Spring': 1 });
+      expect(inputs.ydkCards).toHaveLength(2);
+      expect(inputs.settings.seed).toBe(42);
+      expect(inputs.settings.categories[0].cards).toEqual([{ name: 'A', cardId: 1, copies: 2 }]);
+    });
+
+    it('should leave hand-traps out when the configuration has no deck', () => {
+      const encoded = URLService.encodeCalculation(40, 5, [combo(1, 'Main line', 3)]);
+      const inputs = ComparisonService.getCalculationInputs(URLService.decodeCalculation(encoded));
+
+      expect(inputs.ydkCards).toBeNull();
+      expect(inputs.ydkCardCounts).toBeNull();
+    });
+
+    it('should read the configuration out of a shared link', () => {
+      const encoded = URLService.encodeCalculation(40, 5, [combo(1, 'Main line', 3)]);
+
+      expect(URLService.getEncodedFromLink(` https://example.com/#calc=${encoded} `)).toBe(encoded);
+      expect(URLService.getEncodedFromLink(encoded)).toBe(encoded);
+    });
+  });
+});
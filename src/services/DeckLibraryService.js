@@ -0,0 +1,229 @@
+/**
+ * DeckLibraryService - Named decks saved in the browser's IndexedDB
+ * Each deck keeps a version history; a version is an encodeCalculation string, so it
+ * holds the deck zones, combos and settings exactly as a share link would
+ */
+
+const DB_NAME = 'firstdrawgg_deck_library';
+const DB_VERSION = 1;
+const STORE_NAME = 'decks';
+
+const ZONES = ['main', 'extra', 'side'];
+
+// Copies of each card in a deck zone, by name
+const countZone = (cards) => (cards || []).reduce((counts, card) => {
+  counts[card.name] = (counts[card.name] || 0) + 1;
+  return counts;
+}, {});
+
+const formatMulligan = (mulligan) => (mulligan ? `${mulligan.type} x${mulligan.count}` : 'None');
+
+// Settings compared between versions: [key, label, value]
+const SETTINGS = [
+  ['deckSize', 'Deck size', config => config.deckSize],
+  ['handSize', 'Hand size', config => config.handSize],
+  ['mulligan', 'Mulligan', config => formatMulligan(config.mulligan)],
+  ['cardEffects', 'Card effects', config => (config.cardEffects || []).length],
+  ['categories', 'Categories', config => (config.categories || []).length],
+  ['bricks', 'Brick cards', config => (config.bricks || []).length]
+];
+
+// Wraps an IDBRequest in a promise
+const promisify = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const DeckLibraryService = {
+  db: null,
+
+  /**
+   * Whether this browser can store decks
+   * @returns {boolean}
+   */
+  isAvailable() {
+    return typeof indexedDB !== 'undefined';
+  },
+
+  async openDatabase() {
+    if (!this.db) {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+      };
+      this.db = await promisify(request);
+    }
+    return this.db;
+  },
+
+  async runRequest(mode, operate) {
+    const db = await this.openDatabase();
+    const store = db.transaction(STORE_NAME, mode).objectStore(STORE_NAME);
+    return promisify(operate(store));
+  },
+
+  /**
+   * All saved decks, most recently updated first
+   * @returns {Promise<Array>} Deck records
+   */
+  async listDecks() {
+    const decks = await this.runRequest('readonly', store => store.getAll());
+    return decks.sort((a, b) => b.updatedAt - a.updatedAt);
+  },
+
+  async getDeck(deckId) {
+    const deck = await this.runRequest('readonly', store => store.get(deckId));
+    if (!deck) {
+      throw new Error(`Deck ${deckId} not found`);
+    }
+    return deck;
+  },
+
+  async putDeck(deck) {
+    await this.runRequest('readwrite', store => store.put(deck));
+    return deck;
+  },
+
+  /**
+   * Saves a calculation as a new deck
+   * @param {string} name - Deck name
+   * @param {string} calculation - URLService.encodeCalculation string
+   * @returns {Promise<Object>} The new deck record
+   */
+  async saveDeck(name, calculation) {
+    return this.putDeck(this.createDeck(name, calculation));
+  },
+
+  /**
+   * Saves a calculation as the latest version of an existing deck
+   * @param {string} deckId - Deck to add the version to
+   * @param {string} calculation - URLService.encodeCalculation string
+   * @returns {Promise<Object>} The updated deck record
+   */
+  async saveVersion(deckId, calculation) {
+    return this.putDeck(this.addVersion(await this.getDeck(deckId), calculation));
+  },
+
+  async renameDeck(deckId, name) {
+    const deck = await this.getDeck(deckId);
+    return this.putDeck({ ...deck, name: name.trim() || deck.name, updatedAt: Date.now() });
+  },
+
+  async duplicateDeck(deckId) {
+    return this.putDeck(this.copyDeck(await this.getDeck(deckId)));
+  },
+
+  async deleteDeck(deckId) {
+    await this.runRequest('readwrite', store => store.delete(deckId));
+  },
+
+  /**
+   * Removes one version; a deck's only version can't be removed, delete the deck instead
+   * @returns {Promise<Object>} The updated deck record
+   */
+  async deleteVersion(deckId, versionNumber) {
+    const deck = await this.getDeck(deckId);
+    if (deck.versions.length <= 1) {
+      throw new Error('A deck needs at least one version');
+    }
+    return this.putDeck({
+      ...deck,
+      versions: deck.versions.filter(version => version.number !== versionNumber),
+      updatedAt: Date.now()
+    });
+  },
+
+  createId() {
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+  },
+
+  /**
+   * New deck record holding one version
+   * @param {string} name - Deck name
+   * @param {string} calculation - URLService.encodeCalculation string
+   * @param {number} now - Timestamp to save it at
+   * @returns {Object} { id, name, createdAt, updatedAt, versions: [{ number, savedAt, calculation }] }
+   */
+  createDeck(name, calculation, now = Date.now()) {
+    return {
+      id: this.createId(),
+      name: name.trim() || 'Untitled deck',
+      createdAt: now,
+      updatedAt: now,
+      versions: [{ number: 1, savedAt: now, calculation }]
+    };
+  },
+
+  /**
+   * Deck record with a calculation added as its latest version
+   * Version numbers keep counting up when older versions are removed
+   */
+  addVersion(deck, calculation, now = Date.now()) {
+    const number = deck.versions.reduce((max, version) => Math.max(max, version.number), 0) + 1;
+    return {
+      ...deck,
+      updatedAt: now,
+      versions: [...deck.versions, { number, savedAt: now, calculation }]
+    };
+  },
+
+  /**
+   * Copy of a deck under a new id and name, with its whole version history
+   */
+  copyDeck(deck, now = Date.now()) {
+    return {
+      ...deck,
+      id: this.createId(),
+      name: `${deck.name} (copy)`,
+      createdAt: now,
+      updatedAt: now,
+      versions: deck.versions.map(version => ({ ...version }))
+    };
+  },
+
+  /**
+   * Differences between two versions of a deck
+   * @param {Object} before - URLService.decodeCalculation result of the older version
+   * @param {Object} after - URLService.decodeCalculation result of the newer version
+   * @returns {Object} {
+   *   settings: [{ key, label, before, after }],
+   *   zones: { main, extra, side } each [{ name, before, after }] in copies,
+   *   combos: { added: [name], removed: [name], changed: [name], renamed: [{ before, after }] }
+   * } with only what changed. Combos are matched by uid; when either version was saved
+   * before combos had one, they are matched by name instead
+   */
+  diffVersions(before, after) {
+    const settings = SETTINGS
+      .map(([key, label, value]) => ({ key, label, before: value(before), after: value(after) }))
+      .filter(setting => setting.before !== setting.after);
+
+    const zones = {};
+    ZONES.forEach(zone => {
+      const beforeCounts = countZone(before.deckZones?.[zone]);
+      const afterCounts = countZone(after.deckZones?.[zone]);
+      const names = [...new Set([...Object.keys(beforeCounts), ...Object.keys(afterCounts)])].sort();
+      zones[zone] = names
+        .map(name => ({ name, before: beforeCounts[name] || 0, after: afterCounts[name] || 0 }))
+        .filter(card => card.before !== card.after);
+    });
+
+    // Positional ids are reused after a combo is removed, so they can't identify one across versions
+    const comboCards = (combo) => JSON.stringify(combo.cards);
+    const sameCombo = (a, b) => (a.uid && b.uid ? a.uid === b.uid : a.name === b.name);
+    const matches = after.combos.map(combo => ({ combo, previous: before.combos.find(other => sameCombo(other, combo)) }));
+    const combos = {
+      added: matches.filter(match => !match.previous).map(match => match.combo.name),
+      removed: before.combos.filter(combo => !after.combos.some(other => sameCombo(combo, other))).map(combo => combo.name),
+      changed: matches
+        .filter(match => match.previous && comboCards(match.previous) !== comboCards(match.combo))
+        .map(match => match.combo.name),
+      renamed: matches
+        .filter(match => match.previous && match.previous.name !== match.combo.name)
+        .map(match => ({ before: match.previous.name, after: match.combo.name }))
+    };
+
+    return { settings, zones, combos };
+  }
+};
+
+export default DeckLibraryService;
@@ -0,0 +1,113 @@
+/**
+ * DeckLibraryService Tests
+ * Test deck records, version history and version diffs
+ */
+
+import { expect, describe, it } from 'vitest';
+import DeckLibraryService from './DeckLibraryService.js';
+
+const combo = (name, copies) => ({
+  id: 1,
+  name,
+  cards: [{ starterCard: 'A', cardId: 1, isCustom: false, startersInDeck: copies, minCopiesInHand: 1, maxCopiesInHand: 3 }]
+});
+
+const zone = (names) => names.map((name, index) => ({ id: `main_${index}`, cardId: index, name }));
+
+const config = (overrides = {}) => ({
+  deckSize: 40,
+  handSize: 5,
+  combos: [combo('Main line', 3)],
+  mulligan: null,
+  cardEffects: [],
+  categories: [],
+  bricks: [],
+  deckZones: { main: zone(['A', 'A', 'A', 'B']), extra: zone(['C']), side: [] },
+  ...overrides
+});
+
+describe('DeckLibraryService', () => {
+  describe('Version history', () => {
+    it('should start a deck with one version and number later versions', () => {
+      const deck = DeckLibraryService.createDeck('  Snake-Eye  ', 'first', 1000);
+      const updated = DeckLibraryService.addVersion(deck, 'second', 2000);
+
+      expect(deck.name).toBe('Snake-Eye');
+      expect(deck.versions).toEqual([{ number: 1, savedAt: 1000, calculation: 'first' }]);
+      expect(updated.versions.map(version => version.number)).toEqual([1, 2]);
+      expect(updated.versions[1].calculation).toBe('second');
+      expect(updated.updatedAt).toBe(2000);
+      expect(updated.createdAt).toBe(1000);
+    });
+
+    it('should keep counting version numbers after older versions are removed', () => {
+      const deck = { ...DeckLibraryService.createDeck('Deck', 'a', 1000), versions: [{ number: 3, savedAt: 1000, calculation: 'c' }] };
+
+      expect(DeckLibraryService.addVersion(deck, 'd', 2000).versions[1].number).toBe(4);
+    });
+
+    it('should duplicate a deck under a new id with its whole history', () => {
+      const deck = DeckLibraryService.addVersion(DeckLibraryService.createDeck('Deck', 'a', 1000), 'b', 2000);
+      const copy = DeckLibraryService.copyDeck(deck, 3000);
+
+      expect(copy.id).not.toBe(deck.id);
+      expect(copy.name).toBe('Deck (copy)');
+      expect(copy.versions).toEqual(deck.versions);
+      expect(copy.versions[0]).not.toBe(deck.versions[0]);
+    });
+  });
+
+  describe('Version diffs', () => {
+    it('should report nothing for identical versions', () => {
+      const diff = DeckLibraryService.diffVersions(config(), config());
+
+      expect(diff.settings).toEqual([]);
+      expect(diff.zones).toEqual({ main: [], extra: [], side: [] });
+      expect(diff.combos).toEqual({ added: [], removed: [], changed: [], renamed: [] });
+    });
+
+    it('should list changed settings, card counts and combos', () => {
+      const before = config({ combos: [combo('Main line', 3), combo('Backup', 2)] });
+      const after = config({
+        deckSize: 41,
+        mulligan: { type: 'full', count: 1 },
+        combos: [combo('Main line', 2), combo('Extender', 1)],
+        deckZones: { main: zone(['A', 'A', 'B', 'D']), extra: zone(['C']), side: zone(['A']) }
+      });
+
+      const diff = DeckLibraryService.diffVersions(before, after);
+
+      expect(diff.settings).toEqual([
+        { key: 'deckSize', label: 'Deck size', before: 40, after: 41 },
+        { key: 'mulligan', label: 'Mulligan', before: 'None', after: 'full x1' }
+      ]);
+      expect(diff.zones.main).toEqual([
+        { name: 'A', before: 3, after: 2 },
+        { name: 'D', before: 0, after: 1 }
+      ]);
+      expect(diff.zones.extra).toEqual([]);
+      expect(diff.zones.side).toEqual([{ name: 'A', before: 0, after: 1 }]);
+      expect(diff.combos).toEqual({ added: ['Extender'], removed: ['Backup'], changed: ['Main line'], renamed: [] });
+    });
+
+    it('should match combos by uid across renames and reused ids', () => {
+      const withUid = (uid, name, copies) => ({ ...combo(name, copies), uid });
+      const before = config({ combos: [withUid('a1', 'Combo 1', 3), withUid('b2', 'Combo 2', 2)] });
+      const after = config({ combos: [{ ...withUid('b2', 'Combo 1', 2) }, { ...withUid('c3', 'Combo 2', 1), id: 2 }] });
+
+      expect(DeckLibraryService.diffVersions(before, after).combos).toEqual({
+        added: ['Combo 2'],
+        removed: ['Combo 1'],
+        changed: [],
+        renamed: [{ before: 'Combo 2', after: 'Combo 1' }]
+      });
+    });
+
+    it('should compare versions saved without deck zones', () => {
+      const diff = DeckLibraryService.diffVersions(config({ deckZones: undefined }), config());
+
+      expect(diff.zones.main).toHaveLength(2);
+      expect(diff.zones.extra).toEqual([{ name: 'C', before: 0, after: 1 }]);
+    });
+  });
+});
@@ -0,0 +1,116 @@
+/**
+ * DeckValidationService - Checks a built deck against the deck construction rules
+ * Zone sizes, copies across Main, Extra and Side Deck, the selected banlist and point budget,
+ * cards in the wrong zone, and YDK passcodes that didn't match a card
+ */
+
+import { DECK_ZONE_LIMITS, MAX_COPIES_PER_CARD } from '../constants/config.js';
+import { getCardBanlistStatus, getMaxCopiesAllowed, getDeckPoints } from '../utils/banlist.js';
+
+const ZONE_NAMES = { main: 'Main Deck', extra: 'Extra Deck', side: 'Side Deck' };
+
+const DeckValidationService = {
+  /**
+   * Validates a deck
+   * Every issue names the card it is about, with the deck card's id so the report can link to it;
+   * unmatched passcodes are warnings, everything else makes the deck invalid
+   * @param {Object} options
+   * @param {Object} options.deckZones - { main, extra, side } card arrays
+   * @param {Object|null} options.banlist - Selected banlist from BanlistService, null for no banlist
+   * @param {Object} options.cardDatabase - cardDatabase.json contents, for isExtraDeck
+   * @param {string[]} options.unmatchedIds - YdkParser.parseYdkFile unmatchedIds
+   * @returns {{ isValid: boolean, issues: Array<{ type, severity, message, cardName?, cardId?, cardInstanceId?, zone? }> }}
+   */
+  validateDeck({ deckZones, banlist = null, cardDatabase = {}, unmatchedIds = [] }) {
+    const issues = [
+      ...this.checkZoneSizes(deckZones),
+      ...this.checkCopies(deckZones, banlist),
+      ...this.checkPoints(deckZones, banlist),
+      ...this.checkPlacement(deckZones, cardDatabase),
+      ...unmatchedIds.map(cardId => ({
+        type: 'unmatched',
+        severity: 'warning',
+        message: `Passcode ${cardId} in the YDK file doesn't match a known card and was left out`,
+        cardId
+      }))
+    ];
+
+    return { isValid: issues.every(issue => issue.severity !== 'error'), issues };
+  },
+
+  checkZoneSizes(deckZones) {
+    return Object.entries(DECK_ZONE_LIMITS).flatMap(([zone, { min, max }]) => {
+      const size = (deckZones[zone] || []).length;
+      if (size < min) {
+        return [{ type: 'zone-size', severity: 'error', message: `${ZONE_NAMES[zone]} has ${size} cards; it needs at least ${min}`, zone }];
+      }
+      if (size > max) {
+        return [{ type: 'zone-size', severity: 'error', message: `${ZONE_NAMES[zone]} has ${size} cards; it can't have more than ${max}`, zone }];
+      }
+      return [];
+    });
+  },
+
+  // Copies are counted by name across all zones; the first copy found is the one linked to
+  checkCopies(deckZones, banlist) {
+    const copies = new Map();
+    ['main', 'extra', 'side'].forEach(zone => {
+      (deckZones[zone] || []).forEach(card => {
+        const entry = copies.get(card.name) || { card, count: 0 };
+        entry.count++;
+        copies.set(card.name, entry);
+      });
+    });
+
+    const issues = [];
+    copies.forEach(({ card, count }, name) => {
+      const link = { cardName: name, cardId: card.cardId, cardInstanceId: card.id, zone: card.zone };
+      const status = getCardBanlistStatus(name, banlist);
+      const maxAllowed = getMaxCopiesAllowed(name, banlist);
+
+      if (count > MAX_COPIES_PER_CARD) {
+        issues.push({ type: 'copy-limit', severity: 'error', message: `${name}: ${count} copies, no more than ${MAX_COPIES_PER_CARD} allowed`, ...link });
+      } else if (status === 'forbidden') {
+        issues.push({ type: 'forbidden', severity: 'error', message: `${name} is forbidden on ${banlist.format} ${banlist.date}`, ...link });
+      } else if (count > maxAllowed) {
+        issues.push({ type: 'banlist-limit', severity: 'error', message: `${name}: ${count} copies, ${status} on ${banlist.format} ${banlist.date} (${maxAllowed} allowed)`, ...link });
+      }
+    });
+    return issues;
+  },
+
+  checkPoints(deckZones, banlist) {
+    const points = getDeckPoints(deckZones, banlist);
+    if (!points || points.total <= points.limit) return [];
+    return [{
+      type: 'points',
+      severity: 'error',
+      message: `Deck costs ${points.total} points, ${points.total - points.limit} over the ${points.limit} point limit`
+    }];
+  },
+
+  // Cards whose isExtraDeck is unknown (custom or missing from cardDatabase.json) aren't checked
+  checkPlacement(deckZones, cardDatabase) {
+    const issues = [];
+    ['main', 'extra'].forEach(zone => {
+      (deckZones[zone] || []).forEach(card => {
+        const isExtraDeck = cardDatabase[String(card.cardId)]?.isExtraDeck;
+        if (typeof isExtraDeck !== 'boolean' || isExtraDeck === (zone === 'extra')) return;
+        issues.push({
+          type: 'misplaced',
+          severity: 'error',
+          message: isExtraDeck
+            ? `${card.name} is an Extra Deck monster in the Main Deck`
+            : `${card.name} is a Main Deck card in the Extra Deck`,
+          cardName: card.name,
+          cardId: card.cardId,
+          cardInstanceId: card.id,
+          zone
+        });
+      });
+    });
+    return issues;
+  }
+};
+
+export default DeckValidationService;
@@ -0,0 +1,130 @@
+/**
+ * DeckValidationService Tests
+ * Test zone sizes, copy and banlist limits, point budgets, card placement and unmatched passcodes
+ */
+
+import { expect, describe, it } from 'vitest';
+import DeckValidationService from './DeckValidationService.js';
+import BanlistService from './BanlistService.js';
+
+const cardDatabase = {
+  12580477: { name: 'Raigeki', isExtraDeck: false },
+  55144522: { name: 'Pot of Greed', isExtraDeck: false },
+  14558127: { name: 'Ash Blossom & Joyous Spring', isExtraDeck: false },
+  60764609: { name: 'Fiendsmith Engraver', isExtraDeck: false },
+  2463794: { name: 'Fiendsmith\'s Requiem', isExtraDeck: true }
+};
+
+const deckCard = (zone, cardId, index) => ({
+  id: `${zone}_${cardId}_${index}`,
+  cardId: String(cardId),
+  name: cardDatabase[cardId]?.name || `Card ${cardId}`,
+  zone
+});
+
+// A legal 40 card main deck of 14 different unlisted cards, with one Extra Deck monster
+const buildDeckZones = () => ({
+  main: Array.from({ length: 40 }, (_, i) => deckCard('main', 70000000 + (i % 14), i)),
+  extra: [deckCard('extra', 2463794, 0)],
+  side: []
+});
+
+const banlist = BanlistService.createBanlist({
+  format: 'TCG',
+  date: '2025-01-01',
+  cards: {
+    55144522: { name: 'Pot of Greed', status: 'forbidden' },
+    12580477: { name: 'Raigeki', status: 'limited' }
+  }
+});
+
+describe('DeckValidationService', () => {
+  it('should pass a legal deck', () => {
+    expect(DeckValidationService.validateDeck({ deckZones: buildDeckZones(), banlist, cardDatabase })).toEqual({ isValid: true, issues: [] });
+  });
+
+  it('should check zone sizes', () => {
+    const deckZones = buildDeckZones();
+    deckZones.main = deckZones.main.slice(0, 39);
+    deckZones.side = Array.from({ length: 16 }, (_, i) => deckCard('side', 80000000 + i, i));
+
+    const { isValid, issues } = DeckValidationService.validateDeck({ deckZones, cardDatabase });
+
+    expect(isValid).toBe(false);
+    expect(issues.map(issue => [issue.type, issue.zone])).toEqual([['zone-size', 'main'], ['zone-size', 'side']]);
+  });
+
+  it('should count copies across main, extra and side deck and link to the first copy', () => {
+    const deckZones = buildDeckZones();
+    deckZones.main.splice(0, 3, deckCard('main', 14558127, 'a'), deckCard('main', 14558127, 'b'), deckCard('main', 14558127, 'c'));
+    deckZones.side.push(deckCard('side', 14558127, 'd'));
+
+    const { issues } = DeckValidationService.validateDeck({ deckZones, cardDatabase });
+
+    expect(issues).toEqual([{
+      type: 'copy-limit',
+      severity: 'error',
+      message: 'Ash Blossom & Joyous Spring: 4 copies, no more than 3 allowed',
+      cardName: 'Ash Blossom & Joyous Spring',
+      cardId: '14558127',
+      cardInstanceId: 'main_14558127_a',
+      zone: 'main'
+    }]);
+  });
+
+  it('should enforce the selected banlist', () => {
+    const deckZones = buildDeckZones();
+    deckZones.main.splice(0, 2, deckCard('main', 55144522, 'a'), deckCard('main', 12580477, 'b'));
+    deckZones.side.push(deckCard('side', 12580477, 'c'));
+
+    const { issues } = DeckValidationService.validateDeck({ deckZones, banlist, cardDatabase });
+
+    expect(issues.map(issue => issue.message)).toEqual([
+      'Pot of Greed is forbidden on TCG 2025-01-01',
+      'Raigeki: 2 copies, limited on TCG 2025-01-01 (1 allowed)'
+    ]);
+    expect(DeckValidationService.validateDeck({ deckZones, cardDatabase }).issues).toEqual([]);
+  });
+
+  it('should flag decks over a point format\'s budget', () => {
+    const genesys = BanlistService.createBanlist({
+      format: 'Genesys',
+      date: '2025-01-01',
+      cards: {},
+      pointLimit: 10,
+      points: { 12580477: { name: 'Raigeki', points: 6 } }
+    });
+    const deckZones = buildDeckZones();
+    deckZones.main.splice(0, 2, deckCard('main', 12580477, 'a'), deckCard('main', 12580477, 'b'));
+
+    const { isValid, issues } = DeckValidationService.validateDeck({ deckZones, banlist: genesys, cardDatabase });
+
+    expect(isValid).toBe(false);
+    expect(issues).toEqual([{ type: 'points', severity: 'error', message: 'Deck costs 12 points, 2 over the 10 point limit' }]);
+  });
+
+  it('should flag cards in the wrong zone using isExtraDeck', () => {
+    const deckZones = buildDeckZones();
+    deckZones.main.splice(0, 1, deckCard('main', 2463794, 'a'));
+    deckZones.extra.push(deckCard('extra', 60764609, 'b'));
+
+    const { issues } = DeckValidationService.validateDeck({ deckZones, cardDatabase });
+
+    expect(issues.map(issue => [issue.type, issue.cardInstanceId, issue.message])).toEqual([
+      ['misplaced', 'main_2463794_a', 'Fiendsmith\'s Requiem is an Extra Deck monster in the Main Deck'],
+      ['misplaced', 'extra_60764609_b', 'Fiendsmith Engraver is a Main Deck card in the Extra Deck']
+    ]);
+  });
+
+  it('should list unmatched YDK passcodes as warnings', () => {
+    const { isValid, issues } = DeckValidationService.validateDeck({ deckZones: buildDeckZones(), cardDatabase, unmatchedIds: ['99999999'] });
+
+    expect(isValid).toBe(true);
+    expect(issues).toEqual([{
+      type: 'unmatched',
+      severity: 'warning',
+      message: 'Passcode 99999999 in the YDK file doesn\'t match a known card and was left out',
+      cardId: '99999999'
+    }]);
+  });
+});
@@ -1,10 +1,11 @@
 /**
  * Opening Hand Service
  * Generates opening hands for probability testing using Monte Carlo simulation
+ * Every generator takes an optional random source (see utils/random) so sample hands can be reproduced
  */
 
 const OpeningHandService = {
-  generateHand: (combos, deckSize, handSize) => {
+  generateHand: (combos, deckSize, handSize, random = Math.random) => {
     console.log('🔄 OpeningHandService.generateHand called with:', { combos: combos?.length, deckSize, handSize });
     if (!combos || combos.length === 0 || handSize <= 0 || deckSize <= 0) {
       console.log('❌ Invalid parameters, returning blank cards');
@@ -67,7 +68,7 @@ const OpeningHandService = {
     // Shuffle deck using cryptographically secure Fisher-Yates algorithm
     // This ensures true randomness for probabilistic accuracy
     for (let i = deck.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
+      const j = Math.floor(random() * (i + 1));
       [deck[i], deck[j]] = [deck[j], deck[i]];
     }
 
@@ -102,7 +103,7 @@ const OpeningHandService = {
   },
 
   // Advanced hand generation that considers combo satisfaction probabilities
-  generateProbabilisticHand: (combos, deckSize, handSize) => {
+  generateProbabilisticHand: (combos, deckSize, handSize, random = Math.random) => {
     // Use Monte Carlo approach to generate hands that reflect true probability
     // This will show both successful hands AND brick hands based on real odds
     console.log('🎰 generateProbabilisticHand starting...');
@@ -110,7 +111,7 @@ const OpeningHandService = {
     const possibleHands = [];
 
     for (let attempt = 0; attempt < numAttempts; attempt++) {
-      const hand = OpeningHandService.generateHand(combos, deckSize, handSize);
+      const hand = OpeningHandService.generateHand(combos, deckSize, handSize, random);
       console.log(`🎰 Attempt ${attempt + 1}:`, hand.filter(card => card.type === 'card').length, 'real cards');
       possibleHands.push(hand);
     }
@@ -121,15 +122,15 @@ const OpeningHandService = {
     );
 
     const finalHand = handsWithCards.length > 0
-      ? handsWithCards[Math.floor(Math.random() * handsWithCards.length)]
-      : possibleHands[Math.floor(Math.random() * possibleHands.length)];
+      ? handsWithCards[Math.floor(random() * handsWithCards.length)]
+      : possibleHands[Math.floor(random() * possibleHands.length)];
 
     console.log('🎰 Final selected hand:', finalHand.filter(card => card.type === 'card').length, 'real cards');
     return finalHand;
   },
 
   // Generate opening hand from YDK cards
-  generateHandFromYdkCards: (ydkCards, ydkCardCounts, handSize) => {
+  generateHandFromYdkCards: (ydkCards, ydkCardCounts, handSize, random = Math.random) => {
     console.log('🎯 generateHandFromYdkCards starting with:', { ydkCards: ydkCards?.length, handSize });
 
     if (!ydkCards || ydkCards.length === 0 || !ydkCardCounts || Object.keys(ydkCardCounts).length === 0) {
@@ -161,8 +162,12 @@ const OpeningHandService = {
       return Array(handSize).fill(null).map(() => ({ type: 'blank', cardName: null, isCustom: false }));
     }
 
-    // Shuffle and draw opening hand
-    const shuffledDeck = [...deck].sort(() => Math.random() - 0.5);
+    // Shuffle (Fisher-Yates) and draw opening hand
+    const shuffledDeck = [...deck];
+    for (let i = shuffledDeck.length - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      [shuffledDeck[i], shuffledDeck[j]] = [shuffledDeck[j], shuffledDeck[i]];
+    }
     const hand = [];
 
     for (let i = 0; i < handSize; i++) {
@@ -1,15 +1,39 @@
 /**
  * ProbabilityService - Core probability calculation engine for TCG scenarios
  *
- * This service handles Monte Carlo simulations for calculating the probability
- * of drawing specific card combinations in trading card games.
+ * This service calculates the probability of drawing specific card combinations
+ * in trading card games. Combos are solved exactly with a multivariate
+ * hypergeometric enumeration; Monte Carlo simulation is only used as a fallback
+ * when the number of hand compositions is too large to enumerate.
  *
- * Uses strict AND logic only - all cards in a combo must be drawn for success.
+ * Cards within a combo are joined by their AND/OR logic operators, with
+ * parenthesised groups overriding the default precedence (AND binds tighter than OR).
  */
 
 import HandTrapService from './HandTrapService.js';
-
-// Expression tree node classes for AND-only evaluation
+import {
+  EXACT_STATE_LIMIT,
+  EFFECT_SEARCH_LIMIT,
+  SIMULATION_COUNT,
+  ADAPTIVE_BATCH_SIZE,
+  MAX_SIMULATION_COUNT,
+  CONFIDENCE_Z,
+  GOING_FIRST_HAND_SIZE,
+  GOING_SECOND_HAND_SIZE,
+  TURN_CURVE_TURNS,
+  DECK_SIZE_SWEEP_MIN,
+  DECK_SIZE_SWEEP_MAX,
+  MAX_COPIES_PER_CARD,
+  OPTIMIZER_EXHAUSTIVE_LIMIT,
+  OPTIMIZER_MAX_STEPS,
+  OPTIMIZER_RESULT_LIMIT,
+  OPTIMIZER_TIME_BUDGET,
+  OUTCOME_PATTERN_LIMIT,
+  MULLIGAN_TYPES
+} from '../constants/config.js';
+import { createRandom, generateSeed } from '../utils/random.js';
+
+// Expression tree node classes for AND/OR evaluation
 class PredicateNode {
   constructor(cardIndex, minCopies, maxCopies) {
     this.cardIndex = cardIndex;
@@ -21,6 +45,10 @@ class PredicateNode {
     const count = cardCounts[this.cardIndex] || 0;
     return count >= this.minCopies && count <= this.maxCopies;
   }
+
+  minCardsRequired() {
+    return this.minCopies;
+  }
 }
 
 class AndNode {
@@ -32,11 +60,233 @@ class AndNode {
   eval(cardCounts) {
     return this.left.eval(cardCounts) && this.right.eval(cardCounts);
   }
+
+  minCardsRequired() {
+    return this.left.minCardsRequired() + this.right.minCardsRequired();
+  }
+
+  conjunctions() {
+    const right = this.right.conjunctions();
+    return this.left.conjunctions().flatMap(left => right.map(other => [...left, ...other]));
+  }
+}
+
+class OrNode {
+  constructor(left, right) {
+    this.left = left;
+    this.right = right;
+  }
+
+  eval(cardCounts) {
+    return this.left.eval(cardCounts) || this.right.eval(cardCounts);
+  }
+
+  minCardsRequired() {
+    return Math.min(this.left.minCardsRequired(), this.right.minCardsRequired());
+  }
+
+  conjunctions() {
+    return [...this.left.conjunctions(), ...this.right.conjunctions()];
+  }
+}
+
+// Combo card in a category-aware combo, filled by any real card of its requirement
+class RequirementNode {
+  constructor(requirementIndex) {
+    this.requirementIndex = requirementIndex;
+  }
+
+  conjunctions() {
+    return [[this.requirementIndex]];
+  }
 }
 
 class ProbabilityService {
   constructor() {
     this.resultCache = new Map();
+    this.seed = null;
+    this.targetMargin = null;
+    this.cardEffects = [];
+    this.categories = [];
+  }
+
+  /**
+   * Returns a calculator for one call's settings. It shares this service's methods
+   * and result cache but holds its own seed, precision, card effects and categories,
+   * so a calculation neither changes the shared service nor inherits an earlier call's settings
+   * @param {Object} settings - { seed, targetMargin, cardEffects, categories }; missing ones use the defaults
+   * @returns {ProbabilityService} Calculator scoped to these settings
+   */
+  withSettings({ seed = null, targetMargin = null, cardEffects = [], categories = [] } = {}) {
+    const calculator = Object.create(this);
+    calculator.setSeed(seed);
+    calculator.setTargetMargin(targetMargin);
+    calculator.setCardEffects(cardEffects);
+    calculator.setCategories(categories);
+    return calculator;
+  }
+
+  /**
+   * Sets the seed used by every simulation; null restores Math.random
+   * Each simulation starts its own stream from the seed, so results don't depend on call order
+   * @param {number|null} seed - 32-bit unsigned integer seed
+   */
+  setSeed(seed) {
+    this.seed = seed ?? null;
+  }
+
+  /**
+   * Returns a random number source for one simulation run
+   * @returns {Function} Function returning floats in [0, 1)
+   */
+  getRandom() {
+    return this.seed === null ? Math.random : createRandom(this.seed);
+  }
+
+  /**
+   * Switches simulations between a fixed iteration count and adaptive sampling
+   * @param {number|null} targetMargin - 95% interval half-width (percentage points) to sample until; null for fixed
+   */
+  setTargetMargin(targetMargin) {
+    this.targetMargin = targetMargin ?? null;
+  }
+
+  /**
+   * Card effects that can complete a combo from the deck, e.g.
+   *   { card: 'Terraforming', copies: 1, type: 'search', targets: ['Field Spell'] }
+   *   { card: 'Pot of Desires', copies: 2, type: 'draw', count: 2, oncePerTurn: true }
+   *   { card: 'Pot of Prosperity', copies: 3, type: 'excavate', count: 6, oncePerTurn: true }
+   * Combos that one of these can help are simulated instead of solved exactly
+   * (see simulateWithEffects). Activation costs aren't modelled.
+   * @param {Array} cardEffects - Effect definitions; empty to turn effects off
+   */
+  setCardEffects(cardEffects) {
+    this.cardEffects = Array.isArray(cardEffects) ? cardEffects : [];
+  }
+
+  /**
+   * Card effects that matter for these combos: every draw and excavate effect,
+   * and searchers that can add one of the combos' cards
+   * @param {Array} combos - Array of combo configurations
+   * @returns {Array} Relevant effect definitions
+   */
+  getRelevantEffects(combos) {
+    if (this.cardEffects.length === 0) return [];
+
+    const comboCardNames = new Set(combos.flatMap(combo => combo.cards.map(card => card.starterCard)));
+    return this.cardEffects.filter(effect =>
+      effect.card && effect.copies > 0 &&
+      (effect.type !== 'search' || (effect.targets || []).some(target => comboCardNames.has(target)))
+    );
+  }
+
+  /**
+   * Card categories ("roles") combo cards can require instead of a single card, e.g.
+   *   { id: 1, name: 'Starter', cards: [{ name: 'Fire King Avatar Arvata', cardId: 123, copies: 3 }] }
+   * A combo card with categoryId is filled by any card of that category (see calculateCategoryProbability)
+   * @param {Array} categories - Categories with copies in deck (see resolveCategories)
+   */
+  setCategories(categories) {
+    this.categories = Array.isArray(categories) ? categories : [];
+  }
+
+  /**
+   * Fills in each category card's copies from the deck; cards no longer in the deck are dropped
+   * @param {Array} categories - [{ id, name, cards: [{ name, cardId }] }]
+   * @param {Object} cardCounts - Copies in deck by card name
+   * @returns {Array} Categories ready for setCategories
+   */
+  resolveCategories(categories, cardCounts) {
+    return (categories || []).map(category => ({
+      ...category,
+      cards: category.cards
+        .map(card => ({ ...card, copies: cardCounts?.[card.name] || 0 }))
+        .filter(card => card.copies > 0)
+    }));
+  }
+
+  /**
+   * Whether any combo card requires a category rather than a single card
+   */
+  hasCategoryCards(combos) {
+    return combos.some(combo => combo.cards.some(card => card.categoryId != null));
+  }
+
+  /**
+   * Real cards that can fill a combo card: its category's cards, or the card itself
+   * @param {Object} card - Card configuration
+   * @returns {Array} [{ name, copies }]
+   */
+  getRequirementCards(card) {
+    if (card.categoryId == null) {
+      return [{ name: card.starterCard, copies: card.startersInDeck }];
+    }
+
+    const category = this.categories.find(other => other.id === card.categoryId);
+    return category ? category.cards.map(member => ({ name: member.name, copies: member.copies })) : [];
+  }
+
+  /**
+   * Normal-approximation 95% confidence interval for a simulated proportion
+   * @param {number} successes - Successful trials
+   * @param {number} trials - Total trials
+   * @returns {Object} { standardError, margin, lower, upper, trials } in percentage points
+   */
+  getConfidenceInterval(successes, trials) {
+    const p = successes / trials;
+    const standardError = Math.sqrt(p * (1 - p) / trials) * 100;
+    const margin = CONFIDENCE_Z * standardError;
+
+    return {
+      standardError,
+      margin,
+      lower: Math.max(0, p * 100 - margin),
+      upper: Math.min(100, p * 100 + margin),
+      trials
+    };
+  }
+
+  /**
+   * Runs a Monte Carlo loop. In fixed mode it runs `simulations` trials; in adaptive
+   * mode (see setTargetMargin) it samples in batches until the interval is tight enough
+   * or MAX_SIMULATION_COUNT is reached.
+   * @param {Function} trial - Receives the random source, returns true on success
+   * @param {number} simulations - Trials to run in fixed mode
+   * @returns {Object} { probability, interval }
+   */
+  runSimulation(trial, simulations = SIMULATION_COUNT) {
+    const random = this.getRandom();
+    let successes = 0;
+    let trials = 0;
+
+    const runTrials = (count) => {
+      for (let i = 0; i < count; i++) {
+        if (trial(random)) {
+          successes++;
+        }
+      }
+      trials += count;
+    };
+
+    if (this.targetMargin === null) {
+      runTrials(simulations);
+    } else {
+      do {
+        runTrials(Math.min(ADAPTIVE_BATCH_SIZE, MAX_SIMULATION_COUNT - trials));
+      } while (
+        trials < MAX_SIMULATION_COUNT &&
+        this.getConfidenceInterval(successes, trials).margin > this.targetMargin
+      );
+    }
+
+    if (trials === 0) {
+      return { probability: 0, interval: null };
+    }
+
+    return {
+      probability: (successes / trials) * 100,
+      interval: this.getConfidenceInterval(successes, trials)
+    };
   }
 
   /**
@@ -46,28 +296,40 @@ class ProbabilityService {
     this.resultCache.clear();
   }
 
+  /**
+   * Generates the cache key fragment for a single card
+   * Includes the logic operator and group markers so AND/OR variants don't collide
+   */
+  getCardCacheKey(card) {
+    const logic = `${card.logicOperator || 'AND'}${card.openParens || 0}${card.closeParens || 0}`;
+    return `${card.startersInDeck}-${card.minCopiesInHand}-${card.maxCopiesInHand}-${logic}`;
+  }
+
+  /**
+   * Cache key fragment for the simulation settings (seed and precision mode)
+   */
+  getSimulationKey() {
+    return `${this.seed ?? 'unseeded'}-${this.targetMargin ?? 'fixed'}`;
+  }
+
   /**
    * Generates a cache key for a single combo
-   * All cards are connected with AND logic only
    */
   getCacheKey(combo, deckSize, handSize) {
-    const cardsKey = combo.cards.map(card =>
-      `${card.startersInDeck}-${card.minCopiesInHand}-${card.maxCopiesInHand}`
-    ).join('|');
-    return `${cardsKey}-${deckSize}-${handSize}`;
+    const cardsKey = combo.cards.map(card => this.getCardCacheKey(card)).join('|');
+    return `${cardsKey}-${deckSize}-${handSize}-${this.getSimulationKey()}`;
   }
 
   /**
    * Generates a cache key for multiple combos
-   * All cards within each combo are connected with AND logic only
    */
   getCombinedCacheKey(combos, deckSize, handSize) {
     const combosKey = combos.map(combo =>
       combo.cards.map(card =>
-        `${card.startersInDeck}-${card.minCopiesInHand}-${card.maxCopiesInHand}`
+        `${card.starterCard}-${card.cardId || 'custom'}-${this.getCardCacheKey(card)}`
       ).join('|')
     ).join('||');
-    return `combined-${combosKey}-${deckSize}-${handSize}`;
+    return `combined-${combosKey}-${deckSize}-${handSize}-${this.getSimulationKey()}`;
   }
 
   /**
@@ -107,8 +369,14 @@ class ProbabilityService {
       }
     }
 
-    // Edge case: Sum of minimums can't exceed hand size
-    const sumOfMins = combo.cards.reduce((sum, card) => sum + card.minCopiesInHand, 0);
+    // Edge case: Parenthesised groups must be balanced
+    const groupError = this.validateGroups(combo.cards);
+    if (groupError) {
+      return { valid: false, error: groupError };
+    }
+
+    // Edge case: Cheapest way to satisfy the combo can't exceed hand size
+    const sumOfMins = this.getMinimumHandCards(combo.cards);
     if (sumOfMins > handSize) {
       return { valid: false, error: `Sum of minimum copies (${sumOfMins}) exceeds hand size (${handSize})` };
     }
@@ -117,13 +385,110 @@ class ProbabilityService {
   }
 
   /**
-   * Builds an expression tree from combo cards using strict AND logic
-   * All cards must be drawn for the combo to succeed
+   * Checks that the parenthesised groups of a combo are balanced
+   * @param {Array} cards - Array of card configurations
+   * @returns {string|null} Error message, or null if the groups are valid
+   */
+  validateGroups(cards) {
+    let depth = 0;
+
+    for (const card of cards) {
+      depth += card.openParens || 0;
+      depth -= card.closeParens || 0;
+      if (depth < 0) {
+        return 'Closing bracket without a matching opening bracket';
+      }
+    }
+
+    return depth === 0 ? null : 'Opening bracket without a matching closing bracket';
+  }
+
+  /**
+   * Calculates the fewest cards a hand needs to satisfy a combo
+   * AND groups add their minimums, OR groups take the cheapest branch
+   * @param {Array} cards - Array of card configurations
+   * @returns {number} Minimum number of combo cards in hand
+   */
+  getMinimumHandCards(cards) {
+    if (!cards || cards.length === 0) {
+      return 0;
+    }
+
+    if (this.validateGroups(cards)) {
+      // Unbalanced groups can't be parsed; treat every card as required
+      return cards.reduce((sum, card) => sum + (card.minCopiesInHand || 0), 0);
+    }
+
+    return this.buildExpressionTree(cards).minCardsRequired();
+  }
+
+  /**
+   * Parses combo cards into an expression tree
+   *
+   * Each card after the first joins the expression with its logicOperator.
+   * openParens / closeParens place brackets before / after the card.
+   * AND binds tighter than OR, so "A OR B AND C" reads as "A OR (B AND C)".
+   *
+   * @param {Array} cards - Array of card configurations
+   * @param {Function} createPredicate - (card, index) => predicate node
+   * @returns {Object} Expression tree root node
+   */
+  parseCardExpression(cards, createPredicate) {
+    const tokens = [];
+    cards.forEach((card, index) => {
+      if (index > 0) {
+        tokens.push({ type: 'operator', value: card.logicOperator === 'OR' ? 'OR' : 'AND' });
+      }
+      for (let i = 0; i < (card.openParens || 0); i++) {
+        tokens.push({ type: 'open' });
+      }
+      tokens.push({ type: 'predicate', node: createPredicate(card, index) });
+      for (let i = 0; i < (card.closeParens || 0); i++) {
+        tokens.push({ type: 'close' });
+      }
+    });
+
+    let position = 0;
+    const peek = () => tokens[position];
+
+    const parsePrimary = () => {
+      const token = tokens[position++];
+      if (token.type === 'open') {
+        const node = parseOr();
+        position++; // Skip the matching close bracket
+        return node;
+      }
+      return token.node;
+    };
+
+    const parseAnd = () => {
+      let node = parsePrimary();
+      while (peek() && peek().type === 'operator' && peek().value === 'AND') {
+        position++;
+        node = new AndNode(node, parsePrimary());
+      }
+      return node;
+    };
+
+    const parseOr = () => {
+      let node = parseAnd();
+      while (peek() && peek().type === 'operator' && peek().value === 'OR') {
+        position++;
+        node = new OrNode(node, parseAnd());
+      }
+      return node;
+    };
+
+    return parseOr();
+  }
+
+  /**
+   * Builds an expression tree from combo cards
    *
    * Logic rules:
    * - Single card: returns a predicate for that card
-   * - Multiple cards: chains all cards with AND operators
-   * - Example: Card1 AND Card2 AND Card3 AND Card4
+   * - Multiple cards: joins cards with their AND/OR operators
+   * - Example: (Card1 OR Card2) AND Card3
    *
    * @param {Array} cards - Array of card configurations
    * @returns {Object} Expression tree root node
@@ -138,399 +503,1956 @@ class ProbabilityService {
       return new PredicateNode(0, cards[0].minCopiesInHand, cards[0].maxCopiesInHand);
     }
 
-    // Start with the first card as the root
-    let root = new PredicateNode(0, cards[0].minCopiesInHand, cards[0].maxCopiesInHand);
+    return this.parseCardExpression(cards, (card, index) =>
+      new PredicateNode(index, card.minCopiesInHand, card.maxCopiesInHand)
+    );
+  }
+
+  /**
+   * Counts the hand compositions an exact enumeration would visit
+   * @param {Array<number>} copiesInDeck - Copies in deck of each tracked card
+   * @param {number} handSize - Hand size to draw
+   * @returns {number} Upper bound on the number of per-card copy count vectors
+   */
+  countHandCompositions(copiesInDeck, handSize) {
+    return copiesInDeck.reduce((total, copies) => total * (Math.min(copies, handSize) + 1), 1);
+  }
+
+  /**
+   * Calculates the exact probability that an opening hand satisfies a predicate
+   *
+   * Enumerates every copy count vector (k1..km) of the tracked cards with
+   * k1 + ... + km <= handSize and sums the multivariate hypergeometric weight
+   * C(K1,k1) x ... x C(Km,km) x C(Other, n - sum(k)) / C(N, n) of each vector
+   * the predicate accepts.
+   *
+   * @param {Array<number>} copiesInDeck - Copies in deck of each tracked card
+   * @param {number} deckSize - Total deck size
+   * @param {number} handSize - Hand size to draw
+   * @param {Function} predicate - Receives the per-card counts array, returns true on success
+   * @returns {number|null} Probability percentage, or null if the deck cannot hold the tracked cards
+   */
+  exactHandProbability(copiesInDeck, deckSize, handSize, predicate) {
+    const trackedCopies = copiesInDeck.reduce((sum, copies) => sum + copies, 0);
+    const otherCount = deckSize - trackedCopies;
 
-    // Chain all remaining cards with AND operators
-    for (let i = 1; i < cards.length; i++) {
-      const card = cards[i];
-      const predicate = new PredicateNode(i, card.minCopiesInHand, card.maxCopiesInHand);
-      // Always use AND - no OR logic supported
-      root = new AndNode(root, predicate);
+    if (otherCount < 0 || handSize > deckSize) {
+      return null;
     }
 
-    return root;
+    const counts = new Array(copiesInDeck.length).fill(0);
+    let favourableHands = 0;
+
+    const visit = (cardIndex, drawn, weight) => {
+      if (cardIndex === copiesInDeck.length) {
+        // Remaining hand slots are filled with "Other" cards
+        const othersDrawn = handSize - drawn;
+        if (othersDrawn <= otherCount && predicate(counts)) {
+          favourableHands += weight * this.binomial(otherCount, othersDrawn);
+        }
+        return;
+      }
+
+      const maxDrawn = Math.min(copiesInDeck[cardIndex], handSize - drawn);
+      for (let k = 0; k <= maxDrawn; k++) {
+        counts[cardIndex] = k;
+        visit(cardIndex + 1, drawn + k, weight * this.binomial(copiesInDeck[cardIndex], k));
+      }
+      counts[cardIndex] = 0;
+    };
+
+    visit(0, 0, 1);
+
+    return (favourableHands / this.binomial(deckSize, handSize)) * 100;
   }
 
   /**
-   * Runs Monte Carlo simulation for a single combo
+   * Calculates the probability of a single combo
+   * Uses the exact hypergeometric engine and falls back to Monte Carlo
+   * simulation when the state space exceeds EXACT_STATE_LIMIT or card effects apply.
+   * Combos that require categories go through calculateCategoryProbability, without card effects.
    * @param {Object} combo - The combo configuration
    * @param {number} deckSize - Total deck size
    * @param {number} handSize - Hand size to draw
-   * @param {number} simulations - Number of simulations to run (default: 100000)
-   * @returns {number} Probability percentage
+   * @returns {Object} { probability: number, isExact: boolean, interval: Object|null }
    */
-  monteCarloSimulation(combo, deckSize, handSize, simulations = 100000) {
-    const cacheKey = this.getCacheKey(combo, deckSize, handSize);
+  calculateComboProbability(combo, deckSize, handSize) {
+    if (this.hasCategoryCards([combo])) {
+      return this.calculateCategoryProbability([combo], deckSize, handSize);
+    }
+
+    const effects = this.getRelevantEffects([combo]);
+    if (effects.length > 0 && this.validateCombo(combo, deckSize, handSize).valid) {
+      return { ...this.simulateWithEffects([combo], deckSize, handSize, effects), isExact: false };
+    }
+
+    const cacheKey = `exact-${this.getCacheKey(combo, deckSize, handSize)}`;
 
     if (this.resultCache.has(cacheKey)) {
       return this.resultCache.get(cacheKey);
     }
 
-    // Validate combo configuration
     const validation = this.validateCombo(combo, deckSize, handSize);
     if (!validation.valid) {
       console.warn('Invalid combo configuration:', validation.error);
-      return 0; // Impossible scenario returns 0%
+      return { probability: 0, isExact: true, interval: null };
     }
 
-    // Build expression tree for proper AND/OR evaluation
     const expressionTree = this.buildExpressionTree(combo.cards);
     if (!expressionTree) {
-      return 0;
+      return { probability: 0, isExact: true, interval: null };
     }
 
-    let successes = 0;
+    const copiesInDeck = combo.cards.map(card => card.startersInDeck);
+    let result = null;
 
-    for (let i = 0; i < simulations; i++) {
-      // Build deck as multiset of card labels
-      const deck = [];
+    if (this.countHandCompositions(copiesInDeck, handSize) <= EXACT_STATE_LIMIT) {
+      const probability = this.exactHandProbability(
+        copiesInDeck,
+        deckSize,
+        handSize,
+        counts => expressionTree.eval(counts)
+      );
+      if (probability !== null) {
+        result = { probability, isExact: true, interval: null };
+      }
+    }
 
-      // Add cards to deck based on combo requirements
-      combo.cards.forEach((card, cardIndex) => {
-        for (let j = 0; j < card.startersInDeck; j++) {
-          deck.push(cardIndex);
-        }
-      });
+    if (!result) {
+      result = { ...this.simulateCombo(combo, deckSize, handSize), isExact: false };
+    }
 
-      // Fill remaining deck slots with "Other" cards (-1)
-      const otherCount = deckSize - deck.length;
-      for (let j = 0; j < otherCount; j++) {
-        deck.push(-1);
-      }
+    this.resultCache.set(cacheKey, result);
+    return result;
+  }
 
-      // Shuffle deck using Fisher-Yates algorithm (uniform random sampling)
-      for (let j = deck.length - 1; j > 0; j--) {
-        const k = Math.floor(Math.random() * (j + 1));
-        [deck[j], deck[k]] = [deck[k], deck[j]];
-      }
+  /**
+   * Calculates the probability of opening any of several combos (OR logic between combos)
+   * Uses the exact hypergeometric engine and falls back to Monte Carlo
+   * simulation when the state space exceeds EXACT_STATE_LIMIT or card effects apply.
+   * When any combo requires a category they all go through calculateCategoryProbability.
+   * @param {Array} combos - Array of combo configurations
+   * @param {number} deckSize - Total deck size
+   * @param {number} handSize - Hand size to draw
+   * @returns {Object} { probability: number, isExact: boolean, interval: Object|null }
+   */
+  calculateCombinedProbability(combos, deckSize, handSize) {
+    if (this.hasCategoryCards(combos)) {
+      return this.calculateCategoryProbability(combos, deckSize, handSize);
+    }
 
-      // Draw hand (first handSize cards after shuffle = random sample without replacement)
-      const cardCounts = new Array(combo.cards.length).fill(0);
-      for (let j = 0; j < handSize; j++) {
-        if (deck[j] >= 0) {
-          cardCounts[deck[j]]++;
-        }
+    const effects = this.getRelevantEffects(combos);
+    if (effects.length > 0) {
+      // Invalid combos can never open, as in calculateComboProbability, so only the others are simulated
+      const validCombos = combos.filter(combo => this.validateCombo(combo, deckSize, handSize).valid);
+      if (validCombos.length === 0) {
+        console.warn('Invalid combo configuration: no combo can be opened');
+        return { probability: 0, isExact: true, interval: null };
       }
+      return { ...this.simulateWithEffects(validCombos, deckSize, handSize, effects), isExact: false };
+    }
 
-      // Evaluate expression tree
-      if (expressionTree.eval(cardCounts)) {
-        successes++;
+    const cacheKey = `exact-${this.getCombinedCacheKey(combos, deckSize, handSize)}`;
+
+    if (this.resultCache.has(cacheKey)) {
+      return this.resultCache.get(cacheKey);
+    }
+
+    const allUniqueCards = this.getUnifiedCards(combos);
+    const comboTrees = this.buildGlobalComboTrees(combos, allUniqueCards);
+    const copiesInDeck = Array.from(allUniqueCards.values()).map(cardInfo => cardInfo.totalInDeck);
+    let result = null;
+
+    if (this.countHandCompositions(copiesInDeck, handSize) <= EXACT_STATE_LIMIT) {
+      const probability = this.exactHandProbability(
+        copiesInDeck,
+        deckSize,
+        handSize,
+        counts => comboTrees.some(comboTree => comboTree.tree && comboTree.tree.eval(counts))
+      );
+      if (probability !== null) {
+        result = { probability, isExact: true, interval: null };
       }
     }
 
-    const probability = (successes / simulations) * 100;
-    this.resultCache.set(cacheKey, probability);
+    if (!result) {
+      result = { ...this.simulateCombined(combos, deckSize, handSize), isExact: false };
+    }
 
-    return probability;
+    this.resultCache.set(cacheKey, result);
+    return result;
   }
 
   /**
-   * Runs Monte Carlo simulation for multiple combos (OR logic between combos)
+   * Maps combos onto the real cards that can fill them
+   *
+   * Every combo card becomes a requirement filled by a set of real cards (its
+   * category's cards, or just itself). Real cards that fill exactly the same
+   * requirements are interchangeable, so they are merged into one class and the
+   * hand only needs a count per class. Each combo is expanded into its AND-only
+   * alternatives, e.g. "A AND (B OR C)" into [A, B] and [A, C].
+   *
    * @param {Array} combos - Array of combo configurations
+   * @returns {Object} { classCopies, cards, combos } where cards is [{ name, copies, classIndex }]
+   *   and combos holds, per combo, a list of alternatives { requirements: [{ min, max }],
+   *   classes: [{ classIndex, requirements }] }; each class lists the positions of the
+   *   requirements it can fill, and classes that fill none are left out (see satisfiesAlternative)
+   */
+  buildCategoryModel(combos) {
+    const realCards = new Map(); // Card name -> { copies, requirements }
+    const requirements = [];
+
+    const comboTrees = combos.map(combo => {
+      if (this.validateGroups(combo.cards)) return null;
+
+      return this.parseCardExpression(combo.cards, card => {
+        const requirementIndex = requirements.length;
+        requirements.push({ min: card.minCopiesInHand, max: card.maxCopiesInHand });
+
+        this.getRequirementCards(card).forEach(({ name, copies }) => {
+          if (!realCards.has(name)) {
+            realCards.set(name, { copies: 0, requirements: [] });
+          }
+          const realCard = realCards.get(name);
+          // Use maximum copies in deck, as getUnifiedCards does
+          realCard.copies = Math.max(realCard.copies, copies);
+          if (!realCard.requirements.includes(requirementIndex)) {
+            realCard.requirements.push(requirementIndex);
+          }
+        });
+
+        return new RequirementNode(requirementIndex);
+      });
+    });
+
+    const classIndexes = new Map(); // Requirements filled -> class index
+    const classCopies = [];
+    const cards = [];
+    const requirementClasses = requirements.map(() => []);
+    realCards.forEach((realCard, name) => {
+      const signature = realCard.requirements.join(',');
+      if (!classIndexes.has(signature)) {
+        classIndexes.set(signature, classCopies.length);
+        realCard.requirements.forEach(index => requirementClasses[index].push(classCopies.length));
+        classCopies.push(0);
+      }
+      const classIndex = classIndexes.get(signature);
+      classCopies[classIndex] += realCard.copies;
+      cards.push({ name, copies: realCard.copies, classIndex });
+    });
+
+    const toAlternative = (requirementIndexes) => ({
+      requirements: requirementIndexes.map(index => requirements[index]),
+      classes: classCopies
+        .map((_, classIndex) => ({
+          classIndex,
+          requirements: requirementIndexes
+            .map((index, position) => (requirementClasses[index].includes(classIndex) ? position : -1))
+            .filter(position => position >= 0)
+        }))
+        .filter(fill => fill.requirements.length > 0)
+    });
+
+    return {
+      classCopies,
+      cards,
+      combos: comboTrees.map(tree => (tree ? tree.conjunctions().map(toAlternative) : []))
+    };
+  }
+
+  /**
+   * Checks a hand against one AND-only alternative of a category-aware combo
+   * Every card in hand that can fill one of the alternative's requirements is
+   * assigned to exactly one of them. The hand satisfies the alternative when some
+   * assignment gives each requirement between its Min and Max in hand, so one card
+   * never fills two requirements and a shared card only counts towards the Max of
+   * the requirement it was assigned to.
+   * @param {Object} alternative - Alternative from buildCategoryModel
+   * @param {Array<number>} classCounts - Cards of each class in hand
+   * @returns {boolean} True if the hand satisfies the alternative
+   */
+  satisfiesAlternative(alternative, classCounts) {
+    const { requirements, classes } = alternative;
+    const assigned = new Array(requirements.length).fill(0);
+
+    // Spreads one class's cards over the requirements it can fill, then moves on to the next class
+    const assign = (classPosition) => {
+      if (classPosition === classes.length) {
+        return requirements.every((requirement, position) => assigned[position] >= requirement.min);
+      }
+
+      const options = classes[classPosition].requirements;
+      const spread = (remaining, option) => {
+        const position = options[option];
+        const room = requirements[position].max - assigned[position];
+        if (option === options.length - 1) {
+          if (remaining > room) return false;
+          assigned[position] += remaining;
+          const satisfied = assign(classPosition + 1);
+          assigned[position] -= remaining;
+          return satisfied;
+        }
+
+        for (let given = Math.min(remaining, room); given >= 0; given--) {
+          assigned[position] += given;
+          const satisfied = spread(remaining - given, option + 1);
+          assigned[position] -= given;
+          if (satisfied) return true;
+        }
+        return false;
+      };
+
+      return spread(classCounts[classes[classPosition].classIndex], 0);
+    };
+
+    return assign(0);
+  }
+
+  /**
+   * Calculates the probability of opening any of the combos when combo cards can
+   * require categories. A card in two categories, or named in the combo and in a
+   * category, counts towards only one of them per hand.
+   * Solved exactly over the card classes of buildCategoryModel, with Monte Carlo
+   * simulation past EXACT_STATE_LIMIT.
+   * @param {Array} combos - One combo, or several for the combined result (OR logic between combos)
+   * @param {number} deckSize - Total deck size
+   * @param {number} handSize - Hand size to draw
+   * @returns {Object} { probability: number, isExact: boolean, interval: Object|null }
+   */
+  calculateCategoryProbability(combos, deckSize, handSize) {
+    const model = this.buildCategoryModel(combos);
+    const cacheKey = `categories-${JSON.stringify(model)}-${deckSize}-${handSize}-${this.getSimulationKey()}`;
+
+    if (this.resultCache.has(cacheKey)) {
+      return this.resultCache.get(cacheKey);
+    }
+
+    const { classCopies } = model;
+    const otherCount = deckSize - classCopies.reduce((sum, copies) => sum + copies, 0);
+    if (otherCount < 0 || handSize > deckSize) {
+      console.warn('Invalid combo configuration: category cards exceed deck size');
+      return { probability: 0, isExact: true, interval: null };
+    }
+
+    const succeeds = (classCounts) => model.combos.some(alternatives =>
+      alternatives.some(alternative => this.satisfiesAlternative(alternative, classCounts))
+    );
+    let result;
+
+    if (this.countHandCompositions(classCopies, handSize) <= EXACT_STATE_LIMIT) {
+      const probability = this.exactHandProbability(classCopies, deckSize, handSize, succeeds);
+      result = { probability, isExact: true, interval: null };
+    } else {
+      const stats = this.runSimulation((random) => {
+        const deck = [];
+        classCopies.forEach((copies, classIndex) => {
+          for (let j = 0; j < copies; j++) {
+            deck.push(classIndex);
+          }
+        });
+        for (let j = 0; j < otherCount; j++) {
+          deck.push(-1);
+        }
+
+        // Partial Fisher-Yates: only the hand needs to be shuffled into place
+        const classCounts = new Array(classCopies.length).fill(0);
+        for (let j = 0; j < handSize; j++) {
+          const k = j + Math.floor(random() * (deck.length - j));
+          [deck[j], deck[k]] = [deck[k], deck[j]];
+          if (deck[j] >= 0) classCounts[deck[j]]++;
+        }
+
+        return succeeds(classCounts);
+      });
+      result = { ...stats, isExact: false };
+    }
+
+    this.resultCache.set(cacheKey, result);
+    return result;
+  }
+
+  /**
+   * Simulates combos when card effects can fetch missing pieces. A failed hand
+   * tries every effect card it holds, in every order: searchers add any target
+   * still in the deck, draw effects draw the top cards and excavate effects
+   * add one of the top cards (the rest go to the bottom). Failed states are
+   * remembered per hand, so activation orders that reach the same hand and deck
+   * are only explored once, and a hand gives up after EFFECT_SEARCH_LIMIT states.
+   * @param {Array} combos - One combo, or several for the combined result (OR logic between combos)
+   * @param {number} deckSize - Total deck size
+   * @param {number} handSize - Hand size to draw
+   * @param {Array} effects - Effect definitions (see setCardEffects)
+   * @param {number} simulations - Number of simulations to run (default: SIMULATION_COUNT, ignored in adaptive mode)
+   * @returns {Object} { probability, interval } - see runSimulation
+   */
+  simulateWithEffects(combos, deckSize, handSize, effects, simulations = SIMULATION_COUNT) {
+    const cacheKey = `effects-${JSON.stringify(effects)}-${this.getCombinedCacheKey(combos, deckSize, handSize)}`;
+
+    if (this.resultCache.has(cacheKey)) {
+      return this.resultCache.get(cacheKey);
+    }
+
+    const allUniqueCards = this.getUnifiedCards(combos);
+    const comboTrees = this.buildGlobalComboTrees(combos, allUniqueCards);
+
+    // Combo cards keep their global IDs; effect cards not in any combo get the next ones
+    const copiesInDeck = Array.from(allUniqueCards.values()).map(cardInfo => cardInfo.totalInDeck);
+    const idsByName = new Map();
+    allUniqueCards.forEach(cardInfo => {
+      idsByName.set(cardInfo.name, [...(idsByName.get(cardInfo.name) || []), cardInfo.id]);
+    });
+
+    const resolvedEffects = effects.map((effect, index) => {
+      const targets = effect.type === 'search'
+        ? (effect.targets || []).flatMap(name => idsByName.get(name) || [])
+        : [];
+      let cardId = idsByName.get(effect.card)?.[0];
+      if (cardId === undefined) {
+        cardId = copiesInDeck.length;
+        copiesInDeck.push(0);
+        idsByName.set(effect.card, [cardId]);
+      }
+      copiesInDeck[cardId] = Math.max(copiesInDeck[cardId], effect.copies);
+
+      return {
+        index,
+        cardId,
+        type: effect.type,
+        count: Math.max(1, effect.count || 1),
+        targets,
+        oncePerTurn: Boolean(effect.oncePerTurn)
+      };
+    });
+
+    if (copiesInDeck.reduce((sum, copies) => sum + copies, 0) > deckSize) {
+      console.warn('Invalid card effects: combo and effect cards exceed deck size');
+      return { probability: 0, interval: null };
+    }
+
+    const succeeds = (handCounts) => comboTrees.some(comboTree => comboTree.tree && comboTree.tree.eval(handCounts));
+
+    let failedStates = new Set();
+    const resolve = (handCounts, library, usedOncePerTurn) => {
+      if (succeeds(handCounts)) return true;
+
+      const stateKey = `${handCounts.join(',')}|${[...usedOncePerTurn].sort().join(',')}|${library.join(',')}`;
+      if (failedStates.has(stateKey) || failedStates.size >= EFFECT_SEARCH_LIMIT) return false;
+
+      for (const effect of resolvedEffects) {
+        if (handCounts[effect.cardId] === 0 || usedOncePerTurn.has(effect.index)) continue;
+
+        const afterActivation = [...handCounts];
+        afterActivation[effect.cardId]--;
+        const nextUsed = effect.oncePerTurn ? new Set(usedOncePerTurn).add(effect.index) : usedOncePerTurn;
+
+        if (effect.type === 'search') {
+          for (const target of effect.targets) {
+            const position = library.indexOf(target);
+            if (position === -1) continue;
+
+            const searchedHand = [...afterActivation];
+            searchedHand[target]++;
+            const nextLibrary = [...library.slice(0, position), ...library.slice(position + 1)];
+            if (resolve(searchedHand, nextLibrary, nextUsed)) return true;
+          }
+        } else if (effect.type === 'draw') {
+          library.slice(0, effect.count).forEach(cardId => {
+            if (cardId >= 0) afterActivation[cardId]++;
+          });
+          if (resolve(afterActivation, library.slice(effect.count), nextUsed)) return true;
+        } else if (effect.type === 'excavate') {
+          const excavated = library.slice(0, effect.count);
+          const rest = library.slice(effect.count);
+
+          for (const cardId of new Set(excavated)) {
+            if (cardId < 0) continue;
+
+            const pickedHand = [...afterActivation];
+            pickedHand[cardId]++;
+            const bottom = [...excavated];
+            bottom.splice(bottom.indexOf(cardId), 1);
+            if (resolve(pickedHand, [...rest, ...bottom], nextUsed)) return true;
+          }
+        }
+      }
+
+      failedStates.add(stateKey);
+      return false;
+    };
+
+    const stats = this.runSimulation((random) => {
+      const deck = [];
+      copiesInDeck.forEach((copies, cardId) => {
+        for (let j = 0; j < copies; j++) {
+          deck.push(cardId);
+        }
+      });
+
+      // Fill remaining deck slots with "Other" cards
+      const otherCount = deckSize - deck.length;
+      for (let j = 0; j < otherCount; j++) {
+        deck.push(-1);
+      }
+
+      for (let j = deck.length - 1; j > 0; j--) {
+        const k = Math.floor(random() * (j + 1));
+        [deck[j], deck[k]] = [deck[k], deck[j]];
+      }
+
+      const handCounts = new Array(copiesInDeck.length).fill(0);
+      for (let j = 0; j < handSize; j++) {
+        if (deck[j] >= 0) handCounts[deck[j]]++;
+      }
+
+      failedStates = new Set();
+      return resolve(handCounts, deck.slice(handSize), new Set());
+    }, simulations);
+
+    this.resultCache.set(cacheKey, stats);
+    return stats;
+  }
+
+  /**
+   * Simulates a single combo, returning the estimate with its confidence interval
+   * @param {Object} combo - The combo configuration
+   * @param {number} deckSize - Total deck size
+   * @param {number} handSize - Hand size to draw
+   * @param {number} simulations - Number of simulations to run (default: SIMULATION_COUNT, ignored in adaptive mode)
+   * @returns {Object} { probability, interval } - see runSimulation
+   */
+  simulateCombo(combo, deckSize, handSize, simulations = SIMULATION_COUNT) {
+    const cacheKey = this.getCacheKey(combo, deckSize, handSize);
+
+    if (this.resultCache.has(cacheKey)) {
+      return this.resultCache.get(cacheKey);
+    }
+
+    // Validate combo configuration
+    const validation = this.validateCombo(combo, deckSize, handSize);
+    if (!validation.valid) {
+      console.warn('Invalid combo configuration:', validation.error);
+      return { probability: 0, interval: null }; // Impossible scenario returns 0%
+    }
+
+    // Build expression tree for proper AND/OR evaluation
+    const expressionTree = this.buildExpressionTree(combo.cards);
+    if (!expressionTree) {
+      return { probability: 0, interval: null };
+    }
+
+    const stats = this.runSimulation((random) => {
+      // Build deck as multiset of card labels
+      const deck = [];
+
+      // Add cards to deck based on combo requirements
+      combo.cards.forEach((card, cardIndex) => {
+        for (let j = 0; j < card.startersInDeck; j++) {
+          deck.push(cardIndex);
+        }
+      });
+
+      // Fill remaining deck slots with "Other" cards (-1)
+      const otherCount = deckSize - deck.length;
+      for (let j = 0; j < otherCount; j++) {
+        deck.push(-1);
+      }
+
+      // Shuffle deck using Fisher-Yates algorithm (uniform random sampling)
+      for (let j = deck.length - 1; j > 0; j--) {
+        const k = Math.floor(random() * (j + 1));
+        [deck[j], deck[k]] = [deck[k], deck[j]];
+      }
+
+      // Draw hand (first handSize cards after shuffle = random sample without replacement)
+      const cardCounts = new Array(combo.cards.length).fill(0);
+      for (let j = 0; j < handSize; j++) {
+        if (deck[j] >= 0) {
+          cardCounts[deck[j]]++;
+        }
+      }
+
+      // Evaluate expression tree
+      return expressionTree.eval(cardCounts);
+    }, simulations);
+
+    this.resultCache.set(cacheKey, stats);
+    return stats;
+  }
+
+  /**
+   * Runs Monte Carlo simulation for a single combo
+   * @param {Object} combo - The combo configuration
+   * @param {number} deckSize - Total deck size
+   * @param {number} handSize - Hand size to draw
+   * @param {number} simulations - Number of simulations to run (default: SIMULATION_COUNT)
+   * @returns {number} Probability percentage
+   */
+  monteCarloSimulation(combo, deckSize, handSize, simulations = SIMULATION_COUNT) {
+    return this.simulateCombo(combo, deckSize, handSize, simulations).probability;
+  }
+
+  /**
+   * Simulates multiple combos (OR logic between combos), returning the estimate with its confidence interval
+   * @param {Array} combos - Array of combo configurations
+   * @param {number} deckSize - Total deck size
+   * @param {number} handSize - Hand size to draw
+   * @param {number} simulations - Number of simulations to run (default: SIMULATION_COUNT, ignored in adaptive mode)
+   * @returns {Object} { probability, interval } - see runSimulation
+   */
+  simulateCombined(combos, deckSize, handSize, simulations = SIMULATION_COUNT) {
+    const cacheKey = this.getCombinedCacheKey(combos, deckSize, handSize);
+
+    if (this.resultCache.has(cacheKey)) {
+      return this.resultCache.get(cacheKey);
+    }
+
+    const allUniqueCards = this.getUnifiedCards(combos);
+    const comboTrees = this.buildGlobalComboTrees(combos, allUniqueCards);
+
+    const stats = this.runSimulation((random) => {
+      const deck = [];
+
+      // Build deck with all unique cards
+      allUniqueCards.forEach((cardInfo) => {
+        for (let j = 0; j < cardInfo.totalInDeck; j++) {
+          deck.push(cardInfo.id);
+        }
+      });
+
+      // Fill remaining deck slots with "Other" cards
+      const otherCount = deckSize - deck.length;
+      for (let j = 0; j < otherCount; j++) {
+        deck.push(-1);
+      }
+
+      // Shuffle deck
+      for (let j = deck.length - 1; j > 0; j--) {
+        const k = Math.floor(random() * (j + 1));
+        [deck[j], deck[k]] = [deck[k], deck[j]];
+      }
+
+      // Count cards in hand using global card IDs
+      const globalHandCounts = new Array(allUniqueCards.size).fill(0);
+      for (let j = 0; j < handSize; j++) {
+        if (deck[j] >= 0) {
+          globalHandCounts[deck[j]]++;
+        }
+      }
+
+      // Check if ANY combo succeeds (OR logic between combos)
+      let anyComboSucceeds = false;
+
+      for (const comboTree of comboTrees) {
+        if (comboTree.tree && comboTree.tree.eval(globalHandCounts)) {
+          anyComboSucceeds = true;
+          break; // Short-circuit: at least one combo succeeded
+        }
+      }
+
+      return anyComboSucceeds;
+    }, simulations);
+
+    this.resultCache.set(cacheKey, stats);
+    return stats;
+  }
+
+  /**
+   * Runs Monte Carlo simulation for multiple combos (OR logic between combos)
+   * @param {Array} combos - Array of combo configurations
+   * @param {number} deckSize - Total deck size
+   * @param {number} handSize - Hand size to draw
+   * @param {number} simulations - Number of simulations to run (default: SIMULATION_COUNT)
+   * @returns {number} Probability percentage
+   */
+  combinedMonteCarloSimulation(combos, deckSize, handSize, simulations = SIMULATION_COUNT) {
+    return this.simulateCombined(combos, deckSize, handSize, simulations).probability;
+  }
+
+  /**
+   * Creates a unified card mapping for all combos
+   * Cards are identified by their unique name + cardId combination and
+   * receive contiguous global IDs starting at 0
+   * @param {Array} combos - Array of combo configurations
+   * @returns {Map} Card key -> { id, name, totalInDeck }
+   */
+  getUnifiedCards(combos) {
+    const allUniqueCards = new Map();
+    let cardIdCounter = 0;
+
+    combos.forEach(combo => {
+      combo.cards.forEach(card => {
+        const cardKey = `${card.starterCard}-${card.cardId || 'custom'}`;
+        if (!allUniqueCards.has(cardKey)) {
+          allUniqueCards.set(cardKey, {
+            id: cardIdCounter++,
+            name: card.starterCard,
+            totalInDeck: 0
+          });
+        }
+        // Use maximum copies in deck across all combos
+        allUniqueCards.get(cardKey).totalInDeck = Math.max(
+          allUniqueCards.get(cardKey).totalInDeck,
+          card.startersInDeck
+        );
+      });
+    });
+
+    return allUniqueCards;
+  }
+
+  /**
+   * Builds expression trees for each combo against the unified card mapping
+   * @param {Array} combos - Array of combo configurations
+   * @param {Map} allUniqueCards - Mapping from getUnifiedCards
+   * @returns {Array} Array of { tree, cards } per combo
+   */
+  buildGlobalComboTrees(combos, allUniqueCards) {
+    return combos.map(combo => {
+      // Map combo cards to global card IDs
+      const cardsWithGlobalIds = combo.cards.map(card => {
+        const cardKey = `${card.starterCard}-${card.cardId || 'custom'}`;
+        const globalCardInfo = allUniqueCards.get(cardKey);
+        return {
+          ...card,
+          globalCardId: globalCardInfo.id
+        };
+      });
+
+      // Combos with unbalanced groups can't be parsed and never succeed
+      return {
+        tree: this.validateGroups(combo.cards) ? null : this.buildExpressionTreeForGlobalCards(cardsWithGlobalIds),
+        cards: cardsWithGlobalIds
+      };
+    });
+  }
+
+  /**
+   * Builds expression tree using global card IDs (for combined simulation)
+   * Uses the same AND/OR grouping rules as buildExpressionTree
+   * @param {Array} cards - Array of cards with globalCardId
+   * @returns {Object} Expression tree root node
+   */
+  buildExpressionTreeForGlobalCards(cards) {
+    if (cards.length === 0) {
+      return null;
+    }
+
+    if (cards.length === 1) {
+      return new PredicateNodeGlobal(
+        cards[0].globalCardId,
+        cards[0].minCopiesInHand,
+        cards[0].maxCopiesInHand
+      );
+    }
+
+    return this.parseCardExpression(cards, card =>
+      new PredicateNodeGlobal(card.globalCardId, card.minCopiesInHand, card.maxCopiesInHand)
+    );
+  }
+
+  /**
+   * Identifies independent combo starters (unique first cards)
+   * @param {Array} combos - Array of combo configurations
+   * @returns {Array} Array of unique starter cards with their deck counts
+   */
+  getIndependentStarters(combos) {
+    const starterMap = new Map();
+
+    combos.forEach(combo => {
+      if (combo.cards && combo.cards.length > 0) {
+        const firstCard = combo.cards[0];
+        const cardKey = `${firstCard.starterCard}-${firstCard.cardId || 'custom'}`;
+
+        if (!starterMap.has(cardKey)) {
+          starterMap.set(cardKey, {
+            name: firstCard.starterCard,
+            cardId: firstCard.cardId,
+            copiesInDeck: firstCard.startersInDeck
+          });
+        } else {
+          // Use maximum copies across all combos
+          const existing = starterMap.get(cardKey);
+          existing.copiesInDeck = Math.max(existing.copiesInDeck, firstCard.startersInDeck);
+        }
+      }
+    });
+
+    return Array.from(starterMap.values());
+  }
+
+  /**
+   * Simulates opening N or more independent combo starters, returning the estimate with its confidence interval
+   * @param {Array} independentStarters - Array of unique starter cards
+   * @param {number} minStarters - Minimum number of different starters required (2 or 3)
+   * @param {number} deckSize - Total deck size
+   * @param {number} handSize - Hand size to draw
+   * @param {number} simulations - Number of simulations to run (default: SIMULATION_COUNT, ignored in adaptive mode)
+   * @returns {Object} { probability, interval } - see runSimulation
+   */
+  simulateMultiStarter(independentStarters, minStarters, deckSize, handSize, simulations = SIMULATION_COUNT) {
+    if (independentStarters.length < minStarters) {
+      return { probability: 0, interval: null };
+    }
+
+    return this.runSimulation((random) => {
+      const deck = [];
+
+      // Build deck with starter cards
+      independentStarters.forEach((starter, starterIndex) => {
+        for (let j = 0; j < starter.copiesInDeck; j++) {
+          deck.push(starterIndex);
+        }
+      });
+
+      // Fill remaining deck slots with "Other" cards
+      const otherCount = deckSize - deck.length;
+      for (let j = 0; j < otherCount; j++) {
+        deck.push(-1);
+      }
+
+      // Shuffle deck using Fisher-Yates algorithm
+      for (let j = deck.length - 1; j > 0; j--) {
+        const k = Math.floor(random() * (j + 1));
+        [deck[j], deck[k]] = [deck[k], deck[j]];
+      }
+
+      // Count unique starters in hand
+      const startersInHand = new Set();
+      for (let j = 0; j < handSize; j++) {
+        if (deck[j] >= 0) {
+          startersInHand.add(deck[j]);
+        }
+      }
+
+      // Check if we have at least minStarters different starters
+      return startersInHand.size >= minStarters;
+    }, simulations);
+  }
+
+  /**
+   * Calculates probability of opening N or more independent combo starters
+   * @param {Array} independentStarters - Array of unique starter cards
+   * @param {number} minStarters - Minimum number of different starters required (2 or 3)
+   * @param {number} deckSize - Total deck size
+   * @param {number} handSize - Hand size to draw
+   * @param {number} simulations - Number of simulations to run (default: SIMULATION_COUNT)
+   * @returns {number} Probability percentage
+   */
+  calculateMultiStarterProbability(independentStarters, minStarters, deckSize, handSize, simulations = SIMULATION_COUNT) {
+    return this.simulateMultiStarter(independentStarters, minStarters, deckSize, handSize, simulations).probability;
+  }
+
+  /**
+   * Calculates probabilities for multiple combos
+   * Simulated metrics carry an `interval` (see getConfidenceInterval); exact ones have interval null.
+   * Exact individual results also carry their per-card `sensitivity` (see calculateCopySensitivity);
+   * simulated ones have sensitivity null, as it would cost two more simulations per card.
+   * With a mulligan rule, individual and combined odds include the second chance and
+   * `beforeMulligan` / `combinedBeforeMulligan` keep the opening-hand odds
+   * @param {Array} combos - Array of combo configurations
+   * @param {number} deckSize - Total deck size
+   * @param {number} handSize - Hand size to draw
+   * @param {Array} ydkCards - Optional array of cards in the deck (for hand-trap calculations)
+   * @param {Object} ydkCardCounts - Optional card counts in the deck (for hand-trap calculations)
+   * @param {Object} options - Optional settings
+   * @param {Function} options.onProgress - Called with the completed fraction (0-1) after each calculation step
+   *   Seed, precision, card effects and categories apply to this call only; left out, they take
+   *   their defaults (see withSettings)
+   * @param {number|null} options.seed - Seed for every simulation in this calculation (see setSeed)
+   * @param {number|null} options.targetMargin - Adaptive precision target for this calculation (see setTargetMargin)
+   * @param {boolean} options.turnCurve - Also calculate going-first / going-second odds per turn (see calculateTurnCurve)
+   * @param {Object|null} options.deckSizeSweep - Also recalculate across deck sizes with these options (see calculateDeckSizeSweep)
+   * @param {Object|null} options.mulligan - Mulligan rule for combo odds (see calculateWithMulligan)
+   * @param {Array} options.cardEffects - Searchers, draw and excavate effects for this calculation (see setCardEffects)
+   * @param {Array} options.categories - Card categories combo cards can require (see setCategories)
+   * @param {Array} options.bricks - Cards that are dead when drawn past their usable copies (see calculateBrickProbability)
+   * @param {boolean} options.outcomes - Also simulate the full-hand outcome distribution (see simulateHandOutcomes)
+   * @param {Array} options.sidePlans - Side plans to recalculate the combos and hand-trap odds for (see calculateSidePlan)
+   * @returns {Object} Object containing individual and combined results
+   */
+  calculateMultipleCombos(combos, deckSize, handSize, ydkCards = null, ydkCardCounts = null, options = {}) {
+    const { onProgress = null } = options;
+    const calculator = this.withSettings(options);
+    const independentStarters = calculator.getIndependentStarters(combos);
+    const uniqueHandTraps = ydkCards && ydkCardCounts ? calculator.getUniqueHandTraps(ydkCards, ydkCardCounts) : [];
+
+    const bricks = (options.bricks || []).filter(brick => brick.card && brick.copies > 0);
+    const sidePlans = (options.sidePlans || []).filter(plan => plan.changes?.some(change => change.card && change.count !== 0));
+
+    // One step per combo, the combined pass, the brick pass, the outcome breakdown, the turn curve,
+    // the deck size sweep, the hand-trap and combo + hand-trap passes, each multi-starter / multi-hand-trap
+    // threshold and each side plan
+    const totalSteps = combos.length +
+      sidePlans.length +
+      (combos.length > 1 ? 1 : 0) +
+      (bricks.length > 0 ? 1 : 0) +
+      (options.outcomes ? 1 : 0) +
+      (options.turnCurve ? 1 : 0) +
+      (options.deckSizeSweep ? 1 : 0) +
+      (uniqueHandTraps.length > 0 ? 2 : 0) +
+      Math.max(0, Math.min(independentStarters.length, 3) - 1) +
+      Math.max(0, Math.min(uniqueHandTraps.length, 4) - 1);
+    let completedSteps = 0;
+    const reportProgress = () => {
+      completedSteps++;
+      if (onProgress) {
+        onProgress(Math.min(completedSteps / totalSteps, 1));
+      }
+    };
+
+    const mulligan = calculator.hasMulligan(options.mulligan) ? options.mulligan : null;
+
+    const individualResults = combos.map(combo => {
+      const openingResult = calculator.calculateComboProbability(combo, deckSize, handSize);
+      const { probability, isExact, interval } = mulligan
+        ? calculator.calculateWithMulligan([combo], deckSize, handSize, mulligan)
+        : openingResult;
+      const sensitivity = isExact ? calculator.calculateCopySensitivity(combo, deckSize, handSize, mulligan) : null;
+      reportProgress();
+      return {
+        id: combo.id,
+        probability,
+        isExact,
+        interval,
+        beforeMulligan: mulligan ? openingResult.probability : null,
+        sensitivity,
+        cards: combo.cards
+      };
+    });
+
+    // Calculate combined probability only if there are multiple combos
+    let combinedProbability = null;
+    let combinedIsExact = null;
+    let combinedInterval = null;
+    let combinedBeforeMulligan = null;
+    if (combos.length > 1) {
+      ({ probability: combinedProbability, isExact: combinedIsExact, interval: combinedInterval } = mulligan
+        ? calculator.calculateWithMulligan(combos, deckSize, handSize, mulligan)
+        : calculator.calculateCombinedProbability(combos, deckSize, handSize));
+      if (mulligan) {
+        combinedBeforeMulligan = calculator.calculateCombinedProbability(combos, deckSize, handSize).probability;
+      }
+      reportProgress();
+    }
+
+    // Calculate the chance of opening a dead card
+    let brick = null;
+    if (bricks.length > 0) {
+      brick = calculator.calculateBrickProbability(bricks, deckSize, handSize);
+      reportProgress();
+    }
+
+    // Break every hand down by combos live and hand-traps alongside them
+    let handOutcomes = null;
+    if (options.outcomes) {
+      handOutcomes = calculator.simulateHandOutcomes(combos, deckSize, handSize, ydkCards, ydkCardCounts);
+      reportProgress();
+    }
+
+    // Calculate turn-by-turn odds for both play orders
+    let turnCurve = null;
+    if (options.turnCurve) {
+      turnCurve = calculator.calculateTurnCurve(combos, deckSize);
+      reportProgress();
+    }
+
+    // Recalculate every combo across a range of deck sizes
+    let deckSizeSweep = null;
+    if (options.deckSizeSweep) {
+      deckSizeSweep = calculator.calculateDeckSizeSweep(combos, deckSize, handSize, options.deckSizeSweep);
+      reportProgress();
+    }
+
+    // Calculate multi-starter probabilities
+    let multiStarter = null;
+
+    if (independentStarters.length >= 2) {
+      const twoPlus = calculator.simulateMultiStarter(independentStarters, 2, deckSize, handSize);
+      multiStarter = {
+        independentStarters: independentStarters.length,
+        twoPlus: twoPlus.probability,
+        intervals: { twoPlus: twoPlus.interval }
+      };
+      reportProgress();
+
+      // Only calculate 3+ if there are at least 3 independent starters
+      if (independentStarters.length >= 3) {
+        const threePlus = calculator.simulateMultiStarter(independentStarters, 3, deckSize, handSize);
+        multiStarter.threePlus = threePlus.probability;
+        multiStarter.intervals.threePlus = threePlus.interval;
+        reportProgress();
+      }
+    }
+
+    // Calculate opening hand-trap probability
+    let handTrap = null;
+    if (uniqueHandTraps.length > 0) {
+      handTrap = calculator.simulateHandTrap(ydkCards, ydkCardCounts, deckSize, handSize);
+      reportProgress();
+    }
+
+    // Calculate live combo AND hand-trap probabilities from the same hands
+    let comboWithHandTraps = null;
+    if (uniqueHandTraps.length > 0) {
+      comboWithHandTraps = calculator.calculateComboWithHandTraps(combos, ydkCards, ydkCardCounts, deckSize, handSize);
+      reportProgress();
+    }
+
+    // Calculate multi-hand-trap probabilities (AC#1-AC#9)
+    let multiHandTrap = null;
+
+    // AC#1: Only show if deck has 2+ unique hand-traps
+    if (uniqueHandTraps.length >= 2) {
+      const twoPlus = calculator.simulateMultiHandTrap(ydkCards, ydkCardCounts, 2, deckSize, handSize);
+      multiHandTrap = {
+        uniqueHandTraps: uniqueHandTraps.length,
+        twoPlus: twoPlus.probability,
+        intervals: { twoPlus: twoPlus.interval }
+      };
+      reportProgress();
+
+      // AC#8: Calculate 3+ if there are at least 3 unique hand-traps
+      if (uniqueHandTraps.length >= 3) {
+        const threePlus = calculator.simulateMultiHandTrap(ydkCards, ydkCardCounts, 3, deckSize, handSize);
+        multiHandTrap.threePlus = threePlus.probability;
+        multiHandTrap.intervals.threePlus = threePlus.interval;
+        reportProgress();
+      }
+
+      // AC#9: Calculate 4+ if there are at least 4 unique hand-traps
+      if (uniqueHandTraps.length >= 4) {
+        const fourPlus = calculator.simulateMultiHandTrap(ydkCards, ydkCardCounts, 4, deckSize, handSize);
+        multiHandTrap.fourPlus = fourPlus.probability;
+        multiHandTrap.intervals.fourPlus = fourPlus.interval;
+        reportProgress();
+      }
+    }
+
+    // Recalculate every combo and the hand-trap odds for each post-side deck
+    let sidePlanResults = null;
+    if (sidePlans.length > 0) {
+      const gameOne = {
+        combos,
+        deckSize,
+        ydkCards,
+        ydkCardCounts,
+        cardEffects: calculator.cardEffects,
+        categories: calculator.categories
+      };
+      sidePlanResults = sidePlans.map(plan => {
+        const sided = calculator.calculateSidePlan(plan, gameOne, handSize, mulligan);
+        reportProgress();
+        return sided;
+      });
+    }
+
+    return {
+      individual: individualResults,
+      combined: combinedProbability,
+      combinedIsExact: combinedIsExact,
+      combinedInterval: combinedInterval,
+      combinedBeforeMulligan: combinedBeforeMulligan,
+      mulligan: mulligan,
+      brick: brick,
+      handOutcomes: handOutcomes,
+      turnCurve: turnCurve,
+      deckSizeSweep: deckSizeSweep,
+      multiStarter: multiStarter,
+      handTrap: handTrap,
+      comboWithHandTraps: comboWithHandTraps,
+      multiHandTrap: multiHandTrap,
+      sidePlans: sidePlanResults
+    };
+  }
+
+  /**
+   * Calculates the chance of opening at least one unusable card: any copy of a
+   * garnet (usableCopies 0), or a second copy of a hard once-per-turn card (usableCopies 1)
+   *
+   * Always exact: hands without a dead card are counted by multiplying, for each
+   * brick card, the ways to draw at most its usable copies, then filling the rest
+   * of the hand from the other cards.
+   *
+   * @param {Array} bricks - [{ card, copies, usableCopies }]; a card listed twice keeps its most
+   *   copies and fewest usable copies
+   * @param {number} deckSize - Total deck size
+   * @param {number} handSize - Hand size to draw
+   * @returns {Object} { probability, isExact, interval, cards } where cards are the merged bricks
+   */
+  calculateBrickProbability(bricks, deckSize, handSize) {
+    const merged = new Map();
+    bricks.forEach(brick => {
+      const usableCopies = Math.max(0, brick.usableCopies || 0);
+      const existing = merged.get(brick.card);
+      merged.set(brick.card, existing
+        ? { ...existing, copies: Math.max(existing.copies, brick.copies), usableCopies: Math.min(existing.usableCopies, usableCopies) }
+        : { card: brick.card, copies: brick.copies, usableCopies });
+    });
+    const cards = Array.from(merged.values());
+
+    const brickCopies = cards.reduce((sum, brick) => sum + brick.copies, 0);
+    const otherCount = deckSize - brickCopies;
+    if (otherCount < 0 || handSize > deckSize) {
+      console.warn('Invalid brick configuration: brick cards exceed deck size');
+      return { probability: 0, isExact: true, interval: null, cards };
+    }
+
+    // waysByDrawn[n] = ways to draw n brick cards without going past any card's usable copies
+    let waysByDrawn = [1];
+    cards.forEach(brick => {
+      const next = new Array(Math.min(waysByDrawn.length + brick.usableCopies, handSize + 1)).fill(0);
+      waysByDrawn.forEach((ways, drawn) => {
+        for (let k = 0; k <= Math.min(brick.usableCopies, brick.copies) && drawn + k <= handSize; k++) {
+          next[drawn + k] += ways * this.binomial(brick.copies, k);
+        }
+      });
+      waysByDrawn = next;
+    });
+
+    const cleanHands = waysByDrawn.reduce(
+      (sum, ways, drawn) => sum + ways * this.binomial(otherCount, handSize - drawn),
+      0
+    );
+
+    return {
+      probability: (1 - cleanHands / this.binomial(deckSize, handSize)) * 100,
+      isExact: true,
+      interval: null,
+      cards
+    };
+  }
+
+  /**
+   * Simulates the full-hand outcome distribution: how many combos each hand opens,
+   * how many different hand-traps come with them, and which combo cards and
+   * hand-traps the failing hands hold most often. Combos are evaluated as in
+   * calculateCategoryProbability; card effects and mulligans aren't applied.
+   * @param {Array} combos - Array of combo configurations
+   * @param {number} deckSize - Total deck size
+   * @param {number} handSize - Hand size to draw
+   * @param {Array|null} ydkCards - Deck cards used to find hand-traps (see getUniqueHandTraps)
+   * @param {Object|null} ydkCardCounts - Copies in deck by card name
+   * @param {number} simulations - Number of simulations to run (default: SIMULATION_COUNT, ignored in adaptive mode)
+   * @returns {Object|null} { trials, anyLive, interval, combosLive, joint, handTraps, failingPatterns }, or null
+   *   when the cards don't fit in the deck:
+   *   - combosLive: % of hands with 0, 1, 2 and 3+ combos live
+   *   - joint[live][traps]: % of hands with that many combos live (3 = 3+) and different hand-traps (0 to handSize)
+   *   - handTraps: number of different hand-traps in the deck
+   *   - failingPatterns: [{ cards: [{ name, count }], share }] for the OUTCOME_PATTERN_LIMIT most
+   *     common hands with no combo live, share in % of all hands
+   */
+  simulateHandOutcomes(combos, deckSize, handSize, ydkCards = null, ydkCardCounts = null, simulations = SIMULATION_COUNT) {
+    const models = combos.map(combo => this.buildCategoryModel([combo]));
+    const handTraps = this.getUniqueHandTraps(ydkCards, ydkCardCounts).filter(handTrap => handTrap.copiesInDeck > 0);
+    const cacheKey = `outcomes-${JSON.stringify({ models, handTraps })}-${deckSize}-${handSize}-${this.getSimulationKey()}`;
+
+    if (this.resultCache.has(cacheKey)) {
+      return this.resultCache.get(cacheKey);
+    }
+
+    // Every card that matters by name: combo cards, category cards and hand-traps
+    const copiesByName = new Map();
+    const track = (name, copies) => copiesByName.set(name, Math.max(copiesByName.get(name) || 0, copies));
+    models.forEach(model => model.cards.forEach(card => track(card.name, card.copies)));
+    handTraps.forEach(handTrap => track(handTrap.name, handTrap.copiesInDeck));
+
+    const names = Array.from(copiesByName.keys());
+    const nameIndexes = new Map(names.map((name, index) => [name, index]));
+    const otherCount = deckSize - Array.from(copiesByName.values()).reduce((sum, copies) => sum + copies, 0);
+    if (otherCount < 0 || handSize > deckSize) {
+      console.warn('Invalid combo configuration: combo cards and hand-traps exceed deck size');
+      return null;
+    }
+
+    const comboCards = models.map(model => model.cards.map(card => ({ nameIndex: nameIndexes.get(card.name), classIndex: card.classIndex })));
+    const handTrapIndexes = handTraps.map(handTrap => nameIndexes.get(handTrap.name));
+
+    const template = [];
+    names.forEach((name, nameIndex) => {
+      for (let j = 0; j < copiesByName.get(name); j++) {
+        template.push(nameIndex);
+      }
+    });
+    for (let j = 0; j < otherCount; j++) {
+      template.push(-1);
+    }
+
+    const joint = Array.from({ length: 4 }, () => new Array(handSize + 1).fill(0));
+    const patterns = new Map(); // Pattern key -> { cards, hands }
+    let trials = 0;
+
+    const stats = this.runSimulation((random) => {
+      const deck = template.slice();
+      const nameCounts = new Array(names.length).fill(0);
+      for (let j = 0; j < handSize; j++) {
+        const k = j + Math.floor(random() * (deck.length - j));
+        [deck[j], deck[k]] = [deck[k], deck[j]];
+        if (deck[j] >= 0) nameCounts[deck[j]]++;
+      }
+
+      let live = 0;
+      models.forEach((model, comboIndex) => {
+        const classCounts = new Array(model.classCopies.length).fill(0);
+        comboCards[comboIndex].forEach(card => {
+          classCounts[card.classIndex] += nameCounts[card.nameIndex];
+        });
+        if (model.combos[0].some(alternative => this.satisfiesAlternative(alternative, classCounts))) {
+          live++;
+        }
+      });
+
+      const trapsInHand = handTrapIndexes.filter(nameIndex => nameCounts[nameIndex] > 0).length;
+      joint[Math.min(live, 3)][trapsInHand]++;
+      trials++;
+
+      if (live === 0) {
+        const cards = names
+          .map((name, nameIndex) => ({ name, count: nameCounts[nameIndex] }))
+          .filter(card => card.count > 0);
+        const key = cards.map(card => `${card.count}x${card.name}`).join('|');
+        if (!patterns.has(key)) {
+          patterns.set(key, { cards, hands: 0 });
+        }
+        patterns.get(key).hands++;
+      }
+
+      return live > 0;
+    }, simulations);
+
+    const toShare = (hands) => (trials > 0 ? (hands / trials) * 100 : 0);
+    const result = {
+      trials,
+      anyLive: stats.probability,
+      interval: stats.interval,
+      combosLive: joint.map(row => toShare(row.reduce((sum, hands) => sum + hands, 0))),
+      joint: joint.map(row => row.map(toShare)),
+      handTraps: handTraps.length,
+      failingPatterns: Array.from(patterns.values())
+        .sort((a, b) => b.hands - a.hands)
+        .slice(0, OUTCOME_PATTERN_LIMIT)
+        .map(pattern => ({ cards: pattern.cards, share: toShare(pattern.hands) }))
+    };
+
+    this.resultCache.set(cacheKey, result);
+    return result;
+  }
+
+  /**
+   * Applies a side plan to the game 1 deck. Copies sided out or in change every
+   * combo card, category card, card effect and hand-trap count with that name,
+   * and the deck size by the copies actually added or removed. Siding out a card
+   * the game 1 deck doesn't have is ignored, and siding out more copies than it
+   * has removes them all; both are reported in ignoredChanges.
+   * @param {Object} gameOne - { combos, deckSize, ydkCards, ydkCardCounts, cardEffects, categories }
+   * @param {Object} plan - { name, changes: [{ card, cardId, count }] }, negative counts side cards out
+   * @returns {Object} The post-side deck, in the same shape as gameOne, plus
+   *   ignoredChanges: [{ card, count, reason }] for the copies that couldn't be sided out
+   */
+  applySidePlan(gameOne, plan) {
+    // Game 1 copies by name: the deck list when there is one, otherwise the most any setting gives the card
+    const gameOneCopies = (name) => {
+      if (gameOne.ydkCardCounts) return gameOne.ydkCardCounts[name] || 0;
+      return Math.max(
+        0,
+        ...(gameOne.combos || []).flatMap(combo => combo.cards
+          .filter(card => card.categoryId == null && card.starterCard === name)
+          .map(card => card.startersInDeck)),
+        ...(gameOne.cardEffects || []).filter(effect => effect.card === name).map(effect => effect.copies),
+        ...(gameOne.categories || []).flatMap(category => category.cards
+          .filter(card => card.name === name)
+          .map(card => card.copies))
+      );
+    };
+
+    const deltas = {};
+    (plan.changes || []).forEach(change => {
+      if (change.card) {
+        deltas[change.card] = (deltas[change.card] || 0) + change.count;
+      }
+    });
+
+    const ignoredChanges = [];
+    let deckSizeChange = 0;
+    Object.keys(deltas).forEach(name => {
+      const before = gameOneCopies(name);
+      if (deltas[name] < 0 && before === 0) {
+        ignoredChanges.push({ card: name, count: deltas[name], reason: 'not in the game 1 deck' });
+        delete deltas[name];
+        return;
+      }
+      if (before + deltas[name] < 0) {
+        ignoredChanges.push({ card: name, count: before + deltas[name], reason: `only ${before} in the game 1 deck` });
+      }
+      deckSizeChange += Math.max(0, before + deltas[name]) - before;
+    });
+    const sided = (name, copies) => Math.max(0, copies + (deltas[name] || 0));
+
+    const ydkCardCounts = { ...(gameOne.ydkCardCounts || {}) };
+    const ydkCards = [...(gameOne.ydkCards || [])];
+    Object.keys(deltas).forEach(name => {
+      const copies = sided(name, ydkCardCounts[name] || 0);
+      if (copies > 0) {
+        ydkCardCounts[name] = copies;
+      } else {
+        delete ydkCardCounts[name];
+      }
+      if (copies > 0 && !ydkCards.some(card => card.name === name)) {
+        const change = plan.changes.find(other => other.card === name);
+        ydkCards.push({ name, id: change.cardId ?? null, isCustom: false });
+      }
+    });
+
+    return {
+      combos: gameOne.combos.map(combo => ({
+        ...combo,
+        cards: combo.cards.map(card => (card.categoryId != null
+          ? card
+          : { ...card, startersInDeck: sided(card.starterCard, card.startersInDeck) }))
+      })),
+      deckSize: gameOne.deckSize + deckSizeChange,
+      ydkCards,
+      ydkCardCounts,
+      cardEffects: (gameOne.cardEffects || []).map(effect => ({ ...effect, copies: sided(effect.card, effect.copies) })),
+      categories: (gameOne.categories || []).map(category => ({
+        ...category,
+        cards: category.cards
+          .map(card => ({ ...card, copies: sided(card.name, card.copies) }))
+          .filter(card => card.copies > 0)
+      })),
+      ignoredChanges
+    };
+  }
+
+  /**
+   * Recalculates the combos and the opening hand-trap odds for a post-side deck
+   * (see applySidePlan), with the post-side card effects and categories
+   * @param {Object} plan - { id, name, changes }
+   * @param {Object} gameOne - The game 1 deck (see applySidePlan)
+   * @param {number} handSize - Hand size to draw
+   * @param {Object|null} mulligan - Mulligan rule, as for game 1
+   * @returns {Object} { id, name, deckSize, individual: [{ id, probability, isExact, interval }],
+   *   combined, handTrap, ignoredChanges } where combined and handTrap are { probability, ... } or null
+   *   and ignoredChanges comes from applySidePlan
+   */
+  calculateSidePlan(plan, gameOne, handSize, mulligan = null) {
+    const sided = this.applySidePlan(gameOne, plan);
+    const calculator = this.withSettings({
+      seed: this.seed,
+      targetMargin: this.targetMargin,
+      cardEffects: sided.cardEffects,
+      categories: sided.categories
+    });
+
+    const calculate = (combos) => {
+      if (mulligan) return calculator.calculateWithMulligan(combos, sided.deckSize, handSize, mulligan);
+      return combos.length === 1
+        ? calculator.calculateComboProbability(combos[0], sided.deckSize, handSize)
+        : calculator.calculateCombinedProbability(combos, sided.deckSize, handSize);
+    };
+
+    const hasHandTraps = calculator.getUniqueHandTraps(sided.ydkCards, sided.ydkCardCounts).some(handTrap => handTrap.copiesInDeck > 0);
+
+    return {
+      id: plan.id,
+      name: plan.name,
+      deckSize: sided.deckSize,
+      individual: sided.combos.map(combo => {
+        const { probability, isExact, interval } = calculate([combo]);
+        return { id: combo.id, probability, isExact, interval };
+      }),
+      combined: sided.combos.length > 1 ? calculate(sided.combos) : null,
+      handTrap: hasHandTraps ? calculator.simulateHandTrap(sided.ydkCards, sided.ydkCardCounts, sided.deckSize, handSize) : null,
+      ignoredChanges: sided.ignoredChanges
+    };
+  }
+
+  /**
+   * Calculates the chance of opening a live combo AND at least 1, 2 or 3 different
+   * hand-traps. Both are read off the same simulated hands (see simulateHandOutcomes),
+   * so hands that spend their slots on combo pieces rather than hand-traps are
+   * counted as they fall, instead of multiplying two separate odds. Only the raw opening
+   * hand counts: card effects and mulligans aren't applied, so the UI labels it as such.
+   * @param {Array} combos - Array of combo configurations
+   * @param {Array} ydkCards - Array of cards in the deck
+   * @param {Object} ydkCardCounts - Card counts in the deck
+   * @param {number} deckSize - Total deck size
+   * @param {number} handSize - Hand size to draw
+   * @returns {Object|null} { uniqueHandTraps, onePlus, twoPlus, threePlus, intervals }, with a
+   *   threshold only when the deck has that many different hand-traps; null without hand-traps
+   */
+  calculateComboWithHandTraps(combos, ydkCards, ydkCardCounts, deckSize, handSize) {
+    const outcomes = this.simulateHandOutcomes(combos, deckSize, handSize, ydkCards, ydkCardCounts);
+    if (!outcomes || outcomes.handTraps === 0) {
+      return null;
+    }
+
+    const result = { uniqueHandTraps: outcomes.handTraps, intervals: {} };
+    ['onePlus', 'twoPlus', 'threePlus'].slice(0, Math.min(outcomes.handTraps, handSize)).forEach((key, index) => {
+      const share = outcomes.joint.slice(1).reduce(
+        (sum, row) => sum + row.slice(index + 1).reduce((rowSum, value) => rowSum + value, 0),
+        0
+      );
+      result[key] = share;
+      result.intervals[key] = this.getConfidenceInterval(Math.round((share / 100) * outcomes.trials), outcomes.trials);
+    });
+
+    return result;
+  }
+
+  /**
+   * Calculates combo odds on each of your turns for both play orders
+   * Going first you see GOING_FIRST_HAND_SIZE cards on turn 1, going second
+   * GOING_SECOND_HAND_SIZE; each later turn adds one draw
+   * @param {Array} combos - Array of combo configurations
+   * @param {number} deckSize - Total deck size
+   * @param {number} turns - Number of turns to report (default: TURN_CURVE_TURNS)
+   * @returns {Object} { goingFirst, goingSecond }, each an array of { turn, cardsSeen, individual, combined }
+   */
+  calculateTurnCurve(combos, deckSize, turns = TURN_CURVE_TURNS) {
+    const curveFrom = (openingCards) => Array.from({ length: turns }, (_, index) => {
+      const cardsSeen = Math.min(openingCards + index, deckSize);
+      const individual = combos.map(combo =>
+        this.calculateComboProbability(combo, deckSize, cardsSeen).probability
+      );
+      const combined = combos.length > 1
+        ? this.calculateCombinedProbability(combos, deckSize, cardsSeen).probability
+        : (individual[0] ?? 0);
+
+      return { turn: index + 1, cardsSeen, individual, combined };
+    });
+
+    return {
+      goingFirst: curveFrom(GOING_FIRST_HAND_SIZE),
+      goingSecond: curveFrom(GOING_SECOND_HAND_SIZE)
+    };
+  }
+
+  /**
+   * Whether a mulligan rule gives a second chance (null or type 'none' don't)
+   */
+  hasMulligan(mulligan) {
+    return Boolean(mulligan) && MULLIGAN_TYPES.includes(mulligan.type) && mulligan.type !== 'none';
+  }
+
+  /**
+   * Calculates the chance of opening a combo when a failed hand may be mulliganed once
+   *  - full: shuffle the hand back and draw a new hand of the same size
+   *  - shuffle: shuffle the hand back and draw one card fewer
+   *  - redraw: put back up to `count` cards and draw that many replacements (see simulateMulliganRedraw)
+   * @param {Array} combos - One combo for an individual result, several for the combined result
+   * @param {number} deckSize - Total deck size
+   * @param {number} handSize - Hand size to draw
+   * @param {Object} mulligan - { type: 'full' | 'shuffle' | 'redraw', count }
+   * @returns {Object} { probability, isExact, interval }
+   */
+  calculateWithMulligan(combos, deckSize, handSize, mulligan) {
+    const openingOdds = (cardsDrawn) => combos.length > 1
+      ? this.calculateCombinedProbability(combos, deckSize, cardsDrawn)
+      : this.calculateComboProbability(combos[0], deckSize, cardsDrawn);
+
+    if (mulligan.type === 'redraw') {
+      const count = Math.min(Math.max(1, mulligan.count || 1), handSize);
+      return { ...this.simulateMulliganRedraw(combos, deckSize, handSize, count), isExact: false };
+    }
+
+    const first = openingOdds(handSize);
+    const second = mulligan.type === 'shuffle' ? openingOdds(Math.max(0, handSize - 1)) : first;
+
+    // The second hand is drawn from a reshuffled deck, so it is independent of the first
+    const secondChance = (firstOdds, secondOdds) => 100 - ((100 - firstOdds) * (100 - secondOdds)) / 100;
+    const bound = (result, side) => result.interval ? result.interval[side] : result.probability;
+
+    let interval = null;
+    if (first.interval || second.interval) {
+      const lower = secondChance(bound(first, 'lower'), bound(second, 'lower'));
+      const upper = secondChance(bound(first, 'upper'), bound(second, 'upper'));
+      const margin = (upper - lower) / 2;
+      interval = {
+        standardError: margin / CONFIDENCE_Z,
+        margin,
+        lower,
+        upper,
+        trials: Math.min(first.interval?.trials ?? Infinity, second.interval?.trials ?? Infinity)
+      };
+    }
+
+    return {
+      probability: secondChance(first.probability, second.probability),
+      isExact: first.isExact && second.isExact,
+      interval
+    };
+  }
+
+  /**
+   * Simulates a partial mulligan: after a failed hand, put back up to `count`
+   * cards, shuffle them into the deck and draw that many. Cards outside every
+   * combo are put back first, then copies above the most any combo allows in hand.
+   * Card effects (see setCardEffects) aren't used in either hand, and category
+   * cards count as a single card with their Copies in deck.
+   * @param {Array} combos - Array of combo configurations (OR logic between combos)
    * @param {number} deckSize - Total deck size
    * @param {number} handSize - Hand size to draw
-   * @param {number} simulations - Number of simulations to run (default: 100000)
-   * @returns {number} Probability percentage
+   * @param {number} count - Most cards that may be redrawn
+   * @param {number} simulations - Number of simulations to run (default: SIMULATION_COUNT, ignored in adaptive mode)
+   * @returns {Object} { probability, interval } - see runSimulation
    */
-  combinedMonteCarloSimulation(combos, deckSize, handSize, simulations = 100000) {
-    const cacheKey = this.getCombinedCacheKey(combos, deckSize, handSize);
+  simulateMulliganRedraw(combos, deckSize, handSize, count, simulations = SIMULATION_COUNT) {
+    const cacheKey = `mulligan-redraw-${count}-${this.getCombinedCacheKey(combos, deckSize, handSize)}`;
 
     if (this.resultCache.has(cacheKey)) {
       return this.resultCache.get(cacheKey);
     }
 
-    // Create a unified card mapping for all combos
-    // Cards are identified by their unique name + cardId combination
-    const allUniqueCards = new Map();
-    let cardIdCounter = 0;
+    const allUniqueCards = this.getUnifiedCards(combos);
+    const comboTrees = this.buildGlobalComboTrees(combos, allUniqueCards);
 
+    // Most copies of each card any combo still accepts in hand
+    const keepLimits = new Array(allUniqueCards.size).fill(0);
     combos.forEach(combo => {
       combo.cards.forEach(card => {
-        const cardKey = `${card.starterCard}-${card.cardId || 'custom'}`;
-        if (!allUniqueCards.has(cardKey)) {
-          allUniqueCards.set(cardKey, {
-            id: cardIdCounter++,
-            name: card.starterCard,
-            totalInDeck: 0
-          });
-        }
-        // Use maximum copies in deck across all combos
-        allUniqueCards.get(cardKey).totalInDeck = Math.max(
-          allUniqueCards.get(cardKey).totalInDeck,
-          card.startersInDeck
-        );
-      });
-    });
-
-    // Build expression trees for each combo
-    const comboTrees = combos.map(combo => {
-      // Map combo cards to global card IDs
-      const cardsWithGlobalIds = combo.cards.map(card => {
-        const cardKey = `${card.starterCard}-${card.cardId || 'custom'}`;
-        const globalCardInfo = allUniqueCards.get(cardKey);
-        return {
-          ...card,
-          globalCardId: globalCardInfo.id
-        };
+        const { id } = allUniqueCards.get(this.getRatioCardKey(card));
+        keepLimits[id] = Math.max(keepLimits[id], card.maxCopiesInHand);
       });
-
-      return {
-        tree: this.buildExpressionTreeForGlobalCards(cardsWithGlobalIds),
-        cards: cardsWithGlobalIds
-      };
     });
 
-    let successes = 0;
+    const succeeds = (handCounts) => comboTrees.some(comboTree => comboTree.tree && comboTree.tree.eval(handCounts));
 
-    for (let i = 0; i < simulations; i++) {
+    const stats = this.runSimulation((random) => {
       const deck = [];
-
-      // Build deck with all unique cards
       allUniqueCards.forEach((cardInfo) => {
         for (let j = 0; j < cardInfo.totalInDeck; j++) {
           deck.push(cardInfo.id);
         }
       });
-
-      // Fill remaining deck slots with "Other" cards
       const otherCount = deckSize - deck.length;
       for (let j = 0; j < otherCount; j++) {
         deck.push(-1);
       }
 
-      // Shuffle deck
-      for (let j = deck.length - 1; j > 0; j--) {
-        const k = Math.floor(Math.random() * (j + 1));
-        [deck[j], deck[k]] = [deck[k], deck[j]];
-      }
-
-      // Count cards in hand using global card IDs
-      const globalHandCounts = new Map();
-      allUniqueCards.forEach((cardInfo) => {
-        globalHandCounts.set(cardInfo.id, 0);
-      });
+      // Draw the opening hand into deck[0..handSize) with a partial shuffle
+      const drawInto = (start, end) => {
+        for (let j = start; j < end; j++) {
+          const k = j + Math.floor(random() * (deck.length - j));
+          [deck[j], deck[k]] = [deck[k], deck[j]];
+        }
+      };
+      drawInto(0, handSize);
 
+      const handCounts = new Array(allUniqueCards.size).fill(0);
       for (let j = 0; j < handSize; j++) {
-        if (deck[j] >= 0) {
-          globalHandCounts.set(deck[j], (globalHandCounts.get(deck[j]) || 0) + 1);
-        }
+        if (deck[j] >= 0) handCounts[deck[j]]++;
       }
+      if (succeeds(handCounts)) return true;
 
-      // Check if ANY combo succeeds (OR logic between combos)
-      let anyComboSucceeds = false;
-
-      for (const comboTree of comboTrees) {
-        if (comboTree.tree && comboTree.tree.eval(globalHandCounts)) {
-          anyComboSucceeds = true;
-          break; // Short-circuit: at least one combo succeeded
+      // Pick the cards to put back: non-combo cards first, then surplus copies
+      const putBack = [];
+      for (let j = 0; j < handSize && putBack.length < count; j++) {
+        if (deck[j] === -1) putBack.push(j);
+      }
+      for (let j = 0; j < handSize && putBack.length < count; j++) {
+        const cardId = deck[j];
+        if (cardId >= 0 && handCounts[cardId] > keepLimits[cardId]) {
+          handCounts[cardId]--;
+          putBack.push(j);
         }
       }
+      if (putBack.length === 0) return false;
 
-      if (anyComboSucceeds) {
-        successes++;
+      // Move the returned cards just past the kept hand, then redraw from there on
+      const kept = [];
+      const returned = [];
+      for (let j = 0; j < handSize; j++) {
+        (putBack.includes(j) ? returned : kept).push(deck[j]);
       }
-    }
+      deck.splice(0, handSize, ...kept, ...returned);
+      drawInto(kept.length, handSize);
 
-    const probability = (successes / simulations) * 100;
-    this.resultCache.set(cacheKey, probability);
+      const redrawnCounts = new Array(allUniqueCards.size).fill(0);
+      for (let j = 0; j < handSize; j++) {
+        if (deck[j] >= 0) redrawnCounts[deck[j]]++;
+      }
+      return succeeds(redrawnCounts);
+    }, simulations);
 
-    return probability;
+    this.resultCache.set(cacheKey, stats);
+    return stats;
   }
 
   /**
-   * Builds expression tree using global card IDs (for combined simulation)
-   * Uses strict AND logic only - all cards must be drawn
-   * @param {Array} cards - Array of cards with globalCardId
-   * @returns {Object} Expression tree root node
+   * Marginal value of each card's copies in a combo: how the combo's probability
+   * changes with one copy fewer or one more, swapped with another card so the deck
+   * size stays the same. Simulated variants share one seed, so each is drawn from
+   * the same random hands as the current deck and the differences aren't just noise.
+   * @param {Object} combo - The combo configuration
+   * @param {number} deckSize - Total deck size
+   * @param {number} handSize - Hand size to draw
+   * @param {Object|null} mulligan - Mulligan rule to include (see calculateWithMulligan)
+   * @returns {Array} [{ key, name, copies, minus, plus }] per card, where minus / plus are the
+   *   probability change in percentage points, or null when that copy count isn't possible
    */
-  buildExpressionTreeForGlobalCards(cards) {
-    if (cards.length === 0) {
-      return null;
-    }
+  calculateCopySensitivity(combo, deckSize, handSize, mulligan = null) {
+    const calculator = this.seed === null
+      ? this.withSettings({
+        seed: generateSeed(),
+        targetMargin: this.targetMargin,
+        cardEffects: this.cardEffects,
+        categories: this.categories
+      })
+      : this;
+    const probabilityOf = (changed) => (mulligan
+      ? calculator.calculateWithMulligan([changed], deckSize, handSize, mulligan)
+      : calculator.calculateComboProbability(changed, deckSize, handSize)
+    ).probability;
+
+    const probability = probabilityOf(combo);
+    const ratioCards = this.getRatioCards([combo]);
+    const comboCards = ratioCards.reduce((sum, card) => sum + card.copies, 0);
+
+    const deltaWith = (card, copies) => {
+      const [changed] = this.applyRatio([combo], { [card.key]: copies });
+      return probabilityOf(changed) - probability;
+    };
 
-    if (cards.length === 1) {
-      return new PredicateNodeGlobal(
-        cards[0].globalCardId,
-        cards[0].minCopiesInHand,
-        cards[0].maxCopiesInHand
-      );
-    }
+    return ratioCards.map(card => ({
+      key: card.key,
+      name: card.name,
+      copies: card.copies,
+      minus: card.copies > 0 ? deltaWith(card, card.copies - 1) : null,
+      plus: card.copies < MAX_COPIES_PER_CARD && comboCards < deckSize ? deltaWith(card, card.copies + 1) : null
+    }));
+  }
 
-    let root = new PredicateNodeGlobal(
-      cards[0].globalCardId,
-      cards[0].minCopiesInHand,
-      cards[0].maxCopiesInHand
-    );
+  /**
+   * Recalculates every combo and the combined odds at each deck size in a range
+   * By default combo cards keep their copies and the extra slots are "Other"
+   * filler; with scaleFiller the combo cards grow or shrink with the deck instead,
+   * so filler keeps the same share (copies are rounded and capped at MAX_COPIES_PER_CARD)
+   * @param {Array} combos - Array of combo configurations
+   * @param {number} deckSize - Deck size the combos were built for
+   * @param {number} handSize - Hand size to draw
+   * @param {Object} options - Optional settings
+   * @param {number} options.minDeckSize - First deck size (default: DECK_SIZE_SWEEP_MIN)
+   * @param {number} options.maxDeckSize - Last deck size (default: DECK_SIZE_SWEEP_MAX)
+   * @param {boolean} options.scaleFiller - Scale combo card copies with the deck size (default: false)
+   * @returns {Object} { points, scaleFiller } where points is [{ deckSize, individual, combined }]
+   *   for each size the combo cards and hand fit in
+   */
+  calculateDeckSizeSweep(combos, deckSize, handSize, options = {}) {
+    const {
+      minDeckSize = DECK_SIZE_SWEEP_MIN,
+      maxDeckSize = DECK_SIZE_SWEEP_MAX,
+      scaleFiller = false
+    } = options;
+    const ratioCards = this.getRatioCards(combos);
+    const points = [];
+
+    for (let size = Math.max(minDeckSize, handSize); size <= maxDeckSize; size++) {
+      let sizedCombos = combos;
+      if (scaleFiller) {
+        const copies = Object.fromEntries(ratioCards.map(card => [
+          card.key,
+          Math.min(MAX_COPIES_PER_CARD, Math.max(card.minInHand, Math.round(card.copies * size / deckSize)))
+        ]));
+        sizedCombos = this.applyRatio(combos, copies);
+      }
 
-    // Chain all cards with AND operators only
-    for (let i = 1; i < cards.length; i++) {
-      const card = cards[i];
-      const predicate = new PredicateNodeGlobal(
-        card.globalCardId,
-        card.minCopiesInHand,
-        card.maxCopiesInHand
+      const comboCards = this.getRatioCards(sizedCombos).reduce((sum, card) => sum + card.copies, 0);
+      if (comboCards > size) continue;
+
+      const individual = sizedCombos.map(combo =>
+        this.calculateComboProbability(combo, size, handSize).probability
       );
-      // Always use AND - no OR logic supported
-      root = new AndNode(root, predicate);
+      const combined = sizedCombos.length > 1
+        ? this.calculateCombinedProbability(sizedCombos, size, handSize).probability
+        : (individual[0] ?? 0);
+
+      points.push({ deckSize: size, individual, combined });
     }
 
-    return root;
+    return { points, scaleFiller };
   }
 
   /**
-   * Identifies independent combo starters (unique first cards)
+   * Key identifying a card across combos, matching getUnifiedCards
+   * @param {Object} card - Card configuration
+   * @returns {string} Card key
+   */
+  getRatioCardKey(card) {
+    return `${card.starterCard}-${card.cardId || 'custom'}`;
+  }
+
+  /**
+   * Lists the named cards in the combos whose copy counts the optimizer can vary
+   * (category cards take their copies from the deck, so they aren't listed)
    * @param {Array} combos - Array of combo configurations
-   * @returns {Array} Array of unique starter cards with their deck counts
+   * @returns {Array} [{ key, name, cardId, copies, minInHand }], where minInHand is the
+   *   highest Min in hand any combo asks of the card
    */
-  getIndependentStarters(combos) {
-    const starterMap = new Map();
+  getRatioCards(combos) {
+    const ratioCards = new Map();
 
     combos.forEach(combo => {
-      if (combo.cards && combo.cards.length > 0) {
-        const firstCard = combo.cards[0];
-        const cardKey = `${firstCard.starterCard}-${firstCard.cardId || 'custom'}`;
+      combo.cards.forEach(card => {
+        if (!card.starterCard || card.categoryId != null) return;
 
-        if (!starterMap.has(cardKey)) {
-          starterMap.set(cardKey, {
-            name: firstCard.starterCard,
-            cardId: firstCard.cardId,
-            copiesInDeck: firstCard.startersInDeck
-          });
+        const key = this.getRatioCardKey(card);
+        const existing = ratioCards.get(key);
+        if (existing) {
+          existing.copies = Math.max(existing.copies, card.startersInDeck);
+          existing.minInHand = Math.max(existing.minInHand, card.minCopiesInHand);
         } else {
-          // Use maximum copies across all combos
-          const existing = starterMap.get(cardKey);
-          existing.copiesInDeck = Math.max(existing.copiesInDeck, firstCard.startersInDeck);
+          ratioCards.set(key, {
+            key,
+            name: card.starterCard,
+            cardId: card.cardId || null,
+            copies: card.startersInDeck,
+            minInHand: card.minCopiesInHand
+          });
         }
-      }
+      });
     });
 
-    return Array.from(starterMap.values());
+    return Array.from(ratioCards.values());
   }
 
   /**
-   * Calculates probability of opening N or more independent combo starters
-   * @param {Array} independentStarters - Array of unique starter cards
-   * @param {number} minStarters - Minimum number of different starters required (2 or 3)
+   * Returns the combos with new copy counts applied. Max in hand follows the
+   * copy count when it matched the old count and is capped otherwise, the same
+   * way editing Copies in deck by hand behaves.
+   * @param {Array} combos - Array of combo configurations
+   * @param {Object} copies - Copies in deck by card key (see getRatioCardKey); cards left out are unchanged
+   * @returns {Array} Updated combos
+   */
+  applyRatio(combos, copies) {
+    return combos.map(combo => ({
+      ...combo,
+      cards: combo.cards.map(card => {
+        const newCopies = card.starterCard && card.categoryId == null ? copies[this.getRatioCardKey(card)] : undefined;
+        if (newCopies === undefined) return card;
+
+        const maxCopiesInHand = card.maxCopiesInHand === card.startersInDeck
+          ? newCopies
+          : Math.min(card.maxCopiesInHand, newCopies);
+
+        return { ...card, startersInDeck: newCopies, maxCopiesInHand };
+      })
+    }));
+  }
+
+  /**
+   * Probability the optimizer maximises: opening any combo, or the single combo's odds
+   * @returns {Object} { probability, isExact }
+   */
+  getRatioScore(combos, deckSize, handSize) {
+    const { probability, isExact } = combos.length > 1
+      ? this.calculateCombinedProbability(combos, deckSize, handSize)
+      : this.calculateComboProbability(combos[0], deckSize, handSize);
+    return { probability, isExact };
+  }
+
+  /**
+   * Searches copy counts of the chosen cards for the ratios with the best
+   * combined probability. Deck size stays fixed: copies added or cut are taken
+   * from or returned to the rest of the deck.
+   *
+   * Every ratio set is tried when there are at most OPTIMIZER_EXHAUSTIVE_LIMIT
+   * of them; larger searches hill-climb from the current ratio one copy at a time.
+   * Simulated candidates all use the same seed, so they are compared on the same
+   * random draws, and the search stops once the time budget runs out.
+   * @param {Array} combos - Array of combo configurations
    * @param {number} deckSize - Total deck size
    * @param {number} handSize - Hand size to draw
-   * @param {number} simulations - Number of simulations to run (default: 100000)
-   * @returns {number} Probability percentage
+   * @param {Object} options - Optional settings
+   * @param {Object} options.constraints - { [cardKey]: { min, max } } for each card to vary; other cards keep their copies.
+   *   min defaults to the card's highest Min in hand, max to MAX_COPIES_PER_CARD
+   * @param {boolean} options.keepTotal - Only try ratios with as many copies in total as today (default: true)
+   * @param {number} options.limit - Number of ratio sets to return (default: OPTIMIZER_RESULT_LIMIT)
+   * @param {Function} options.onProgress - Called with the completed fraction (0-1)
+   * @param {number} options.timeBudget - Milliseconds to search before returning the best ratios so far (default: OPTIMIZER_TIME_BUDGET)
+   *   Seed, precision, card effects and categories apply to this call only (see withSettings)
+   * @param {number|null} options.seed - Seed shared by every simulated candidate (see setSeed); a fresh one is picked when null
+   * @param {number|null} options.targetMargin - Adaptive precision target (see setTargetMargin)
+   * @param {Array} options.cardEffects - Searchers, draw and excavate effects (see setCardEffects)
+   * @param {Array} options.categories - Card categories combo cards can require (see setCategories)
+   * @returns {Object} { cards, current, ranked, evaluated, exhaustive, timedOut, seed } where ranked is
+   *   [{ copies, probability, isExact }] best first, current scores today's ratio and timedOut
+   *   is true when the budget ran out before the search finished
    */
-  calculateMultiStarterProbability(independentStarters, minStarters, deckSize, handSize, simulations = 100000) {
-    if (independentStarters.length < minStarters) {
-      return 0;
-    }
+  optimizeRatios(combos, deckSize, handSize, options = {}) {
+    const {
+      constraints = {},
+      keepTotal = true,
+      limit = OPTIMIZER_RESULT_LIMIT,
+      timeBudget = OPTIMIZER_TIME_BUDGET,
+      onProgress = null
+    } = options;
+    const seed = options.seed ?? generateSeed();
+    const calculator = this.withSettings({ ...options, seed });
+    const deadline = Date.now() + timeBudget;
+    const isOutOfTime = () => Date.now() >= deadline;
+
+    const ratioCards = calculator.getRatioCards(combos);
+    const cards = ratioCards
+      .filter(card => constraints[card.key])
+      .map(card => {
+        const { min, max } = constraints[card.key];
+        return {
+          ...card,
+          min: Math.max(0, min ?? card.minInHand),
+          max: Math.min(max ?? MAX_COPIES_PER_CARD, deckSize)
+        };
+      });
 
-    let successes = 0;
+    const currentCopies = Object.fromEntries(cards.map(card => [card.key, card.copies]));
+    const current = { copies: currentCopies, ...calculator.getRatioScore(combos, deckSize, handSize) };
 
-    for (let i = 0; i < simulations; i++) {
-      const deck = [];
+    const fixedTotal = ratioCards
+      .filter(card => !constraints[card.key])
+      .reduce((sum, card) => sum + card.copies, 0);
+    const currentTotal = cards.reduce((sum, card) => sum + card.copies, 0);
 
-      // Build deck with starter cards
-      independentStarters.forEach((starter, starterIndex) => {
-        for (let j = 0; j < starter.copiesInDeck; j++) {
-          deck.push(starterIndex);
-        }
-      });
+    const isAllowed = (counts) => {
+      const total = counts.reduce((sum, count) => sum + count, 0);
+      if (keepTotal && total !== currentTotal) return false;
+      return fixedTotal + total <= deckSize;
+    };
 
-      // Fill remaining deck slots with "Other" cards
-      const otherCount = deckSize - deck.length;
-      for (let j = 0; j < otherCount; j++) {
-        deck.push(-1);
+    const evaluated = new Map();
+    const evaluate = (counts) => {
+      const ratioKey = counts.join(',');
+      if (!evaluated.has(ratioKey)) {
+        const copies = Object.fromEntries(cards.map((card, index) => [card.key, counts[index]]));
+        const score = calculator.getRatioScore(calculator.applyRatio(combos, copies), deckSize, handSize);
+        evaluated.set(ratioKey, { copies, ...score });
       }
+      return evaluated.get(ratioKey);
+    };
 
-      // Shuffle deck using Fisher-Yates algorithm
-      for (let j = deck.length - 1; j > 0; j--) {
-        const k = Math.floor(Math.random() * (j + 1));
-        [deck[j], deck[k]] = [deck[k], deck[j]];
-      }
+    const searchSize = cards.reduce((size, card) => size * Math.max(0, card.max - card.min + 1), 1);
+    const exhaustive = searchSize <= OPTIMIZER_EXHAUSTIVE_LIMIT;
 
-      // Count unique starters in hand
-      const startersInHand = new Set();
-      for (let j = 0; j < handSize; j++) {
-        if (deck[j] >= 0) {
-          startersInHand.add(deck[j]);
-        }
-      }
+    let timedOut = false;
+    if (cards.length > 0 && exhaustive) {
+      timedOut = calculator.enumerateRatios(cards, isAllowed, evaluate, searchSize, onProgress, isOutOfTime);
+    } else if (cards.length > 0) {
+      timedOut = calculator.hillClimbRatios(cards, currentTotal, keepTotal, isAllowed, evaluate, onProgress, isOutOfTime);
+    }
 
-      // Check if we have at least minStarters different starters
-      if (startersInHand.size >= minStarters) {
-        successes++;
-      }
+    if (onProgress) {
+      onProgress(1);
     }
 
-    return (successes / simulations) * 100;
+    const ranked = Array.from(evaluated.values())
+      .sort((a, b) => b.probability - a.probability)
+      .slice(0, limit);
+
+    return {
+      cards: cards.map(({ key, name, cardId, copies, min, max }) => ({ key, name, cardId, copies, min, max })),
+      current,
+      ranked,
+      evaluated: evaluated.size,
+      exhaustive,
+      timedOut,
+      seed
+    };
   }
 
   /**
-   * Calculates probabilities for multiple combos
-   * @param {Array} combos - Array of combo configurations
-   * @param {number} deckSize - Total deck size
-   * @param {number} handSize - Hand size to draw
-   * @param {Array} ydkCards - Optional array of cards in the deck (for hand-trap calculations)
-   * @param {Object} ydkCardCounts - Optional card counts in the deck (for hand-trap calculations)
-   * @returns {Object} Object containing individual and combined results
+   * Tries every allowed ratio within the cards' [min, max] bounds
+   * @returns {boolean} True when isOutOfTime stopped the search early
    */
-  calculateMultipleCombos(combos, deckSize, handSize, ydkCards = null, ydkCardCounts = null) {
-    const individualResults = combos.map(combo => ({
-      id: combo.id,
-      probability: this.monteCarloSimulation(combo, deckSize, handSize),
-      cards: combo.cards
-    }));
-
-    // Calculate combined probability only if there are multiple combos
-    let combinedProbability = null;
-    if (combos.length > 1) {
-      combinedProbability = this.combinedMonteCarloSimulation(combos, deckSize, handSize);
-    }
+  enumerateRatios(cards, isAllowed, evaluate, searchSize, onProgress, isOutOfTime = () => false) {
+    if (cards.some(card => card.max < card.min)) return false;
 
-    // Calculate multi-starter probabilities
-    const independentStarters = this.getIndependentStarters(combos);
-    let multiStarter = null;
+    const counts = cards.map(card => card.min);
+    const progressStep = Math.max(1, Math.ceil(searchSize / 100));
 
-    if (independentStarters.length >= 2) {
-      multiStarter = {
-        independentStarters: independentStarters.length,
-        twoPlus: this.calculateMultiStarterProbability(independentStarters, 2, deckSize, handSize)
-      };
+    for (let visited = 1; visited <= searchSize; visited++) {
+      if (isOutOfTime()) return true;
+      if (isAllowed(counts)) {
+        evaluate(counts);
+      }
+      if (onProgress && visited % progressStep === 0) {
+        onProgress(visited / searchSize);
+      }
 
-      // Only calculate 3+ if there are at least 3 independent starters
-      if (independentStarters.length >= 3) {
-        multiStarter.threePlus = this.calculateMultiStarterProbability(independentStarters, 3, deckSize, handSize);
+      // Advance the counts like an odometer
+      for (let index = 0; index < counts.length; index++) {
+        if (counts[index] < cards[index].max) {
+          counts[index]++;
+          break;
+        }
+        counts[index] = cards[index].min;
       }
     }
 
-    // Calculate multi-hand-trap probabilities (AC#1-AC#9)
-    let multiHandTrap = null;
-    if (ydkCards && ydkCardCounts) {
-      const uniqueHandTraps = this.getUniqueHandTraps(ydkCards, ydkCardCounts);
-
-      // AC#1: Only show if deck has 2+ unique hand-traps
-      if (uniqueHandTraps.length >= 2) {
-        multiHandTrap = {
-          uniqueHandTraps: uniqueHandTraps.length,
-          twoPlus: this.calculateMultiHandTrapProbability(ydkCards, ydkCardCounts, 2, deckSize, handSize)
-        };
+    return false;
+  }
+
+  /**
+   * Moves one copy at a time towards the best neighbouring ratio until no move improves.
+   * Neighbours move a copy between two cards when the total is kept, otherwise add or cut one.
+   * @returns {boolean} True when isOutOfTime stopped the climb early
+   */
+  hillClimbRatios(cards, currentTotal, keepTotal, isAllowed, evaluate, onProgress, isOutOfTime = () => false) {
+    const counts = cards.map(card => Math.min(Math.max(card.copies, card.min), card.max));
+
+    // Clamping to the bounds can change the total; spread the difference back out
+    if (keepTotal) {
+      let difference = currentTotal - counts.reduce((sum, count) => sum + count, 0);
+      cards.forEach((card, index) => {
+        const change = difference > 0
+          ? Math.min(difference, card.max - counts[index])
+          : Math.max(difference, card.min - counts[index]);
+        counts[index] += change;
+        difference -= change;
+      });
+    }
+
+    if (!isAllowed(counts)) return false;
+
+    let best = evaluate(counts);
 
-        // AC#8: Calculate 3+ if there are at least 3 unique hand-traps
-        if (uniqueHandTraps.length >= 3) {
-          multiHandTrap.threePlus = this.calculateMultiHandTrapProbability(ydkCards, ydkCardCounts, 3, deckSize, handSize);
+    for (let step = 0; step < OPTIMIZER_MAX_STEPS; step++) {
+      const neighbours = [];
+      cards.forEach((from, i) => {
+        if (keepTotal) {
+          cards.forEach((to, j) => {
+            if (i === j || counts[i] <= from.min || counts[j] >= to.max) return;
+            const next = [...counts];
+            next[i]--;
+            next[j]++;
+            neighbours.push(next);
+          });
+        } else {
+          [-1, 1].forEach(change => {
+            const next = [...counts];
+            next[i] += change;
+            if (next[i] >= from.min && next[i] <= from.max) neighbours.push(next);
+          });
         }
+      });
 
-        // AC#9: Calculate 4+ if there are at least 4 unique hand-traps
-        if (uniqueHandTraps.length >= 4) {
-          multiHandTrap.fourPlus = this.calculateMultiHandTrapProbability(ydkCards, ydkCardCounts, 4, deckSize, handSize);
+      let bestNeighbour = null;
+      for (const next of neighbours.filter(isAllowed)) {
+        if (isOutOfTime()) return true;
+
+        const result = evaluate(next);
+        if (result.probability > (bestNeighbour?.result.probability ?? best.probability)) {
+          bestNeighbour = { next, result };
         }
       }
+
+      if (onProgress) {
+        onProgress((step + 1) / OPTIMIZER_MAX_STEPS);
+      }
+      if (!bestNeighbour) break;
+
+      counts.splice(0, counts.length, ...bestNeighbour.next);
+      best = bestNeighbour.result;
     }
 
-    return {
-      individual: individualResults,
-      combined: combinedProbability,
-      multiStarter: multiStarter,
-      multiHandTrap: multiHandTrap
-    };
+    return false;
   }
 
   /**
@@ -697,7 +2619,9 @@ class ProbabilityService {
       return {
         type: 'multi-card',
         scenarios,
-        totalPercentage: `${result.probability.toFixed(2)}% (Monte Carlo)`,
+        totalPercentage: result.isExact === false
+          ? `${result.probability.toFixed(2)}%${result.interval ? ` ± ${result.interval.margin.toFixed(2)}%` : ''} (Monte Carlo, 95% CI)`
+          : `${result.probability.toFixed(2)}% (exact)`,
         metadata: {
           totalCards: deckSize,
           handSize,
@@ -758,24 +2682,24 @@ class ProbabilityService {
   }
 
   /**
-   * Calculate opening hand-trap probability for a deck
+   * Simulates opening at least one hand-trap, returning the estimate with its confidence interval
    * @param {Array} ydkCards - Array of cards in the deck
    * @param {Object} ydkCardCounts - Card counts in the deck
    * @param {number} deckSize - Total deck size
    * @param {number} handSize - Hand size to draw
-   * @param {number} simulations - Number of simulations to run (default: 100000)
-   * @returns {number} Probability percentage of opening at least one hand-trap
+   * @param {number} simulations - Number of simulations to run (default: SIMULATION_COUNT, ignored in adaptive mode)
+   * @returns {Object} { probability, interval } - probability of opening at least one hand-trap
    */
-  calculateHandTrapProbability(ydkCards, ydkCardCounts, deckSize, handSize, simulations = 100000) {
+  simulateHandTrap(ydkCards, ydkCardCounts, deckSize, handSize, simulations = SIMULATION_COUNT) {
     if (!ydkCards || !ydkCardCounts) {
-      return 0;
+      return { probability: 0, interval: null };
     }
 
     // Get all hand-trap cards in the deck
     const handTrapCards = ydkCards.filter(card => HandTrapService.isHandTrap(card));
 
     if (handTrapCards.length === 0) {
-      return 0; // No hand-traps in deck
+      return { probability: 0, interval: null }; // No hand-traps in deck
     }
 
     // Create deck array with hand-traps marked
@@ -796,13 +2720,11 @@ class ProbabilityService {
       deck.push(nonHandTrapCardId);
     }
 
-    let successCount = 0;
-
-    for (let sim = 0; sim < simulations; sim++) {
+    return this.runSimulation((random) => {
       // Shuffle deck using Fisher-Yates algorithm
       const shuffledDeck = [...deck];
       for (let i = shuffledDeck.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
+        const j = Math.floor(random() * (i + 1));
         [shuffledDeck[i], shuffledDeck[j]] = [shuffledDeck[j], shuffledDeck[i]];
       }
 
@@ -815,12 +2737,21 @@ class ProbabilityService {
         }
       }
 
-      if (hasHandTrap) {
-        successCount++;
-      }
-    }
+      return hasHandTrap;
+    }, simulations);
+  }
 
-    return (successCount / simulations) * 100;
+  /**
+   * Calculate opening hand-trap probability for a deck
+   * @param {Array} ydkCards - Array of cards in the deck
+   * @param {Object} ydkCardCounts - Card counts in the deck
+   * @param {number} deckSize - Total deck size
+   * @param {number} handSize - Hand size to draw
+   * @param {number} simulations - Number of simulations to run (default: SIMULATION_COUNT)
+   * @returns {number} Probability percentage of opening at least one hand-trap
+   */
+  calculateHandTrapProbability(ydkCards, ydkCardCounts, deckSize, handSize, simulations = SIMULATION_COUNT) {
+    return this.simulateHandTrap(ydkCards, ydkCardCounts, deckSize, handSize, simulations).probability;
   }
 
   /**
@@ -846,18 +2777,18 @@ class ProbabilityService {
   }
 
   /**
-   * Calculate probability of opening N or more different hand-trap cards
+   * Simulates opening N or more different hand-trap cards, returning the estimate with its confidence interval
    * @param {Array} ydkCards - Array of cards in the deck
    * @param {Object} ydkCardCounts - Card counts in the deck
    * @param {number} minDifferentHandTraps - Minimum number of different hand-traps required (2, 3, or 4)
    * @param {number} deckSize - Total deck size
    * @param {number} handSize - Hand size to draw
-   * @param {number} simulations - Number of simulations to run (default: 100000)
-   * @returns {number} Probability percentage
+   * @param {number} simulations - Number of simulations to run (default: SIMULATION_COUNT, ignored in adaptive mode)
+   * @returns {Object} { probability, interval } - see runSimulation
    */
-  calculateMultiHandTrapProbability(ydkCards, ydkCardCounts, minDifferentHandTraps, deckSize, handSize, simulations = 100000) {
+  simulateMultiHandTrap(ydkCards, ydkCardCounts, minDifferentHandTraps, deckSize, handSize, simulations = SIMULATION_COUNT) {
     if (!ydkCards || !ydkCardCounts) {
-      return 0;
+      return { probability: 0, interval: null };
     }
 
     // Get unique hand-trap cards
@@ -865,12 +2796,10 @@ class ProbabilityService {
 
     // AC#2: If deck doesn't have enough unique hand-traps, return 0%
     if (uniqueHandTraps.length < minDifferentHandTraps) {
-      return 0;
+      return { probability: 0, interval: null };
     }
 
-    let successes = 0;
-
-    for (let i = 0; i < simulations; i++) {
+    return this.runSimulation((random) => {
       const deck = [];
 
       // Build deck with unique hand-trap cards (each gets a unique ID)
@@ -888,7 +2817,7 @@ class ProbabilityService {
 
       // Shuffle deck using Fisher-Yates algorithm
       for (let j = deck.length - 1; j > 0; j--) {
-        const k = Math.floor(Math.random() * (j + 1));
+        const k = Math.floor(random() * (j + 1));
         [deck[j], deck[k]] = [deck[k], deck[j]];
       }
 
@@ -901,12 +2830,22 @@ class ProbabilityService {
       }
 
       // Check if we have at least minDifferentHandTraps different hand-traps
-      if (uniqueHandTrapsInHand.size >= minDifferentHandTraps) {
-        successes++;
-      }
-    }
+      return uniqueHandTrapsInHand.size >= minDifferentHandTraps;
+    }, simulations);
+  }
 
-    return (successes / simulations) * 100;
+  /**
+   * Calculate probability of opening N or more different hand-trap cards
+   * @param {Array} ydkCards - Array of cards in the deck
+   * @param {Object} ydkCardCounts - Card counts in the deck
+   * @param {number} minDifferentHandTraps - Minimum number of different hand-traps required (2, 3, or 4)
+   * @param {number} deckSize - Total deck size
+   * @param {number} handSize - Hand size to draw
+   * @param {number} simulations - Number of simulations to run (default: SIMULATION_COUNT)
+   * @returns {number} Probability percentage
+   */
+  calculateMultiHandTrapProbability(ydkCards, ydkCardCounts, minDifferentHandTraps, deckSize, handSize, simulations = SIMULATION_COUNT) {
+    return this.simulateMultiHandTrap(ydkCards, ydkCardCounts, minDifferentHandTraps, deckSize, handSize, simulations).probability;
   }
 }
 
@@ -919,9 +2858,13 @@ class PredicateNodeGlobal {
   }
 
   eval(globalHandCounts) {
-    const count = globalHandCounts.get(this.globalCardId) || 0;
+    const count = globalHandCounts[this.globalCardId] || 0;
     return count >= this.minCopies && count <= this.maxCopies;
   }
+
+  minCardsRequired() {
+    return this.minCopies;
+  }
 }
 
 // Export singleton instance
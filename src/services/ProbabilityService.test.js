@@ -1,10 +1,15 @@
 import { describe, it, expect, beforeEach } from 'vitest';
 import ProbabilityService from './ProbabilityService.js';
+import { createRandom, parseSeed } from '../utils/random.js';
 
 describe('ProbabilityService', () => {
   beforeEach(() => {
-    // Clear cache before each test
+    // Clear cache and seed before each test
     ProbabilityService.clearCache();
+    ProbabilityService.setSeed(null);
+    ProbabilityService.setTargetMargin(null);
+    ProbabilityService.setCardEffects([]);
+    ProbabilityService.setCategories([]);
   });
 
   describe('Cache Management', () => {
@@ -214,4 +219,996 @@ describe('ProbabilityService', () => {
       expect(combined).toBeLessThan(individual1 + individual2);
     });
   });
-});
\ No newline at end of file
+
+  describe('Exact Hypergeometric Engine', () => {
+    it('should match the closed-form hypergeometric for a single card', () => {
+      const combo = {
+        cards: [{
+          startersInDeck: 3,
+          minCopiesInHand: 1,
+          maxCopiesInHand: 3
+        }]
+      };
+
+      // 1 - C(37,5) / C(40,5)
+      const expected = (1 - 435897 / 658008) * 100;
+      const result = ProbabilityService.calculateComboProbability(combo, 40, 5);
+
+      expect(result.isExact).toBe(true);
+      expect(result.probability).toBeCloseTo(expected, 10);
+    });
+
+    it('should solve multi-card AND combos exactly', () => {
+      const combo = {
+        cards: [
+          { startersInDeck: 3, minCopiesInHand: 1, maxCopiesInHand: 3 },
+          { startersInDeck: 2, minCopiesInHand: 1, maxCopiesInHand: 2 }
+        ]
+      };
+
+      // Sum over a in 1..3, b in 1..2 of C(3,a) C(2,b) C(35, 5-a-b) / C(40,5)
+      let favourable = 0;
+      for (let a = 1; a <= 3; a++) {
+        for (let b = 1; b <= 2; b++) {
+          favourable += ProbabilityService.binomial(3, a) *
+            ProbabilityService.binomial(2, b) *
+            ProbabilityService.binomial(35, 5 - a - b);
+        }
+      }
+      const expected = (favourable / ProbabilityService.binomial(40, 5)) * 100;
+      const result = ProbabilityService.calculateComboProbability(combo, 40, 5);
+
+      expect(result.isExact).toBe(true);
+      expect(result.probability).toBeCloseTo(expected, 10);
+    });
+
+    it('should solve the OR of combos exactly via inclusion-exclusion', () => {
+      const combos = [
+        { cards: [{ starterCard: 'Card A', cardId: '1', startersInDeck: 3, minCopiesInHand: 1, maxCopiesInHand: 3 }] },
+        { cards: [{ starterCard: 'Card B', cardId: '2', startersInDeck: 3, minCopiesInHand: 1, maxCopiesInHand: 3 }] }
+      ];
+
+      const total = ProbabilityService.binomial(40, 5);
+      const missA = ProbabilityService.binomial(37, 5) / total;
+      const missBoth = ProbabilityService.binomial(34, 5) / total;
+      // P(A or B) = P(A) + P(B) - P(A and B) = 1 - P(no A and no B)
+      const expected = (1 - missBoth) * 100;
+      const result = ProbabilityService.calculateCombinedProbability(combos, 40, 5);
+
+      expect(result.isExact).toBe(true);
+      expect(result.probability).toBeCloseTo(expected, 10);
+      expect(result.probability).toBeGreaterThan((1 - missA) * 100);
+    });
+
+    it('should share copies of the same card across combos', () => {
+      const card = { starterCard: 'Card A', cardId: '1', startersInDeck: 3, minCopiesInHand: 1, maxCopiesInHand: 3 };
+      const single = ProbabilityService.calculateComboProbability({ cards: [card] }, 40, 5);
+      const combined = ProbabilityService.calculateCombinedProbability(
+        [{ cards: [card] }, { cards: [{ ...card }] }],
+        40,
+        5
+      );
+
+      expect(combined.probability).toBeCloseTo(single.probability, 10);
+    });
+
+    it('should fall back to Monte Carlo when the state space is too large', () => {
+      const cards = Array.from({ length: 10 }, () => ({
+        startersInDeck: 3,
+        minCopiesInHand: 0,
+        maxCopiesInHand: 3
+      }));
+      cards[0].minCopiesInHand = 1;
+
+      expect(ProbabilityService.countHandCompositions(cards.map(c => c.startersInDeck), 5))
+        .toBeGreaterThan(250000);
+
+      const result = ProbabilityService.calculateComboProbability({ cards }, 40, 5);
+      expect(result.isExact).toBe(false);
+      expect(result.probability).toBeGreaterThan(25);
+      expect(result.probability).toBeLessThan(45);
+    });
+
+    it('should report exact results from calculateMultipleCombos', () => {
+      const combos = [
+        { id: 1, cards: [{ starterCard: 'Card A', cardId: '1', startersInDeck: 3, minCopiesInHand: 1, maxCopiesInHand: 3 }] },
+        { id: 2, cards: [{ starterCard: 'Card B', cardId: '2', startersInDeck: 2, minCopiesInHand: 1, maxCopiesInHand: 2 }] }
+      ];
+
+      const result = ProbabilityService.calculateMultipleCombos(combos, 40, 5);
+
+      expect(result.individual.every(r => r.isExact)).toBe(true);
+      expect(result.combinedIsExact).toBe(true);
+    });
+  });
+
+  describe('OR Logic and Grouping', () => {
+    const card = (startersInDeck, extra = {}) => ({
+      startersInDeck,
+      minCopiesInHand: 1,
+      maxCopiesInHand: startersInDeck,
+      logicOperator: 'AND',
+      openParens: 0,
+      closeParens: 0,
+      ...extra
+    });
+
+    it('should evaluate OR between cards exactly', () => {
+      const combo = {
+        cards: [card(3), card(3, { logicOperator: 'OR' })]
+      };
+
+      // At least one of six cards: 1 - C(34,5) / C(40,5)
+      const expected = (1 - ProbabilityService.binomial(34, 5) / ProbabilityService.binomial(40, 5)) * 100;
+      const result = ProbabilityService.calculateComboProbability(combo, 40, 5);
+
+      expect(result.isExact).toBe(true);
+      expect(result.probability).toBeCloseTo(expected, 10);
+    });
+
+    it('should bind AND tighter than OR unless brackets say otherwise', () => {
+      const ungrouped = ProbabilityService.buildExpressionTree([
+        card(3), card(3, { logicOperator: 'OR' }), card(3)
+      ]);
+      const grouped = ProbabilityService.buildExpressionTree([
+        card(3, { openParens: 1 }), card(3, { logicOperator: 'OR', closeParens: 1 }), card(3)
+      ]);
+
+      // A only: "A OR (B AND C)" holds, "(A OR B) AND C" does not
+      expect(ungrouped.eval([1, 0, 0])).toBe(true);
+      expect(grouped.eval([1, 0, 0])).toBe(false);
+      expect(grouped.eval([0, 1, 1])).toBe(true);
+    });
+
+    it('should report unbalanced brackets', () => {
+      expect(ProbabilityService.validateGroups([card(3, { closeParens: 1 })]))
+        .toBe('Closing bracket without a matching opening bracket');
+      expect(ProbabilityService.validateGroups([card(3, { openParens: 1 })]))
+        .toBe('Opening bracket without a matching closing bracket');
+      expect(ProbabilityService.validateGroups([
+        card(3, { openParens: 1 }), card(3, { logicOperator: 'OR', closeParens: 1 })
+      ])).toBeNull();
+    });
+
+    it('should only require the cheapest OR branch in hand', () => {
+      const cards = [
+        card(3, { minCopiesInHand: 2 }),
+        card(3, { logicOperator: 'OR' }),
+        card(3)
+      ];
+
+      // A(2) OR (B(1) AND C(1)) needs at least 2 cards
+      expect(ProbabilityService.getMinimumHandCards(cards)).toBe(2);
+    });
+
+    it('should apply OR inside combined probability', () => {
+      const orCombo = { cards: [card(3, { starterCard: 'A' }), card(3, { starterCard: 'B', logicOperator: 'OR' })] };
+      const andCombo = { cards: [card(3, { starterCard: 'A' }), card(3, { starterCard: 'B' })] };
+
+      const orResult = ProbabilityService.calculateCombinedProbability([orCombo], 40, 5);
+      const andResult = ProbabilityService.calculateCombinedProbability([andCombo], 40, 5);
+      const expected = (1 - ProbabilityService.binomial(34, 5) / ProbabilityService.binomial(40, 5)) * 100;
+
+      expect(orResult.probability).toBeCloseTo(expected, 10);
+      expect(andResult.probability).toBeLessThan(orResult.probability);
+    });
+
+    it('should cache AND and OR variants separately', () => {
+      const andCombo = { cards: [card(3), card(3)] };
+      const orCombo = { cards: [card(3), card(3, { logicOperator: 'OR' })] };
+
+      expect(ProbabilityService.getCacheKey(andCombo, 40, 5))
+        .not.toBe(ProbabilityService.getCacheKey(orCombo, 40, 5));
+    });
+  });
+
+  describe('Seeded Simulation', () => {
+    const combo = {
+      cards: [{ startersInDeck: 3, minCopiesInHand: 1, maxCopiesInHand: 3 }]
+    };
+
+    it('should produce the same sequence for the same seed', () => {
+      const first = createRandom(1234);
+      const second = createRandom(1234);
+      const values = Array.from({ length: 5 }, () => first());
+
+      expect(Array.from({ length: 5 }, () => second())).toEqual(values);
+      expect(values.every(value => value >= 0 && value < 1)).toBe(true);
+    });
+
+    it('should reproduce Monte Carlo results exactly for a given seed', () => {
+      ProbabilityService.setSeed(42);
+      const first = ProbabilityService.monteCarloSimulation(combo, 40, 5, 10000);
+
+      ProbabilityService.clearCache();
+      const second = ProbabilityService.monteCarloSimulation(combo, 40, 5, 10000);
+
+      ProbabilityService.setSeed(43);
+      const otherSeed = ProbabilityService.monteCarloSimulation(combo, 40, 5, 10000);
+
+      expect(second).toBe(first);
+      expect(otherSeed).not.toBe(first);
+    });
+
+    it('should apply the seed passed to calculateMultipleCombos', () => {
+      const combos = [
+        { id: 1, cards: [{ starterCard: 'A', startersInDeck: 3, minCopiesInHand: 1, maxCopiesInHand: 3 }] },
+        { id: 2, cards: [{ starterCard: 'B', startersInDeck: 3, minCopiesInHand: 1, maxCopiesInHand: 3 }] }
+      ];
+
+      const first = ProbabilityService.calculateMultipleCombos(combos, 40, 5, null, null, { seed: 7 });
+      ProbabilityService.clearCache();
+      const second = ProbabilityService.calculateMultipleCombos(combos, 40, 5, null, null, { seed: 7 });
+
+      expect(second.multiStarter.twoPlus).toBe(first.multiStarter.twoPlus);
+      expect(ProbabilityService.seed).toBeNull();
+    });
+
+    it('should not carry settings over from an earlier calculation', () => {
+      const combo = { id: 1, cards: [{ starterCard: 'A', startersInDeck: 3, minCopiesInHand: 1, maxCopiesInHand: 3 }] };
+      const cardEffects = [{ card: 'Terraforming', copies: 1, type: 'search', targets: ['A'] }];
+
+      const withEffects = ProbabilityService.calculateMultipleCombos([combo], 40, 5, null, null, { seed: 7, cardEffects });
+      const withoutEffects = ProbabilityService.calculateMultipleCombos([combo], 40, 5);
+
+      expect(withEffects.individual[0].isExact).toBe(false);
+      expect(withoutEffects.individual[0].isExact).toBe(true);
+      expect(ProbabilityService.cardEffects).toEqual([]);
+    });
+
+    it('should only accept 32-bit unsigned integer seeds', () => {
+      expect(parseSeed('123')).toBe(123);
+      expect(parseSeed(0)).toBe(0);
+      expect(parseSeed(-1)).toBeNull();
+      expect(parseSeed('1.5')).toBeNull();
+      expect(parseSeed(undefined)).toBeNull();
+      expect(parseSeed(2 ** 32)).toBeNull();
+    });
+  });
+
+  describe('Confidence Intervals and Adaptive Sampling', () => {
+    it('should compute a normal-approximation 95% interval', () => {
+      const interval = ProbabilityService.getConfidenceInterval(300, 1000);
+      const standardError = Math.sqrt(0.3 * 0.7 / 1000) * 100;
+
+      expect(interval.standardError).toBeCloseTo(standardError, 10);
+      expect(interval.margin).toBeCloseTo(1.96 * standardError, 10);
+      expect(interval.lower).toBeCloseTo(30 - 1.96 * standardError, 10);
+      expect(interval.upper).toBeCloseTo(30 + 1.96 * standardError, 10);
+      expect(interval.trials).toBe(1000);
+    });
+
+    it('should run exactly the requested iterations in fixed mode', () => {
+      const { interval } = ProbabilityService.runSimulation(random => random() < 0.3, 5000);
+
+      expect(interval.trials).toBe(5000);
+    });
+
+    it('should keep sampling until the target margin is reached in adaptive mode', () => {
+      ProbabilityService.setSeed(99);
+      ProbabilityService.setTargetMargin(0.5);
+
+      const { probability, interval } = ProbabilityService.runSimulation(random => random() < 0.3, 1000);
+
+      expect(interval.margin).toBeLessThanOrEqual(0.5);
+      expect(interval.trials).toBeGreaterThan(1000);
+      expect(interval.trials % 10000).toBe(0);
+      expect(Math.abs(probability - 30)).toBeLessThan(1);
+    });
+
+    it('should attach intervals to simulated results only', () => {
+      const exact = ProbabilityService.calculateComboProbability({
+        cards: [{ startersInDeck: 3, minCopiesInHand: 1, maxCopiesInHand: 3 }]
+      }, 40, 5);
+      const simulated = ProbabilityService.calculateComboProbability({
+        cards: Array.from({ length: 10 }, () => ({ startersInDeck: 3, minCopiesInHand: 0, maxCopiesInHand: 3 }))
+      }, 40, 5);
+
+      expect(exact.interval).toBeNull();
+      expect(simulated.isExact).toBe(false);
+      expect(simulated.interval.lower).toBeLessThanOrEqual(simulated.probability);
+      expect(simulated.interval.upper).toBeGreaterThanOrEqual(simulated.probability);
+    });
+
+    it('should report intervals for multi-starter results', () => {
+      const combos = [
+        { id: 1, cards: [{ starterCard: 'A', startersInDeck: 3, minCopiesInHand: 1, maxCopiesInHand: 3 }] },
+        { id: 2, cards: [{ starterCard: 'B', startersInDeck: 3, minCopiesInHand: 1, maxCopiesInHand: 3 }] }
+      ];
+
+      const result = ProbabilityService.calculateMultipleCombos(combos, 40, 5);
+
+      expect(result.multiStarter.intervals.twoPlus.margin).toBeGreaterThan(0);
+      expect(result.combinedInterval).toBeNull();
+    });
+  });
+
+  describe('Turn-by-Turn Curve', () => {
+    const combo = {
+      id: 1,
+      cards: [{ starterCard: 'A', startersInDeck: 3, minCopiesInHand: 1, maxCopiesInHand: 3 }]
+    };
+    const atLeastOne = (cardsSeen) =>
+      (1 - ProbabilityService.binomial(37, cardsSeen) / ProbabilityService.binomial(40, cardsSeen)) * 100;
+
+    it('should add one card per turn starting from 5 going first and 6 going second', () => {
+      const curve = ProbabilityService.calculateTurnCurve([combo], 40, 3);
+
+      expect(curve.goingFirst.map(point => point.cardsSeen)).toEqual([5, 6, 7]);
+      expect(curve.goingSecond.map(point => point.cardsSeen)).toEqual([6, 7, 8]);
+      curve.goingFirst.forEach(point => {
+        expect(point.combined).toBeCloseTo(atLeastOne(point.cardsSeen), 10);
+      });
+    });
+
+    it('should give going second the odds of going first one turn later', () => {
+      const combos = [
+        combo,
+        { id: 2, cards: [{ starterCard: 'B', startersInDeck: 2, minCopiesInHand: 1, maxCopiesInHand: 2 }] }
+      ];
+      const curve = ProbabilityService.calculateTurnCurve(combos, 40, 4);
+
+      for (let turn = 0; turn < 3; turn++) {
+        expect(curve.goingSecond[turn].combined).toBeCloseTo(curve.goingFirst[turn + 1].combined, 10);
+        expect(curve.goingFirst[turn].individual).toHaveLength(2);
+      }
+    });
+
+    it('should only include the curve when requested', () => {
+      expect(ProbabilityService.calculateMultipleCombos([combo], 40, 5).turnCurve).toBeNull();
+      expect(ProbabilityService.calculateMultipleCombos([combo], 40, 5, null, null, { turnCurve: true }).turnCurve.goingFirst)
+        .toHaveLength(5);
+    });
+  });
+
+  describe('Ratio Optimizer', () => {
+    const card = (starterCard, startersInDeck, minCopiesInHand = 1) => ({
+      starterCard, startersInDeck, minCopiesInHand, maxCopiesInHand: startersInDeck
+    });
+    // A opens on its own, B needs two copies in hand
+    const combos = [
+      { id: 1, cards: [card('A', 2)] },
+      { id: 2, cards: [card('B', 2, 2)] }
+    ];
+    const bounds = { 'A-custom': { min: 1, max: 3 }, 'B-custom': { min: 2, max: 3 } };
+
+    it('should rank every ratio with the same total copies, best first', () => {
+      const result = ProbabilityService.optimizeRatios(combos, 40, 5, { constraints: bounds });
+
+      expect(result.exhaustive).toBe(true);
+      expect(result.ranked.map(entry => entry.copies)).toEqual([
+        { 'A-custom': 2, 'B-custom': 2 },
+        { 'A-custom': 1, 'B-custom': 3 }
+      ]);
+      expect(result.ranked[0].probability).toBeCloseTo(result.current.probability, 10);
+      expect(result.ranked[0].probability).toBeGreaterThan(result.ranked[1].probability);
+    });
+
+    it('should respect per-card bounds and let the total change when asked', () => {
+      const result = ProbabilityService.optimizeRatios(combos, 40, 5, {
+        constraints: { 'A-custom': { min: 0, max: 1 }, 'B-custom': {} },
+        keepTotal: false
+      });
+
+      expect(result.cards.map(({ min, max }) => [min, max])).toEqual([[0, 1], [2, 3]]);
+      expect(result.ranked).toHaveLength(4);
+      expect(result.ranked[0].copies).toEqual({ 'A-custom': 1, 'B-custom': 3 });
+      result.ranked.forEach(entry => expect(entry.copies['A-custom']).toBeLessThanOrEqual(1));
+    });
+
+    it('should hill-climb towards the best ratio when the search space is large', () => {
+      const names = ['A', 'B', 'C', 'D', 'E', 'F', 'G'];
+      const manyCombos = names.map((name, index) => ({
+        id: index + 1,
+        cards: [card(name, 2, name === 'A' ? 1 : 2)]
+      }));
+      const constraints = Object.fromEntries(names.map(name => [`${name}-custom`, { min: 0, max: 3 }]));
+
+      const result = ProbabilityService.optimizeRatios(manyCombos, 40, 5, { constraints });
+
+      expect(result.exhaustive).toBe(false);
+      expect(result.ranked[0].copies['A-custom']).toBe(3);
+      expect(result.ranked[0].probability).toBeGreaterThan(result.current.probability);
+      expect(Object.values(result.ranked[0].copies).reduce((sum, copies) => sum + copies, 0)).toBe(14);
+    });
+
+    it('should compare simulated candidates on one shared seed', () => {
+      const cardEffects = [{ card: 'Terraforming', copies: 1, type: 'search', targets: ['A'] }];
+      const result = ProbabilityService.optimizeRatios(combos, 40, 5, { constraints: bounds, cardEffects });
+      ProbabilityService.clearCache();
+      const again = ProbabilityService.optimizeRatios(combos, 40, 5, { constraints: bounds, cardEffects, seed: result.seed });
+
+      expect(result.ranked[0].isExact).toBe(false);
+      expect(again.ranked).toEqual(result.ranked);
+    });
+
+    it('should stop searching when the time budget runs out', () => {
+      const result = ProbabilityService.optimizeRatios(combos, 40, 5, { constraints: bounds, timeBudget: 0 });
+
+      expect(result.timedOut).toBe(true);
+      expect(result.ranked).toEqual([]);
+      expect(result.current.probability).toBeGreaterThan(0);
+    });
+
+    it('should apply a ratio to every combo using the card', () => {
+      const shared = [
+        { id: 1, cards: [card('A', 2)] },
+        { id: 2, cards: [card('A', 2), { ...card('B', 3), maxCopiesInHand: 1 }] }
+      ];
+      const updated = ProbabilityService.applyRatio(shared, { 'A-custom': 3, 'B-custom': 2 });
+
+      expect(updated[0].cards[0]).toMatchObject({ startersInDeck: 3, maxCopiesInHand: 3 });
+      expect(updated[1].cards[0]).toMatchObject({ startersInDeck: 3, maxCopiesInHand: 3 });
+      expect(updated[1].cards[1]).toMatchObject({ startersInDeck: 2, maxCopiesInHand: 1 });
+      expect(shared[0].cards[0].startersInDeck).toBe(2);
+    });
+  });
+
+  describe('Deck Size Sweep', () => {
+    const combos = [
+      { id: 1, cards: [{ starterCard: 'A', startersInDeck: 2, minCopiesInHand: 1, maxCopiesInHand: 2 }] },
+      { id: 2, cards: [{ starterCard: 'B', startersInDeck: 3, minCopiesInHand: 1, maxCopiesInHand: 3 }] }
+    ];
+
+    it('should keep copies fixed and match single-size results at every deck size', () => {
+      const { points } = ProbabilityService.calculateDeckSizeSweep(combos, 40, 5, { minDeckSize: 40, maxDeckSize: 45 });
+
+      expect(points.map(point => point.deckSize)).toEqual([40, 41, 42, 43, 44, 45]);
+      expect(points[2].individual[0]).toBeCloseTo(
+        ProbabilityService.calculateComboProbability(combos[0], 42, 5).probability, 10
+      );
+      expect(points[2].combined).toBeCloseTo(
+        ProbabilityService.calculateCombinedProbability(combos, 42, 5).probability, 10
+      );
+      for (let index = 1; index < points.length; index++) {
+        expect(points[index].combined).toBeLessThan(points[index - 1].combined);
+      }
+    });
+
+    it('should scale combo card copies with the deck when filler is scaled', () => {
+      const { points } = ProbabilityService.calculateDeckSizeSweep(combos, 40, 5, {
+        minDeckSize: 60, maxDeckSize: 60, scaleFiller: true
+      });
+      const scaled = { ...combos[0], cards: [{ ...combos[0].cards[0], startersInDeck: 3, maxCopiesInHand: 3 }] };
+
+      expect(points[0].individual[0]).toBeCloseTo(
+        ProbabilityService.calculateComboProbability(scaled, 60, 5).probability, 10
+      );
+    });
+
+    it('should skip deck sizes smaller than the hand and only sweep when requested', () => {
+      const { points } = ProbabilityService.calculateDeckSizeSweep(combos, 40, 5, { minDeckSize: 3, maxDeckSize: 6 });
+      expect(points.map(point => point.deckSize)).toEqual([5, 6]);
+
+      expect(ProbabilityService.calculateMultipleCombos(combos, 40, 5).deckSizeSweep).toBeNull();
+      expect(ProbabilityService.calculateMultipleCombos(combos, 40, 5, null, null, { deckSizeSweep: {} })
+        .deckSizeSweep.points).toHaveLength(21);
+    });
+  });
+
+  describe('Copy Count Sensitivity', () => {
+    const combo = {
+      id: 1,
+      cards: [
+        { starterCard: 'A', startersInDeck: 2, minCopiesInHand: 1, maxCopiesInHand: 2, logicOperator: 'AND' },
+        { starterCard: 'B', startersInDeck: 3, minCopiesInHand: 1, maxCopiesInHand: 3, logicOperator: 'AND' }
+      ]
+    };
+
+    it('should report the probability change for one copy fewer and one more', () => {
+      const base = ProbabilityService.calculateComboProbability(combo, 40, 5).probability;
+      const withThreeA = { ...combo, cards: [{ ...combo.cards[0], startersInDeck: 3, maxCopiesInHand: 3 }, combo.cards[1]] };
+      const [a, b] = ProbabilityService.calculateCopySensitivity(combo, 40, 5);
+
+      expect(a).toMatchObject({ name: 'A', copies: 2 });
+      expect(a.plus).toBeCloseTo(ProbabilityService.calculateComboProbability(withThreeA, 40, 5).probability - base, 10);
+      expect(a.minus).toBeLessThan(0);
+      expect(b.plus).toBeNull();
+      expect(b.minus).toBeLessThan(0);
+    });
+
+    it('should lose the whole combo when the last required copy is cut', () => {
+      const single = { id: 1, cards: [{ starterCard: 'A', startersInDeck: 1, minCopiesInHand: 1, maxCopiesInHand: 1 }] };
+      const [a] = ProbabilityService.calculateCopySensitivity(single, 40, 5);
+
+      expect(a.minus).toBeCloseTo(-12.5, 10);
+    });
+
+    it('should attach the sensitivity to each individual result', () => {
+      const results = ProbabilityService.calculateMultipleCombos([combo], 40, 5);
+      expect(results.individual[0].sensitivity.map(card => card.name)).toEqual(['A', 'B']);
+    });
+
+    it('should include the mulligan in the sensitivity', () => {
+      const mulligan = { type: 'full' };
+      const [a] = ProbabilityService.calculateCopySensitivity(combo, 40, 5, mulligan);
+      const base = ProbabilityService.calculateWithMulligan([combo], 40, 5, mulligan).probability;
+      const withOneA = { ...combo, cards: [{ ...combo.cards[0], startersInDeck: 1, maxCopiesInHand: 1 }, combo.cards[1]] };
+
+      expect(a.minus).toBeCloseTo(ProbabilityService.calculateWithMulligan([withOneA], 40, 5, mulligan).probability - base, 10);
+    });
+
+    it('should skip the sensitivity for simulated results', () => {
+      const cardEffects = [{ card: 'Terraforming', copies: 1, type: 'search', targets: ['A'] }];
+      const results = ProbabilityService.calculateMultipleCombos([combo], 40, 5, null, null, { cardEffects });
+
+      expect(results.individual[0].isExact).toBe(false);
+      expect(results.individual[0].sensitivity).toBeNull();
+    });
+  });
+
+  describe('Mulligan Rules', () => {
+    const combo = {
+      id: 1,
+      cards: [{ starterCard: 'A', startersInDeck: 3, minCopiesInHand: 1, maxCopiesInHand: 3 }]
+    };
+    const opening = (handSize) => ProbabilityService.calculateComboProbability(combo, 40, handSize).probability;
+
+    it('should give a full redraw an independent second hand', () => {
+      const p = opening(5) / 100;
+      const result = ProbabilityService.calculateWithMulligan([combo], 40, 5, { type: 'full' });
+
+      expect(result.isExact).toBe(true);
+      expect(result.probability).toBeCloseTo((1 - (1 - p) ** 2) * 100, 10);
+    });
+
+    it('should draw one card fewer after shuffling back', () => {
+      const first = opening(5) / 100;
+      const second = opening(4) / 100;
+      const result = ProbabilityService.calculateWithMulligan([combo], 40, 5, { type: 'shuffle' });
+
+      expect(result.probability).toBeCloseTo((1 - (1 - first) * (1 - second)) * 100, 10);
+    });
+
+    it('should match a full redraw when every card in a failed hand can be redrawn', () => {
+      ProbabilityService.setSeed(42);
+      const full = ProbabilityService.calculateWithMulligan([combo], 40, 5, { type: 'full' });
+      const redrawAll = ProbabilityService.calculateWithMulligan([combo], 40, 5, { type: 'redraw', count: 5 });
+      const redrawOne = ProbabilityService.calculateWithMulligan([combo], 40, 5, { type: 'redraw', count: 1 });
+
+      expect(redrawAll.isExact).toBe(false);
+      expect(Math.abs(redrawAll.probability - full.probability)).toBeLessThan(redrawAll.interval.margin * 2);
+      expect(redrawOne.probability).toBeGreaterThan(opening(5));
+      expect(redrawOne.probability).toBeLessThan(full.probability);
+    });
+
+    it('should keep the opening-hand odds alongside mulligan results', () => {
+      const combos = [combo, { id: 2, cards: [{ starterCard: 'B', startersInDeck: 2, minCopiesInHand: 1, maxCopiesInHand: 2 }] }];
+      const results = ProbabilityService.calculateMultipleCombos(combos, 40, 5, null, null, { mulligan: { type: 'full' } });
+      const plain = ProbabilityService.calculateMultipleCombos(combos, 40, 5);
+
+      expect(results.individual[0].beforeMulligan).toBeCloseTo(opening(5), 10);
+      expect(results.individual[0].probability).toBeGreaterThan(opening(5));
+      expect(results.combinedBeforeMulligan).toBeCloseTo(plain.combined, 10);
+      expect(results.combined).toBeGreaterThan(plain.combined);
+      expect(plain.mulligan).toBeNull();
+    });
+  });
+
+  describe('Search, Draw and Excavate Effects', () => {
+    const C = (n, k) => ProbabilityService.binomial(n, k);
+    const fieldCombo = { id: 1, cards: [{ starterCard: 'Field', startersInDeck: 1, minCopiesInHand: 1, maxCopiesInHand: 1 }] };
+    const starterCombo = { id: 1, cards: [{ starterCard: 'A', startersInDeck: 3, minCopiesInHand: 1, maxCopiesInHand: 3 }] };
+    // Chance the effect card is in hand without any copy of A, times the chance it then finds A
+    const withEffect = (foundChance) =>
+      ((1 - C(37, 5) / C(40, 5)) + (C(36, 4) / C(40, 5)) * foundChance) * 100;
+
+    beforeEach(() => {
+      ProbabilityService.setSeed(7);
+    });
+
+    it('should count a combo as live when a searcher can add the missing card', () => {
+      ProbabilityService.setCardEffects([{ card: 'Terraforming', copies: 1, type: 'search', targets: ['Field'] }]);
+      const result = ProbabilityService.calculateComboProbability(fieldCombo, 40, 5);
+      const eitherCard = (1 - C(38, 5) / C(40, 5)) * 100;
+
+      expect(result.isExact).toBe(false);
+      expect(Math.abs(result.probability - eitherCard)).toBeLessThan(result.interval.margin * 2);
+    });
+
+    it('should ignore searchers that cannot reach any combo card', () => {
+      ProbabilityService.setCardEffects([{ card: 'Terraforming', copies: 1, type: 'search', targets: ['Other Field'] }]);
+      const result = ProbabilityService.calculateComboProbability(fieldCombo, 40, 5);
+
+      expect(result.isExact).toBe(true);
+      expect(result.probability).toBeCloseTo((1 - C(39, 5) / C(40, 5)) * 100, 10);
+    });
+
+    it('should draw and excavate from the rest of the deck', () => {
+      ProbabilityService.setCardEffects([{ card: 'Pot of Desires', copies: 1, type: 'draw', count: 2, oncePerTurn: true }]);
+      const drawn = ProbabilityService.calculateComboProbability(starterCombo, 40, 5);
+      expect(Math.abs(drawn.probability - withEffect(1 - C(32, 2) / C(35, 2)))).toBeLessThan(drawn.interval.margin * 2);
+
+      ProbabilityService.setCardEffects([{ card: 'Pot of Prosperity', copies: 1, type: 'excavate', count: 6, oncePerTurn: true }]);
+      const excavated = ProbabilityService.calculateComboProbability(starterCombo, 40, 5);
+      expect(Math.abs(excavated.probability - withEffect(1 - C(32, 6) / C(35, 6)))).toBeLessThan(excavated.interval.margin * 2);
+    });
+
+    it('should apply effects passed to calculateMultipleCombos to combined odds', () => {
+      const combos = [fieldCombo, { id: 2, cards: [{ starterCard: 'B', startersInDeck: 1, minCopiesInHand: 1, maxCopiesInHand: 1 }] }];
+      const plain = ProbabilityService.calculateMultipleCombos(combos, 40, 5);
+      const results = ProbabilityService.calculateMultipleCombos(combos, 40, 5, null, null, {
+        cardEffects: [{ card: 'Terraforming', copies: 3, type: 'search', targets: ['Field'] }]
+      });
+
+      expect(plain.combinedIsExact).toBe(true);
+      expect(results.combinedIsExact).toBe(false);
+      expect(results.combined).toBeGreaterThan(plain.combined + 10);
+    });
+
+    it('should leave invalid combos out of the combined odds with effects', () => {
+      ProbabilityService.setCardEffects([{ card: 'Terraforming', copies: 1, type: 'search', targets: ['Field'] }]);
+      const impossible = { id: 2, cards: [{ starterCard: 'B', startersInDeck: 1, minCopiesInHand: 2, maxCopiesInHand: 2 }] };
+      const combined = ProbabilityService.calculateCombinedProbability([fieldCombo, impossible], 40, 5);
+      const alone = ProbabilityService.calculateComboProbability(fieldCombo, 40, 5);
+
+      expect(combined.probability).toBe(alone.probability);
+      expect(ProbabilityService.calculateCombinedProbability([impossible, impossible], 40, 5).probability).toBe(0);
+    });
+
+    it('should finish chains of many effect cards', () => {
+      ProbabilityService.setCardEffects([
+        { card: 'Pot of Desires', copies: 3, type: 'draw', count: 2 },
+        { card: 'Pot of Prosperity', copies: 3, type: 'excavate', count: 6 },
+        { card: 'Upstart Goblin', copies: 3, type: 'draw', count: 1 },
+        { card: 'Terraforming', copies: 3, type: 'search', targets: ['Field'] }
+      ]);
+      const result = ProbabilityService.simulateWithEffects(
+        [fieldCombo],
+        40,
+        5,
+        ProbabilityService.getRelevantEffects([fieldCombo]),
+        2000
+      );
+
+      expect(result.interval.trials).toBe(2000);
+      expect(result.probability).toBeGreaterThan(0);
+    });
+  });
+
+  describe('Card Categories', () => {
+    const C = (n, k) => ProbabilityService.binomial(n, k);
+    const categoryCard = (categoryId, name, extra = {}) => ({
+      starterCard: name, categoryId, startersInDeck: 6, minCopiesInHand: 1, maxCopiesInHand: 6, ...extra
+    });
+
+    it('should fill a category requirement with any of its cards', () => {
+      ProbabilityService.setCategories([
+        { id: 1, name: 'Starter', cards: [{ name: 'A', copies: 3 }, { name: 'B', copies: 3 }] }
+      ]);
+      const result = ProbabilityService.calculateComboProbability({ id: 1, cards: [categoryCard(1, 'Starter')] }, 40, 5);
+
+      expect(result.isExact).toBe(true);
+      expect(result.probability).toBeCloseTo((1 - C(34, 5) / C(40, 5)) * 100, 10);
+    });
+
+    it('should not count a card in two categories towards both', () => {
+      ProbabilityService.setCategories([
+        { id: 1, name: 'Starter', cards: [{ name: 'A', copies: 3 }] },
+        { id: 2, name: 'Extender', cards: [{ name: 'A', copies: 3 }] }
+      ]);
+      const combo = { id: 1, cards: [categoryCard(1, 'Starter'), categoryCard(2, 'Extender', { logicOperator: 'AND' })] };
+      const twoCopies = (C(3, 2) * C(37, 3) + C(3, 3) * C(37, 2)) / C(40, 5) * 100;
+
+      expect(ProbabilityService.calculateComboProbability(combo, 40, 5).probability).toBeCloseTo(twoCopies, 10);
+    });
+
+    it('should let shared cards fill whichever category still needs them', () => {
+      ProbabilityService.setCategories([
+        { id: 1, name: 'Starter', cards: [{ name: 'A', copies: 3 }, { name: 'Both', copies: 1 }] },
+        { id: 2, name: 'Extender', cards: [{ name: 'B', copies: 3 }, { name: 'Both', copies: 1 }] }
+      ]);
+      const combo = { id: 1, cards: [categoryCard(1, 'Starter'), categoryCard(2, 'Extender', { logicOperator: 'AND' })] };
+
+      // The same deck as plain cards: A AND B, A AND Both, or Both AND B
+      const plain = (name, copies, logicOperator = 'AND', extra = {}) => ({
+        starterCard: name, startersInDeck: copies, minCopiesInHand: 1, maxCopiesInHand: copies, logicOperator, ...extra
+      });
+      const expected = ProbabilityService.calculateCombinedProbability([
+        { id: 1, cards: [plain('A', 3), plain('B', 3)] },
+        { id: 2, cards: [plain('A', 3), plain('Both', 1)] },
+        { id: 3, cards: [plain('Both', 1), plain('B', 3)] }
+      ], 40, 5);
+
+      expect(ProbabilityService.calculateComboProbability(combo, 40, 5).probability).toBeCloseTo(expected.probability, 10);
+    });
+
+    it('should only count a shared card towards the Max of the requirement it fills', () => {
+      ProbabilityService.setCategories([
+        { id: 1, name: 'Starter', cards: [{ name: 'A', copies: 3 }, { name: 'Both', copies: 1 }] },
+        { id: 2, name: 'Extender', cards: [{ name: 'B', copies: 3 }, { name: 'Both', copies: 1 }] }
+      ]);
+      const combo = {
+        id: 1,
+        cards: [categoryCard(1, 'Starter', { maxCopiesInHand: 1 }), categoryCard(2, 'Extender', { logicOperator: 'AND' })]
+      };
+      const model = ProbabilityService.buildCategoryModel([combo]);
+      const [alternative] = model.combos[0];
+      const handOf = (hand) => {
+        const classCounts = new Array(model.classCopies.length).fill(0);
+        model.cards.forEach(card => { classCounts[card.classIndex] += hand[card.name] || 0; });
+        return classCounts;
+      };
+
+      expect(ProbabilityService.satisfiesAlternative(alternative, handOf({ A: 1, Both: 1 }))).toBe(true);
+      expect(ProbabilityService.satisfiesAlternative(alternative, handOf({ A: 1, Both: 1, B: 1 }))).toBe(true);
+      expect(ProbabilityService.satisfiesAlternative(alternative, handOf({ A: 2, B: 1 }))).toBe(false);
+      expect(ProbabilityService.satisfiesAlternative(alternative, handOf({ A: 1 }))).toBe(false);
+    });
+
+    it('should not reuse a named card as a category card in the same combo', () => {
+      ProbabilityService.setCategories([{ id: 1, name: 'Starter', cards: [{ name: 'A', copies: 3 }, { name: 'B', copies: 3 }] }]);
+      const combo = {
+        id: 1,
+        cards: [
+          { starterCard: 'A', startersInDeck: 3, minCopiesInHand: 1, maxCopiesInHand: 3 },
+          categoryCard(1, 'Starter', { logicOperator: 'AND' })
+        ]
+      };
+      // A plus a second starter: two of A, or A and B
+      const expected = ProbabilityService.calculateCombinedProbability([
+        { id: 1, cards: [{ starterCard: 'A', startersInDeck: 3, minCopiesInHand: 2, maxCopiesInHand: 3 }] },
+        {
+          id: 2,
+          cards: [
+            { starterCard: 'A', startersInDeck: 3, minCopiesInHand: 1, maxCopiesInHand: 3 },
+            { starterCard: 'B', startersInDeck: 3, minCopiesInHand: 1, maxCopiesInHand: 3, logicOperator: 'AND' }
+          ]
+        }
+      ], 40, 5);
+
+      expect(ProbabilityService.calculateComboProbability(combo, 40, 5).probability).toBeCloseTo(expected.probability, 10);
+    });
+
+    it('should resolve category copies from the deck and leave categories out of ratio cards', () => {
+      const categories = ProbabilityService.resolveCategories(
+        [{ id: 1, name: 'Starter', cards: [{ name: 'A', cardId: 1 }, { name: 'Gone', cardId: 2 }] }],
+        { A: 2 }
+      );
+      expect(categories[0].cards).toEqual([{ name: 'A', cardId: 1, copies: 2 }]);
+
+      const combos = [{ id: 1, cards: [categoryCard(1, 'Starter'), { starterCard: 'C', startersInDeck: 3, minCopiesInHand: 1, maxCopiesInHand: 3 }] }];
+      expect(ProbabilityService.getRatioCards(combos).map(card => card.name)).toEqual(['C']);
+    });
+
+    it('should apply categories passed to calculateMultipleCombos', () => {
+      const combos = [{ id: 1, cards: [categoryCard(1, 'Starter')] }];
+      const results = ProbabilityService.calculateMultipleCombos(combos, 40, 5, null, null, {
+        categories: [{ id: 1, name: 'Starter', cards: [{ name: 'A', copies: 3 }] }]
+      });
+
+      expect(results.individual[0].probability).toBeCloseTo((1 - C(37, 5) / C(40, 5)) * 100, 10);
+    });
+  });
+
+  describe('Garnets and Brick Probability', () => {
+    const C = (n, k) => ProbabilityService.binomial(n, k);
+
+    it('should fail a combo when a must-not-draw card is opened', () => {
+      const combo = {
+        id: 1,
+        cards: [
+          { starterCard: 'A', startersInDeck: 3, minCopiesInHand: 1, maxCopiesInHand: 3 },
+          { starterCard: 'Garnet', startersInDeck: 1, minCopiesInHand: 0, maxCopiesInHand: 0, logicOperator: 'AND' }
+        ]
+      };
+      const withoutGarnet = (C(39, 5) - C(36, 5)) / C(40, 5) * 100;
+
+      expect(ProbabilityService.calculateComboProbability(combo, 40, 5).probability).toBeCloseTo(withoutGarnet, 10);
+    });
+
+    it('should count garnets and extra copies of hard once-per-turn cards as bricks', () => {
+      const garnet = ProbabilityService.calculateBrickProbability([{ card: 'Garnet', copies: 1, usableCopies: 0 }], 40, 5);
+      expect(garnet.isExact).toBe(true);
+      expect(garnet.probability).toBeCloseTo((1 - C(39, 5) / C(40, 5)) * 100, 10);
+
+      const hardOnce = ProbabilityService.calculateBrickProbability([{ card: 'HOPT', copies: 3, usableCopies: 1 }], 40, 5);
+      expect(hardOnce.probability).toBeCloseTo((C(3, 2) * C(37, 3) + C(3, 3) * C(37, 2)) / C(40, 5) * 100, 10);
+    });
+
+    it('should count a hand with several dead cards once', () => {
+      const both = ProbabilityService.calculateBrickProbability([
+        { card: 'Garnet', copies: 1, usableCopies: 0 },
+        { card: 'HOPT', copies: 3, usableCopies: 1 }
+      ], 40, 5);
+      const clean = (C(36, 5) + C(3, 1) * C(36, 4)) / C(40, 5);
+
+      expect(both.probability).toBeCloseTo((1 - clean) * 100, 10);
+      expect(both.cards).toHaveLength(2);
+    });
+
+    it('should report the brick metric from calculateMultipleCombos only when bricks are set', () => {
+      const combos = [{ id: 1, cards: [{ starterCard: 'A', startersInDeck: 3, minCopiesInHand: 1, maxCopiesInHand: 3 }] }];
+
+      expect(ProbabilityService.calculateMultipleCombos(combos, 40, 5).brick).toBeNull();
+
+      const results = ProbabilityService.calculateMultipleCombos(combos, 40, 5, null, null, {
+        bricks: [{ card: 'Garnet', copies: 2, usableCopies: 0 }, { card: '', copies: 3, usableCopies: 0 }]
+      });
+      expect(results.brick.cards).toEqual([{ card: 'Garnet', copies: 2, usableCopies: 0 }]);
+      expect(results.brick.probability).toBeCloseTo((1 - C(38, 5) / C(40, 5)) * 100, 10);
+    });
+  });
+
+  describe('Hand Outcome Breakdown', () => {
+    const C = (n, k) => ProbabilityService.binomial(n, k);
+    const sum = (values) => values.reduce((total, value) => total + value, 0);
+    const comboA = { id: 1, cards: [{ starterCard: 'A', startersInDeck: 3, minCopiesInHand: 1, maxCopiesInHand: 3 }] };
+    const comboB = { id: 2, cards: [{ starterCard: 'B', startersInDeck: 3, minCopiesInHand: 1, maxCopiesInHand: 3 }] };
+    const ydkCards = [{ name: 'Ash Blossom & Joyous Spring', id: 14558127, type: 'Effect Monster' }];
+    const ydkCardCounts = { 'Ash Blossom & Joyous Spring': 3 };
+
+    beforeEach(() => {
+      ProbabilityService.setSeed(7);
+    });
+
+    it('should split hands by the number of combos live', () => {
+      const outcomes = ProbabilityService.simulateHandOutcomes([comboA, comboB], 40, 5);
+      const neither = C(34, 5) / C(40, 5) * 100;
+      const both = (C(40, 5) - 2 * C(37, 5) + C(34, 5)) / C(40, 5) * 100;
+
+      expect(outcomes.trials).toBeGreaterThan(0);
+      expect(sum(outcomes.combosLive)).toBeCloseTo(100, 8);
+      expect(outcomes.combosLive[0]).toBeCloseTo(neither, -0.3);
+      expect(outcomes.combosLive[2]).toBeCloseTo(both, -0.3);
+      expect(outcomes.combosLive[3]).toBe(0);
+      expect(outcomes.anyLive).toBeCloseTo(100 - outcomes.combosLive[0], 8);
+    });
+
+    it('should count different hand-traps alongside the live combos', () => {
+      const outcomes = ProbabilityService.simulateHandOutcomes([comboA], 40, 5, ydkCards, ydkCardCounts);
+      const withAsh = (1 - C(37, 5) / C(40, 5)) * 100;
+
+      expect(outcomes.handTraps).toBe(1);
+      outcomes.joint.forEach((row, live) => {
+        expect(row).toHaveLength(6);
+        expect(sum(row)).toBeCloseTo(outcomes.combosLive[live], 8);
+        expect(sum(row.slice(2))).toBe(0);
+      });
+      expect(sum(outcomes.joint.map(row => row[1]))).toBeCloseTo(withAsh, -0.3);
+      expect(outcomes.joint[1][1]).toBeGreaterThan(0);
+    });
+
+    it('should list the most common failing hands first', () => {
+      const outcomes = ProbabilityService.simulateHandOutcomes([comboA], 40, 5, ydkCards, ydkCardCounts);
+      const shares = outcomes.failingPatterns.map(pattern => pattern.share);
+
+      expect(outcomes.failingPatterns.length).toBeGreaterThan(1);
+      expect(shares).toEqual([...shares].sort((a, b) => b - a));
+      expect(outcomes.failingPatterns[0].cards).toEqual([]);
+      expect(outcomes.failingPatterns[1].cards).toEqual([{ name: 'Ash Blossom & Joyous Spring', count: 1 }]);
+      expect(sum(shares)).toBeLessThanOrEqual(outcomes.combosLive[0] + 1e-9);
+    });
+
+    it('should only break hands down from calculateMultipleCombos when asked', () => {
+      expect(ProbabilityService.calculateMultipleCombos([comboA], 40, 5).handOutcomes).toBeNull();
+
+      const results = ProbabilityService.calculateMultipleCombos([comboA], 40, 5, null, null, { outcomes: true });
+      expect(results.handOutcomes.combosLive).toHaveLength(4);
+      expect(results.handOutcomes.handTraps).toBe(0);
+    });
+  });
+
+  describe('Combo + Hand-Trap Probability', () => {
+    const C = (n, k) => ProbabilityService.binomial(n, k);
+    const combo = { id: 1, cards: [{ starterCard: 'A', startersInDeck: 3, minCopiesInHand: 1, maxCopiesInHand: 3 }] };
+    const ydkCards = [
+      { name: 'Ash Blossom & Joyous Spring', id: 14558127, type: 'Effect Monster' },
+      { name: 'Effect Veiler', id: 97268402, type: 'Effect Monster' }
+    ];
+    const ydkCardCounts = { 'Ash Blossom & Joyous Spring': 3, 'Effect Veiler': 3 };
+
+    beforeEach(() => {
+      ProbabilityService.setSeed(11);
+    });
+
+    it('should count the combo and the hand-traps in the same hands', () => {
+      const joint = ProbabilityService.calculateComboWithHandTraps([combo], ydkCards, ydkCardCounts, 40, 5);
+      // Inclusion-exclusion over missing A, Ash or Veiler
+      const exact = (C(40, 5) - 3 * C(37, 5) + 3 * C(34, 5) - C(31, 5)) / C(40, 5) * 100;
+
+      expect(joint.uniqueHandTraps).toBe(2);
+      expect(joint.twoPlus).toBeCloseTo(exact, -0.3);
+      expect(joint.twoPlus).toBeLessThan(joint.onePlus);
+      expect(joint.threePlus).toBeUndefined();
+      expect(joint.intervals.twoPlus.margin).toBeGreaterThan(0);
+    });
+
+    it('should come out below the product of the separate odds', () => {
+      const joint = ProbabilityService.calculateComboWithHandTraps([combo], ydkCards, ydkCardCounts, 40, 5);
+      const comboOdds = (1 - C(37, 5) / C(40, 5)) * 100;
+      const handTrapOdds = (1 - C(34, 5) / C(40, 5)) * 100;
+
+      expect(joint.onePlus).toBeLessThan(comboOdds * handTrapOdds / 100);
+    });
+
+    it('should only report the joint metric when the deck has hand-traps', () => {
+      expect(ProbabilityService.calculateMultipleCombos([combo], 40, 5).comboWithHandTraps).toBeNull();
+
+      const results = ProbabilityService.calculateMultipleCombos([combo], 40, 5, ydkCards, ydkCardCounts);
+      expect(results.comboWithHandTraps.onePlus).toBeGreaterThan(0);
+    });
+  });
+
+  describe('Side Plans', () => {
+    const C = (n, k) => ProbabilityService.binomial(n, k);
+    const combo = {
+      id: 1,
+      cards: [
+        { starterCard: 'A', startersInDeck: 3, minCopiesInHand: 1, maxCopiesInHand: 3 },
+        { starterCard: 'B', startersInDeck: 2, minCopiesInHand: 1, maxCopiesInHand: 2, logicOperator: 'OR' }
+      ]
+    };
+    const gameOne = {
+      combos: [combo],
+      deckSize: 40,
+      ydkCards: [{ name: 'A', id: 1 }, { name: 'B', id: 2 }],
+      ydkCardCounts: { A: 3, B: 2 },
+      cardEffects: [],
+      categories: []
+    };
+
+    it('should apply side outs and side ins by card name', () => {
+      const sided = ProbabilityService.applySidePlan(gameOne, {
+        changes: [
+          { card: 'B', cardId: 2, count: -2 },
+          { card: 'Ash Blossom & Joyous Spring', cardId: 14558127, count: 3 }
+        ]
+      });
+
+      expect(sided.deckSize).toBe(41);
+      expect(sided.combos[0].cards.map(card => card.startersInDeck)).toEqual([3, 0]);
+      expect(sided.ydkCardCounts).toEqual({ A: 3, 'Ash Blossom & Joyous Spring': 3 });
+      expect(sided.ydkCards.map(card => card.name)).toContain('Ash Blossom & Joyous Spring');
+      expect(gameOne.combos[0].cards[1].startersInDeck).toBe(2);
+    });
+
+    it('should size the deck by the copies actually sided out and flag the rest', () => {
+      const sided = ProbabilityService.applySidePlan(gameOne, {
+        changes: [
+          { card: 'B', cardId: 2, count: -3 },
+          { card: 'Not In Deck', cardId: 3, count: -2 },
+          { card: 'C', cardId: 4, count: 2 }
+        ]
+      });
+
+      expect(sided.deckSize).toBe(40);
+      expect(sided.combos[0].cards[1].startersInDeck).toBe(0);
+      expect(sided.ydkCardCounts).toEqual({ A: 3, C: 2 });
+      expect(sided.ignoredChanges).toEqual([
+        { card: 'B', count: -1, reason: 'only 2 in the game 1 deck' },
+        { card: 'Not In Deck', count: -2, reason: 'not in the game 1 deck' }
+      ]);
+    });
+
+    it('should recalculate the combos and hand-trap odds for each side plan', () => {
+      const results = ProbabilityService.calculateMultipleCombos([combo], 40, 5, gameOne.ydkCards, gameOne.ydkCardCounts, {
+        seed: 3,
+        sidePlans: [
+          { id: 1, name: 'Going second', changes: [{ card: 'A', count: -1 }, { card: 'Ash Blossom & Joyous Spring', count: 1 }] },
+          { id: 2, name: 'Empty', changes: [] }
+        ]
+      });
+
+      expect(results.handTrap).toBeNull();
+      expect(results.sidePlans).toHaveLength(1);
+      const [plan] = results.sidePlans;
+      expect(plan.name).toBe('Going second');
+      expect(plan.deckSize).toBe(40);
+      expect(plan.individual[0].probability).toBeCloseTo((1 - C(36, 5) / C(40, 5)) * 100, 10);
+      expect(plan.individual[0].probability).toBeLessThan(results.individual[0].probability);
+      expect(plan.handTrap.probability).toBeCloseTo((1 - C(39, 5) / C(40, 5)) * 100, -0.3);
+    });
+
+    it('should leave the shared service settings untouched after the side plans', () => {
+      const categories = [{ id: 1, name: 'Starter', cards: [{ name: 'A', copies: 3 }] }];
+      ProbabilityService.calculateMultipleCombos([combo], 40, 5, null, null, {
+        categories,
+        sidePlans: [{ id: 1, name: 'No A', changes: [{ card: 'A', count: -3 }] }]
+      });
+
+      expect(ProbabilityService.categories).toEqual([]);
+      expect(ProbabilityService.calculateMultipleCombos([combo], 40, 5).sidePlans).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,67 @@
+/**
+ * ShortLinkService - Short /s/abc123 links to shared calculations
+ * Talks to the /api/short-links route, which stores the encodeCalculation string
+ */
+
+const API_PATH = '/api/short-links';
+const SHORT_PATH = /^\/s\/([0-9a-zA-Z]+)\/?$/;
+
+const ShortLinkService = {
+  /**
+   * Short ID in a page path such as /s/abc123
+   * @param {string} pathname - Defaults to the current page's path
+   * @returns {string|null} The ID, or null when the path isn't a short link
+   */
+  getShortLinkId(pathname = window.location.pathname) {
+    const match = (pathname || '').match(SHORT_PATH);
+    return match ? match[1] : null;
+  },
+
+  /**
+   * Whether a link is already a short link
+   * @param {string} link - Absolute or relative URL
+   * @returns {boolean}
+   */
+  isShortLink(link) {
+    try {
+      return this.getShortLinkId(new URL(link, 'http://localhost').pathname) !== null;
+    } catch (error) {
+      return false;
+    }
+  },
+
+  /**
+   * Stores a calculation and returns its short link
+   * @param {string} encoded - URLService.encodeCalculation string
+   * @returns {Promise<string>} Absolute short link on the current site
+   */
+  async createShortLink(encoded) {
+    const response = await fetch(API_PATH, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ calculation: encoded })
+    });
+    if (!response.ok) {
+      throw new Error(`Short link service returned ${response.status}`);
+    }
+    const { path } = await response.json();
+    return `${window.location.origin}${path}`;
+  },
+
+  /**
+   * Looks up the calculation behind a short ID
+   * @param {string} id - Short ID
+   * @returns {Promise<string|null>} URLService.encodeCalculation string, or null when the link doesn't exist
+   */
+  async resolveShortLink(id) {
+    const response = await fetch(`${API_PATH}?id=${encodeURIComponent(id)}`);
+    if (response.status === 404) return null;
+    if (!response.ok) {
+      throw new Error(`Short link service returned ${response.status}`);
+    }
+    const { calculation } = await response.json();
+    return calculation;
+  }
+};
+
+export default ShortLinkService;
@@ -1,16 +1,172 @@
 /**
  * URLService - Handles encoding and decoding calculation state to/from URL hash
  * Enables shareable links for calculation configurations
+ *
+ * Links are payloads from calculationPayload: a schema version byte followed by the raw-DEFLATE
+ * binary calculation, in URL-safe base64. Links from before the binary format are base64 JSON and
+ * still decode. Compression uses fflate's synchronous deflate rather than
+ * CompressionStream('deflate-raw'), which writes the same format but is async, so links can still
+ * be built while rendering.
  */
 
+import { parseSeed } from '../utils/random.js';
+import { writePayload, readPayload, isCalculationData, LEGACY_VERSION } from '../utils/calculationPayload.mjs';
+import { MULLIGAN_TYPES } from '../constants/config.js';
+import YdkParser from './YdkParser.js';
+import YdkWriter from './YdkWriter.js';
+
+const ZONES = ['main', 'extra', 'side'];
+const YDK_SECTIONS = { '#main': 'main', '#extra': 'extra', '!side': 'side' };
+const PASSCODE = /^[1-9]\d*$/;
+
+// Splits YDK content into passcodes per section; null when it holds anything else worth keeping
+const parseYdkPasscodes = (content) => {
+  const passcodes = { main: [], extra: [], side: [] };
+  let section = 'main';
+  for (const line of content.split('\n').map(text => text.trim()).filter(text => text)) {
+    if (YDK_SECTIONS[line]) {
+      section = YDK_SECTIONS[line];
+    } else if (PASSCODE.test(line)) {
+      passcodes[section].push(line);
+    } else if (!line.startsWith('#')) {
+      return null;
+    }
+  }
+  return passcodes;
+};
+
+// Card database entry for a zone card, when it has one under the same name
+const findKnownCard = (card, cardDatabase) => {
+  const known = card.cId != null ? cardDatabase?.[card.cId] : null;
+  return known && known.name === card.n ? known : null;
+};
+
+/**
+ * Packs the JSON calculation into the current schema version
+ * Deck zone cards are stored once in a card table and referenced by index. Cards in the card
+ * database are stored as their passcode alone; custom cards keep [passcode, name, type, level,
+ * attribute]. The YDK file is stored as its passcodes (comments are dropped).
+ */
+const packCalculation = (data, cardDatabase) => {
+  const packed = { ...data };
+
+  if (data.zones) {
+    const cards = [];
+    const indexByCard = new Map();
+    const indexOf = (card) => {
+      const entry = findKnownCard(card, cardDatabase) ? card.cId : [card.cId, card.n, card.t, card.l, card.a];
+      const key = JSON.stringify(entry);
+      if (!indexByCard.has(key)) {
+        indexByCard.set(key, cards.length);
+        cards.push(entry);
+      }
+      return indexByCard.get(key);
+    };
+    packed.zones = { k: cards };
+    ZONES.forEach(zone => {
+      packed.zones[zone] = data.zones[zone].map(indexOf);
+    });
+  }
+
+  const passcodes = data.ydk && parseYdkPasscodes(data.ydk.content);
+  if (passcodes) {
+    packed.ydk = { name: data.ydk.name, p: passcodes };
+  }
+
+  return packed;
+};
+
+// Passcode-only cards take their name and metadata from the card database; null when it isn't loaded
+const unpackCalculation = (data, cardDatabase) => {
+
+  if (data.zones) {
+    const cards = data.zones.k.map(entry => {
+      if (Array.isArray(entry)) {
+        const [cId, n, t, l, a] = entry;
+        return { cId, n, t, l, a };
+      }
+      const known = cardDatabase?.[entry];
+      return { cId: entry, n: known?.name ?? null, t: known?.type ?? null, l: known?.level ?? null, a: known?.attribute ?? null };
+    });
+    ZONES.forEach(zone => {
+      data.zones[zone] = (data.zones[zone] || []).map(index => cards[index]);
+    });
+    delete data.zones.k;
+  }
+
+  if (data.ydk?.p) {
+    data.ydk = { name: data.ydk.name, content: YdkWriter.writeYdkContent(data.ydk.p) };
+  }
+
+  return data;
+};
+
+// Reads either link format back into the JSON calculation
+const readCalculation = (encoded, cardDatabase) => {
+  const { version, data } = readPayload(encoded);
+  return version === LEGACY_VERSION ? data : unpackCalculation(data, cardDatabase);
+};
+
+// Mulligan rules are stored as { t: type, n: count }; anything unrecognised means no mulligan
+const parseMulligan = (value) => {
+  if (!value || !MULLIGAN_TYPES.includes(value.t) || value.t === 'none') return null;
+  return { type: value.t, count: Math.max(1, parseInt(value.n) || 1) };
+};
+
+const EFFECT_TYPES = ['search', 'draw', 'excavate'];
+
+// Card effects are stored as { c: card, cId, k: copies, t: type, n: count, tg: targets, o: once per turn }
+const parseCardEffects = (value) => {
+  if (!Array.isArray(value)) return [];
+  return value
+    .filter(effect => effect && effect.c && EFFECT_TYPES.includes(effect.t))
+    .map((effect, index) => ({
+      id: index + 1,
+      card: effect.c,
+      cardId: effect.cId || null,
+      copies: Math.max(1, parseInt(effect.k) || 1),
+      type: effect.t,
+      count: Math.max(1, parseInt(effect.n) || 1),
+      targets: Array.isArray(effect.tg) ? effect.tg : [],
+      oncePerTurn: Boolean(effect.o)
+    }));
+};
+
+// Brick cards are stored as { c: card, cId, k: copies, u: usable copies }
+const parseBricks = (value) => {
+  if (!Array.isArray(value)) return [];
+  return value
+    .filter(brick => brick && brick.c)
+    .map((brick, index) => ({
+      id: index + 1,
+      card: brick.c,
+      cardId: brick.cId || null,
+      copies: Math.max(1, parseInt(brick.k) || 1),
+      usableCopies: Math.max(0, parseInt(brick.u) || 0)
+    }));
+};
+
+// Card categories are stored as { i: id, n: name, cards: [{ n: name, cId }] }
+const parseCategories = (value) => {
+  if (!Array.isArray(value)) return [];
+  return value
+    .filter(category => category && category.n && Array.isArray(category.cards))
+    .map(category => ({
+      id: category.i,
+      name: category.n,
+      cards: category.cards.filter(card => card && card.n).map(card => ({ name: card.n, cardId: card.cId || null }))
+    }));
+};
+
 const URLService = {
-  encodeCalculation: (deckSize, handSize, combos, ydkFile = null, testHandFromDecklist = true, deckZones = null) => {
+  encodeCalculation: (deckSize, handSize, combos, ydkFile = null, testHandFromDecklist = true, deckZones = null, seed = null, mulligan = null, cardEffects = [], categories = [], bricks = []) => {
     try {
       const data = {
         d: deckSize,
         h: handSize,
         c: combos.map(combo => ({
           i: combo.id,
+          ...(combo.uid ? { u: combo.uid } : {}),
           n: combo.name,
           cards: combo.cards.map(card => ({
             s: card.starterCard,
@@ -19,12 +175,57 @@ const URLService = {
             deck: card.startersInDeck,
             min: card.minCopiesInHand,
             max: card.maxCopiesInHand,
-            logic: card.logicOperator || 'AND'  // AC #6: Save AND/OR logic in URLs
+            logic: card.logicOperator || 'AND',  // AC #6: Save AND/OR logic in URLs
+            ...(card.openParens ? { go: card.openParens } : {}),
+            ...(card.closeParens ? { gc: card.closeParens } : {}),
+            ...(card.categoryId != null ? { cat: card.categoryId } : {})
           }))
         })),
         testHand: testHandFromDecklist
       };
 
+      // Add simulation seed so shared links reproduce the same numbers and sample hand
+      if (seed !== null && seed !== undefined) {
+        data.sd = seed;
+      }
+
+      // Add mulligan rule so shared links get the same second-chance odds
+      if (mulligan && mulligan.type !== 'none') {
+        data.mu = { t: mulligan.type, n: mulligan.count };
+      }
+
+      // Add searchers, draw and excavate cards so shared links model the same effects
+      if (cardEffects && cardEffects.length > 0) {
+        data.ef = cardEffects.map(effect => ({
+          c: effect.card,
+          cId: effect.cardId,
+          k: effect.copies,
+          t: effect.type,
+          n: effect.count,
+          tg: effect.targets,
+          o: effect.oncePerTurn ? 1 : 0
+        }));
+      }
+
+      // Add card categories so combo cards that require one keep working
+      if (categories && categories.length > 0) {
+        data.cg = categories.map(category => ({
+          i: category.id,
+          n: category.name,
+          cards: category.cards.map(card => ({ n: card.name, cId: card.cardId }))
+        }));
+      }
+
+      // Add brick cards so shared links report the same brick chances
+      if (bricks && bricks.length > 0) {
+        data.br = bricks.map(brick => ({
+          c: brick.card,
+          cId: brick.cardId,
+          k: brick.copies,
+          u: brick.usableCopies
+        }));
+      }
+
       // Add YDK file data if present
       if (ydkFile) {
         data.ydk = {
@@ -60,25 +261,31 @@ const URLService = {
         };
       }
 
-      const jsonString = JSON.stringify(data);
-      const encoded = btoa(jsonString);
-      return encoded;
+      return writePayload(packCalculation(data, YdkParser.cardDatabase));
     } catch (error) {
       console.error('Failed to encode calculation:', error);
       return null;
     }
   },
 
-  decodeCalculation: () => {
+  /**
+   * Decodes a calculation, from the page's #calc= hash by default
+   * @param {string|null} encoded - An encodeCalculation string to decode instead of the hash
+   * @param {Object|null} cardDatabase - Card database to name deck zone cards stored as passcodes
+   *   (default: the one YdkParser loaded); without it those cards have a null name
+   * @returns {Object|null} The calculation, or null when there is none or it can't be read
+   */
+  decodeCalculation: (encoded = null, cardDatabase = YdkParser.cardDatabase) => {
     try {
-      const hash = window.location.hash;
-      const match = hash.match(/#calc=(.+)/);
-      if (!match) return null;
+      if (encoded === null) {
+        const match = window.location.hash.match(/#calc=(.+)/);
+        if (!match) return null;
+        encoded = match[1];
+      }
 
-      const decoded = atob(match[1]);
-      const data = JSON.parse(decoded);
+      const data = readCalculation(encoded, cardDatabase);
 
-      if (!data.d || !data.h || !data.c || !Array.isArray(data.c)) {
+      if (!isCalculationData(data)) {
         return null;
       }
 
@@ -87,6 +294,7 @@ const URLService = {
         handSize: data.h,
         combos: data.c.map(combo => ({
           id: combo.i,
+          ...(combo.u ? { uid: combo.u } : {}),
           name: combo.n,
           cards: combo.cards.map(card => ({
             starterCard: card.s || '',
@@ -95,10 +303,18 @@ const URLService = {
             startersInDeck: card.deck,
             minCopiesInHand: card.min,
             maxCopiesInHand: card.max,
-            logicOperator: card.logic || 'AND'  // AC #6: Default to AND for old URLs
+            logicOperator: card.logic || 'AND',  // AC #6: Default to AND for old URLs
+            openParens: card.go || 0,
+            closeParens: card.gc || 0,
+            categoryId: card.cat ?? null
           }))
         })),
-        testHandFromDecklist: data.testHand !== undefined ? data.testHand : true
+        testHandFromDecklist: data.testHand !== undefined ? data.testHand : true,
+        seed: parseSeed(data.sd),
+        mulligan: parseMulligan(data.mu),
+        cardEffects: parseCardEffects(data.ef),
+        categories: parseCategories(data.cg),
+        bricks: parseBricks(data.br)
       };
 
       // Add YDK file data if present
@@ -149,8 +365,19 @@ const URLService = {
     }
   },
 
-  updateURL: (deckSize, handSize, combos, ydkFile = null, testHandFromDecklist = true, deckZones = null) => {
-    const encoded = URLService.encodeCalculation(deckSize, handSize, combos, ydkFile, testHandFromDecklist, deckZones);
+  /**
+   * Pulls the encoded calculation out of a shared link; anything without #calc= is taken as the encoded string
+   * @param {string} link - A shared link, or the encoded calculation itself
+   * @returns {string} The encoded calculation
+   */
+  getEncodedFromLink: (link) => {
+    const text = (link || '').trim();
+    const match = text.match(/#calc=([^&\s]+)/);
+    return match ? decodeURIComponent(match[1]) : text;
+  },
+
+  updateURL: (deckSize, handSize, combos, ydkFile = null, testHandFromDecklist = true, deckZones = null, seed = null, mulligan = null, cardEffects = [], categories = [], bricks = []) => {
+    const encoded = URLService.encodeCalculation(deckSize, handSize, combos, ydkFile, testHandFromDecklist, deckZones, seed, mulligan, cardEffects, categories, bricks);
     if (encoded) {
       window.history.replaceState(null, '', `#calc=${encoded}`);
     }
@@ -0,0 +1,189 @@
+/**
+ * URLService Tests
+ * Test the compressed share link format and decoding of older base64 JSON links
+ */
+
+import { expect, describe, it, afterEach } from 'vitest';
+import { deflateRawSync, inflateRawSync } from 'zlib';
+import URLService from './URLService.js';
+import YdkParser from './YdkParser.js';
+import { fromBase64Url, toBase64Url, packValue, unpackValue } from '../utils/binaryCodec.mjs';
+
+const combos = [{
+  id: 1,
+  uid: 'a1b2c3d4',
+  name: 'Engraver into Lacrima',
+  cards: [
+    { starterCard: 'Fiendsmith Engraver', cardId: '60764609', isCustom: false, startersInDeck: 3, minCopiesInHand: 1, maxCopiesInHand: 3, logicOperator: 'AND', openParens: 0, closeParens: 0, categoryId: null },
+    { starterCard: 'Any hand-trap', cardId: null, isCustom: true, startersInDeck: 9, minCopiesInHand: 1, maxCopiesInHand: 2, logicOperator: 'OR', openParens: 0, closeParens: 0, categoryId: 1 }
+  ]
+}];
+
+const zoneCard = (zone, cardId, name, index) => ({
+  id: `${zone}_${cardId}_${index}`,
+  cardId,
+  name,
+  type: zone === 'extra' ? 'Link Monster' : 'Effect Monster',
+  level: zone === 'extra' ? null : 4,
+  attribute: 'LIGHT',
+  zone
+});
+
+// A 40 card main deck of 14 different cards, 15 extra deck and 15 side deck cards
+const buildDeckZones = () => {
+  const zones = { main: [], extra: [], side: [] };
+  for (let i = 0; i < 40; i++) {
+    zones.main.push(zoneCard('main', String(10000000 + (i % 14) * 1234567), `Main card ${i % 14}`, i));
+  }
+  for (let i = 0; i < 15; i++) {
+    zones.extra.push(zoneCard('extra', String(20000000 + i * 7654321), `Extra card ${i}`, i));
+    zones.side.push(zoneCard('side', String(30000000 + (i % 5) * 1111111), `Side card ${i % 5}`, i));
+  }
+  return zones;
+};
+
+const buildYdk = (zones) => ({
+  name: 'Fiendsmith.ydk',
+  content: ['#created by someone', '#main', ...zones.main.map(card => card.cardId), '#extra', ...zones.extra.map(card => card.cardId), '!side', ...zones.side.map(card => card.cardId), ''].join('\n')
+});
+
+describe('URLService', () => {
+  describe('Share link format', () => {
+    it('should round-trip a full calculation', () => {
+      const deckZones = buildDeckZones();
+      const ydkFile = buildYdk(deckZones);
+      const cardEffects = [{ id: 1, card: 'Fiendsmith Engraver', cardId: '60764609', copies: 3, type: 'search', count: 1, targets: ['Fiendsmith\'s Tract'], oncePerTurn: true }];
+      const categories = [{ id: 1, name: 'Hand-traps ✦', cards: [{ name: 'Ash Blossom & Joyous Spring', cardId: 14558127 }] }];
+      const bricks = [{ id: 1, card: 'Fiendsmith in Paradise', cardId: '99989863', copies: 1, usableCopies: 0 }];
+      const mulligan = { type: 'full', count: 1 };
+
+      const encoded = URLService.encodeCalculation(40, 5, combos, ydkFile, false, deckZones, 123456789, mulligan, cardEffects, categories, bricks);
+      const decoded = URLService.decodeCalculation(encoded);
+
+      expect(decoded.deckSize).toBe(40);
+      expect(decoded.handSize).toBe(5);
+      expect(decoded.combos).toEqual(combos);
+      expect(decoded.testHandFromDecklist).toBe(false);
+      expect(decoded.seed).toBe(123456789);
+      expect(decoded.mulligan).toEqual(mulligan);
+      expect(decoded.cardEffects).toEqual(cardEffects);
+      expect(decoded.categories).toEqual(categories);
+      expect(decoded.bricks).toEqual(bricks);
+      expect(decoded.deckZones).toEqual(deckZones);
+      expect(decoded.ydkFile.name).toBe('Fiendsmith.ydk');
+      expect(decoded.ydkFile.content).toContain(`#main\n${deckZones.main[0].cardId}\n`);
+      expect(decoded.ydkFile.content.split('\n').filter(line => /^\d+$/.test(line))).toEqual(
+        ydkFile.content.split('\n').filter(line => /^\d+$/.test(line))
+      );
+    });
+
+    it('should start with the schema version and only use URL-safe characters', () => {
+      const encoded = URLService.encodeCalculation(40, 5, combos, null, true, buildDeckZones());
+
+      expect(encoded).toMatch(/^[A-Za-z0-9_-]+$/);
+      expect(fromBase64Url(encoded)[0]).toBe(2);
+    });
+
+    it('should keep YDK files it cannot reduce to passcodes as they are', () => {
+      const ydkFile = { name: 'odd.ydk', content: '#main\n14558127\nnot a passcode\n' };
+      const decoded = URLService.decodeCalculation(URLService.encodeCalculation(40, 5, combos, ydkFile));
+
+      expect(decoded.ydkFile).toEqual(ydkFile);
+    });
+
+    it('should be far shorter than the base64 JSON format for a full deck', () => {
+      const deckZones = buildDeckZones();
+      const encoded = URLService.encodeCalculation(40, 5, combos, buildYdk(deckZones), true, deckZones);
+      const zoneJson = (cards) => cards.map(card => ({ cId: card.cardId, n: card.name, t: card.type, l: card.level, a: card.attribute }));
+      const legacy = btoa(JSON.stringify({
+        d: 40,
+        h: 5,
+        c: [],
+        testHand: true,
+        ydk: buildYdk(deckZones),
+        zones: { main: zoneJson(deckZones.main), extra: zoneJson(deckZones.extra), side: zoneJson(deckZones.side) }
+      }));
+
+      expect(encoded.length).toBeLessThan(legacy.length / 5);
+    });
+
+    it('should still decode base64 JSON links', () => {
+      const legacy = btoa(JSON.stringify({
+        d: 41,
+        h: 6,
+        c: [{ i: 1, n: 'Combo 1', cards: [{ s: 'Gem-Knight Quartz', cId: 35622739, iC: false, deck: 3, min: 1, max: 1 }] }],
+        testHand: true,
+        zones: { main: [{ cId: 35622739, n: 'Gem-Knight Quartz', t: 'Effect Monster', l: 4, a: 'EARTH' }], extra: [], side: [] }
+      }));
+
+      const decoded = URLService.decodeCalculation(legacy);
+
+      expect(decoded.deckSize).toBe(41);
+      expect(decoded.handSize).toBe(6);
+      expect(decoded.combos[0].cards[0]).toMatchObject({ starterCard: 'Gem-Knight Quartz', cardId: 35622739, logicOperator: 'AND' });
+      expect(decoded.deckZones.main[0]).toMatchObject({ cardId: 35622739, name: 'Gem-Knight Quartz', zone: 'main' });
+    });
+
+    it('should reject links from an unknown schema version or with corrupt data', () => {
+      const bytes = fromBase64Url(URLService.encodeCalculation(40, 5, combos));
+
+      expect(URLService.decodeCalculation(btoa(String.fromCharCode(9, ...bytes.subarray(1))))).toBeNull();
+      expect(URLService.decodeCalculation(btoa(String.fromCharCode(...bytes.subarray(0, 6))))).toBeNull();
+    });
+  });
+
+  describe('Card table', () => {
+    const deckZones = buildDeckZones();
+    const cardDatabase = Object.fromEntries(deckZones.main.map(card => [
+      card.cardId,
+      { name: card.name, type: card.type, level: card.level, attribute: card.attribute }
+    ]));
+
+    afterEach(() => {
+      YdkParser.cardDatabase = null;
+    });
+
+    const readTable = (encoded) => unpackValue(new Uint8Array(inflateRawSync(fromBase64Url(encoded).subarray(1)))).zones.k;
+
+    it('should store cards from the card database as passcodes and keep custom cards whole', () => {
+      YdkParser.cardDatabase = cardDatabase;
+      const encoded = URLService.encodeCalculation(40, 5, combos, null, true, deckZones);
+      const table = readTable(encoded);
+
+      expect(table.filter(entry => !Array.isArray(entry))).toHaveLength(14);
+      expect(table.filter(Array.isArray)).toHaveLength(20);
+      expect(URLService.decodeCalculation(encoded).deckZones).toEqual(deckZones);
+    });
+
+    it('should keep a card whole when its name differs from the card database', () => {
+      YdkParser.cardDatabase = { ...cardDatabase, [deckZones.main[0].cardId]: { name: 'Renamed', type: 'Spell Card' } };
+      const table = readTable(URLService.encodeCalculation(40, 5, combos, null, true, deckZones));
+
+      expect(table[0]).toEqual([deckZones.main[0].cardId, 'Main card 0', 'Effect Monster', 4, 'LIGHT']);
+    });
+
+    it('should leave passcode-only cards unnamed without the card database', () => {
+      YdkParser.cardDatabase = cardDatabase;
+      const encoded = URLService.encodeCalculation(40, 5, combos, null, true, deckZones);
+      const decoded = URLService.decodeCalculation(encoded, null);
+
+      expect(decoded.deckZones.main[0]).toMatchObject({ cardId: deckZones.main[0].cardId, name: null });
+      expect(decoded.deckZones.extra[0].name).toBe('Extra card 0');
+    });
+
+    it('should still decode version 1 links', () => {
+      const data = {
+        d: 40,
+        h: 5,
+        c: [],
+        testHand: true,
+        zones: { k: [['14558127', 'Ash Blossom & Joyous Spring', 'Effect Monster', 3, 'FIRE']], main: [0, 0], extra: [], side: [] }
+      };
+      const packed = packValue(data);
+      const bytes = new Uint8Array([1, ...deflateRawSync(packed)]);
+
+      const decoded = URLService.decodeCalculation(toBase64Url(bytes));
+      expect(decoded.deckZones.main.map(card => card.name)).toEqual(['Ash Blossom & Joyous Spring', 'Ash Blossom & Joyous Spring']);
+    });
+  });
+});
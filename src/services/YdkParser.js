@@ -53,10 +53,7 @@ class YdkParser {
       let currentSection = 'main'; // Default to main deck
 
       for (const line of lines) {
-        // Skip comments that start with #
-        if (line.startsWith('#')) continue;
-
-        // Track current section
+        // Track current section (before skipping comments, since #main and #extra start with #)
         if (line === '#main') {
           currentSection = 'main';
           continue;
@@ -70,6 +67,9 @@ class YdkParser {
           continue;
         }
 
+        // Skip comments that start with #
+        if (line.startsWith('#')) continue;
+
         // Parse card ID
         const cardId = line.trim();
         if (!cardId || isNaN(cardId)) continue;
@@ -0,0 +1,54 @@
+/**
+ * YdkWriter - Service for writing YDK (Yu-Gi-Oh! Deck) files
+ *
+ * The counterpart to YdkParser: writes deck builder zones as #main, #extra and !side
+ * sections of passcodes, which parseYdkFile reads back into the same zones.
+ */
+
+const PASSCODE = /^\d+$/;
+
+class YdkWriter {
+  /**
+   * Writes passcodes per section as YDK content
+   * @param {Object} passcodes - { main, extra, side } arrays of passcodes
+   * @param {string} createdBy - Name for the #created by line
+   * @returns {string} YDK file content
+   */
+  writeYdkContent(passcodes, createdBy = 'FirstDrawGG') {
+    return [
+      `#created by ${createdBy}`,
+      '#main', ...(passcodes.main || []),
+      '#extra', ...(passcodes.extra || []),
+      '!side', ...(passcodes.side || []),
+      ''
+    ].join('\n');
+  }
+
+  /**
+   * Writes deck builder zones as a YDK file
+   * Cards without a passcode (custom cards, or cards imported by name) can't be written and are skipped
+   * @param {Object} deckZones - { main, extra, side } card arrays with cardId
+   * @param {string} createdBy - Name for the #created by line
+   * @returns {Object} { content, skippedCards } with the names of skipped cards
+   */
+  writeYdkFile(deckZones, createdBy = 'FirstDrawGG') {
+    const passcodes = { main: [], extra: [], side: [] };
+    const skippedCards = [];
+
+    Object.keys(passcodes).forEach(zone => {
+      (deckZones[zone] || []).forEach(card => {
+        const passcode = card.cardId === null || card.cardId === undefined ? '' : String(card.cardId).trim();
+        if (PASSCODE.test(passcode)) {
+          passcodes[zone].push(passcode);
+        } else {
+          skippedCards.push(card.name);
+        }
+      });
+    });
+
+    return { content: this.writeYdkContent(passcodes, createdBy), skippedCards };
+  }
+}
+
+// Export singleton instance
+export default new YdkWriter();
@@ -0,0 +1,79 @@
+/**
+ * YdkWriter Tests
+ * Test YDK output and lossless round trips through YdkParser.parseYdkFile
+ */
+
+import { expect, describe, it } from 'vitest';
+import YdkWriter from './YdkWriter.js';
+import YdkParser from './YdkParser.js';
+
+const cardDatabase = {
+  60764609: { name: 'Fiendsmith Engraver', type: 'Effect Monster', level: 6, attribute: 'LIGHT', isExtraDeck: false },
+  14558127: { name: 'Ash Blossom & Joyous Spring', type: 'Tuner Effect Monster', level: 3, attribute: 'FIRE', isExtraDeck: false },
+  24224830: { name: 'Called by the Grave', type: 'Quick-Play Spell Card', level: null, attribute: null, isExtraDeck: false },
+  2463794: { name: 'Fiendsmith\'s Requiem', type: 'Link Monster', level: null, attribute: 'LIGHT', isExtraDeck: true },
+  10045474: { name: 'Infinite Impermanence', type: 'Trap Card', level: null, attribute: null, isExtraDeck: false }
+};
+
+const deckCard = (zone, cardId) => {
+  const { name, type, level, attribute } = cardDatabase[cardId];
+  return { id: `${zone}_${cardId}`, cardId: String(cardId), name, type, level, attribute, zone };
+};
+
+const deckZones = {
+  main: [deckCard('main', 60764609), deckCard('main', 60764609), deckCard('main', 14558127), deckCard('main', 24224830)],
+  extra: [deckCard('extra', 2463794)],
+  side: [deckCard('side', 10045474), deckCard('side', 14558127)]
+};
+
+// Drops the generated per-card ids, which differ on every parse
+const withoutIds = (zones) => Object.fromEntries(
+  Object.entries(zones).map(([zone, cards]) => [zone, cards.map(({ id, ...card }) => card)])
+);
+
+describe('YdkWriter', () => {
+  it('should write #created by, #main, #extra and !side sections of passcodes', () => {
+    const { content, skippedCards } = YdkWriter.writeYdkFile(deckZones);
+
+    expect(content).toBe([
+      '#created by FirstDrawGG',
+      '#main', '60764609', '60764609', '14558127', '24224830',
+      '#extra', '2463794',
+      '!side', '10045474', '14558127',
+      ''
+    ].join('\n'));
+    expect(skippedCards).toEqual([]);
+  });
+
+  it('should round-trip through parseYdkFile without losing cards, order or zones', () => {
+    const parsed = YdkParser.parseYdkFile(YdkWriter.writeYdkFile(deckZones).content, cardDatabase);
+
+    expect(withoutIds(parsed.deckZones)).toEqual(withoutIds(deckZones));
+    expect(parsed.unmatchedIds).toEqual([]);
+    expect(parsed.cardCounts).toEqual({ 'Fiendsmith Engraver': 2, 'Ash Blossom & Joyous Spring': 1, 'Called by the Grave': 1 });
+  });
+
+  it('should keep cards in the section they were written to when the database has no isExtraDeck', () => {
+    const database = { 11111: { name: 'Custom Fusion' }, 22222: { name: 'Custom Spell' } };
+    const content = YdkWriter.writeYdkContent({ main: ['22222'], extra: ['11111'], side: [] });
+
+    const parsed = YdkParser.parseYdkFile(content, database);
+
+    expect(parsed.deckZones.main.map(card => card.name)).toEqual(['Custom Spell']);
+    expect(parsed.deckZones.extra.map(card => card.name)).toEqual(['Custom Fusion']);
+  });
+
+  it('should skip cards without a passcode and name them', () => {
+    const zones = {
+      main: [...deckZones.main, { id: 'imported_0', name: 'Mystery Card', zone: 'main' }],
+      extra: [],
+      side: [{ id: 'custom', cardId: null, name: 'Any hand-trap', zone: 'side' }]
+    };
+
+    const { content, skippedCards } = YdkWriter.writeYdkFile(zones, 'Tester');
+
+    expect(content.startsWith('#created by Tester\n#main\n60764609\n')).toBe(true);
+    expect(content).not.toContain('Mystery Card');
+    expect(skippedCards).toEqual(['Mystery Card', 'Any hand-trap']);
+  });
+});
@@ -0,0 +1,102 @@
+/**
+ * Banlist utilities
+ * Card limits from a banlist loaded by BanlistService, shared by the deck builder and the ratio optimizer.
+ * A null banlist ('No Banlist') leaves every card at the normal copy limit.
+ */
+
+import { MAX_COPIES_PER_CARD } from '../constants/config';
+
+export const NO_BANLIST = 'No Banlist';
+// No lists ship with the app, so nothing is enforced until one is added and picked
+export const DEFAULT_BANLIST_FORMAT = NO_BANLIST;
+
+export const getCardBanlistStatus = (cardName, banlist) => (
+  banlist?.statusByName?.[cardName] || 'unlimited'
+);
+
+export const getMaxCopiesAllowed = (cardName, banlist) => {
+  switch (getCardBanlistStatus(cardName, banlist)) {
+    case 'forbidden': return 0;
+    case 'limited': return 1;
+    case 'semi-limited': return 2;
+    default: return MAX_COPIES_PER_CARD;
+  }
+};
+
+export const BANLIST_STATUS_LABELS = {
+  forbidden: 'Forbidden',
+  limited: 'Limited',
+  'semi-limited': 'Semi-Limited',
+  unlimited: 'Unlimited'
+};
+
+/**
+ * Whether a list caps decks by points (Genesys-style) rather than only by copies
+ */
+export const isPointFormat = (banlist) => Boolean(banlist?.pointsByName);
+
+export const getCardPoints = (cardName, banlist) => banlist?.pointsByName?.[cardName] || 0;
+
+/**
+ * Points total of a deck on a point format; Main and Extra Deck count, Side Deck doesn't
+ * @param {Object} deckZones - { main, extra, side } card arrays
+ * @param {Object|null} banlist - Selected list
+ * @returns {{ total: number, limit: number }|null} Null when the list isn't a point format
+ */
+export const getDeckPoints = (deckZones, banlist) => {
+  if (!isPointFormat(banlist)) return null;
+  const total = [...(deckZones.main || []), ...(deckZones.extra || [])]
+    .reduce((sum, card) => sum + getCardPoints(card.name, banlist), 0);
+  return { total, limit: banlist.pointLimit };
+};
+
+/**
+ * How a card's status on an older list differs from the current list
+ * @param {string} cardName - Card name
+ * @param {Object|null} banlist - Selected list
+ * @param {Object|null} currentBanlist - The format's newest list
+ * @returns {{ status: string, currentStatus: string }|null} Null when the status is the same or no older list is selected
+ */
+export const getBanlistChange = (cardName, banlist, currentBanlist) => {
+  if (!banlist || !currentBanlist || banlist.date === currentBanlist.date) return null;
+  const status = getCardBanlistStatus(cardName, banlist);
+  const currentStatus = getCardBanlistStatus(cardName, currentBanlist);
+  return status === currentStatus ? null : { status, currentStatus };
+};
+
+/**
+ * Checks a deck against a banlist, counting copies across Main, Extra and Side Deck
+ * @param {Object} deckZones - { main, extra, side } card arrays
+ * @param {Object|null} banlist - Selected list
+ * @param {Object|null} currentBanlist - The format's newest list, to report cards whose status changed since
+ * @returns {{ isLegal: boolean, forbidden: Array, overLimit: Array, changed: Array, points: Object|null }}
+ */
+export const checkDeckLegality = (deckZones, banlist, currentBanlist = null) => {
+  const copies = {};
+  ['main', 'extra', 'side'].forEach(zone => {
+    (deckZones[zone] || []).forEach(card => {
+      copies[card.name] = (copies[card.name] || 0) + 1;
+    });
+  });
+
+  const report = { forbidden: [], overLimit: [], changed: [] };
+  Object.entries(copies).forEach(([name, count]) => {
+    const status = getCardBanlistStatus(name, banlist);
+    const maxAllowed = getMaxCopiesAllowed(name, banlist);
+    if (status === 'forbidden') {
+      report.forbidden.push({ name, copies: count });
+    } else if (count > maxAllowed) {
+      report.overLimit.push({ name, copies: count, status, maxAllowed });
+    }
+
+    const change = getBanlistChange(name, banlist, currentBanlist);
+    if (change) {
+      report.changed.push({ name, copies: count, ...change });
+    }
+  });
+
+  const points = getDeckPoints(deckZones, banlist);
+  const isOverBudget = points !== null && points.total > points.limit;
+
+  return { isLegal: report.forbidden.length === 0 && report.overLimit.length === 0 && !isOverBudget, ...report, points };
+};
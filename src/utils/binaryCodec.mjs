@@ -0,0 +1,200 @@
+/**
+ * Compact binary encoding of JSON-like values for share links
+ * Numbers and numeric strings (card IDs, passcodes) are varints, and each distinct string
+ * is written once and referenced by index afterwards
+ */
+
+const TAG = {
+  NULL: 0,
+  FALSE: 1,
+  TRUE: 2,
+  UINT: 3,
+  NEGATIVE_INT: 4,
+  FLOAT: 5,
+  STRING: 6, // First use of a string: length and UTF-8 bytes
+  STRING_REF: 7, // Later uses: index of the string's first use
+  NUMERIC_STRING: 8, // Digits with no leading zero, e.g. "60764609"
+  ARRAY: 9,
+  OBJECT: 10
+};
+
+const NUMERIC_STRING = /^(0|[1-9]\d{0,14})$/;
+
+const writeVarint = (bytes, value) => {
+  // Division rather than bit shifts so values above 32 bits survive
+  while (value >= 0x80) {
+    bytes.push((value % 0x80) + 0x80);
+    value = Math.floor(value / 0x80);
+  }
+  bytes.push(value);
+};
+
+/**
+ * Encodes a value the way JSON.stringify would see it: undefined object properties
+ * are dropped and undefined array items become null
+ * @param {*} value - Value made of objects, arrays, strings, numbers, booleans and null
+ * @returns {Uint8Array} Encoded bytes
+ */
+export const packValue = (value) => {
+  const bytes = [];
+  const strings = new Map();
+  const encoder = new TextEncoder();
+
+  const writeString = (text) => {
+    if (strings.has(text)) {
+      bytes.push(TAG.STRING_REF);
+      writeVarint(bytes, strings.get(text));
+      return;
+    }
+    strings.set(text, strings.size);
+    const utf8 = encoder.encode(text);
+    bytes.push(TAG.STRING);
+    writeVarint(bytes, utf8.length);
+    utf8.forEach(byte => bytes.push(byte));
+  };
+
+  const write = (item) => {
+    if (item === null || item === undefined || (typeof item === 'number' && !Number.isFinite(item))) {
+      bytes.push(TAG.NULL);
+    } else if (typeof item === 'boolean') {
+      bytes.push(item ? TAG.TRUE : TAG.FALSE);
+    } else if (typeof item === 'number') {
+      if (Number.isSafeInteger(item) && !Object.is(item, -0)) {
+        bytes.push(item >= 0 ? TAG.UINT : TAG.NEGATIVE_INT);
+        writeVarint(bytes, Math.abs(item));
+      } else {
+        bytes.push(TAG.FLOAT);
+        new Uint8Array(new Float64Array([item]).buffer).forEach(byte => bytes.push(byte));
+      }
+    } else if (typeof item === 'string') {
+      if (NUMERIC_STRING.test(item)) {
+        bytes.push(TAG.NUMERIC_STRING);
+        writeVarint(bytes, Number(item));
+      } else {
+        writeString(item);
+      }
+    } else if (Array.isArray(item)) {
+      bytes.push(TAG.ARRAY);
+      writeVarint(bytes, item.length);
+      item.forEach(write);
+    } else {
+      const entries = Object.entries(item).filter(([, entry]) => entry !== undefined);
+      bytes.push(TAG.OBJECT);
+      writeVarint(bytes, entries.length);
+      entries.forEach(([key, entry]) => {
+        writeString(key);
+        write(entry);
+      });
+    }
+  };
+
+  write(value);
+  return Uint8Array.from(bytes);
+};
+
+/**
+ * Decodes bytes written by packValue
+ * @param {Uint8Array} bytes - Encoded bytes
+ * @returns {*} The value
+ * @throws {Error} When the bytes are corrupt or end early
+ */
+export const unpackValue = (bytes) => {
+  const strings = [];
+  const decoder = new TextDecoder();
+  let pos = 0;
+
+  const readByte = () => {
+    if (pos >= bytes.length) throw new Error('Encoded data ended early');
+    return bytes[pos++];
+  };
+
+  const readVarint = () => {
+    let value = 0;
+    let scale = 1;
+    for (;;) {
+      const byte = readByte();
+      value += (byte & 0x7F) * scale;
+      if (byte < 0x80) return value;
+      scale *= 0x80;
+    }
+  };
+
+  const readString = (tag) => {
+    if (tag === TAG.STRING_REF) {
+      const index = readVarint();
+      if (index >= strings.length) throw new Error('Unknown string reference');
+      return strings[index];
+    }
+    if (tag !== TAG.STRING) throw new Error(`Expected a string, found tag ${tag}`);
+    const length = readVarint();
+    if (pos + length > bytes.length) throw new Error('Encoded data ended early');
+    const text = decoder.decode(bytes.subarray(pos, pos + length));
+    pos += length;
+    strings.push(text);
+    return text;
+  };
+
+  const read = () => {
+    const tag = readByte();
+    switch (tag) {
+      case TAG.NULL: return null;
+      case TAG.FALSE: return false;
+      case TAG.TRUE: return true;
+      case TAG.UINT: return readVarint();
+      case TAG.NEGATIVE_INT: return -readVarint();
+      case TAG.FLOAT: {
+        if (pos + 8 > bytes.length) throw new Error('Encoded data ended early');
+        const value = new Float64Array(bytes.slice(pos, pos + 8).buffer)[0];
+        pos += 8;
+        return value;
+      }
+      case TAG.STRING:
+      case TAG.STRING_REF:
+        return readString(tag);
+      case TAG.NUMERIC_STRING: return String(readVarint());
+      case TAG.ARRAY: {
+        const length = readVarint();
+        const items = [];
+        for (let i = 0; i < length; i++) items.push(read());
+        return items;
+      }
+      case TAG.OBJECT: {
+        const length = readVarint();
+        const object = {};
+        for (let i = 0; i < length; i++) {
+          const key = readString(readByte());
+          object[key] = read();
+        }
+        return object;
+      }
+      default:
+        throw new Error(`Unknown tag ${tag}`);
+    }
+  };
+
+  return read();
+};
+
+/**
+ * URL-safe base64 without padding
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+export const toBase64Url = (bytes) => {
+  let binary = '';
+  bytes.forEach(byte => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+/**
+ * Decodes URL-safe or standard base64, with or without padding
+ * @param {string} text
+ * @returns {Uint8Array}
+ */
+export const fromBase64Url = (text) => {
+  const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(base64.padEnd(Math.ceil(base64.length / 4) * 4, '='));
+  return Uint8Array.from(binary, char => char.charCodeAt(0));
+};
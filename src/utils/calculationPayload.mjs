@@ -0,0 +1,73 @@
+/**
+ * Share link payloads
+ * A payload is a schema version byte followed by the raw-DEFLATE packed calculation, in URL-safe
+ * base64. Links from before the binary format are base64 JSON and still read.
+ *
+ * URLService builds calculations on top of this, and the short link API uses it to check what
+ * it stores, so it depends on nothing but fflate and binaryCodec. The .mjs extension keeps it an
+ * ES module when Node loads it outside Vite.
+ */
+
+import { deflateSync, inflateSync } from 'fflate';
+import { packValue, unpackValue, toBase64Url, fromBase64Url } from './binaryCodec.mjs';
+
+// Bump when the packed layout changes; readPayload keeps reading older versions
+// 1: every deck zone card stores its name and metadata; 2: cards in the card database store only their passcode
+export const SCHEMA_VERSION = 2;
+export const SUPPORTED_VERSIONS = [1, 2];
+// Version readPayload reports for base64 JSON links
+export const LEGACY_VERSION = 0;
+// Base64 JSON links start with '{'
+const LEGACY_JSON_BYTE = 0x7B;
+
+/**
+ * Packs, compresses and encodes a calculation in the current schema version
+ * @param {Object} value - Calculation already in the current packed layout
+ * @returns {string} URL-safe base64 payload
+ */
+export const writePayload = (value) => {
+  const compressed = deflateSync(packValue(value), { level: 9 });
+  const bytes = new Uint8Array(compressed.length + 1);
+  bytes[0] = SCHEMA_VERSION;
+  bytes.set(compressed, 1);
+  return toBase64Url(bytes);
+};
+
+/**
+ * Decodes a payload back into its packed layout
+ * @param {string} encoded - URL-safe or standard base64 payload
+ * @returns {{ version: number, data: * }} Schema version (LEGACY_VERSION for base64 JSON) and packed value
+ * @throws {Error} When the payload is not base64, has an unknown version or does not inflate
+ */
+export const readPayload = (encoded) => {
+  const bytes = fromBase64Url(encoded);
+  if (bytes[0] === LEGACY_JSON_BYTE) {
+    return { version: LEGACY_VERSION, data: JSON.parse(atob(encoded)) };
+  }
+  if (!SUPPORTED_VERSIONS.includes(bytes[0])) {
+    throw new Error(`Unsupported link version ${bytes[0]}`);
+  }
+  return { version: bytes[0], data: unpackValue(inflateSync(bytes.subarray(1))) };
+};
+
+/**
+ * Whether a packed value has the fields every calculation needs
+ * @param {*} data - Packed value from readPayload
+ * @returns {boolean}
+ */
+export const isCalculationData = (data) => Boolean(
+  data && data.d && data.h && Array.isArray(data.c)
+);
+
+/**
+ * Whether a string decodes as a calculation
+ * @param {string} encoded - Candidate payload
+ * @returns {boolean}
+ */
+export const isCalculationPayload = (encoded) => {
+  try {
+    return isCalculationData(readPayload(encoded).data);
+  } catch (error) {
+    return false;
+  }
+};
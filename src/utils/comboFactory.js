@@ -3,8 +3,20 @@
  * Creates standardized combo data structures
  */
 
+/**
+ * Short random identifier that stays with a combo through renames, removals and
+ * saved versions; id is its position-based number and can be reused
+ */
+export const createComboUid = () => crypto.randomUUID().slice(0, 8);
+
+/**
+ * Gives combos restored from links saved before combo uids a uid of their own
+ */
+export const withComboUids = (combos) => combos.map(combo => (combo.uid ? combo : { ...combo, uid: createComboUid() }));
+
 export const createCombo = (id, index) => ({
   id,
+  uid: createComboUid(),
   name: `Combo ${index + 1}`,
   cards: [{
     starterCard: '',
@@ -13,6 +25,8 @@ export const createCombo = (id, index) => ({
     startersInDeck: 3,
     minCopiesInHand: 1,
     maxCopiesInHand: 3,
-    logicOperator: 'AND'  // Default to AND, only relevant for 2nd+ cards
+    logicOperator: 'AND',  // Default to AND, only relevant for 2nd+ cards
+    openParens: 0,  // Brackets opened before this card
+    closeParens: 0  // Brackets closed after this card
   }]
 });
@@ -0,0 +1,42 @@
+/**
+ * Seedable pseudo-random number generation
+ * Same seed, same sequence - used so shared calculations and sample hands reproduce exactly
+ */
+
+export const MAX_SEED = 0xFFFFFFFF;
+
+/**
+ * Creates a mulberry32 generator with the same contract as Math.random
+ * @param {number} seed - 32-bit unsigned integer seed
+ * @returns {Function} Function returning floats in [0, 1)
+ */
+export const createRandom = (seed) => {
+  let state = seed >>> 0;
+
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Picks a fresh seed for a new calculation
+ * @returns {number} Random 32-bit unsigned integer
+ */
+export const generateSeed = () => Math.floor(Math.random() * MAX_SEED);
+
+/**
+ * Parses user or URL input into a valid seed
+ * @param {*} value - Seed candidate
+ * @returns {number|null} Seed, or null when the value isn't a non-negative integer in range
+ */
+export const parseSeed = (value) => {
+  const seed = Number(value);
+  if (value === null || value === '' || !Number.isInteger(seed) || seed < 0 || seed > MAX_SEED) {
+    return null;
+  }
+  return seed;
+};
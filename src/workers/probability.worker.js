@@ -0,0 +1,38 @@
+/**
+ * Probability Worker - Runs ProbabilityService calculations off the main thread
+ *
+ * Messages in:  { type: 'calculate', requestId, payload: { combos, deckSize, handSize, ydkCards, ydkCardCounts, settings } }
+ *               (settings are calculateMultipleCombos options: seed, targetMargin, turnCurve, deckSizeSweep, mulligan, cardEffects, categories, bricks, outcomes, sidePlans)
+ *               { type: 'optimize', requestId, payload: { combos, deckSize, handSize, settings } }
+ *               (settings are optimizeRatios options: constraints, keepTotal, limit, seed, targetMargin, cardEffects, categories)
+ * Messages out: { type: 'progress', requestId, progress }
+ *               { type: 'result', requestId, results }
+ *               { type: 'error', requestId, message }
+ */
+
+import ProbabilityService from '../services/ProbabilityService.js';
+
+self.onmessage = (event) => {
+  const { type, requestId, payload } = event.data;
+
+  if (type !== 'calculate' && type !== 'optimize') return;
+
+  try {
+    const { combos, deckSize, handSize, ydkCards, ydkCardCounts, settings = {} } = payload;
+    const onProgress = (progress) => self.postMessage({ type: 'progress', requestId, progress });
+    const results = type === 'optimize'
+      ? ProbabilityService.optimizeRatios(combos, deckSize, handSize, { ...settings, onProgress })
+      : ProbabilityService.calculateMultipleCombos(
+        combos,
+        deckSize,
+        handSize,
+        ydkCards,
+        ydkCardCounts,
+        { ...settings, onProgress }
+      );
+
+    self.postMessage({ type: 'result', requestId, results });
+  } catch (error) {
+    self.postMessage({ type: 'error', requestId, message: error.message });
+  }
+};
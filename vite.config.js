@@ -1,6 +1,15 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { createFileStore, createShortLinkHandler } from './api/_lib/shortLinks.mjs'
+
+// Serves /api/short-links from local files while developing; Vercel runs api/ in production
+const shortLinksDevServer = () => ({
+  name: 'short-links-dev-server',
+  configureServer(server) {
+    server.middlewares.use('/api/short-links', createShortLinkHandler(createFileStore()))
+  },
+})
 
 export default defineConfig({
-  plugins: [react()],
-})
\ No newline at end of file
+  plugins: [react(), shortLinksDevServer()],
+})